@@ -1,16 +1,6 @@
 // BootMii Backup Import Handler
 // Handles importing and validating BootMii NAND backup files (nand.bin)
 
-/**
- * Standard BootMii backup size (512MB)
- */
-const BOOTMII_STANDARD_SIZE = 512 * 1024 * 1024; // 512MB in bytes
-
-/**
- * Tolerance for file size check (allow some variation)
- */
-const SIZE_TOLERANCE = 1024 * 1024; // 1MB tolerance
-
 /**
  * Initialize BootMii backup handler
  */
@@ -21,14 +11,23 @@ function initBootMiiHandler() {
     const detailsDiv = document.getElementById('bootmii-details');
     const restoreButton = document.getElementById('restore-bootmii');
     const progressBar = document.getElementById('bootmii-progress');
+    const downloadKeysButton = document.getElementById('download-keys-bin');
+    const storeKeysButton = document.getElementById('store-console-keys');
+    const undoButton = document.getElementById('undo-bootmii-restore');
 
     let currentBackup = null;
+    let currentNand = null;
+    let currentKeys = null;
+    let restoreKeys = null;
 
     fileInput.addEventListener('change', (event) => {
         const file = event.target.files[0];
         if (!file) return;
 
         currentBackup = file;
+        currentNand = null;
+        currentKeys = null;
+        restoreKeys = null;
         resetBootMiiUI();
 
         // Show progress
@@ -42,88 +41,112 @@ function initBootMiiHandler() {
             showStatus(statusDiv, 'error', sizeValid.message);
             progressBar.style.display = 'none';
             return;
-        } else if (sizeValid.isWarning) {
-            showStatus(statusDiv, 'info', sizeValid.message);
         }
 
-        const reader = new FileReader();
-        
-        reader.onprogress = (e) => {
-            if (e.lengthComputable) {
-                const percentLoaded = Math.round((e.loaded / e.total) * 100);
-                updateProgress(progressBar, percentLoaded);
-            }
-        };
-
-        reader.onload = function(evt) {
-            const arrayBuffer = evt.target.result;
-            updateProgress(progressBar, 100);
-            
-            // Validate and parse backup
-            validateAndParseBackup(file, arrayBuffer);
-        };
-
-        reader.onerror = function() {
-            showStatus(statusDiv, 'error', 'Error reading backup file. Please try again.');
+        // The dump is read on demand rather than loaded into memory in one go
+        const nand = new NandImage(file, sizeValid.layout);
+        currentNand = nand;
+        // Picking another dump while this one is checked drops its results
+        const isCurrent = () => currentNand === nand;
+        validateAndParseBackup(file, nand, keys => {
+            currentKeys = keys;
+        }, keys => {
+            restoreKeys = keys;
+        }, isCurrent).catch(error => {
+            if (!isCurrent()) return;
+            // Truncated or unusual dumps can fail anywhere in the filesystem walk
+            console.error('BootMii backup validation failed:', error);
             progressBar.style.display = 'none';
-        };
+            showStatus(statusDiv, 'error', `Could not read the backup: ${error.message}`);
+        });
+    });
 
-        // Read file in chunks for large files
-        reader.readAsArrayBuffer(file);
+    downloadKeysButton.addEventListener('click', () => {
+        if (currentKeys) {
+            downloadBlob(currentKeys, 'keys.bin');
+        }
+    });
+
+    storeKeysButton.addEventListener('click', () => {
+        if (!currentKeys) return;
+        try {
+            storeConsoleKeys(currentKeys);
+            showStatus(statusDiv, 'success', 'Console keys stored in this browser. WAD installs and save exports will use them.');
+        } catch (error) {
+            showStatus(statusDiv, 'error', `Could not store the keys: ${error.message}`);
+        }
     });
 
     // Restore button handler
     if (restoreButton) {
         restoreButton.addEventListener('click', () => {
-            if (currentBackup) {
+            if (currentBackup && currentNand && restoreKeys) {
                 showNandWarning(
-                    `You are about to restore the BootMii backup "${currentBackup.name}". This will REPLACE all current NAND data. This action cannot be undone. Are you sure you want to proceed?`,
-                    () => performBackupRestore(currentBackup)
+                    `You are about to restore the BootMii backup "${currentBackup.name}". This will REPLACE all current NAND data. The current virtual NAND is kept as a snapshot so the restore can be undone. Are you sure you want to proceed?`,
+                    () => performBackupRestore(currentBackup, currentNand, restoreKeys)
                 );
             }
         });
     }
+
+    // Undo restore handler
+    if (undoButton) {
+        undoButton.addEventListener('click', () => {
+            showNandWarning(
+                'You are about to roll the virtual NAND back to how it was before the last restore. Everything changed since then will be lost. Are you sure you want to proceed?',
+                () => undoBackupRestore()
+            );
+        });
+    }
 }
 
 /**
- * Validate backup file size
+ * Validate backup file size against the known nand.bin layouts
+ * @param {number} size - File size in bytes
+ * @returns {{isValid: boolean, message: string, layout: Object|null}}
  */
 function validateBackupSize(size) {
-    const difference = Math.abs(size - BOOTMII_STANDARD_SIZE);
-    
-    if (difference > SIZE_TOLERANCE * 10) {
+    const layout = detectNandLayout(size);
+
+    if (!layout) {
+        const expected = NAND_LAYOUTS.map(l => l.size.toLocaleString()).join(', ');
         return {
             isValid: false,
-            isWarning: false,
-            message: `Error: File size (${formatBytes(size)}) does not match standard BootMii backup size (${formatBytes(BOOTMII_STANDARD_SIZE)}). This may not be a valid backup file.`
-        };
-    } else if (difference > SIZE_TOLERANCE) {
-        return {
-            isValid: true,
-            isWarning: true,
-            message: `Warning: File size (${formatBytes(size)}) differs slightly from standard BootMii backup size (${formatBytes(BOOTMII_STANDARD_SIZE)}). Proceeding with validation...`
+            message: `Error: File size (${size.toLocaleString()} bytes) does not match any NAND dump layout (${expected} bytes). This is not a complete BootMii backup.`,
+            layout: null
         };
     }
     
     return {
         isValid: true,
-        isWarning: false,
-        message: ''
+        message: '',
+        layout: layout
     };
 }
 
 /**
  * Validate and parse BootMii backup
+ * @param {File} file - Selected nand.bin
+ * @param {NandImage} nand - Reader for the file
+ * @param {Function} onConsoleKeys - Called with the keys.bin if the dump includes one
+ * @param {Function} onRestoreReady - Called with the keys.bin to restore with once the backup is deemed restorable
+ * @param {Function} isCurrent - Returns false once another dump was picked; nothing is shown or reported after that
  */
-function validateAndParseBackup(file, arrayBuffer) {
+async function validateAndParseBackup(file, nand, onConsoleKeys, onRestoreReady, isCurrent) {
     const statusDiv = document.getElementById('bootmii-status');
     const infoDiv = document.getElementById('bootmii-info');
     const detailsDiv = document.getElementById('bootmii-details');
     const restoreButton = document.getElementById('restore-bootmii');
     const progressBar = document.getElementById('bootmii-progress');
+    const downloadKeysButton = document.getElementById('download-keys-bin');
+    const storeKeysButton = document.getElementById('store-console-keys');
+
+    showStatus(statusDiv, 'info', 'Locating the newest filesystem superblock...');
 
-    // Perform basic validation
-    const validation = performBackupValidation(arrayBuffer);
+    const validation = await performBackupValidation(nand, (checked, total) => {
+        if (isCurrent()) updateProgress(progressBar, Math.round((checked / total) * 100));
+    });
+    if (!isCurrent()) return;
 
     if (!validation.isValid) {
         showStatus(statusDiv, 'error', validation.message);
@@ -132,20 +155,30 @@ function validateAndParseBackup(file, arrayBuffer) {
     }
 
     // Extract backup information
-    const backupInfo = extractBackupInfo(file, arrayBuffer);
+    const backupInfo = await extractBackupInfo(file, nand, validation.tree);
+    if (!isCurrent()) return;
+    const identity = backupInfo.console;
 
     // Display backup information
     const warnings = validation.warnings.length > 0 
-        ? `<p><strong>Warnings:</strong></p><ul>${validation.warnings.map(w => `<li style="color: var(--wii-warning);">${w}</li>`).join('')}</ul>`
+        ? `<p><strong>Warnings:</strong></p><ul>${validation.warnings.map(w => `<li style="color: var(--wii-warning);">${escapeHtml(w)}</li>`).join('')}</ul>`
         : '';
 
     const details = `
-        <p><strong>File Name:</strong> ${file.name}</p>
+        <p><strong>File Name:</strong> ${escapeHtml(file.name)}</p>
         <p><strong>File Type:</strong> BootMii NAND Backup</p>
         <p><strong>File Size:</strong> ${formatBytes(backupInfo.size)}</p>
+        <p><strong>Layout:</strong> ${escapeHtml(backupInfo.layout)}</p>
         <p><strong>Last Modified:</strong> ${new Date(file.lastModified).toLocaleString()}</p>
-        <p><strong>Validation:</strong> <span style="color: var(--wii-success);">✓ Backup appears valid</span></p>
+        <p><strong>Superblock:</strong> #${backupInfo.superblock.index} (generation ${backupInfo.superblock.generation}, ${backupInfo.superblock.validCopies} of ${SFFS_SUPERBLOCK_COUNT} copies present)</p>
+        <p><strong>Console ID:</strong> ${identity.consoleId ? escapeHtml(identity.consoleId) : escapeHtml(identity.error)}</p>
+        <p><strong>Region:</strong> ${escapeHtml(identity.region || 'Unknown')}${identity.model ? ` (${escapeHtml(identity.model)}, serial ${escapeHtml(identity.serial)})` : ''}</p>
+        <p><strong>Filesystem:</strong> ${backupInfo.fileCount} files in ${backupInfo.directoryCount} directories (${formatBytes(backupInfo.usedBytes)} used)</p>
+        <p><strong>Integrity:</strong> <span id="bootmii-verdict">Checking ECC and HMACs...</span></p>
+        <div id="bootmii-integrity"></div>
         ${warnings}
+        <h4 class="nand-tree-heading">NAND Contents</h4>
+        <div class="nand-tree">${renderNandTree(validation.tree)}</div>
         <p style="margin-top: 15px; padding: 10px; background: #fff3cd; border-left: 4px solid var(--wii-warning); color: #856404;">
             <strong>⚠️ Important:</strong> Restoring this backup will replace all current NAND data. Make sure you have a current backup before proceeding.
         </p>
@@ -153,98 +186,429 @@ function validateAndParseBackup(file, arrayBuffer) {
 
     detailsDiv.innerHTML = details;
     infoDiv.style.display = 'block';
-    restoreButton.style.display = 'inline-block';
+
+    if (identity.keys) {
+        onConsoleKeys(identity.keys);
+        downloadKeysButton.style.display = 'inline-block';
+        storeKeysButton.style.display = 'inline-block';
+    }
+    updateProgress(progressBar, 0);
+
+    showStatus(statusDiv, 'info', 'Filesystem decoded. Checking page ECC and HMACs (this reads the whole backup)...');
+
+    let report;
+    try {
+        report = await verifyBackupIntegrity(file, nand.layout, (phase, processed, total) => {
+            if (!isCurrent()) return;
+            // ECC covers the first half of the bar, HMACs the second
+            const fraction = total > 0 ? processed / total : 1;
+            updateProgress(progressBar, Math.round((phase === 'ecc' ? fraction : 1 + fraction) * 50));
+        });
+    } catch (error) {
+        if (!isCurrent()) return;
+        console.error('NAND integrity check failed:', error);
+        progressBar.style.display = 'none';
+        showStatus(statusDiv, 'error', `Integrity check failed: ${error.message}`);
+        return;
+    }
+    if (!isCurrent()) return;
+
+    const verdict = summarizeIntegrity(report);
+    document.getElementById('bootmii-verdict').innerHTML =
+        `<span style="color: ${verdict.color};">${verdict.icon} ${escapeHtml(verdict.text)}</span>`;
+    document.getElementById('bootmii-integrity').innerHTML = renderIntegrityReport(report);
     progressBar.style.display = 'none';
 
+    if (verdict.level === 'unsafe') {
+        showStatus(statusDiv, 'error', 'This backup is damaged and should not be restored.');
+        return;
+    }
+
+    // Without a keys footer, stored keys are used unless the HMAC check showed they belong to another console
+    if (!identity.keys && report.storedKeysRejected) {
+        showStatus(statusDiv, 'error', 'Backup validated, but the stored console keys do not belong to the console it came from. Import a dump with a keys footer from the same console and store its keys first.');
+        return;
+    }
+    const keys = identity.keys || getStoredKey('console');
+    if (!keys) {
+        showStatus(statusDiv, 'info', 'Backup validated, but it cannot be restored without the keys of the console it came from. Import a dump with a keys footer from the same console and store its keys first.');
+        return;
+    }
+
+    onRestoreReady(keys);
+    restoreButton.style.display = 'inline-block';
+    if (!identity.keys && !report.hmacChecked) {
+        showStatus(statusDiv, 'info', '⚠ BootMii backup loaded, but the stored console keys could not be checked against it (the dump has no HMAC data). Restore only if the keys came from the same console.');
+        return;
+    }
     showStatus(statusDiv, 'success', 'BootMii backup loaded and validated successfully!');
 }
 
 /**
- * Perform backup validation
+ * Run the ECC/HMAC integrity check in a Web Worker
+ * @param {File} file - nand.bin
+ * @param {Object} layout - Layout from NAND_LAYOUTS
+ * @param {Function} onProgress - Called with (phase, processed, total)
+ * @returns {Promise<Object>} Integrity report
+ */
+function verifyBackupIntegrity(file, layout, onProgress) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker('nand-worker.js');
+
+        worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'progress') {
+                if (onProgress) onProgress(message.phase, message.processed, message.total);
+            } else if (message.type === 'done') {
+                worker.terminate();
+                resolve(message.report);
+            } else if (message.type === 'error') {
+                worker.terminate();
+                reject(new Error(message.message));
+            }
+        };
+
+        worker.onerror = (event) => {
+            worker.terminate();
+            reject(new Error(event.message || 'NAND integrity worker failed'));
+        };
+
+        worker.postMessage({ type: 'verify', file: file, layout: layout, keys: getStoredKey('console') });
+    });
+}
+
+/**
+ * Decrypt every file of a backup in a Web Worker
+ * @param {File} file - nand.bin
+ * @param {Object} layout - Layout from NAND_LAYOUTS
+ * @param {Uint8Array} keys - keys.bin of the console the backup came from
+ * @param {Object} handlers - onDirectory(path), onFile(path, data), onProgress(processed, total)
+ * @returns {Promise}
+ */
+function extractBackupFiles(file, layout, keys, handlers) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker('nand-worker.js');
+
+        worker.onmessage = (event) => {
+            const message = event.data;
+            try {
+                if (message.type === 'directory') {
+                    handlers.onDirectory(message.path);
+                } else if (message.type === 'file') {
+                    handlers.onFile(message.path, message.data);
+                } else if (message.type === 'progress') {
+                    if (handlers.onProgress) handlers.onProgress(message.processed, message.total);
+                } else if (message.type === 'done') {
+                    worker.terminate();
+                    resolve();
+                } else if (message.type === 'error') {
+                    worker.terminate();
+                    reject(new Error(message.message));
+                }
+            } catch (error) {
+                worker.terminate();
+                reject(error);
+            }
+        };
+
+        worker.onerror = (event) => {
+            worker.terminate();
+            reject(new Error(event.message || 'NAND extraction worker failed'));
+        };
+
+        worker.postMessage({ type: 'extract', file: file, layout: layout, keys: keys });
+    });
+}
+
+/**
+ * Reduce an integrity report to a restore verdict
+ * @param {Object} report - Report from the NAND worker
+ * @returns {{level: string, text: string, icon: string, color: string}}
+ */
+function summarizeIntegrity(report) {
+    const damagedFiles = report.affectedFiles.filter(file => file.uncorrectable > 0);
+
+    if (damagedFiles.length > 0 || report.hmacFailures.length > 0 || report.superblockHmacOk === false) {
+        return { level: 'unsafe', icon: '✗', color: 'var(--wii-error)', text: 'Not safe to restore: file data is damaged' };
+    }
+    if (!report.eccChecked) {
+        return { level: 'unverified', icon: '⚠', color: 'var(--wii-warning)', text: 'Cannot be verified: the dump has no ECC data' };
+    }
+    if (!report.hmacChecked) {
+        return { level: 'unverified', icon: '⚠', color: 'var(--wii-warning)', text: 'ECC checked, HMACs not verified' };
+    }
+    if (report.correctablePages.length > 0 || report.uncorrectablePages.length > 0) {
+        return { level: 'warning', icon: '⚠', color: 'var(--wii-warning)', text: 'Safe to restore: ECC errors are correctable or outside used files' };
+    }
+    return { level: 'safe', icon: '✓', color: 'var(--wii-success)', text: 'Safe to restore: all ECC and HMAC checks passed' };
+}
+
+/**
+ * Render the details of an integrity report
+ * @param {Object} report - Report from the NAND worker
+ * @returns {string} HTML
  */
-function performBackupValidation(arrayBuffer) {
+function renderIntegrityReport(report) {
+    if (!report.eccChecked) {
+        return `<p>${escapeHtml(report.hmacSkippedReason)}</p>`;
+    }
+
+    const badBlocks = report.badBlocks.length > 0
+        ? report.badBlocks.map(block => `0x${block.toString(16)}`).join(', ')
+        : 'None';
+    const hmacLine = report.hmacChecked
+        ? `Superblock ${report.superblockHmacOk ? '✓ OK' : '✗ mismatch'}, ${report.hmacFailures.length} file(s) with mismatches`
+        : escapeHtml(report.hmacSkippedReason);
+
+    const affectedRows = report.affectedFiles.map(file => `
+        <tr${file.uncorrectable > 0 ? ' class="flagged-row"' : ''}>
+            <td>${escapeHtml(file.path)}</td>
+            <td>${file.correctable}</td>
+            <td>${file.uncorrectable}</td>
+            <td>${file.badBlock ? 'Yes' : 'No'}</td>
+        </tr>
+    `).concat(report.hmacFailures.map(failure => `
+        <tr class="flagged-row">
+            <td>${escapeHtml(failure.path)}</td>
+            <td colspan="3">HMAC mismatch in ${failure.clusters.length} cluster(s)</td>
+        </tr>
+    `)).join('');
+
+    const affectedTable = affectedRows
+        ? `
+            <table class="details-table">
+                <thead>
+                    <tr><th>Affected File</th><th>Correctable Pages</th><th>Uncorrectable Pages</th><th>In Bad Block</th></tr>
+                </thead>
+                <tbody>${affectedRows}</tbody>
+            </table>
+        `
+        : '<p>No files are affected.</p>';
+
+    return `
+        <p><strong>Bad Blocks:</strong> ${badBlocks}</p>
+        <p><strong>ECC:</strong> ${report.correctablePages.length} correctable, ${report.uncorrectablePages.length} uncorrectable page(s)</p>
+        <p><strong>HMAC:</strong> ${hmacLine}</p>
+        ${affectedTable}
+    `;
+}
+
+/**
+ * Perform backup validation: locate the superblock and decode the filesystem
+ * @param {NandImage} nand - Reader for the backup
+ * @param {Function} onProgress - Called with (checked, total) while scanning superblocks
+ * @returns {Promise<{isValid: boolean, message: string, warnings: Array<string>, tree: Object|null}>}
+ */
+async function performBackupValidation(nand, onProgress) {
     const warnings = [];
-    
-    // Check if buffer is not empty
-    if (arrayBuffer.byteLength === 0) {
+    let tree;
+
+    try {
+        const superblock = await nand.findNewestSuperblock(onProgress);
+        tree = nand.buildTree();
+
+        if (superblock.validCopies < SFFS_SUPERBLOCK_COUNT) {
+            warnings.push(`Only ${superblock.validCopies} of ${SFFS_SUPERBLOCK_COUNT} superblock copies are present.`);
+        }
+    } catch (error) {
         return {
             isValid: false,
-            message: 'Error: Backup file is empty.',
-            warnings: []
+            message: `Error: ${error.message}`,
+            warnings: [],
+            tree: null
         };
     }
 
-    // Basic header check (simplified)
-    const view = new DataView(arrayBuffer);
-    
-    // BootMii backups typically have specific patterns
-    // This is a simplified validation
-    
-    // Check for all zeros (corrupted backup)
-    let hasData = false;
-    for (let i = 0; i < Math.min(1024, arrayBuffer.byteLength); i += 4) {
-        if (view.getUint32(i, true) !== 0) {
-            hasData = true;
-            break;
+    ['/title', '/shared1', '/sys', '/ticket'].forEach(path => {
+        if (!tree.children.some(child => child.path === path)) {
+            warnings.push(`Expected directory ${path} is missing.`);
         }
-    }
-    
-    if (!hasData) {
-        warnings.push('First 1KB of backup appears to be empty. This may indicate a corrupted backup.');
-    }
+    });
+
+    walkNandTree(tree, node => {
+        if (node.error) {
+            warnings.push(`${node.path}: ${node.error}`);
+        }
+    });
 
     return {
         isValid: true,
         message: '',
-        warnings: warnings
+        warnings: warnings,
+        tree: tree
     };
 }
 
 /**
  * Extract backup information
+ * @param {File} file - Selected nand.bin
+ * @param {NandImage} nand - Reader with the superblock loaded
+ * @param {Object} tree - Filesystem tree
+ * @returns {Promise<Object>} Summary of the backup
  */
-function extractBackupInfo(file, arrayBuffer) {
+async function extractBackupInfo(file, nand, tree) {
+    let fileCount = 0;
+    let directoryCount = 0;
+    let usedBytes = 0;
+
+    walkNandTree(tree, node => {
+        if (node.type === 'dir') {
+            directoryCount++;
+        } else {
+            fileCount++;
+            usedBytes += node.size;
+        }
+    });
+
     return {
         name: file.name,
-        size: arrayBuffer.byteLength,
+        size: file.size,
         lastModified: file.lastModified,
-        type: 'BootMii NAND Backup'
+        type: 'BootMii NAND Backup',
+        layout: nand.layout.name,
+        superblock: nand.superblock,
+        fileCount: fileCount,
+        directoryCount: directoryCount,
+        usedBytes: usedBytes,
+        console: await extractConsoleIdentity(nand, tree)
     };
 }
 
 /**
- * Perform backup restore (simulated)
+ * Read the keys footer and the console region from a backup
+ * @param {NandImage} nand - Reader with the superblock loaded
+ * @param {Object} tree - Filesystem tree
+ * @returns {Promise<Object>} {keys, consoleId, header, region, model, serial, error}
+ */
+async function extractConsoleIdentity(nand, tree) {
+    const identity = { keys: null, consoleId: null, header: null, region: null, model: null, serial: null, error: null };
+
+    const footer = await readNandKeysFooter(nand);
+    if (!footer) {
+        identity.error = 'Not included (this dump has no keys footer)';
+        return identity;
+    }
+
+    let parsedKeys;
+    try {
+        parsedKeys = parseKeysBin(footer);
+    } catch (error) {
+        identity.error = error.message;
+        return identity;
+    }
+    identity.keys = footer;
+    identity.consoleId = parsedKeys.consoleId;
+    identity.header = parsedKeys.header;
+
+    // The region lives in the system menu's setting.txt, which needs the NAND key
+    const settingNode = findNandNode(tree, SETTING_TXT_PATH);
+    if (settingNode) {
+        try {
+            const settings = parseSettingTxt(await nand.readFile(settingNode, parsedKeys.nandAesKey));
+            identity.region = describeConsoleRegion(settings);
+            identity.model = settings.MODEL || null;
+            identity.serial = settings.SERNO ? `${settings.CODE || ''}${settings.SERNO}` : null;
+        } catch (error) {
+            console.warn('Could not read setting.txt:', error);
+        }
+    }
+    return identity;
+}
+
+/**
+ * Render a NAND directory tree as nested collapsible lists
+ * @param {Object} node - Tree node
+ * @returns {string} HTML
  */
-function performBackupRestore(file) {
+function renderNandTree(node) {
+    if (node.type === 'file') {
+        const error = node.error ? ` <span style="color: var(--wii-error);">(${escapeHtml(node.error)})</span>` : '';
+        return `<li class="nand-file">📄 ${escapeHtml(node.name)} <span class="nand-size">${formatBytes(node.size)}</span>${error}</li>`;
+    }
+
+    const children = node.children.map(renderNandTree).join('');
+    const open = node.path === '/' ? ' open' : '';
+    const label = `📁 ${escapeHtml(node.name)} <span class="nand-size">(${node.children.length})</span>`;
+    const item = `<li class="nand-dir"><details${open}><summary>${label}</summary><ul>${children}</ul></details></li>`;
+    return node.path === '/' ? `<ul>${item}</ul>` : item;
+}
+
+/**
+ * Restore a backup into the emulator's virtual NAND
+ * The current NAND is set aside as a snapshot first and put back if anything fails.
+ * @param {File} file - nand.bin
+ * @param {NandImage} nand - Reader for the backup
+ * @param {Uint8Array} keys - keys.bin of the console the backup came from
+ */
+async function performBackupRestore(file, nand, keys) {
     const statusDiv = document.getElementById('bootmii-status');
     const progressBar = document.getElementById('bootmii-progress');
-    
+    const restoreButton = document.getElementById('restore-bootmii');
+    const undoButton = document.getElementById('undo-bootmii-restore');
+
+    let virtualNand;
+    try {
+        virtualNand = await openEmulatorNand();
+    } catch (error) {
+        showStatus(statusDiv, 'error', error.message);
+        return;
+    }
+
     showStatus(statusDiv, 'info', 'Restoring BootMii backup to virtual NAND...');
     progressBar.style.display = 'block';
-    
-    // Simulate restore progress
-    let progress = 0;
-    const restoreInterval = setInterval(() => {
-        progress += 5;
-        updateProgress(progressBar, progress);
-        
-        if (progress >= 100) {
-            clearInterval(restoreInterval);
-            showStatus(statusDiv, 'success', `BootMii backup "${file.name}" restored successfully!`);
-            
-            // Store restore information in cookie
-            const restoreData = {
-                filename: file.name,
-                size: file.size,
-                timestamp: Date.now()
-            };
-            document.cookie = `lastBootMiiRestore=${encodeURIComponent(JSON.stringify(restoreData))};path=/;max-age=2592000`; // 30 days
-            
-            setTimeout(() => {
-                progressBar.style.display = 'none';
-            }, 2000);
+    updateProgress(progressBar, 0);
+    restoreButton.disabled = true;
+
+    virtualNand.createSnapshot();
+    try {
+        await extractBackupFiles(file, nand.layout, keys, {
+            onDirectory: path => virtualNand.makeDirectories(escapeNandPath(path)),
+            onFile: (path, data) => virtualNand.writeFile(escapeNandPath(path), data),
+            onProgress: (processed, total) => {
+                updateProgress(progressBar, total > 0 ? Math.round((processed / total) * 100) : 100);
+            }
+        });
+        await virtualNand.persist();
+    } catch (error) {
+        console.error('BootMii restore failed:', error);
+        try {
+            virtualNand.restoreSnapshot();
+            await virtualNand.persist();
+        } catch (rollbackError) {
+            console.error('Could not roll back the virtual NAND:', rollbackError);
         }
-    }, 200);
+        restoreButton.disabled = false;
+        progressBar.style.display = 'none';
+        showStatus(statusDiv, 'error', `Restore failed, the previous virtual NAND was put back: ${error.message}`);
+        return;
+    }
+
+    restoreButton.disabled = false;
+    undoButton.style.display = 'inline-block';
+    refreshTitleList();
+    showStatus(statusDiv, 'success', `BootMii backup "${file.name}" restored. Saves, Miis and channels will appear on the next boot.`);
+    setTimeout(() => {
+        progressBar.style.display = 'none';
+    }, 2000);
+}
+
+/**
+ * Roll the virtual NAND back to the snapshot taken by the last restore
+ */
+async function undoBackupRestore() {
+    const statusDiv = document.getElementById('bootmii-status');
+    const undoButton = document.getElementById('undo-bootmii-restore');
+
+    try {
+        const virtualNand = await openEmulatorNand();
+        virtualNand.restoreSnapshot();
+        await virtualNand.persist();
+        undoButton.style.display = 'none';
+        refreshTitleList();
+        showStatus(statusDiv, 'success', 'The virtual NAND was rolled back to how it was before the restore.');
+    } catch (error) {
+        showStatus(statusDiv, 'error', `Could not undo the restore: ${error.message}`);
+    }
 }
 
 /**
@@ -259,6 +623,8 @@ function resetBootMiiUI() {
     statusDiv.style.display = 'none';
     infoDiv.style.display = 'none';
     restoreButton.style.display = 'none';
+    document.getElementById('download-keys-bin').style.display = 'none';
+    document.getElementById('store-console-keys').style.display = 'none';
 }
 
 // Initialize on DOM load
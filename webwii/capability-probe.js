@@ -0,0 +1,266 @@
+// Capability Probe
+// Checks what the browser offers Dolphin, picks a build and memory size, and explains what is missing
+
+/**
+ * Smallest modules that use each WebAssembly feature; WebAssembly.validate() accepts them only where it is supported
+ */
+const WASM_PROBE_SIMD = new Uint8Array([0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0,
+    10, 10, 1, 8, 0, 65, 0, 253, 15, 253, 98, 11]);
+const WASM_PROBE_THREADS = new Uint8Array([0, 97, 115, 109, 1, 0, 0, 0, 1, 4, 1, 96, 0, 0, 3, 2, 1, 0,
+    5, 4, 1, 3, 1, 1, 10, 11, 1, 9, 0, 65, 0, 254, 16, 2, 0, 26, 11]);
+const WASM_PROBE_MEMORY64 = new Uint8Array([0, 97, 115, 109, 1, 0, 0, 0, 5, 3, 1, 4, 1]);
+
+/**
+ * WebGL 2 extensions Dolphin's renderer uses, and what is lost without each
+ */
+const WEBGL_EXTENSIONS = {
+    EXT_color_buffer_float: 'Effects that copy the screen into textures may render wrong.',
+    WEBGL_compressed_texture_s3tc: 'Compressed GameCube textures are decoded on the CPU, which is slower.',
+    EXT_texture_filter_anisotropic: 'Anisotropic filtering is unavailable.'
+};
+
+/**
+ * Dolphin builds, tried in this order when the browser can run them
+ * Threaded builds need SharedArrayBuffer, which needs a cross-origin isolated page.
+ */
+const DOLPHIN_BUILDS = {
+    threaded: { name: 'multi-threaded', scriptPath: 'dolphin-threads.js', wasmFile: 'dolphin-threads.wasm' },
+    single: { name: 'single-threaded', scriptPath: 'dolphin.js', wasmFile: 'dolphin.wasm' }
+};
+
+/**
+ * Emulator memory (TOTAL_MEMORY) by the device memory the browser reports, in GB
+ * Browsers round navigator.deviceMemory down and cap it at 8.
+ */
+const DOLPHIN_MEMORY_LOW = 256 * 1024 * 1024; // 2 GB or less
+const DOLPHIN_MEMORY_DEFAULT = 512 * 1024 * 1024; // Unknown, or 3 GB
+const DOLPHIN_MEMORY_HIGH = 1024 * 1024 * 1024; // 4 GB or more
+
+/**
+ * Free storage below which caching the emulator and keeping saves may fail
+ */
+const PROBE_STORAGE_NEEDED = 256 * 1024 * 1024;
+
+let environmentReport = null;
+
+/**
+ * Probe the browser once and reuse the result
+ * @returns {Promise<Object>} Report from probeEnvironment()
+ */
+function getEnvironmentReport() {
+    if (!environmentReport) {
+        environmentReport = probeEnvironment();
+    }
+    return environmentReport;
+}
+
+/**
+ * Check everything Dolphin depends on
+ * Each check has a status: 'ok', 'info' (not needed by current builds), 'warning' (works, but worse)
+ * or 'missing' (Dolphin cannot run).
+ * @returns {Promise<Object>} {checks: [{id, label, status, detail}], threads, totalMemory, ...raw results}
+ */
+async function probeEnvironment() {
+    const hasWasm = typeof WebAssembly === 'object' && typeof WebAssembly.validate === 'function';
+    const report = {
+        webAssembly: hasWasm,
+        simd: hasWasm && WebAssembly.validate(WASM_PROBE_SIMD),
+        wasmThreads: hasWasm && WebAssembly.validate(WASM_PROBE_THREADS),
+        memory64: hasWasm && WebAssembly.validate(WASM_PROBE_MEMORY64),
+        crossOriginIsolated: Boolean(window.crossOriginIsolated),
+        sharedArrayBuffer: typeof SharedArrayBuffer === 'function',
+        webgl2: false,
+        extensions: {},
+        deviceMemory: navigator.deviceMemory || null, // GB
+        storage: await probeStorage()
+    };
+    Object.assign(report, probeWebGL2());
+
+    report.threads = report.crossOriginIsolated && report.sharedArrayBuffer && report.wasmThreads;
+    report.totalMemory = pickDolphinMemory(report.deviceMemory);
+    report.checks = describeEnvironment(report);
+    return report;
+}
+
+/**
+ * Create a throwaway WebGL 2 context to see what it supports
+ * @returns {{webgl2: boolean, extensions: Object}} Extension name → supported
+ */
+function probeWebGL2() {
+    const gl = document.createElement('canvas').getContext('webgl2');
+    if (!gl) {
+        return { webgl2: false, extensions: {} };
+    }
+
+    const extensions = {};
+    Object.keys(WEBGL_EXTENSIONS).forEach(name => {
+        extensions[name] = Boolean(gl.getExtension(name));
+    });
+
+    // Browsers limit live contexts, so this one is freed at once
+    const lose = gl.getExtension('WEBGL_lose_context');
+    if (lose) lose.loseContext();
+    return { webgl2: true, extensions: extensions };
+}
+
+/**
+ * How much this origin may store
+ * @returns {Promise<{quota: number, usage: number, persisted: boolean}|null>} Null if the browser does not say
+ */
+async function probeStorage() {
+    if (!navigator.storage || !navigator.storage.estimate) return null;
+
+    try {
+        const estimate = await navigator.storage.estimate();
+        const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+        return { quota: estimate.quota || 0, usage: estimate.usage || 0, persisted: persisted };
+    } catch (error) {
+        console.warn('Could not estimate storage:', error);
+        return null;
+    }
+}
+
+/**
+ * Pick TOTAL_MEMORY for the device
+ * @param {number|null} deviceMemory - navigator.deviceMemory in GB
+ * @returns {number} Bytes
+ */
+function pickDolphinMemory(deviceMemory) {
+    if (!deviceMemory) return DOLPHIN_MEMORY_DEFAULT;
+    if (deviceMemory <= 2) return DOLPHIN_MEMORY_LOW;
+    if (deviceMemory >= 4) return DOLPHIN_MEMORY_HIGH;
+    return DOLPHIN_MEMORY_DEFAULT;
+}
+
+/**
+ * Turn probe results into checks a user can read
+ * @param {Object} report - Raw results from probeEnvironment()
+ * @returns {Array<{id: string, label: string, status: string, detail: string}>}
+ */
+function describeEnvironment(report) {
+    const checks = [];
+    const add = (id, label, status, detail) => checks.push({ id: id, label: label, status: status, detail: detail });
+
+    add('webassembly', 'WebAssembly', report.webAssembly ? 'ok' : 'missing',
+        report.webAssembly ? 'Supported.' : 'Dolphin is compiled to WebAssembly. Use a current browser.');
+
+    add('webgl2', 'WebGL 2', report.webgl2 ? 'ok' : 'missing',
+        report.webgl2 ? 'Supported.' : 'Dolphin draws with WebGL 2. Turn on hardware acceleration or use a browser that supports it.');
+    if (report.webgl2) {
+        Object.keys(WEBGL_EXTENSIONS).forEach(name => {
+            const supported = report.extensions[name];
+            add(name, name, supported ? 'ok' : 'warning', supported ? 'Supported.' : WEBGL_EXTENSIONS[name]);
+        });
+    }
+
+    let isolation = 'Available, so the multi-threaded build can be used.';
+    if (!report.crossOriginIsolated) {
+        isolation = 'The page is not cross-origin isolated, so the slower single-threaded build is used. ' +
+            'Serve it with Cross-Origin-Opener-Policy: same-origin and Cross-Origin-Embedder-Policy: require-corp.';
+    } else if (!report.sharedArrayBuffer) {
+        isolation = 'This browser has no SharedArrayBuffer, so the slower single-threaded build is used.';
+    }
+    add('sharedArrayBuffer', 'SharedArrayBuffer', report.crossOriginIsolated && report.sharedArrayBuffer ? 'ok' : 'warning', isolation);
+
+    add('wasmThreads', 'WebAssembly threads', report.wasmThreads ? 'ok' : 'warning',
+        report.wasmThreads ? 'Supported.' : 'Atomics are unavailable, so the slower single-threaded build is used.');
+    add('simd', 'WebAssembly SIMD', report.simd ? 'ok' : 'warning',
+        report.simd ? 'Supported.' : 'Builds compiled with -msimd128 will not load, and others run slower.');
+    add('memory64', 'WebAssembly memory64', report.memory64 ? 'ok' : 'info',
+        report.memory64 ? 'Supported.' : 'Not used by current builds, which stay under 4 GB.');
+
+    const memory = formatBytes(report.totalMemory);
+    if (!report.deviceMemory) {
+        add('deviceMemory', 'Device memory', 'info', `Not reported by this browser; Dolphin gets ${memory}.`);
+    } else {
+        add('deviceMemory', 'Device memory', report.deviceMemory <= 2 ? 'warning' : 'ok',
+            `About ${report.deviceMemory} GB; Dolphin gets ${memory}.` +
+            (report.deviceMemory <= 2 ? ' Large games may run out of memory.' : ''));
+    }
+
+    const storage = report.storage;
+    if (!storage) {
+        add('storage', 'Storage', 'info', 'This browser does not report its storage quota.');
+    } else {
+        const free = Math.max(0, storage.quota - storage.usage);
+        add('storage', 'Storage', free < PROBE_STORAGE_NEEDED ? 'warning' : 'ok',
+            `${formatBytes(free)} free of ${formatBytes(storage.quota)}` +
+            (free < PROBE_STORAGE_NEEDED ? '. Caching the emulator and keeping saves may fail.' : '.') +
+            (storage.persisted ? '' : ' The browser may clear it when space runs low.'));
+    }
+    return checks;
+}
+
+/**
+ * Names of the checks Dolphin cannot run without
+ * @param {Object} report - From probeEnvironment()
+ * @returns {string[]} Labels of missing requirements
+ */
+function getMissingRequirements(report) {
+    return report.checks.filter(check => check.status === 'missing').map(check => check.label);
+}
+
+/**
+ * Pick the Dolphin build to load: the threaded one when the browser can run it and it is deployed
+ * @param {Object} report - From probeEnvironment()
+ * @param {string} basePath - Where the emulator files are served from
+ * @returns {Promise<Object>} Entry of DOLPHIN_BUILDS
+ */
+async function selectDolphinBuild(report, basePath) {
+    if (!report.threads) return DOLPHIN_BUILDS.single;
+
+    // Most deployments only have the single-threaded build
+    try {
+        const response = await fetch(basePath + DOLPHIN_BUILDS.threaded.scriptPath, { method: 'HEAD' });
+        if (response.ok) return DOLPHIN_BUILDS.threaded;
+    } catch (error) {
+        console.warn('Could not look for the multi-threaded build:', error);
+    }
+    return DOLPHIN_BUILDS.single;
+}
+
+/**
+ * Show the compatibility report
+ * @param {Object} report - From probeEnvironment()
+ */
+function renderCompatibilityReport(report) {
+    const container = document.getElementById('compatibility-report');
+    const summary = document.getElementById('compatibility-summary');
+    const list = document.getElementById('compatibility-checks');
+    if (!container || !summary || !list) return;
+
+    const missing = getMissingRequirements(report);
+    const warnings = report.checks.filter(check => check.status === 'warning');
+    if (missing.length > 0) {
+        summary.textContent = `⚠ Dolphin cannot run in this browser: ${missing.join(', ')} missing`;
+        container.open = true;
+    } else if (warnings.length > 0) {
+        summary.textContent = `Browser compatibility: Dolphin can run, with ${warnings.length} limitation${warnings.length === 1 ? '' : 's'}`;
+    } else {
+        summary.textContent = 'Browser compatibility: everything Dolphin uses is available';
+    }
+
+    const icons = { ok: '✓', info: 'ℹ', warning: '⚠', missing: '✗' };
+    list.innerHTML = report.checks.map(check => `
+        <li class="compatibility-check ${check.status}">
+            <span class="compatibility-icon">${icons[check.status]}</span>
+            <strong>${escapeHtml(check.label)}</strong>
+            <span>${escapeHtml(check.detail)}</span>
+        </li>
+    `).join('');
+    container.style.display = 'block';
+}
+
+/**
+ * Probe the browser and show the report
+ */
+function initCapabilityProbe() {
+    getEnvironmentReport()
+        .then(renderCompatibilityReport)
+        .catch(error => {
+            console.error('Capability probe failed:', error);
+        });
+}
+
+// Initialize on DOM load
+document.addEventListener('DOMContentLoaded', initCapabilityProbe);
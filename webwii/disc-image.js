@@ -0,0 +1,210 @@
+// Disc Image Detection
+// Identifies Wii and GameCube disc images (ISO, WBFS, CISO, GCZ, WIA, RVZ) and reads their disc header
+
+/**
+ * Disc header layout (the first 0x440 bytes of a disc)
+ */
+const DISC_HEADER_SIZE = 0x440;
+const DISC_GAME_ID_OFFSET = 0x00;
+const DISC_MAKER_CODE_OFFSET = 0x04;
+const DISC_NUMBER_OFFSET = 0x06;
+const DISC_REVISION_OFFSET = 0x07;
+const DISC_WII_MAGIC_OFFSET = 0x18;
+const DISC_GC_MAGIC_OFFSET = 0x1C;
+const DISC_TITLE_OFFSET = 0x20;
+const DISC_TITLE_LENGTH = 0x40;
+const WII_DISC_MAGIC = 0x5D1C9EA3;
+const GC_DISC_MAGIC = 0xC2339F3D;
+
+/**
+ * Container formats
+ */
+const WBFS_MAGIC = 0x57424653; // 'WBFS'
+const CISO_MAGIC = 0x4349534F; // 'CISO'
+const CISO_HEADER_SIZE = 0x8000;
+const GCZ_MAGIC = 0xB10BC001; // stored little-endian
+const GCZ_HEADER_SIZE = 0x20;
+const WIA_MAGIC = 0x57494101; // 'WIA\x01'
+const RVZ_MAGIC = 0x52565A01; // 'RVZ\x01'
+const WIA_DISC_HEADER_OFFSET = 0x58; // header 1 (0x48 bytes), then 0x10 bytes into header 2
+
+/**
+ * Regions by the last character of the game ID
+ */
+const DISC_REGIONS = {
+    E: 'USA (NTSC-U)',
+    J: 'Japan (NTSC-J)',
+    K: 'Korea (NTSC-K)',
+    W: 'Taiwan (NTSC)',
+    P: 'Europe (PAL)',
+    D: 'Germany (PAL)',
+    F: 'France (PAL)',
+    S: 'Spain (PAL)',
+    I: 'Italy (PAL)',
+    H: 'Netherlands (PAL)',
+    U: 'Australia (PAL)',
+    X: 'Europe (PAL)',
+    Y: 'Europe (PAL)',
+    Z: 'Europe (PAL)',
+    R: 'Russia (PAL)'
+};
+
+/**
+ * Read a byte range of a File
+ * @param {Blob} file - File
+ * @param {number} start - Start offset
+ * @param {number} length - Number of bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function readFileRange(file, start, length) {
+    return new Uint8Array(await file.slice(start, start + length).arrayBuffer());
+}
+
+/**
+ * Identify a disc image and read its disc header
+ * Throws an Error describing why the file is not a usable disc image.
+ * @param {File} file - Selected file
+ * @returns {Promise<Object>} Disc info ({format, platform, gameId, makerCode, discNumber, revision, title, region})
+ */
+async function detectDiscImage(file) {
+    const head = await readFileRange(file, 0, DISC_HEADER_SIZE);
+    if (head.length < 0x60) {
+        throw new Error(`"${file.name}" is too small to be a disc image.`);
+    }
+
+    const view = new DataView(head.buffer);
+    const magic = view.getUint32(0, false);
+    let format;
+    let header;
+
+    if (view.getUint32(DISC_WII_MAGIC_OFFSET, false) === WII_DISC_MAGIC ||
+        view.getUint32(DISC_GC_MAGIC_OFFSET, false) === GC_DISC_MAGIC) {
+        format = 'ISO';
+        header = head;
+    } else if (magic === WBFS_MAGIC) {
+        format = 'WBFS';
+        header = await readWbfsDiscHeader(file, view);
+    } else if (magic === CISO_MAGIC) {
+        format = 'CISO';
+        header = await readFileRange(file, CISO_HEADER_SIZE, DISC_HEADER_SIZE);
+    } else if (view.getUint32(0, true) === GCZ_MAGIC) {
+        format = 'GCZ';
+        header = await readGczDiscHeader(file, view);
+    } else if (magic === WIA_MAGIC || magic === RVZ_MAGIC) {
+        format = magic === RVZ_MAGIC ? 'RVZ' : 'WIA';
+        header = head.subarray(WIA_DISC_HEADER_OFFSET, WIA_DISC_HEADER_OFFSET + 0x80);
+    } else {
+        throw new Error(`"${file.name}" is not a Wii or GameCube disc image (no ISO, WBFS, CISO, GCZ, WIA or RVZ signature found).`);
+    }
+
+    const disc = parseDiscHeader(header);
+    if (!disc) {
+        throw new Error(`"${file.name}" is a ${format} file, but the disc inside is not a Wii or GameCube disc.`);
+    }
+    disc.format = format;
+    return disc;
+}
+
+/**
+ * Read the disc header copy of the first disc in a WBFS file
+ * @param {File} file - WBFS file
+ * @param {DataView} view - View of the file's first bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function readWbfsDiscHeader(file, view) {
+    const sectorSize = 1 << view.getUint8(8);
+    if (view.getUint8(0x0C) === 0) {
+        throw new Error(`"${file.name}" is a WBFS file that contains no disc.`);
+    }
+    // Disc info for slot 0 starts one HD sector in, beginning with the disc header
+    return readFileRange(file, sectorSize, 0x100);
+}
+
+/**
+ * Decompress the first block of a GCZ file to reach the disc header
+ * @param {File} file - GCZ file
+ * @param {DataView} view - View of the file's first bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function readGczDiscHeader(file, view) {
+    const blockCount = view.getUint32(0x1C, true);
+    if (blockCount === 0) {
+        throw new Error(`"${file.name}" is a GCZ file with no data.`);
+    }
+
+    const pointers = new DataView((await readFileRange(file, GCZ_HEADER_SIZE, 16)).buffer);
+    const dataStart = GCZ_HEADER_SIZE + blockCount * 8 + blockCount * 4;
+    const first = pointers.getBigUint64(0, true);
+    const uncompressed = (first & (1n << 63n)) !== 0n;
+    const start = Number(first & ~(1n << 63n));
+    const end = blockCount > 1
+        ? Number(pointers.getBigUint64(8, true) & ~(1n << 63n))
+        : view.getUint32(0x08, true);
+
+    const block = await readFileRange(file, dataStart + start, end - start);
+    if (uncompressed) {
+        return block;
+    }
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot decompress GCZ files (DecompressionStream is not supported).');
+    }
+
+    const stream = new Blob([block]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Decode a disc header
+ * @param {Uint8Array} header - At least the first 0x60 bytes of the disc
+ * @returns {Object|null} Disc info, or null if neither the Wii nor the GameCube magic is present
+ */
+function parseDiscHeader(header) {
+    if (header.length < DISC_TITLE_OFFSET + DISC_TITLE_LENGTH) return null;
+
+    const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+    let platform;
+    if (view.getUint32(DISC_WII_MAGIC_OFFSET, false) === WII_DISC_MAGIC) {
+        platform = 'Wii';
+    } else if (view.getUint32(DISC_GC_MAGIC_OFFSET, false) === GC_DISC_MAGIC) {
+        platform = 'GameCube';
+    } else {
+        return null;
+    }
+
+    const text = (offset, length) => {
+        const bytes = header.subarray(offset, offset + length);
+        const end = bytes.indexOf(0);
+        return new TextDecoder('shift_jis').decode(end === -1 ? bytes : bytes.subarray(0, end)).trim();
+    };
+    const gameId = text(DISC_GAME_ID_OFFSET, 6);
+
+    return {
+        platform: platform,
+        gameId: gameId,
+        makerCode: text(DISC_MAKER_CODE_OFFSET, 2),
+        discNumber: header[DISC_NUMBER_OFFSET] + 1,
+        revision: header[DISC_REVISION_OFFSET],
+        title: text(DISC_TITLE_OFFSET, DISC_TITLE_LENGTH),
+        region: DISC_REGIONS[gameId.charAt(3)] || `Unknown (${gameId.charAt(3) || '?'})`
+    };
+}
+
+/**
+ * Render a disc info card
+ * @param {File} file - Selected file
+ * @param {Object} disc - Disc info from detectDiscImage
+ * @returns {string} HTML
+ */
+function renderDiscDetails(file, disc) {
+    return `
+        <p><strong>File Name:</strong> ${escapeHtml(file.name)}</p>
+        <p><strong>Format:</strong> ${escapeHtml(disc.platform)} ${escapeHtml(disc.format)}</p>
+        <p><strong>File Size:</strong> ${formatBytes(file.size)}</p>
+        <p><strong>Title:</strong> ${escapeHtml(disc.title || 'Unknown')}</p>
+        <p><strong>Game ID:</strong> ${escapeHtml(disc.gameId)}</p>
+        <p><strong>Maker Code:</strong> ${escapeHtml(disc.makerCode)}</p>
+        <p><strong>Disc:</strong> ${disc.discNumber}</p>
+        <p><strong>Revision:</strong> ${disc.revision}</p>
+        <p><strong>Region:</strong> ${escapeHtml(disc.region)}</p>
+    `;
+}
@@ -1,151 +1,360 @@
 // Dolphin WASM Loader
 // Handles initialization and management of Dolphin Emulator WebAssembly module
 
+/**
+ * Where picked disc images are mounted in the virtual filesystem
+ */
+const ROM_MOUNT_POINT = '/roms/mounted';
+
+/**
+ * Files up to this size are copied into memory; larger ones are read on demand
+ */
+const ROM_IN_MEMORY_LIMIT = 32 * 1024 * 1024;
+
+/**
+ * On-demand reads fetch whole chunks and keep the most recent ones
+ */
+const ROM_CHUNK_SIZE = 1024 * 1024;
+const ROM_CHUNK_CACHE_SIZE = 32;
+
+/**
+ * Rewind defaults
+ * Snapshots are counted in displayed frames, which track emulated frames at full speed.
+ */
+const REWIND_DEFAULT_INTERVAL_FRAMES = 30;
+const REWIND_DEFAULT_MEMORY_BUDGET = 64 * 1024 * 1024;
+const REWIND_STEP_INTERVAL = 100; // ms between steps while rewinding
+const REWIND_TEMP_PATH = '/tmp/webwii-rewind.sav';
+
+/**
+ * Lifecycle states and the states each can move to
+ * Any state can go back to idle through dispose(); a failed load can be retried from error.
+ */
+const DOLPHIN_STATE_TRANSITIONS = {
+    idle: ['loading'],
+    loading: ['ready', 'error', 'idle'],
+    ready: ['running', 'error', 'idle'],
+    running: ['paused', 'stopped', 'error', 'idle'],
+    paused: ['running', 'stopped', 'error', 'idle'],
+    stopped: ['running', 'error', 'idle'],
+    error: ['loading', 'idle']
+};
+
+/**
+ * States in which the runtime is loaded and can be used
+ */
+const DOLPHIN_READY_STATES = ['ready', 'running', 'paused', 'stopped'];
+
+/**
+ * Synchronous, on-demand reads of a picked File
+ * Emscripten reads files synchronously, and the main thread has no FileReaderSync,
+ * so ranges of the file are read through synchronous requests to a blob: URL.
+ */
+class LazyFileReader {
+    /**
+     * @param {File} file - File to read
+     */
+    constructor(file) {
+        this.file = file;
+        this.url = URL.createObjectURL(file);
+        this.chunks = new Map(); // Chunk index → Uint8Array, oldest first
+    }
+
+    /**
+     * Read bytes from the file
+     * @param {Int8Array|Uint8Array} target - Where to copy them
+     * @param {number} targetOffset - Offset in target
+     * @param {number} position - Offset in the file
+     * @param {number} length - Bytes wanted
+     * @returns {number} Bytes copied (fewer at the end of the file)
+     */
+    read(target, targetOffset, position, length) {
+        const end = Math.min(this.file.size, position + length);
+        let copied = 0;
+        while (position + copied < end) {
+            const offset = position + copied;
+            const chunk = this.getChunk(Math.floor(offset / ROM_CHUNK_SIZE));
+            const start = offset % ROM_CHUNK_SIZE;
+            const count = Math.min(chunk.length - start, end - offset);
+            target.set(chunk.subarray(start, start + count), targetOffset + copied);
+            copied += count;
+        }
+        return copied;
+    }
+
+    /**
+     * Get a chunk from the cache, or read it from the file
+     * @param {number} index - Chunk index
+     * @returns {Uint8Array}
+     */
+    getChunk(index) {
+        let chunk = this.chunks.get(index);
+        if (chunk) {
+            // Move to the newest end
+            this.chunks.delete(index);
+        } else {
+            const start = index * ROM_CHUNK_SIZE;
+            chunk = this.readRange(start, Math.min(this.file.size, start + ROM_CHUNK_SIZE));
+            if (this.chunks.size >= ROM_CHUNK_CACHE_SIZE) {
+                this.chunks.delete(this.chunks.keys().next().value);
+            }
+        }
+        this.chunks.set(index, chunk);
+        return chunk;
+    }
+
+    /**
+     * Read a byte range of the file synchronously
+     * @param {number} start - First byte
+     * @param {number} end - Byte after the last
+     * @returns {Uint8Array}
+     */
+    readRange(start, end) {
+        const xhr = new XMLHttpRequest();
+        xhr.open('GET', this.url, false);
+        xhr.setRequestHeader('Range', `bytes=${start}-${end - 1}`);
+        // Synchronous requests cannot ask for an ArrayBuffer; this charset keeps each byte in one character
+        xhr.overrideMimeType('text/plain; charset=x-user-defined');
+        xhr.send(null);
+
+        const text = xhr.responseText;
+        if ((xhr.status !== 206 && xhr.status !== 200) || text.length !== end - start) {
+            throw new Error('this browser cannot read part of a file');
+        }
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i) & 0xFF;
+        }
+        return bytes;
+    }
+
+    /**
+     * Drop the cached chunks and the blob: URL
+     */
+    close() {
+        this.chunks.clear();
+        URL.revokeObjectURL(this.url);
+    }
+}
+
 /**
  * Dolphin WASM Module wrapper
  * This provides a clean API for interacting with the Dolphin WASM build
  */
-class DolphinLoader {
+class DolphinLoader extends EmulatorBackend {
     constructor() {
+        super('Dolphin');
         this.module = null;
-        this.isReady = false;
-        this.isLoading = false;
+        this.state = 'idle';
         this.dolphinInstance = null;
-        this.loadCallbacks = [];
-        this.errorCallbacks = [];
+        this.scriptPath = null; // Set when init() added dolphin.js to the page
+        this.initPromise = null;
+        this.pendingInit = null; // {resolve, reject} of the init() in progress
+        this.fileSystemReady = Promise.resolve();
+        this.mountedROM = null;
+        this.lastBoot = null; // What reset() boots again: {filename, data} or {titleIdHi, titleIdLo}
+        this.rewind = {
+            intervalFrames: REWIND_DEFAULT_INTERVAL_FRAMES,
+            memoryBudget: REWIND_DEFAULT_MEMORY_BUDGET,
+            states: [],
+            bytes: 0,
+            frame: 0,
+            captureHandle: null,
+            stepTimer: null,
+            active: false,
+            running: false // A game has been booted since the last stop
+        };
     }
 
     /**
      * Initialize Dolphin WASM module
-     * @param {Object} config - Configuration options
+     * Calls made while loading share one load. A failed load tears down what it set up,
+     * so init() can be called again.
+     * @param {Object} config - {canvas, basePath, scriptPath and wasmFile (picked by the capability probe
+     *     by default), dataFile, buildHash (read from dolphin.version by default; null turns caching off),
+     *     memory (TOTAL_MEMORY, picked by the capability probe by default), rewind}
      * @returns {Promise} Resolves when Dolphin is ready
      */
-    async init(config = {}) {
-        if (this.isReady) {
+    init(config = {}) {
+        if (this.ready()) {
             console.log('Dolphin already initialized');
             return Promise.resolve();
         }
 
-        if (this.isLoading) {
+        if (this.state === 'loading') {
             console.log('Dolphin is already loading');
-            return new Promise((resolve, reject) => {
-                this.loadCallbacks.push(resolve);
-                this.errorCallbacks.push(reject);
+            return this.initPromise;
+        }
+
+        this.setState('loading');
+        if (config.rewind) {
+            this.configureRewind(config.rewind);
+        }
+
+        const initPromise = this.initPromise = new Promise((resolve, reject) => {
+            this.pendingInit = { resolve: resolve, reject: reject };
+        });
+        this.restoreCanvasContext()
+            .then(() => {
+                // dispose() may have been called while the canvas was coming back
+                if (this.initPromise === initPromise) return this.loadModule(config);
+            })
+            .catch(error => {
+                if (this.initPromise === initPromise) this.finishInit(error);
             });
+        return initPromise;
+    }
+
+    /**
+     * Set up the Emscripten Module object and load dolphin.js
+     * The build and memory size come from the capability probe unless the config sets them.
+     * dolphin.data is fetched first, because Emscripten asks for it synchronously;
+     * dolphin.wasm is fetched when Emscripten instantiates it. Both come from Cache Storage
+     * when this build has been loaded before.
+     * @param {Object} config - See init()
+     * @returns {Promise}
+     */
+    async loadModule(config) {
+        const pending = this.pendingInit;
+        const basePath = config.basePath || '';
+
+        // Fail with a readable reason instead of an abort, and fit the build to the browser
+        const report = await getEnvironmentReport();
+        const missing = getMissingRequirements(report);
+        if (missing.length > 0) {
+            throw new Error(`Dolphin cannot run in this browser: ${missing.join(', ')} missing`);
         }
+        const build = config.scriptPath ? null : await selectDolphinBuild(report, basePath);
+        const scriptPath = config.scriptPath || build.scriptPath;
+        const wasmFile = config.wasmFile || (build ? build.wasmFile : 'dolphin.wasm');
+        const dataFile = config.dataFile || 'dolphin.data';
+        const memory = config.memory || report.totalMemory;
+        console.log(`[Dolphin] Loading ${scriptPath} with ${formatBytes(memory)} of memory`);
 
-        this.isLoading = true;
+        const buildHash = config.buildHash !== undefined ? config.buildHash : await getEmulatorBuildHash(basePath);
+        const cache = await openEmulatorCache(buildHash);
+        const download = (file) => fetchEmulatorFile(basePath + file, cache, (progress) => {
+            if (this.pendingInit === pending) this.emit('progress', { file: file, ...progress });
+        });
 
-        return new Promise((resolve, reject) => {
-            this.loadCallbacks.push(resolve);
-            this.errorCallbacks.push(reject);
+        // Builds without preloaded files have no dolphin.data
+        let preloadedData = null;
+        try {
+            preloadedData = await (await download(dataFile)).arrayBuffer();
+        } catch (error) {
+            console.log(`[Dolphin] No ${dataFile} preloaded:`, error.message);
+        }
+        // dispose() may have been called while downloading
+        if (this.pendingInit !== pending) return;
 
-            // Configure Emscripten Module object
-            const moduleConfig = {
-                // Canvas configuration
-                canvas: config.canvas || document.getElementById('canvas'),
-                
-                // Print output
-                print: (text) => {
-                    console.log('[Dolphin]', text);
-                },
-                
-                // Print errors
-                printErr: (text) => {
-                    console.error('[Dolphin Error]', text);
-                },
-                
-                // Memory configuration
-                TOTAL_MEMORY: config.memory || 512 * 1024 * 1024, // 512MB default
-                
-                // File system ready callback
-                onRuntimeInitialized: () => {
-                    console.log('Dolphin WASM runtime initialized');
-                    this.onRuntimeReady();
-                },
-                
-                // Loading progress
-                setStatus: (text) => {
-                    if (text) {
-                        console.log('[Dolphin Status]', text);
-                        if (config.onStatus) {
-                            config.onStatus(text);
-                        }
-                    }
-                },
-                
-                // Monitor loading progress
-                monitorRunDependencies: (left) => {
-                    console.log(`[Dolphin] Dependencies remaining: ${left}`);
-                },
-
-                // Error handler
-                onAbort: (what) => {
-                    console.error('[Dolphin] Aborted:', what);
-                    this.isLoading = false;
-                    this.notifyError(new Error('Dolphin WASM failed to load: ' + what));
-                },
-
-                // Locate file handler for .wasm and .data files
-                locateFile: (path, prefix) => {
-                    // Allow custom paths from config
-                    if (config.basePath) {
-                        return config.basePath + path;
-                    }
-                    return prefix + path;
+        // Ignore a module that dispose() or a failed load has let go of
+        const current = () => this.module === moduleConfig;
+        let frame = 0;
+
+        // Configure Emscripten Module object
+        const moduleConfig = {
+            // Canvas configuration
+            canvas: config.canvas || document.getElementById('canvas'),
+
+            // Print output
+            print: (text) => {
+                console.log('[Dolphin]', text);
+                if (current()) this.emit('log', { level: 'info', text: text });
+            },
+
+            // Print errors
+            printErr: (text) => {
+                console.error('[Dolphin Error]', text);
+                if (current()) this.emit('log', { level: 'error', text: text });
+            },
+
+            // Keep the last frame readable so save-state thumbnails are not blank
+            webglContextAttributes: { preserveDrawingBuffer: true },
+
+            // Memory configuration
+            TOTAL_MEMORY: memory,
+
+            // File system ready callback
+            onRuntimeInitialized: () => {
+                console.log('Dolphin WASM runtime initialized');
+                if (current()) this.onRuntimeReady();
+            },
+
+            // Loading progress
+            setStatus: (text) => {
+                if (text) {
+                    console.log('[Dolphin Status]', text);
+                    if (current()) this.emit('progress', { text: text });
                 }
-            };
+            },
+
+            // Monitor loading progress
+            monitorRunDependencies: (left) => {
+                console.log(`[Dolphin] Dependencies remaining: ${left}`);
+                if (current()) this.emit('progress', { remaining: left });
+            },
+
+            // Called by Emscripten after each iteration of the main loop
+            postMainLoop: () => {
+                if (current()) this.emit('frame', { frame: ++frame });
+            },
 
-            // Store module config globally for Dolphin to use
-            // Note: The actual Dolphin WASM build will look for this
-            window.Module = moduleConfig;
-            this.module = moduleConfig;
+            // Hand Emscripten the dolphin.data fetched above instead of letting it download it again
+            getPreloadedPackage: (name, size) => {
+                return preloadedData && preloadedData.byteLength === size ? preloadedData : null;
+            },
 
-            // Load dolphin.js if not already loaded
-            if (typeof DolphinWasm === 'undefined') {
-                this.loadDolphinScript(config.scriptPath || 'dolphin.js')
+            // Fetch dolphin.wasm with progress and caching, compiling it as it arrives
+            instantiateWasm: (imports, receiveInstance) => {
+                download(wasmFile)
+                    .then(response => instantiateEmulatorWasm(response, imports))
+                    .then(({ instance, module }) => {
+                        if (current()) receiveInstance(instance, module);
+                    })
                     .catch(error => {
-                        this.isLoading = false;
-                        this.notifyError(error);
+                        if (current()) this.finishInit(error);
                     });
-            } else {
-                // If already loaded, just wait for runtime
-                console.log('Dolphin script already loaded, waiting for runtime...');
-            }
-        });
-    }
+                return {}; // Instantiated asynchronously
+            },
 
-    /**
-     * Load Dolphin JavaScript file
-     * @param {string} scriptPath - Path to dolphin.js
-     * @returns {Promise}
-     */
-    loadDolphinScript(scriptPath) {
-        return new Promise((resolve, reject) => {
-            // Check if script is already loaded
-            const existingScript = document.querySelector(`script[src="${scriptPath}"]`);
-            if (existingScript) {
-                console.log('Dolphin script already in DOM');
-                resolve();
-                return;
+            // Error handler
+            onAbort: (what) => {
+                console.error('[Dolphin] Aborted:', what);
+                if (!current()) return;
+                if (this.pendingInit) {
+                    this.finishInit(new Error('Dolphin WASM failed to load: ' + what));
+                } else {
+                    this.fail(new Error('Dolphin stopped unexpectedly: ' + what));
+                }
+            },
+
+            // Locate file handler for .wasm and .data files
+            locateFile: (path, prefix) => {
+                // Allow custom paths from config
+                if (config.basePath) {
+                    return config.basePath + path;
+                }
+                return prefix + path;
             }
+        };
 
-            const script = document.createElement('script');
-            script.src = scriptPath;
-            script.async = true;
-            
-            script.onload = () => {
-                console.log('Dolphin script loaded successfully');
-                resolve();
-            };
-            
-            script.onerror = () => {
-                const error = new Error(`Failed to load Dolphin script: ${scriptPath}`);
-                reject(error);
-            };
-            
-            document.body.appendChild(script);
-        });
+        // Store module config globally for Dolphin to use
+        // Note: The actual Dolphin WASM build will look for this
+        window.Module = moduleConfig;
+        this.module = moduleConfig;
+
+        // Load dolphin.js if not already loaded; a script we loaded before is
+        // added again so it starts a fresh runtime on the new Module
+        if (typeof DolphinWasm === 'undefined' || this.scriptPath) {
+            this.scriptPath = scriptPath;
+            this.loadScript(this.scriptPath)
+                .catch(error => {
+                    if (current()) this.finishInit(error);
+                });
+        } else {
+            // If already loaded, just wait for runtime
+            console.log('Dolphin script already loaded, waiting for runtime...');
+        }
     }
 
     /**
@@ -164,21 +373,61 @@ class DolphinLoader {
                 throw new Error('Dolphin WASM module not found or incomplete');
             }
 
-            this.isReady = true;
-            this.isLoading = false;
-            
             // Setup file system directories
             this.setupFileSystem();
-            
-            // Notify all waiting callbacks
-            this.notifyReady();
+
+            this.finishInit();
         } catch (error) {
             console.error('Error initializing Dolphin:', error);
-            this.isLoading = false;
-            this.notifyError(error);
+            this.finishInit(error);
         }
     }
 
+    /**
+     * Settle the init() in progress
+     * @param {Error} [error] - Why loading failed
+     */
+    finishInit(error) {
+        const pending = this.pendingInit;
+        this.pendingInit = null;
+        this.initPromise = null;
+
+        if (error) {
+            this.fail(error);
+            if (pending) pending.reject(error);
+        } else {
+            this.setState('ready');
+            if (pending) pending.resolve();
+        }
+    }
+
+    /**
+     * Move to the error state after a failed load or an abort
+     * The module is torn down, so init() can be called again.
+     * @param {Error} error - What went wrong
+     */
+    fail(error) {
+        this.teardown();
+        this.setState('error');
+        this.emit('error', { error: error });
+    }
+
+    /**
+     * Move to another lifecycle state and tell statechange listeners
+     * @param {string} next - Key of DOLPHIN_STATE_TRANSITIONS
+     */
+    setState(next) {
+        const previous = this.state;
+        if (previous === next) return;
+        if (!DOLPHIN_STATE_TRANSITIONS[previous].includes(next)) {
+            console.warn(`Ignoring Dolphin state change from ${previous} to ${next}`);
+            return;
+        }
+
+        this.state = next;
+        this.emit('statechange', { state: next, previous: previous });
+    }
+
     /**
      * Setup virtual file system directories
      */
@@ -206,18 +455,23 @@ class DolphinLoader {
                 }
             });
 
-            // Setup IndexedDB persistence for saves (if available)
+            // Setup IndexedDB persistence for saves and the user directory,
+            // which holds the virtual NAND (if available)
             if (FS.syncfs) {
                 FS.mount(FS.filesystems.IDBFS, {}, '/saves');
                 FS.mount(FS.filesystems.IDBFS, {}, '/states');
+                FS.mount(FS.filesystems.IDBFS, {}, '/user');
                 
                 // Load existing data from IndexedDB
-                FS.syncfs(true, (err) => {
-                    if (err) {
-                        console.warn('Could not sync filesystem from IndexedDB:', err);
-                    } else {
-                        console.log('Filesystem synced from IndexedDB');
-                    }
+                this.fileSystemReady = new Promise(resolve => {
+                    FS.syncfs(true, (err) => {
+                        if (err) {
+                            console.warn('Could not sync filesystem from IndexedDB:', err);
+                        } else {
+                            console.log('Filesystem synced from IndexedDB');
+                        }
+                        resolve();
+                    });
                 });
             }
         } catch (error) {
@@ -225,28 +479,166 @@ class DolphinLoader {
         }
     }
 
+    /**
+     * Write the in-memory filesystem back to IndexedDB
+     * @returns {Promise}
+     */
+    persistFileSystem() {
+        const FS = this.module && this.module.FS;
+        if (!FS || !FS.syncfs) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            FS.syncfs(false, (err) => {
+                if (err) {
+                    reject(new Error(`Could not save the filesystem to IndexedDB: ${err.message || err}`));
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Open the virtual Wii NAND once IndexedDB data has been loaded
+     * @returns {Promise<VirtualNand>}
+     */
+    async openVirtualNand() {
+        if (!this.module || !this.module.FS) {
+            throw new Error('File system not available');
+        }
+        await this.fileSystemReady;
+
+        const FS = this.module.FS;
+        if (!FS.analyzePath(VIRTUAL_NAND_ROOT).exists) {
+            FS.mkdir(VIRTUAL_NAND_ROOT);
+        }
+        return new VirtualNand(FS, () => this.persistFileSystem());
+    }
+
+    /**
+     * Make a ROM visible in the virtual filesystem without reading it into memory
+     * Large files are mounted read-only so Dolphin reads sectors on demand; small ones are copied in.
+     * Mounting the same File again reuses the existing mount.
+     * @param {File} file - ROM file picked by the user
+     * @returns {Promise<string>} Path of the ROM in the virtual filesystem
+     */
+    async mountROM(file) {
+        if (this.mountedROM && this.mountedROM.file === file) {
+            return this.mountedROM.path;
+        }
+        this.unmountROM();
+
+        // Dolphin builds that run the core in a worker mount the file there
+        if (this.dolphinInstance && this.dolphinInstance.mountFile) {
+            const path = await this.dolphinInstance.mountFile(file);
+            this.mountedROM = { file: file, path: path, mountPoint: null };
+            return path;
+        }
+
+        const FS = this.module.FS;
+        if (file.size <= ROM_IN_MEMORY_LIMIT) {
+            const path = `/roms/${file.name}`;
+            FS.writeFile(path, new Uint8Array(await file.arrayBuffer()));
+            this.mountedROM = { file: file, path: path, mountPoint: null };
+            return path;
+        }
+
+        // Reading the first chunk checks that this browser can read parts of a file
+        const reader = new LazyFileReader(file);
+        try {
+            reader.getChunk(0);
+        } catch (error) {
+            reader.close();
+            throw new Error(`${file.name} (${formatBytes(file.size)}) is too large to copy into memory, ` +
+                `and it cannot be read on demand: ${error.message}.`);
+        }
+
+        if (!FS.analyzePath(ROM_MOUNT_POINT).exists) {
+            FS.mkdir(ROM_MOUNT_POINT);
+        }
+        const path = `${ROM_MOUNT_POINT}/${file.name}`;
+        this.createLazyFile(path, reader);
+        this.mountedROM = { file: file, path: path, mountPoint: ROM_MOUNT_POINT, reader: reader };
+        return path;
+    }
+
+    /**
+     * Add a read-only file whose reads go to a LazyFileReader
+     * @param {string} path - Path in the virtual filesystem
+     * @param {LazyFileReader} reader - Where the contents come from
+     */
+    createLazyFile(path, reader) {
+        const FS = this.module.FS;
+        const slash = path.lastIndexOf('/');
+        const node = FS.createFile(path.slice(0, slash), path.slice(slash + 1), {}, true, false);
+
+        // MEMFS reports a file's size from usedBytes
+        Object.defineProperty(node, 'usedBytes', { get: () => reader.file.size });
+        const streamOps = Object.assign({}, node.stream_ops);
+        streamOps.read = (stream, buffer, offset, length, position) => reader.read(buffer, offset, position, length);
+        // Mapping would need the whole file in memory
+        delete streamOps.mmap;
+        node.stream_ops = streamOps;
+    }
+
+    /**
+     * Release the currently mounted ROM
+     */
+    unmountROM() {
+        const mounted = this.mountedROM;
+        if (!mounted) return;
+        this.mountedROM = null;
+
+        try {
+            if (mounted.reader) {
+                mounted.reader.close();
+                this.module.FS.unlink(mounted.path);
+                this.module.FS.rmdir(mounted.mountPoint);
+            } else if (this.dolphinInstance && this.dolphinInstance.unmountFile) {
+                this.dolphinInstance.unmountFile(mounted.path);
+            } else {
+                this.module.FS.unlink(mounted.path);
+            }
+        } catch (error) {
+            console.warn(`Could not release ${mounted.path}:`, error);
+        }
+    }
+
     /**
      * Boot a ROM file
      * @param {string} filename - Name of the ROM file
-     * @param {Uint8Array} data - ROM file data
+     * @param {File|Uint8Array} data - ROM file, or ROM file data for small in-memory files
      * @returns {Promise<boolean>} Success status
      */
-    async bootROM(filename, data) {
-        if (!this.isReady) {
+    async boot(filename, data) {
+        if (!this.ready()) {
             throw new Error('Dolphin is not ready. Call init() first.');
         }
+        this.lastBoot = { filename: filename, data: data };
 
         try {
-            // Write ROM to virtual filesystem
-            const romPath = `/roms/${filename}`;
-            this.module.FS.writeFile(romPath, data);
-            console.log(`ROM written to: ${romPath}`);
+            let romPath;
+            if (data instanceof Blob) {
+                romPath = await this.mountROM(data);
+                console.log(`ROM mounted at: ${romPath}`);
+            } else {
+                // Write ROM to virtual filesystem
+                this.unmountROM();
+                romPath = `/roms/${filename}`;
+                this.module.FS.writeFile(romPath, data);
+                console.log(`ROM written to: ${romPath}`);
+            }
 
             // Boot the file
+            this.clearRewind();
             if (this.dolphinInstance && this.dolphinInstance.bootFile) {
                 const success = this.dolphinInstance.bootFile(romPath);
                 if (success) {
                     console.log(`Successfully booted: ${filename}`);
+                    this.setState('running');
+                    this.startRewindCapture();
                     return true;
                 } else {
                     console.error(`Failed to boot: ${filename}`);
@@ -256,6 +648,8 @@ class DolphinLoader {
                 // Fallback: use ccall
                 this.module.ccall('BootManager_BootFile', 'number', ['string'], [romPath]);
                 console.log(`Boot initiated for: ${filename}`);
+                this.setState('running');
+                this.startRewindCapture();
                 return true;
             } else {
                 throw new Error('No boot method available');
@@ -266,111 +660,508 @@ class DolphinLoader {
         }
     }
 
+    /**
+     * Boot a title installed in the virtual NAND
+     * @param {number} titleIdHi - Upper 32 bits of the title ID
+     * @param {number} titleIdLo - Lower 32 bits of the title ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async bootTitle(titleIdHi, titleIdLo) {
+        if (!this.ready()) {
+            throw new Error('Dolphin is not ready. Call init() first.');
+        }
+
+        const titleId = toHex(titleIdHi) + toHex(titleIdLo);
+        this.lastBoot = { titleIdHi: titleIdHi, titleIdLo: titleIdLo };
+        this.clearRewind();
+        if (this.dolphinInstance && this.dolphinInstance.bootTitle) {
+            const success = this.dolphinInstance.bootTitle(titleId);
+            console.log(success ? `Successfully booted title ${titleId}` : `Failed to boot title ${titleId}`);
+            if (success) {
+                this.setState('running');
+                this.startRewindCapture();
+            }
+            return success;
+        } else if (this.module.ccall) {
+            this.module.ccall('BootManager_BootTitle', 'number', ['string'], [titleId]);
+            console.log(`Boot initiated for title ${titleId}`);
+            this.setState('running');
+            this.startRewindCapture();
+            return true;
+        }
+        throw new Error('No boot method available');
+    }
+
     /**
      * Pause emulation
      */
     pause() {
-        if (!this.isReady) return;
+        if (this.state !== 'running') return;
 
+        this.corePause();
+        this.setState('paused');
+        console.log('Emulation paused');
+    }
+
+    /**
+     * Resume emulation
+     */
+    resume() {
+        if (this.state !== 'paused') return;
+
+        this.coreResume();
+        this.setState('running');
+        console.log('Emulation resumed');
+    }
+
+    /**
+     * Halt the core without changing state, as rewinding does between steps
+     */
+    corePause() {
         if (this.dolphinInstance && this.dolphinInstance.pause) {
             this.dolphinInstance.pause();
         } else if (this.module.pauseMainLoop) {
             this.module.pauseMainLoop();
         }
-        console.log('Emulation paused');
     }
 
     /**
-     * Resume emulation
+     * Let the core run again after corePause()
      */
-    resume() {
-        if (!this.isReady) return;
-
+    coreResume() {
         if (this.dolphinInstance && this.dolphinInstance.resume) {
             this.dolphinInstance.resume();
         } else if (this.module.resumeMainLoop) {
             this.module.resumeMainLoop();
         }
-        console.log('Emulation resumed');
+    }
+
+    /**
+     * Restart the last game or title booted
+     * Files are booted again from their existing mount instead of being re-read.
+     * @returns {Promise<boolean>} Success status
+     */
+    async reset() {
+        if (!this.lastBoot) return false;
+
+        const last = this.lastBoot;
+        this.stop();
+        if (last.filename) {
+            return this.boot(last.filename, last.data);
+        }
+        return this.bootTitle(last.titleIdHi, last.titleIdLo);
     }
 
     /**
      * Stop emulation
      */
     stop() {
-        if (!this.isReady) return;
+        if (this.state !== 'running' && this.state !== 'paused') return;
 
+        this.clearRewind();
         if (this.dolphinInstance && this.dolphinInstance.stop) {
             this.dolphinInstance.stop();
         } else if (this.module.ccall) {
             this.module.ccall('Core_Stop', null, [], []);
         }
+        this.setState('stopped');
         console.log('Emulation stopped');
     }
 
     /**
-     * Save state to slot
-     * @param {number} slot - Save slot (0-9)
+     * Stop emulation and unload the runtime, dolphin.js and the canvas context
+     * Afterwards the loader is idle and init() loads a fresh runtime, so another game or
+     * backend can take over the canvas without a page reload.
      */
-    saveState(slot = 0) {
-        if (!this.isReady) return;
+    dispose() {
+        if (this.pendingInit) {
+            const pending = this.pendingInit;
+            this.pendingInit = null;
+            this.initPromise = null;
+            pending.reject(new Error('Dolphin was unloaded before it finished loading'));
+        }
+        this.stop();
+        this.teardown();
+        this.setState('idle');
+        console.log('Dolphin unloaded');
+    }
 
-        if (this.dolphinInstance && this.dolphinInstance.saveState) {
-            this.dolphinInstance.saveState(slot);
-            console.log(`State saved to slot ${slot}`);
-            
-            // Sync to IndexedDB
-            if (this.module.FS && this.module.FS.syncfs) {
-                this.module.FS.syncfs(false, (err) => {
-                    if (err) console.error('Error syncing save state:', err);
-                });
+    /**
+     * Free the Dolphin instance, Emscripten module and canvas context
+     */
+    teardown() {
+        const module = this.module;
+        if (module) {
+            try {
+                this.clearRewind();
+                this.unmountROM();
+                if (this.dolphinInstance && this.dolphinInstance.delete) {
+                    // Embind objects hold memory until deleted
+                    this.dolphinInstance.delete();
+                }
+                if (module.pauseMainLoop) {
+                    module.pauseMainLoop();
+                }
+            } catch (error) {
+                console.warn('Error while unloading Dolphin:', error);
+            }
+            this.releaseCanvasContext(module);
+            if (window.Module === module) {
+                delete window.Module;
             }
         }
+        this.unloadScript(this.scriptPath);
+
+        this.module = null;
+        this.dolphinInstance = null;
+        this.mountedROM = null;
+        this.fileSystemReady = Promise.resolve();
+        this.lastBoot = null;
     }
 
     /**
-     * Load state from slot
-     * @param {number} slot - Save slot (0-9)
+     * Save state to a file in the virtual filesystem and persist it
+     * @param {string} path - State file path (under /states)
+     * @returns {Promise}
      */
-    loadState(slot = 0) {
-        if (!this.isReady) return;
+    async saveState(path) {
+        if (!this.ready()) {
+            throw new Error('Dolphin is not ready. Call init() first.');
+        }
 
-        if (this.dolphinInstance && this.dolphinInstance.loadState) {
-            this.dolphinInstance.loadState(slot);
-            console.log(`State loaded from slot ${slot}`);
+        if (this.dolphinInstance && this.dolphinInstance.saveStateAs) {
+            this.dolphinInstance.saveStateAs(path);
+        } else if (this.module.ccall) {
+            this.module.ccall('State_SaveAs', null, ['string'], [path]);
+        } else {
+            throw new Error('Saving states is not supported by this Dolphin build');
         }
+        console.log(`State saved to ${path}`);
+
+        await this.persistFileSystem();
     }
 
     /**
-     * Notify all callbacks that Dolphin is ready
+     * Load state from a file in the virtual filesystem
+     * @param {string} path - State file path (under /states)
+     * @returns {Promise}
      */
-    notifyReady() {
-        this.loadCallbacks.forEach(callback => {
-            try {
-                callback();
-            } catch (error) {
-                console.error('Error in load callback:', error);
+    async loadState(path) {
+        if (!this.ready()) {
+            throw new Error('Dolphin is not ready. Call init() first.');
+        }
+
+        if (this.dolphinInstance && this.dolphinInstance.loadStateAs) {
+            this.dolphinInstance.loadStateAs(path);
+        } else if (this.module.ccall) {
+            this.module.ccall('State_LoadAs', null, ['string'], [path]);
+        } else {
+            throw new Error('Loading states is not supported by this Dolphin build');
+        }
+        console.log(`State loaded from ${path}`);
+    }
+
+    /**
+     * Insert a memory card image into a GameCube memory card slot
+     * Dolphin opens the card when a game boots, so a game that is already running keeps its card.
+     * @param {number} slot - 0 for slot A, 1 for slot B
+     * @param {string|null} path - Card image path (under /saves), or null to leave the slot empty
+     */
+    setMemoryCard(slot, path) {
+        if (!this.ready()) {
+            throw new Error('Dolphin is not ready. Call init() first.');
+        }
+
+        if (this.dolphinInstance && this.dolphinInstance.setMemoryCard) {
+            this.dolphinInstance.setMemoryCard(slot, path || '');
+        } else if (this.module.ccall && this.module._Config_SetMemoryCard) {
+            this.module.ccall('Config_SetMemoryCard', null, ['number', 'string'], [slot, path || '']);
+        } else {
+            throw new Error('Memory cards are not supported by this Dolphin build');
+        }
+        console.log(`Memory card slot ${slot === 0 ? 'A' : 'B'}: ${path || 'empty'}`);
+    }
+
+    /**
+     * Change the emulation speed limit
+     * @param {number} speed - 1 for full speed, 0 for unlimited (fast-forward)
+     * @returns {boolean} Whether this build can change the speed
+     */
+    setEmulationSpeed(speed) {
+        if (!this.ready()) return false;
+
+        if (this.dolphinInstance && this.dolphinInstance.setEmulationSpeed) {
+            this.dolphinInstance.setEmulationSpeed(speed);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Set the state of an emulated controller
+     * @param {number} port - Controller port (0-3)
+     * @param {string} device - 'wiimote', 'classic' or 'gamecube'
+     * @param {number[]} values - Control values from 0 to 1, in the order listed in EMULATED_CONTROLLERS
+     * @returns {boolean} Whether this build accepts input from the page
+     */
+    sendInput(port, device, values) {
+        if (!this.ready()) return false;
+
+        if (this.dolphinInstance && this.dolphinInstance.setControllerState) {
+            this.dolphinInstance.setControllerState(port, device, values);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Set a Wii Remote's IR pointer and motion
+     * @param {number} port - Wii Remote (0-3)
+     * @param {Object} motion - {pointerX, pointerY (-1 to 1 from the top left), pointerVisible, pitch, roll (-1 to 1), shake}
+     * @returns {boolean} Whether this build accepts motion from the page
+     */
+    sendMotion(port, motion) {
+        if (!this.ready()) return false;
+
+        if (this.dolphinInstance && this.dolphinInstance.setWiimoteMotion) {
+            this.dolphinInstance.setWiimoteMotion(port, motion.pointerX, motion.pointerY, motion.pointerVisible,
+                motion.pitch, motion.roll, motion.shake);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * What this build can do, from the bindings it exports
+     * @returns {Object} Capability → boolean (see EMULATOR_CAPABILITIES)
+     */
+    capabilities() {
+        const capabilities = super.capabilities();
+        if (!this.ready()) return capabilities;
+
+        const instance = this.dolphinInstance || {};
+        const module = this.module;
+        const hasFS = Boolean(module.FS);
+        return {
+            pause: true,
+            reset: true,
+            saveStates: hasFS && Boolean(instance.saveStateAs || module._State_SaveAs),
+            rewind: this.supportsRewind(),
+            fastForward: Boolean(instance.setEmulationSpeed),
+            controllerInput: Boolean(instance.setControllerState),
+            wiimoteMotion: Boolean(instance.setWiimoteMotion),
+            nand: hasFS,
+            memoryCards: hasFS && Boolean(instance.setMemoryCard || module._Config_SetMemoryCard)
+        };
+    }
+
+    /**
+     * Whether this build can take and restore in-memory states for rewinding
+     * @returns {boolean}
+     */
+    supportsRewind() {
+        if (!this.ready()) return false;
+
+        const instance = this.dolphinInstance;
+        if (instance && ((instance.saveStateToBuffer && instance.loadStateFromBuffer) ||
+            (instance.saveStateAs && instance.loadStateAs))) {
+            return true;
+        }
+        // ccall needs the functions to be exported from the build
+        return Boolean(this.module && this.module._State_SaveAs && this.module._State_LoadAs);
+    }
+
+    /**
+     * Change how often rewind snapshots are taken and how much memory they may use
+     * A budget of 0 turns rewind off.
+     * @param {Object} options - {intervalFrames, memoryBudget}
+     */
+    configureRewind(options = {}) {
+        const rewind = this.rewind;
+        if (options.intervalFrames > 0) {
+            rewind.intervalFrames = options.intervalFrames;
+        }
+        if (options.memoryBudget !== undefined) {
+            rewind.memoryBudget = Math.max(0, options.memoryBudget);
+            this.trimRewindBuffer();
+            if (rewind.memoryBudget === 0) {
+                this.stopRewindCapture();
+            } else if (rewind.running && !rewind.captureHandle) {
+                this.startRewindCapture();
             }
-        });
-        this.loadCallbacks = [];
-        this.errorCallbacks = [];
+        }
     }
 
     /**
-     * Notify all error callbacks
+     * Current rewind settings
+     * @returns {{intervalFrames: number, memoryBudget: number}}
      */
-    notifyError(error) {
-        this.errorCallbacks.forEach(callback => {
+    getRewindSettings() {
+        return { intervalFrames: this.rewind.intervalFrames, memoryBudget: this.rewind.memoryBudget };
+    }
+
+    /**
+     * Take a snapshot every intervalFrames frames while a game runs
+     */
+    startRewindCapture() {
+        const rewind = this.rewind;
+        rewind.running = true;
+        if (rewind.captureHandle || rewind.memoryBudget === 0 || !this.supportsRewind()) return;
+
+        rewind.frame = 0;
+        const tick = () => {
+            rewind.captureHandle = requestAnimationFrame(tick);
+            // A paused game has nothing new to record
+            if (rewind.active || this.state !== 'running') return;
+
+            rewind.frame++;
+            if (rewind.frame >= rewind.intervalFrames) {
+                rewind.frame = 0;
+                try {
+                    this.pushRewindState(this.captureStateBuffer());
+                } catch (error) {
+                    console.warn('Rewind snapshot failed, rewind disabled:', error);
+                    this.stopRewindCapture();
+                }
+            }
+        };
+        rewind.captureHandle = requestAnimationFrame(tick);
+    }
+
+    /**
+     * Stop taking rewind snapshots
+     */
+    stopRewindCapture() {
+        if (this.rewind.captureHandle) {
+            cancelAnimationFrame(this.rewind.captureHandle);
+            this.rewind.captureHandle = null;
+        }
+    }
+
+    /**
+     * Forget all rewind snapshots and stop capturing
+     */
+    clearRewind() {
+        this.stopRewind();
+        this.stopRewindCapture();
+        this.rewind.running = false;
+        this.rewind.states = [];
+        this.rewind.bytes = 0;
+    }
+
+    /**
+     * Add a snapshot to the ring buffer, dropping the oldest ones over budget
+     * @param {Uint8Array} state - Savestate data
+     */
+    pushRewindState(state) {
+        this.rewind.states.push(state);
+        this.rewind.bytes += state.length;
+        this.trimRewindBuffer();
+    }
+
+    /**
+     * Drop the oldest snapshots until the buffer fits its budget
+     * The newest one stays even if it alone is over budget, unless rewind is off.
+     */
+    trimRewindBuffer() {
+        const rewind = this.rewind;
+        const keep = rewind.memoryBudget > 0 ? 1 : 0;
+        while (rewind.states.length > keep && rewind.bytes > rewind.memoryBudget) {
+            rewind.bytes -= rewind.states.shift().length;
+        }
+    }
+
+    /**
+     * Take a savestate without touching IndexedDB
+     * @returns {Uint8Array} Savestate data
+     */
+    captureStateBuffer() {
+        const instance = this.dolphinInstance;
+        if (instance && instance.saveStateToBuffer) {
+            return new Uint8Array(instance.saveStateToBuffer());
+        }
+
+        // /tmp is in memory, so the round trip through a file stays off IndexedDB
+        const FS = this.module.FS;
+        if (instance && instance.saveStateAs) {
+            instance.saveStateAs(REWIND_TEMP_PATH);
+        } else {
+            this.module.ccall('State_SaveAs', null, ['string'], [REWIND_TEMP_PATH]);
+        }
+        const data = FS.readFile(REWIND_TEMP_PATH);
+        FS.unlink(REWIND_TEMP_PATH);
+        return data;
+    }
+
+    /**
+     * Restore a savestate taken by captureStateBuffer
+     * @param {Uint8Array} state - Savestate data
+     */
+    restoreStateBuffer(state) {
+        const instance = this.dolphinInstance;
+        if (instance && instance.loadStateFromBuffer) {
+            instance.loadStateFromBuffer(state);
+            return;
+        }
+
+        const FS = this.module.FS;
+        FS.writeFile(REWIND_TEMP_PATH, state);
+        if (instance && instance.loadStateAs) {
+            instance.loadStateAs(REWIND_TEMP_PATH);
+        } else {
+            this.module.ccall('State_LoadAs', null, ['string'], [REWIND_TEMP_PATH]);
+        }
+        FS.unlink(REWIND_TEMP_PATH);
+    }
+
+    /**
+     * Start stepping backwards through the rewind buffer
+     * Emulation is paused and the newest snapshot is restored every
+     * REWIND_STEP_INTERVAL ms until stopRewind is called.
+     * @returns {boolean} False if rewind is unsupported or there is nothing to rewind to
+     */
+    startRewind() {
+        const rewind = this.rewind;
+        if (rewind.active) return true;
+        if (!this.supportsRewind() || rewind.states.length === 0) return false;
+
+        rewind.active = true;
+        this.corePause();
+
+        const step = () => {
+            // Keep the oldest snapshot so holding the key longer stays on it
+            let state = rewind.states[0];
+            if (rewind.states.length > 1) {
+                state = rewind.states.pop();
+                rewind.bytes -= state.length;
+            }
             try {
-                callback(error);
-            } catch (err) {
-                console.error('Error in error callback:', err);
+                this.restoreStateBuffer(state);
+            } catch (error) {
+                console.error('Rewind step failed:', error);
+                this.stopRewind();
             }
-        });
-        
-        // Also notify load callbacks with rejection
-        this.loadCallbacks = [];
-        this.errorCallbacks = [];
+        };
+        step();
+        rewind.stepTimer = setInterval(step, REWIND_STEP_INTERVAL);
+        return true;
+    }
+
+    /**
+     * Stop rewinding and resume from the last restored snapshot
+     */
+    stopRewind() {
+        const rewind = this.rewind;
+        if (!rewind.active) return;
+
+        clearInterval(rewind.stepTimer);
+        rewind.stepTimer = null;
+        rewind.active = false;
+        rewind.frame = 0;
+        // Stay paused if the game was paused before rewinding
+        if (this.state === 'running') {
+            this.coreResume();
+        }
     }
 
     /**
@@ -378,7 +1169,7 @@ class DolphinLoader {
      * @returns {boolean}
      */
     ready() {
-        return this.isReady;
+        return DOLPHIN_READY_STATES.includes(this.state);
     }
 
     /**
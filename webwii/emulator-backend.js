@@ -0,0 +1,505 @@
+// Emulator Backends
+// The interface emulator.js drives (Dolphin or RetroArch) and the backends other than Dolphin
+
+/**
+ * Features a backend may offer; the UI enables what capabilities() reports
+ * - pause, reset: pause()/resume() and reset()
+ * - saveStates: saveState(path)/loadState(path) with paths in getModule().FS
+ * - rewind: startRewind()/stopRewind() and the rewind settings
+ * - fastForward: setEmulationSpeed()
+ * - controllerInput, wiimoteMotion: sendInput() and sendMotion() (otherwise the backend reads input itself)
+ * - nand: openVirtualNand() and bootTitle()
+ * - memoryCards: setMemoryCard()
+ */
+const EMULATOR_CAPABILITIES = ['pause', 'reset', 'saveStates', 'rewind', 'fastForward',
+    'controllerInput', 'wiimoteMotion', 'nand', 'memoryCards'];
+
+/**
+ * Events backends emit, with the detail passed to listeners
+ * - statechange: {state, previous}
+ * - progress: {text} while loading, {remaining} Emscripten run dependencies, or
+ *   {file, loaded, total (0 if unknown), cached} while a file downloads
+ * - log: {level: 'info'|'error', text} from the emulator's stdout and stderr
+ * - frame: {frame} after each frame of the main loop
+ * - error: {error} when loading fails or the emulator aborts
+ */
+const EMULATOR_EVENTS = ['statechange', 'progress', 'log', 'frame', 'error'];
+
+/**
+ * How long to wait for a released canvas context to come back before loading anyway
+ */
+const CANVAS_RESTORE_TIMEOUT = 1000; // ms
+
+/**
+ * Where RetroArch looks for content in its filesystem
+ */
+const RETROARCH_CONTENT_DIR = '/home/web_user/retroarch/userdata/content';
+
+/**
+ * Base class of every backend
+ * Subclasses override what they support; everything else fails with a clear error.
+ */
+class EmulatorBackend {
+    /**
+     * @param {string} name - Name shown to the user
+     */
+    constructor(name) {
+        this.name = name;
+        this.listeners = {};
+        this.lostContext = null; // Canvas context released by dispose(): {extension, canvas}
+    }
+
+    /**
+     * Listen for an event
+     * @param {string} event - One of EMULATOR_EVENTS
+     * @param {Function} listener - Called with the event detail
+     */
+    on(event, listener) {
+        if (!EMULATOR_EVENTS.includes(event)) {
+            throw new Error(`Unknown emulator event "${event}"`);
+        }
+        (this.listeners[event] = this.listeners[event] || new Set()).add(listener);
+    }
+
+    /**
+     * Stop listening for an event
+     * @param {string} event - One of EMULATOR_EVENTS
+     * @param {Function} listener - Listener passed to on()
+     */
+    off(event, listener) {
+        if (this.listeners[event]) {
+            this.listeners[event].delete(listener);
+        }
+    }
+
+    /**
+     * Call the listeners of an event
+     * @param {string} event - One of EMULATOR_EVENTS
+     * @param {Object} detail - Event detail
+     */
+    emit(event, detail) {
+        (this.listeners[event] || []).forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`Error in ${event} listener:`, error);
+            }
+        });
+    }
+
+    /**
+     * Load the emulator
+     * @param {Object} config - {canvas, ...backend-specific options}
+     * @returns {Promise}
+     */
+    async init(config = {}) {
+        throw this.unsupported('Loading');
+    }
+
+    /**
+     * Boot a game
+     * @param {string} filename - File name
+     * @param {File|Uint8Array} data - File, or its contents
+     * @returns {Promise<boolean>} Success status
+     */
+    async boot(filename, data) {
+        throw this.unsupported('Booting games');
+    }
+
+    /**
+     * Pause emulation
+     */
+    pause() {
+        throw this.unsupported('Pausing');
+    }
+
+    /**
+     * Resume emulation
+     */
+    resume() {
+        throw this.unsupported('Pausing');
+    }
+
+    /**
+     * Restart the running game
+     * @returns {Promise<boolean>} Success status
+     */
+    async reset() {
+        throw this.unsupported('Resetting');
+    }
+
+    /**
+     * Stop emulation
+     */
+    stop() {
+    }
+
+    /**
+     * Unload the emulator so another game or backend can use the canvas without a page reload
+     */
+    dispose() {
+    }
+
+    /**
+     * Save state to a file in the backend's filesystem
+     * @param {string} path - State file path
+     * @returns {Promise}
+     */
+    async saveState(path) {
+        throw this.unsupported('Saving states');
+    }
+
+    /**
+     * Load state from a file in the backend's filesystem
+     * @param {string} path - State file path
+     * @returns {Promise}
+     */
+    async loadState(path) {
+        throw this.unsupported('Loading states');
+    }
+
+    /**
+     * What this backend can do once ready (see EMULATOR_CAPABILITIES)
+     * @returns {Object} Capability → boolean
+     */
+    capabilities() {
+        return Object.fromEntries(EMULATOR_CAPABILITIES.map(capability => [capability, false]));
+    }
+
+    /**
+     * Change the emulation speed limit
+     * @param {number} speed - 1 for full speed, 0 for unlimited
+     * @returns {boolean} Whether the speed changed
+     */
+    setEmulationSpeed(speed) {
+        return false;
+    }
+
+    /**
+     * Set the state of an emulated controller
+     * @returns {boolean} Whether the input was accepted
+     */
+    sendInput(port, device, values) {
+        return false;
+    }
+
+    /**
+     * Set a Wii Remote's pointer and motion
+     * @returns {boolean} Whether the motion was accepted
+     */
+    sendMotion(port, motion) {
+        return false;
+    }
+
+    /**
+     * Check if the backend has loaded
+     * @returns {boolean}
+     */
+    ready() {
+        return false;
+    }
+
+    /**
+     * Error for a feature this backend does not have
+     * @param {string} feature - Feature, as the start of a sentence
+     * @returns {Error}
+     */
+    unsupported(feature) {
+        return new Error(`${feature} is not supported by ${this.name}`);
+    }
+
+    /**
+     * Add a script to the page
+     * @param {string} scriptPath - Script URL
+     * @returns {Promise} Resolves once the script has run
+     */
+    loadScript(scriptPath) {
+        return new Promise((resolve, reject) => {
+            // Check if script is already loaded
+            const existingScript = document.querySelector(`script[src="${scriptPath}"]`);
+            if (existingScript) {
+                console.log(`${scriptPath} already in DOM`);
+                resolve();
+                return;
+            }
+
+            const script = document.createElement('script');
+            script.src = scriptPath;
+            script.async = true;
+
+            script.onload = () => {
+                console.log(`${scriptPath} loaded successfully`);
+                resolve();
+            };
+
+            script.onerror = () => {
+                // Removed so a retry adds it again
+                script.remove();
+                reject(new Error(`Failed to load ${this.name} script: ${scriptPath}`));
+            };
+
+            document.body.appendChild(script);
+        });
+    }
+
+    /**
+     * Remove a script added by loadScript, so loading it again runs it again
+     * @param {string} scriptPath - Script URL
+     */
+    unloadScript(scriptPath) {
+        const script = scriptPath && document.querySelector(`script[src="${scriptPath}"]`);
+        if (script) {
+            script.remove();
+        }
+    }
+
+    /**
+     * Free the WebGL context an Emscripten module created on its canvas
+     * The canvas keeps the context object, so restoreCanvasContext() brings it back for the next module.
+     * @param {Object} module - Emscripten Module
+     */
+    releaseCanvasContext(module) {
+        const gl = module && (module.ctx || (module.GL && module.GL.currentContext && module.GL.currentContext.GLctx));
+        const extension = gl && gl.getExtension('WEBGL_lose_context');
+        if (extension && !gl.isContextLost()) {
+            extension.loseContext();
+            this.lostContext = { extension: extension, canvas: gl.canvas };
+        }
+    }
+
+    /**
+     * Get back a context released by releaseCanvasContext()
+     * @returns {Promise} Resolves once restored, or after CANVAS_RESTORE_TIMEOUT
+     */
+    restoreCanvasContext() {
+        const lost = this.lostContext;
+        if (!lost) return Promise.resolve();
+        this.lostContext = null;
+
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, CANVAS_RESTORE_TIMEOUT);
+            lost.canvas.addEventListener('webglcontextrestored', () => {
+                clearTimeout(timer);
+                resolve();
+            }, { once: true });
+            lost.extension.restoreContext();
+        });
+    }
+}
+
+/**
+ * RetroArch running a libretro core (the Dolphin core by default) built with Emscripten
+ * RetroArch reads the keyboard and gamepads itself and keeps its own save files.
+ */
+class RetroArchBackend extends EmulatorBackend {
+    constructor() {
+        super('RetroArch');
+        this.module = null;
+        this.scriptPath = null;
+        this.isReady = false;
+        this.started = false;
+    }
+
+    /**
+     * Load the core and wait for its runtime
+     * A failed init() unloads what it loaded, so it can be called again.
+     * @param {Object} config - {canvas, core ('dolphin'), basePath}
+     * @returns {Promise}
+     */
+    async init(config = {}) {
+        if (this.isReady) return;
+
+        try {
+            await this.loadCore(config);
+        } catch (error) {
+            this.dispose();
+            throw error;
+        }
+        this.isReady = true;
+        console.log('RetroArch ready');
+    }
+
+    /**
+     * Load the core script and set up the content directory
+     * @param {Object} config - See init()
+     * @returns {Promise}
+     */
+    async loadCore(config) {
+        await this.restoreCanvasContext();
+
+        const basePath = config.basePath || '';
+        const runtimeReady = new Promise((resolve, reject) => {
+            this.module = {
+                canvas: config.canvas || document.getElementById('canvas'),
+                // RetroArch starts when a game is booted, with the game on its command line
+                noInitialRun: true,
+                print: (text) => {
+                    console.log('[RetroArch]', text);
+                },
+                printErr: (text) => {
+                    console.error('[RetroArch Error]', text);
+                },
+                setStatus: (text) => {
+                    if (text) {
+                        this.emit('progress', { text: text });
+                    }
+                },
+                onRuntimeInitialized: resolve,
+                onAbort: (what) => {
+                    reject(new Error('RetroArch failed to load: ' + what));
+                },
+                locateFile: (path, prefix) => basePath ? basePath + path : prefix + path
+            };
+        });
+
+        // Emscripten builds pick up their settings from the global Module
+        window.Module = this.module;
+        this.scriptPath = `${basePath}${config.core || 'dolphin'}_libretro.js`;
+        await this.loadScript(this.scriptPath);
+        await runtimeReady;
+
+        const FS = this.module.FS;
+        if (!FS.analyzePath(RETROARCH_CONTENT_DIR).exists) {
+            FS.mkdirTree(RETROARCH_CONTENT_DIR);
+        }
+    }
+
+    /**
+     * Write the game into RetroArch's filesystem and start RetroArch with it
+     * Emscripten runs main() once per page, so only the first game can be started.
+     * @param {string} filename - File name
+     * @param {File|Uint8Array} data - File, or its contents
+     * @returns {Promise<boolean>} Success status
+     */
+    async boot(filename, data) {
+        if (!this.isReady) {
+            throw new Error('RetroArch is not ready. Call init() first.');
+        }
+        if (this.started) {
+            throw new Error('RetroArch is already running a game. Reload the page to play another.');
+        }
+
+        const contentPath = `${RETROARCH_CONTENT_DIR}/${filename}`;
+        const bytes = data instanceof Blob ? new Uint8Array(await data.arrayBuffer()) : data;
+        this.module.FS.writeFile(contentPath, bytes);
+
+        this.module.callMain(['-v', contentPath]);
+        this.started = true;
+        console.log(`RetroArch started with ${contentPath}`);
+        return true;
+    }
+
+    /**
+     * Pause emulation
+     */
+    pause() {
+        if (this.module._cmd_pause) {
+            this.module._cmd_pause();
+        } else if (this.module.pauseMainLoop) {
+            this.module.pauseMainLoop();
+        } else {
+            throw this.unsupported('Pausing');
+        }
+    }
+
+    /**
+     * Resume emulation
+     */
+    resume() {
+        if (this.module._cmd_unpause) {
+            this.module._cmd_unpause();
+        } else if (this.module.resumeMainLoop) {
+            this.module.resumeMainLoop();
+        } else {
+            throw this.unsupported('Pausing');
+        }
+    }
+
+    /**
+     * Restart the running game
+     * @returns {Promise<boolean>} Success status
+     */
+    async reset() {
+        if (!this.module._cmd_reset) {
+            throw this.unsupported('Resetting');
+        }
+        this.module._cmd_reset();
+        return true;
+    }
+
+    /**
+     * Stop emulation
+     * RetroArch cannot unload a game without quitting, so this pauses it.
+     */
+    stop() {
+        if (this.started && this.module.pauseMainLoop) {
+            this.module.pauseMainLoop();
+        }
+    }
+
+    /**
+     * Stop the main loop, free the canvas context and forget the module
+     * Loading the core again starts a fresh runtime, so another game can be booted.
+     */
+    dispose() {
+        const module = this.module;
+        if (module) {
+            if (module.pauseMainLoop) {
+                module.pauseMainLoop();
+            }
+            this.releaseCanvasContext(module);
+            if (window.Module === module) {
+                delete window.Module;
+            }
+        }
+        this.unloadScript(this.scriptPath);
+
+        this.module = null;
+        this.scriptPath = null;
+        this.isReady = false;
+        this.started = false;
+    }
+
+    /**
+     * What this build exports
+     * @returns {Object} Capability → boolean
+     */
+    capabilities() {
+        const capabilities = super.capabilities();
+        if (!this.isReady) return capabilities;
+
+        capabilities.pause = Boolean(this.module._cmd_pause || this.module.pauseMainLoop);
+        capabilities.reset = Boolean(this.module._cmd_reset);
+        return capabilities;
+    }
+
+    /**
+     * Check if RetroArch is ready
+     * @returns {boolean}
+     */
+    ready() {
+        return this.isReady;
+    }
+}
+
+/**
+ * Backends that can be picked, in the order they are tried
+ */
+const EMULATOR_BACKENDS = {
+    dolphin: { name: 'Dolphin', create: () => new DolphinLoader() },
+    retroarch: { name: 'RetroArch', create: () => new RetroArchBackend() }
+};
+const EMULATOR_BACKEND_ORDER = ['dolphin', 'retroarch'];
+
+/**
+ * Create a backend by key
+ * @param {string} type - Key of EMULATOR_BACKENDS
+ * @returns {EmulatorBackend}
+ */
+function createEmulatorBackend(type) {
+    const backend = EMULATOR_BACKENDS[type];
+    if (!backend) {
+        throw new Error(`Unknown emulator backend "${type}"`);
+    }
+    return backend.create();
+}
@@ -0,0 +1,190 @@
+// Emulator Cache
+// Downloads the emulator's wasm and data files with byte-level progress and keeps them in Cache Storage
+
+/**
+ * Caches are named after the build, so a new build never reuses old files
+ */
+const EMULATOR_CACHE_PREFIX = 'webwii-emulator-';
+
+/**
+ * Small text file next to dolphin.js holding the build hash (see DOLPHIN_BUILD.md)
+ * Without it, files are downloaded every time instead of being cached.
+ */
+const EMULATOR_BUILD_FILE = 'dolphin.version';
+
+/**
+ * Read the build hash of the emulator files
+ * Offline, the build cached on an earlier visit is used instead.
+ * @param {string} basePath - Where the emulator files are served from
+ * @returns {Promise<string|null>} Build hash, or null if there is none
+ */
+async function getEmulatorBuildHash(basePath) {
+    try {
+        // Always asked for, so a new build is noticed on the next visit
+        const response = await fetch(basePath + EMULATOR_BUILD_FILE, { cache: 'no-store' });
+        if (!response.ok) return null;
+
+        const hash = (await response.text()).trim();
+        return /^[\w.-]{1,64}$/.test(hash) ? hash : null;
+    } catch (error) {
+        console.warn('Could not read the emulator build hash, using the cached build:', error);
+        return findCachedEmulatorBuild();
+    }
+}
+
+/**
+ * Find the most recently cached emulator build
+ * @returns {Promise<string|null>} Build hash, or null if none is cached
+ */
+async function findCachedEmulatorBuild() {
+    if (typeof caches === 'undefined') return null;
+
+    try {
+        // caches.keys() lists caches in the order they were created
+        const builds = (await caches.keys()).filter(key => key.startsWith(EMULATOR_CACHE_PREFIX));
+        return builds.length > 0 ? builds[builds.length - 1].slice(EMULATOR_CACHE_PREFIX.length) : null;
+    } catch (error) {
+        console.warn('Cache Storage is not available:', error);
+        return null;
+    }
+}
+
+/**
+ * Open the cache for a build, deleting caches of other builds
+ * @param {string|null} buildHash - From getEmulatorBuildHash()
+ * @returns {Promise<Cache|null>} Null if there is no hash or Cache Storage is unavailable
+ */
+async function openEmulatorCache(buildHash) {
+    if (!buildHash || typeof caches === 'undefined') return null;
+
+    const name = EMULATOR_CACHE_PREFIX + buildHash;
+    try {
+        const stale = (await caches.keys()).filter(key => key.startsWith(EMULATOR_CACHE_PREFIX) && key !== name);
+        await Promise.all(stale.map(key => caches.delete(key)));
+        return await caches.open(name);
+    } catch (error) {
+        // Cache Storage throws in insecure contexts and some private modes
+        console.warn('Cache Storage is not available:', error);
+        return null;
+    }
+}
+
+/**
+ * Get an emulator file from the cache, or download it and cache it
+ * @param {string} url - File URL
+ * @param {Cache|null} cache - From openEmulatorCache()
+ * @param {Function} [onProgress] - Called with {loaded, total (0 if unknown), cached} as the body is read
+ * @returns {Promise<Response>} Response whose body reports progress as it is read
+ */
+async function fetchEmulatorFile(url, cache, onProgress) {
+    let response = cache ? await cache.match(url) : undefined;
+    const cached = Boolean(response);
+
+    if (!response) {
+        response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not download ${url}: HTTP ${response.status}`);
+        }
+        if (cache) {
+            // The copy is stored while the original is read
+            cache.put(url, response.clone()).catch(error => {
+                console.warn(`Could not cache ${url}:`, error);
+            });
+        }
+    }
+
+    if (!onProgress) return response;
+    return trackDownloadProgress(response, (loaded, total) => {
+        onProgress({ loaded: loaded, total: total, cached: cached });
+    });
+}
+
+/**
+ * Wrap a response so reading its body reports how many bytes have arrived
+ * @param {Response} response - Response to read
+ * @param {Function} onProgress - Called with (loaded, total)
+ * @returns {Response}
+ */
+function trackDownloadProgress(response, onProgress) {
+    if (!response.body) return response;
+
+    // Content-Length counts compressed bytes, so it is dropped once the body outgrows it
+    const total = parseInt(response.headers.get('Content-Length'), 10) || 0;
+    const reader = response.body.getReader();
+    let loaded = 0;
+    onProgress(0, total);
+
+    const body = new ReadableStream({
+        async pull(controller) {
+            const { done, value } = await reader.read();
+            if (done) {
+                controller.close();
+                return;
+            }
+            loaded += value.byteLength;
+            onProgress(loaded, total >= loaded ? total : 0);
+            controller.enqueue(value);
+        },
+        cancel(reason) {
+            return reader.cancel(reason);
+        }
+    });
+
+    return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+    });
+}
+
+/**
+ * Compile and instantiate a wasm response, while it downloads where the browser allows
+ * @param {Response} response - From fetchEmulatorFile()
+ * @param {Object} imports - Emscripten's import object
+ * @returns {Promise<{instance: WebAssembly.Instance, module: WebAssembly.Module}>}
+ */
+async function instantiateEmulatorWasm(response, imports) {
+    // instantiateStreaming rejects responses that are not served as application/wasm
+    const type = response.headers.get('Content-Type') || '';
+    if (WebAssembly.instantiateStreaming && type.startsWith('application/wasm')) {
+        return WebAssembly.instantiateStreaming(response, imports);
+    }
+    return WebAssembly.instantiate(await response.arrayBuffer(), imports);
+}
+
+/**
+ * Delete every cached emulator build
+ * @returns {Promise<number>} Number of caches deleted
+ */
+async function clearEmulatorCache() {
+    if (typeof caches === 'undefined') {
+        throw new Error('Cache Storage is not available in this browser');
+    }
+
+    const keys = (await caches.keys()).filter(key => key.startsWith(EMULATOR_CACHE_PREFIX));
+    await Promise.all(keys.map(key => caches.delete(key)));
+    return keys.length;
+}
+
+/**
+ * Wire up the clear cached emulator button
+ */
+function initEmulatorCache() {
+    const clearBtn = document.getElementById('clear-emulator-cache-btn');
+    const statusDiv = document.getElementById('emulator-cache-status');
+    if (!clearBtn) return;
+
+    clearBtn.addEventListener('click', async () => {
+        try {
+            const deleted = await clearEmulatorCache();
+            showStatus(statusDiv, deleted > 0 ? 'success' : 'info', deleted > 0
+                ? 'Cached emulator deleted. It will be downloaded again on the next visit.'
+                : 'No emulator is cached.');
+        } catch (error) {
+            showStatus(statusDiv, 'error', error.message);
+        }
+    });
+}
+
+// Initialize on DOM load
+document.addEventListener('DOMContentLoaded', initEmulatorCache);
@@ -1,13 +1,16 @@
 // Emulator Integration
-// Handles both RetroArch and Dolphin WASM integration for Wii emulation
-// RetroArch Module object is provided by the external libretro.js library
-// Dolphin WASM is loaded via dolphin-loader.js
+// Drives the emulator backend (Dolphin WASM or RetroArch, see emulator-backend.js)
+// and enables the controls it supports
 
-let emulatorReady = false;
 let currentROM = null;
-let statusCheckInterval = null;
-let emulatorType = 'retroarch'; // 'retroarch' or 'dolphin'
-let dolphinLoader = null;
+let currentGame = null; // {id, title} of the game loaded, for per-game data such as save states
+let emulatorBackend = null; // Backend loading or loaded, see emulator-backend.js
+let romSelection = 0; // Counts ROM picks, so a slow identify of an earlier pick is ignored
+
+/**
+ * localStorage key for the rewind memory budget
+ */
+const REWIND_BUDGET_STORAGE_KEY = 'webwiiRewindBudget';
 
 /**
  * Initialize emulator when page loads
@@ -17,12 +20,18 @@ function initEmulator() {
     const fullscreenBtn = document.getElementById('fullscreen-btn');
     const pauseBtn = document.getElementById('pause-btn');
     const resetBtn = document.getElementById('reset-btn');
+    const bootRomBtn = document.getElementById('boot-rom');
 
     // Handle ROM file selection
     if (romInput) {
         romInput.addEventListener('change', handleROMLoad);
     }
 
+    // Boot button on the ROM details card
+    if (bootRomBtn) {
+        bootRomBtn.addEventListener('click', bootCurrentROM);
+    }
+
     // Fullscreen button
     if (fullscreenBtn) {
         fullscreenBtn.addEventListener('click', toggleFullscreen);
@@ -38,204 +47,440 @@ function initEmulator() {
         resetBtn.addEventListener('click', resetEmulator);
     }
 
-    // Determine which emulator to use
-    // If Dolphin loader is available, prefer it; otherwise use RetroArch
-    if (typeof DolphinLoader !== 'undefined') {
-        emulatorType = 'dolphin';
-        initDolphin();
-    } else {
-        emulatorType = 'retroarch';
-        checkRetroArchStatus();
-    }
+    initRewindControls();
+
+    // ?backend=dolphin|retroarch picks one; otherwise Dolphin is tried first
+    const requested = new URLSearchParams(window.location.search).get('backend');
+    startEmulatorBackend(requested ? [requested] : EMULATOR_BACKEND_ORDER);
 }
 
 /**
- * Initialize Dolphin WASM emulator
+ * Load the first backend of a list that works, falling back to the next one on failure
+ * A backend that is already loaded is unloaded first, so this also switches backends.
+ * @param {string[]} types - Keys of EMULATOR_BACKENDS, in order
  */
-function initDolphin() {
-    console.log('Initializing Dolphin WASM...');
-    
-    dolphinLoader = new DolphinLoader();
-    
+function startEmulatorBackend(types) {
+    const [type, ...fallbacks] = types;
     const canvas = document.getElementById('canvas');
     const statusDiv = document.getElementById('emulator-status');
-    
-    dolphinLoader.init({
-        canvas: canvas,
-        onStatus: (text) => {
-            if (statusDiv) {
-                showStatus(statusDiv, 'info', text);
-            }
+
+    if (emulatorBackend) {
+        emulatorBackend.dispose();
+        emulatorBackend = null;
+    }
+
+    if (!type) {
+        showStatus(statusDiv, 'error', 'No emulator could be loaded. See DOLPHIN_BUILD.md to build one.');
+        return;
+    }
+
+    let backend;
+    try {
+        backend = createEmulatorBackend(type);
+    } catch (error) {
+        showStatus(statusDiv, 'error', error.message);
+        return;
+    }
+    emulatorBackend = backend;
+    console.log(`Initializing ${backend.name}...`);
+
+    backend.on('progress', (progress) => {
+        if (progress.file) {
+            updateEmulatorDownload(progress);
+        } else if (progress.text && statusDiv) {
+            showStatus(statusDiv, 'info', progress.text);
         }
+    });
+    backend.on('statechange', ({ state }) => {
+        const pauseBtn = document.getElementById('pause-btn');
+        if (pauseBtn) pauseBtn.textContent = state === 'paused' ? 'Resume' : 'Pause';
+        updateEmulatorControls();
+        if (typeof setLibraryPlayRunning === 'function') {
+            setLibraryPlayRunning(state === 'running');
+        }
+    });
+
+    const storedBudget = localStorage.getItem(REWIND_BUDGET_STORAGE_KEY);
+    backend.init({
+        canvas: canvas,
+        rewind: storedBudget !== null ? { memoryBudget: parseInt(storedBudget, 10) } : undefined
     })
     .then(() => {
-        emulatorReady = true;
-        console.log('Dolphin WASM ready');
+        console.log(`${backend.name} ready`);
+        updateEmulatorDownload(null);
+        // Failures while loading fall back below; this reports the emulator aborting later
+        backend.on('error', ({ error }) => {
+            if (statusDiv) {
+                showStatus(statusDiv, 'error', error.message);
+            }
+            updateEmulatorControls();
+        });
         if (statusDiv) {
-            showStatus(statusDiv, 'success', 'Dolphin emulator ready! Load a ROM to start.');
+            showStatus(statusDiv, 'success', `${backend.name} emulator ready! Load a ROM to start.`);
+        }
+        if (typeof refreshTitleList === 'function') {
+            refreshTitleList();
+        }
+        if (typeof refreshSaveStateSlots === 'function') {
+            refreshSaveStateSlots();
+        }
+        if (typeof refreshSaveList === 'function') {
+            refreshSaveList();
+        }
+        if (typeof refreshMemoryCards === 'function') {
+            refreshMemoryCards();
         }
+        updateEmulatorControls();
     })
     .catch(error => {
-        console.error('Failed to initialize Dolphin:', error);
-        if (statusDiv) {
-            showStatus(statusDiv, 'error', 
-                'Dolphin WASM not available. Using RetroArch fallback...');
+        console.error(`Failed to initialize ${backend.name}:`, error);
+        if (emulatorBackend !== backend) return; // Replaced while loading
+        updateEmulatorDownload(null);
+        if (statusDiv && fallbacks.length > 0) {
+            showStatus(statusDiv, 'error',
+                `${backend.name} not available. Trying ${EMULATOR_BACKENDS[fallbacks[0]].name}...`);
         }
-        // Fallback to RetroArch
-        emulatorType = 'retroarch';
-        checkRetroArchStatus();
+        startEmulatorBackend(fallbacks);
     });
 }
 
 /**
- * Check RetroArch availability
+ * Show how far an emulator file has downloaded
+ * @param {Object|null} progress - {file, loaded, total, cached} from a progress event, or null to hide
  */
-function checkRetroArchStatus() {
-    // RetroArch web takes time to load
-    statusCheckInterval = setInterval(() => {
-        if (typeof Module !== 'undefined' && Module.canvas) {
-            emulatorReady = true;
-            clearInterval(statusCheckInterval);
-            statusCheckInterval = null;
-            console.log('RetroArch ready');
-        }
-    }, 500);
+function updateEmulatorDownload(progress) {
+    const download = document.getElementById('emulator-download');
+    if (!download) return;
+
+    download.style.display = progress ? 'block' : 'none';
+    if (!progress) return;
+
+    const { file, loaded, total, cached } = progress;
+    const progressBar = download.querySelector('.progress-bar');
+    // Without a size the bar stays full and only the byte count moves
+    updateProgress(progressBar, total > 0 ? Math.round((loaded / total) * 100) : 100);
+    download.querySelector('.emulator-hint').textContent =
+        `${cached ? 'Loading cached' : 'Downloading'} ${file}: ${formatBytes(loaded)}` +
+        (total > 0 ? ` of ${formatBytes(total)}` : '');
+}
 
-    // Stop checking after 30 seconds
-    setTimeout(() => {
-        if (statusCheckInterval) {
-            clearInterval(statusCheckInterval);
-            statusCheckInterval = null;
-        }
-        if (!emulatorReady) {
-            console.warn('RetroArch not loaded - emulation features may be limited');
+/**
+ * The backend, once it has loaded
+ * @returns {EmulatorBackend|null}
+ */
+function getActiveBackend() {
+    return emulatorBackend && emulatorBackend.ready() ? emulatorBackend : null;
+}
+
+/**
+ * Whether the loaded backend has a capability
+ * @param {string} capability - One of EMULATOR_CAPABILITIES
+ * @returns {boolean}
+ */
+function backendSupports(capability) {
+    const backend = getActiveBackend();
+    return Boolean(backend && backend.capabilities()[capability]);
+}
+
+/**
+ * Enable the emulator controls the backend supports
+ */
+function updateEmulatorControls() {
+    const backend = getActiveBackend();
+    const unsupported = backend ? `Not supported by ${backend.name}` : 'The emulator is still loading';
+
+    [['pause-btn', 'pause'], ['reset-btn', 'reset']].forEach(([id, capability]) => {
+        const button = document.getElementById(id);
+        if (!button) return;
+
+        button.disabled = !backendSupports(capability);
+        button.title = button.disabled ? unsupported : '';
+    });
+    updateRewindControls();
+}
+
+/**
+ * Wire up the rewind button and memory budget picker
+ * The button rewinds while held; its key is set in the keyboard panel.
+ */
+function initRewindControls() {
+    const rewindBtn = document.getElementById('rewind-btn');
+    const budgetSelect = document.getElementById('rewind-budget');
+    if (!rewindBtn || !budgetSelect) return;
+
+    rewindBtn.addEventListener('pointerdown', startEmulatorRewind);
+    ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+        rewindBtn.addEventListener(type, stopEmulatorRewind);
+    });
+
+    budgetSelect.addEventListener('change', () => {
+        localStorage.setItem(REWIND_BUDGET_STORAGE_KEY, budgetSelect.value);
+        if (backendSupports('rewind')) {
+            getActiveBackend().configureRewind({ memoryBudget: parseInt(budgetSelect.value, 10) });
         }
-    }, 30000);
+        updateRewindControls();
+    });
 }
 
-// Cleanup on page unload
-window.addEventListener('unload', () => {
-    if (statusCheckInterval) {
-        clearInterval(statusCheckInterval);
+/**
+ * Show the rewind controls only when the backend supports rewinding
+ */
+function updateRewindControls() {
+    const rewindBtn = document.getElementById('rewind-btn');
+    const budgetSelect = document.getElementById('rewind-budget');
+    if (!rewindBtn || !budgetSelect) return;
+
+    const supported = backendSupports('rewind');
+    if (supported) {
+        budgetSelect.value = String(getActiveBackend().getRewindSettings().memoryBudget);
     }
-});
+    budgetSelect.style.display = supported ? 'inline-block' : 'none';
+    rewindBtn.style.display = supported && budgetSelect.value !== '0' ? 'inline-block' : 'none';
+}
+
+/**
+ * Begin rewinding
+ */
+function startEmulatorRewind() {
+    if (!getActiveBackend()) return;
+
+    if (!backendSupports('rewind')) {
+        showStatus(document.getElementById('emulator-status'), 'info', 'Rewind is not supported by this emulator build.');
+    } else if (!getActiveBackend().startRewind()) {
+        showStatus(document.getElementById('emulator-status'), 'info', 'Nothing to rewind to yet.');
+    }
+}
+
+/**
+ * Stop rewinding and continue playing
+ */
+function stopEmulatorRewind() {
+    if (backendSupports('rewind')) {
+        getActiveBackend().stopRewind();
+    }
+}
+
+/**
+ * Run without the speed limit while fast-forward is held
+ * @param {boolean} enabled - Whether to fast-forward
+ */
+function setFastForward(enabled) {
+    if (!getActiveBackend()) return;
+
+    if (backendSupports('fastForward')) {
+        getActiveBackend().setEmulationSpeed(enabled ? 0 : 1);
+    } else if (enabled) {
+        showStatus(document.getElementById('emulator-status'), 'info', 'Fast-forward is not supported by this emulator build.');
+    }
+}
+
+/**
+ * Download the current frame as a PNG
+ */
+function takeScreenshot() {
+    const canvas = document.getElementById('canvas');
+    const statusDiv = document.getElementById('emulator-status');
+    if (!canvas) return;
+
+    const name = currentGame ? fileNameStem(currentGame.id) : 'webwii';
+    const time = new Date().toISOString().replace(/[:.]/g, '-');
+    canvas.toBlob(blob => {
+        if (blob) {
+            downloadBlob(blob, `${name}-${time}.png`);
+        } else {
+            showStatus(statusDiv, 'error', 'Could not capture the screen.');
+        }
+    }, 'image/png');
+}
+
+/**
+ * Whether a key press is aimed at a text field rather than the game
+ * @param {EventTarget} target - Event target
+ * @returns {boolean}
+ */
+function isTypingTarget(target) {
+    return Boolean(target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)));
+}
 
 /**
  * Handle ROM file loading
+ * The file is identified first and its details shown; booting starts from the card.
  */
 function handleROMLoad(event) {
     const file = event.target.files[0];
     if (!file) return;
 
-    currentROM = file;
+    const statusDiv = document.getElementById('emulator-status');
+    const infoDiv = document.getElementById('rom-info');
+    const detailsDiv = document.getElementById('rom-details');
+
+    const selection = ++romSelection;
+    currentROM = null;
+    infoDiv.style.display = 'none';
+    showStatus(statusDiv, 'info', `Inspecting ${file.name}...`);
+
+    identifyROMFile(file)
+        .then(({ details, game }) => {
+            if (selection !== romSelection) return;
+            currentROM = file;
+            setCurrentGame(game.id, game.title);
+            detailsDiv.innerHTML = details;
+            infoDiv.style.display = 'block';
+            showStatus(statusDiv, 'success', `${file.name} recognised. Review the details and press Boot to start.`);
+        })
+        .catch(error => {
+            if (selection !== romSelection) return;
+            showStatus(statusDiv, 'error', error.message);
+        });
+}
+
+/**
+ * Identify a file picked in the ROM loader
+ * WAD, DOL and ELF files are validated by the WAD/DOL handler; anything else
+ * must be a Wii or GameCube disc image.
+ * @param {File} file - Selected file
+ * @returns {Promise<{details: string, game: Object}>} HTML describing the file, and the game's ID and title
+ */
+async function identifyROMFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (['wad', 'dol', 'elf'].includes(extension)) {
+        const detection = detectFileType(file.name, await file.arrayBuffer());
+        if (!detection.type) {
+            throw new Error(detection.message || `"${file.name}" is not a valid ${extension.toUpperCase()} file.`);
+        }
+        const details = `
+            <p><strong>File Name:</strong> ${escapeHtml(file.name)}</p>
+            <p><strong>Format:</strong> Wii ${detection.type}</p>
+            <p><strong>File Size:</strong> ${formatBytes(file.size)}</p>
+        `;
+        // WADs are identified by title ID; homebrew has nothing better than its file name
+        const id = detection.type === 'WAD' ? detection.parsed.tmd.titleId.hex : fileNameStem(file.name);
+        return { details: details, game: { id: id, title: file.name } };
+    }
+
+    const disc = await detectDiscImage(file);
+    return { details: renderDiscDetails(file, disc), game: { id: disc.gameId, title: disc.title || disc.gameId } };
+}
+
+/**
+ * Record which game is loaded and refresh the panels that depend on it
+ * @param {string} id - Game ID, title ID or file name
+ * @param {string} title - Name shown to the user
+ */
+function setCurrentGame(id, title) {
+    currentGame = { id: id, title: title };
+    if (typeof refreshSaveStateSlots === 'function') {
+        refreshSaveStateSlots();
+    }
+}
+
+/**
+ * File name without its extension
+ * @param {string} name - File name
+ * @returns {string}
+ */
+function fileNameStem(name) {
+    const dot = name.lastIndexOf('.');
+    return dot > 0 ? name.slice(0, dot) : name;
+}
+
+/**
+ * Boot the identified ROM
+ */
+function bootCurrentROM() {
+    const file = currentROM;
+    if (!file) return;
+
     const statusDiv = document.getElementById('emulator-status');
     const placeholder = document.getElementById('emulator-placeholder');
     const container = document.getElementById('emulator-container');
+    const infoDiv = document.getElementById('rom-info');
 
     showStatus(statusDiv, 'info', `Loading ${file.name}...`);
 
-    // Read the ROM file
-    const reader = new FileReader();
-    
-    reader.onload = function(e) {
-        const romData = new Uint8Array(e.target.result);
-        
-        // Show emulator canvas
+    if (typeof endLibraryPlaySession === 'function') {
+        endLibraryPlaySession();
+    }
+
+    // Show emulator canvas
+    const showEmulator = () => {
         if (placeholder) placeholder.style.display = 'none';
+        if (infoDiv) infoDiv.style.display = 'none';
         if (container) container.style.display = 'block';
-
-        // Try to load ROM into appropriate emulator
-        if (emulatorReady) {
-            if (emulatorType === 'dolphin') {
-                loadROMIntoDolphin(file.name, romData);
-            } else {
-                loadROMIntoRetroArch(file.name, romData);
-            }
-            showStatus(statusDiv, 'success', `${file.name} loaded! Use keyboard/gamepad to play.`);
-        } else {
-            // Fallback: Show that ROM is ready but emulator isn't fully loaded
-            showStatus(statusDiv, 'info', 
-                `${file.name} ready. ${emulatorType === 'dolphin' ? 'Dolphin' : 'RetroArch'} is still loading - please wait...`);
-            
-            // Try again when emulator is ready
-            let waitForEmulator = setInterval(() => {
-                if (emulatorReady) {
-                    clearInterval(waitForEmulator);
-                    if (emulatorType === 'dolphin') {
-                        loadROMIntoDolphin(file.name, romData);
-                    } else {
-                        loadROMIntoRetroArch(file.name, romData);
-                    }
-                    showStatus(statusDiv, 'success', 
-                        `${file.name} loaded! Use keyboard/gamepad to play.`);
-                }
-            }, 1000);
-
-            // Clear interval after 20 seconds
-            setTimeout(() => {
-                if (waitForEmulator) {
-                    clearInterval(waitForEmulator);
-                }
-            }, 20000);
-        }
-    };
-
-    reader.onerror = function() {
-        showStatus(statusDiv, 'error', 'Error loading ROM file.');
     };
 
-    reader.readAsArrayBuffer(file);
+    // The backend reads the file itself, so Dolphin can mount disc images without loading them
+    whenEmulatorReady(statusDiv, file, () => {
+        showEmulator();
+        bootInEmulator(file.name, file);
+    });
 }
 
 /**
- * Load ROM into Dolphin WASM
- * @param {string} filename - ROM filename
- * @param {Uint8Array} data - ROM data
+ * Run a boot callback now, or once the emulator has finished loading
+ * @param {HTMLElement} statusDiv - Emulator status element
+ * @param {File} file - ROM being booted
+ * @param {Function} boot - Boots the ROM
  */
-function loadROMIntoDolphin(filename, data) {
-    try {
-        if (!dolphinLoader || !dolphinLoader.ready()) {
-            console.error('Dolphin not ready');
-            return;
+function whenEmulatorReady(statusDiv, file, boot) {
+    if (getActiveBackend()) {
+        boot();
+        showStatus(statusDiv, 'success', `${file.name} loaded! Use keyboard/gamepad to play.`);
+        return;
+    }
+
+    // Fallback: Show that ROM is ready but emulator isn't fully loaded
+    showStatus(statusDiv, 'info', 
+        `${file.name} ready. ${emulatorBackend ? emulatorBackend.name : 'The emulator'} is still loading - please wait...`);
+    
+    // Try again when emulator is ready
+    let waitForEmulator = setInterval(() => {
+        if (getActiveBackend()) {
+            clearInterval(waitForEmulator);
+            boot();
+            showStatus(statusDiv, 'success', 
+                `${file.name} loaded! Use keyboard/gamepad to play.`);
         }
+    }, 1000);
 
-        // Boot the ROM using Dolphin loader
-        dolphinLoader.bootROM(filename, data)
-            .then(success => {
-                if (success) {
-                    console.log('ROM successfully booted in Dolphin:', filename);
-                } else {
-                    console.error('Failed to boot ROM in Dolphin:', filename);
-                }
-            })
-            .catch(error => {
-                console.error('Error booting ROM in Dolphin:', error);
-            });
-    } catch (error) {
-        console.error('Error loading ROM into Dolphin:', error);
-    }
+    // Clear interval after 20 seconds
+    setTimeout(() => {
+        if (waitForEmulator) {
+            clearInterval(waitForEmulator);
+        }
+    }, 20000);
 }
 
 /**
- * Load ROM into RetroArch
- * Note: Module is the global Emscripten/RetroArch object
+ * Boot a ROM in the loaded backend
+ * @param {string} filename - ROM filename
+ * @param {File|Uint8Array} data - ROM file or ROM data
+ * @returns {Promise<boolean>} Whether the ROM booted
  */
-function loadROMIntoRetroArch(filename, data) {
-    try {
-        if (typeof Module === 'undefined' || !Module.FS) {
-            console.error('RetroArch filesystem not available');
-            return;
-        }
+function bootInEmulator(filename, data) {
+    const backend = getActiveBackend();
+    if (!backend) {
+        console.error('Emulator not ready');
+        return Promise.resolve(false);
+    }
 
-        // Write ROM to virtual filesystem
-        const romPath = '/tmp/' + filename;
-        Module.FS.writeFile(romPath, data);
+    const pauseBtn = document.getElementById('pause-btn');
+    if (pauseBtn) pauseBtn.textContent = 'Pause';
 
-        // ROM loaded to virtual filesystem
-        console.log('ROM loaded to virtual filesystem:', romPath);
-    } catch (error) {
-        console.error('Error loading ROM:', error);
-    }
+    return backend.boot(filename, data)
+        .then(success => {
+            if (success) {
+                console.log(`ROM successfully booted in ${backend.name}:`, filename);
+            } else {
+                console.error(`Failed to boot ROM in ${backend.name}:`, filename);
+            }
+            return Boolean(success);
+        })
+        .catch(error => {
+            console.error(`Error booting ROM in ${backend.name}:`, error);
+            showStatus(document.getElementById('emulator-status'), 'error', error.message);
+            return false;
+        });
 }
 
 /**
@@ -259,30 +504,24 @@ function toggleFullscreen() {
  */
 function togglePause() {
     const pauseBtn = document.getElementById('pause-btn');
-    if (!pauseBtn) return;
+    if (!pauseBtn || !backendSupports('pause')) return;
 
-    if (emulatorType === 'dolphin' && dolphinLoader) {
-        // Use Dolphin pause/resume
+    const backend = getActiveBackend();
+    try {
         if (pauseBtn.textContent === 'Pause') {
-            dolphinLoader.pause();
+            backend.pause();
             pauseBtn.textContent = 'Resume';
         } else {
-            dolphinLoader.resume();
+            backend.resume();
             pauseBtn.textContent = 'Pause';
         }
-    } else {
-        // Use RetroArch pause/resume
-        if (typeof Module !== 'undefined' && Module.pauseMainLoop) {
-            if (pauseBtn.textContent === 'Pause') {
-                Module.pauseMainLoop();
-                pauseBtn.textContent = 'Resume';
-            } else {
-                Module.resumeMainLoop();
-                pauseBtn.textContent = 'Pause';
-            }
-        } else {
-            console.log('Pause/Resume not available');
+        // Backends without state changes only pause through here
+        if (typeof setLibraryPlayRunning === 'function') {
+            setLibraryPlayRunning(pauseBtn.textContent === 'Pause');
         }
+    } catch (error) {
+        console.error('Pause/resume failed:', error);
+        showStatus(document.getElementById('emulator-status'), 'error', error.message);
     }
 }
 
@@ -290,41 +529,21 @@ function togglePause() {
  * Reset emulator
  */
 function resetEmulator() {
-    if (emulatorType === 'dolphin' && dolphinLoader) {
-        // Stop and restart with Dolphin
-        dolphinLoader.stop();
-        if (currentROM) {
-            const statusDiv = document.getElementById('emulator-status');
-            showStatus(statusDiv, 'info', 'Resetting...');
-            
-            // Reload the ROM
-            const reader = new FileReader();
-            reader.onload = function(e) {
-                const romData = new Uint8Array(e.target.result);
-                loadROMIntoDolphin(currentROM.name, romData);
-            };
-            reader.readAsArrayBuffer(currentROM);
-        }
-    } else if (typeof Module !== 'undefined' && Module._reset) {
-        Module._reset();
-    } else {
-        // Reload current ROM
-        if (currentROM) {
-            const statusDiv = document.getElementById('emulator-status');
-            showStatus(statusDiv, 'info', 'Resetting...');
-            
-            // Trigger a reload
-            const event = new Event('change');
-            const romInput = document.getElementById('rom-input');
-            if (romInput) {
-                // Re-read the current file
-                const dt = new DataTransfer();
-                dt.items.add(currentROM);
-                romInput.files = dt.files;
-                handleROMLoad({ target: romInput });
-            }
-        }
-    }
+    if (!backendSupports('reset') || !currentGame) return;
+
+    const statusDiv = document.getElementById('emulator-status');
+    const pauseBtn = document.getElementById('pause-btn');
+    showStatus(statusDiv, 'info', 'Resetting...');
+    if (pauseBtn) pauseBtn.textContent = 'Pause';
+
+    getActiveBackend().reset()
+        .then(success => {
+            showStatus(statusDiv, success ? 'success' : 'error', success ? 'Reset.' : 'Reset failed.');
+        })
+        .catch(error => {
+            console.error('Error resetting:', error);
+            showStatus(statusDiv, 'error', error.message);
+        });
 }
 
 /**
@@ -337,22 +556,53 @@ function loadWADIntoEmulator(wadFile, wadData) {
     const container = document.getElementById('emulator-container');
 
     showStatus(statusDiv, 'info', `Loading ${wadFile.name} into emulator...`);
+    setCurrentGame(fileNameStem(wadFile.name), wadFile.name);
 
     // Show emulator
     if (placeholder) placeholder.style.display = 'none';
     if (container) container.style.display = 'block';
 
-    // Load into appropriate emulator
-    if (emulatorReady) {
-        if (emulatorType === 'dolphin') {
-            loadROMIntoDolphin(wadFile.name, wadData);
-        } else {
-            loadROMIntoRetroArch(wadFile.name, wadData);
-        }
+    if (getActiveBackend()) {
+        bootInEmulator(wadFile.name, wadData);
         showStatus(statusDiv, 'success', `${wadFile.name} loaded into emulator!`);
     } else {
-        showStatus(statusDiv, 'info', `${emulatorType === 'dolphin' ? 'Dolphin' : 'RetroArch'} is loading... Please wait.`);
+        showStatus(statusDiv, 'info', `${emulatorBackend ? emulatorBackend.name : 'The emulator'} is loading... Please wait.`);
+    }
+}
+
+/**
+ * Boot a title installed in the virtual NAND
+ * @param {number} titleIdHi - Upper 32 bits of the title ID
+ * @param {number} titleIdLo - Lower 32 bits of the title ID
+ * @param {string} name - Title name for status messages
+ */
+function loadTitleIntoEmulator(titleIdHi, titleIdLo, name) {
+    const statusDiv = document.getElementById('emulator-status');
+    const placeholder = document.getElementById('emulator-placeholder');
+    const container = document.getElementById('emulator-container');
+
+    if (!backendSupports('nand')) {
+        showStatus(statusDiv, 'error', 'Installed titles can only be launched once Dolphin has loaded.');
+        return;
     }
+
+    showStatus(statusDiv, 'info', `Launching ${name}...`);
+    setCurrentGame(`${toHex(titleIdHi)}-${toHex(titleIdLo)}`, name);
+    if (placeholder) placeholder.style.display = 'none';
+    if (container) container.style.display = 'block';
+
+    getActiveBackend().bootTitle(titleIdHi, titleIdLo)
+        .then(success => {
+            if (success) {
+                showStatus(statusDiv, 'success', `${name} launched!`);
+            } else {
+                showStatus(statusDiv, 'error', `Failed to launch ${name}.`);
+            }
+        })
+        .catch(error => {
+            console.error('Error launching title:', error);
+            showStatus(statusDiv, 'error', `Error launching ${name}: ${error.message}`);
+        });
 }
 
 // Initialize on DOM load
@@ -0,0 +1,759 @@
+// Game Library
+// Keeps imported disc images in the Origin Private File System (or IndexedDB) so they can be booted on later visits
+
+/**
+ * IndexedDB database holding the library index
+ */
+const LIBRARY_DB_NAME = 'webwii-library';
+const LIBRARY_DB_VERSION = 2;
+const LIBRARY_STORE = 'games';
+
+/**
+ * OPFS directory that imported games are copied into
+ */
+const LIBRARY_OPFS_DIRECTORY = 'library';
+
+/**
+ * How often the running game's play time is written back (ms)
+ */
+const PLAY_TIME_FLUSH_INTERVAL = 60 * 1000;
+
+/**
+ * GameCube banner (opening.bnr in the disc root)
+ * The image is 96x32 RGB5A3 in 4x4 tiles, right after the magic and padding.
+ */
+const GC_FST_OFFSET_OFFSET = 0x424;
+const GC_FST_SIZE_OFFSET = 0x428;
+const GC_FST_ENTRY_SIZE = 0x0C;
+const GC_FST_MAX_SIZE = 4 * 1024 * 1024; // Retail FSTs are well under 1 MB
+const GC_BANNER_FILE_NAME = 'opening.bnr';
+const GC_BANNER_MAGICS = ['BNR1', 'BNR2'];
+const GC_BANNER_IMAGE_OFFSET = 0x20;
+const GC_BANNER_WIDTH = 96;
+const GC_BANNER_HEIGHT = 32;
+
+/**
+ * Games shown in the grid, from the last refresh
+ */
+let libraryGames = [];
+
+/**
+ * Object URLs of the covers currently on screen
+ */
+let libraryCoverUrls = [];
+
+/**
+ * Game being played from the library ({libraryId, since}); since is null while emulation is paused
+ */
+let libraryPlaySession = null;
+
+/**
+ * Cached database connection
+ */
+let libraryDatabase = null;
+
+/**
+ * Initialize the game library panel
+ */
+function initGameLibrary() {
+    const addButton = document.getElementById('library-add');
+    const fileInput = document.getElementById('library-input');
+    const gridDiv = document.getElementById('library-grid');
+
+    if (!addButton || !fileInput || !gridDiv) return;
+
+    addButton.addEventListener('click', () => {
+        // Keep a handle to the original file where the browser allows it, so nothing is copied
+        if (typeof window.showOpenFilePicker === 'function') {
+            pickLibraryFileHandle();
+        } else {
+            fileInput.click();
+        }
+    });
+
+    fileInput.addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (file) {
+            importGameToLibrary(file, null);
+        }
+    });
+
+    // Card buttons carry the action and game ID
+    gridDiv.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const game = libraryGames.find(g => g.libraryId === button.dataset.game);
+        if (!game) return;
+
+        if (button.dataset.action === 'play') {
+            playLibraryGame(game);
+        } else if (button.dataset.action === 'remove') {
+            showNandWarning(
+                `You are about to remove "${describeLibraryGame(game)}" (${game.gameId}) from the library.${game.storage === 'handle' ? '' : ' The stored copy of the disc image will be deleted.'} Are you sure you want to proceed?`,
+                () => removeGameFromLibrary(game)
+            );
+        }
+    });
+
+    setInterval(recordPlayTime, PLAY_TIME_FLUSH_INTERVAL);
+    window.addEventListener('pagehide', recordPlayTime);
+
+    refreshLibrary();
+}
+
+/**
+ * Let the user pick a disc image and keep its file handle
+ */
+async function pickLibraryFileHandle() {
+    let handle;
+    try {
+        [handle] = await window.showOpenFilePicker({
+            types: [{
+                description: 'Wii and GameCube disc images',
+                accept: { 'application/octet-stream': ['.iso', '.gcm', '.wbfs', '.ciso', '.gcz', '.wia', '.rvz'] }
+            }]
+        });
+    } catch (error) {
+        // The user closed the picker
+        return;
+    }
+    importGameToLibrary(await handle.getFile(), handle);
+}
+
+/**
+ * Open the library database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openLibraryDatabase() {
+    if (libraryDatabase) {
+        return Promise.resolve(libraryDatabase);
+    }
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('This browser has no IndexedDB, so the game library is unavailable.'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+        request.onupgradeneeded = (event) => {
+            if (event.oldVersion < 1) {
+                request.result.createObjectStore(LIBRARY_STORE, { keyPath: 'libraryId' });
+            } else if (event.oldVersion < 2) {
+                migrateLibraryStore(request.transaction);
+            }
+        };
+        request.onsuccess = () => {
+            libraryDatabase = request.result;
+            resolve(libraryDatabase);
+        };
+        request.onerror = () => reject(new Error(`Could not open the game library: ${request.error.message}`));
+    });
+}
+
+/**
+ * Re-key version 1 records, which were keyed by game ID alone, by game ID and disc number
+ * Their OPFS copies keep the name they were stored under.
+ * @param {IDBTransaction} transaction - The upgrade transaction
+ */
+function migrateLibraryStore(transaction) {
+    const db = transaction.db;
+    const read = transaction.objectStore(LIBRARY_STORE).getAll();
+    read.onsuccess = () => {
+        db.deleteObjectStore(LIBRARY_STORE);
+        const store = db.createObjectStore(LIBRARY_STORE, { keyPath: 'libraryId' });
+        read.result.forEach(game => {
+            store.put({ ...game, libraryId: getLibraryId(game), opfsName: game.storage === 'opfs' ? game.gameId : null });
+        });
+    };
+}
+
+/**
+ * Key of a disc in the library, so each disc of a multi-disc game is kept
+ * @param {Object} disc - Disc info or library record
+ * @returns {string}
+ */
+function getLibraryId(disc) {
+    return `${disc.gameId}-${disc.discNumber || 1}`;
+}
+
+/**
+ * Title of a library game, with the disc number when it has more than one disc
+ * @param {Object} game - Library record
+ * @returns {string}
+ */
+function describeLibraryGame(game) {
+    const multiDisc = game.discNumber > 1 ||
+        libraryGames.some(other => other.gameId === game.gameId && other.libraryId !== game.libraryId);
+    return multiDisc ? `${game.title} (disc ${game.discNumber})` : game.title;
+}
+
+/**
+ * Run one request against the games store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Called with the object store, returns an IDBRequest
+ * @returns {Promise<*>} The request's result
+ */
+async function libraryRequest(mode, makeRequest) {
+    const db = await openLibraryDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(LIBRARY_STORE, mode);
+        const request = makeRequest(transaction.objectStore(LIBRARY_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(new Error(`Game library error: ${transaction.error.message}`));
+        transaction.onabort = () => reject(new Error(`Game library error: ${transaction.error ? transaction.error.message : 'aborted'}`));
+    });
+}
+
+/**
+ * Get the library directory in the Origin Private File System
+ * @returns {Promise<FileSystemDirectoryHandle|null>} Directory, or null if OPFS is unavailable
+ */
+async function getLibraryDirectory() {
+    if (!navigator.storage || typeof navigator.storage.getDirectory !== 'function') {
+        return null;
+    }
+    const root = await navigator.storage.getDirectory();
+    return root.getDirectoryHandle(LIBRARY_OPFS_DIRECTORY, { create: true });
+}
+
+/**
+ * Import a disc image into the library
+ * Games are indexed by game ID and disc number; importing the same disc again replaces the stored file.
+ * @param {File} file - Disc image
+ * @param {FileSystemFileHandle|null} handle - Handle to the original file, if the picker gave one
+ */
+async function importGameToLibrary(file, handle) {
+    const statusDiv = document.getElementById('library-status');
+    const progressBar = document.getElementById('library-progress');
+
+    let disc;
+    try {
+        disc = await detectDiscImage(file);
+    } catch (error) {
+        showStatus(statusDiv, 'error', error.message);
+        return;
+    }
+
+    showStatus(statusDiv, 'info', `Adding ${disc.title || disc.gameId} to the library...`);
+
+    try {
+        const libraryId = getLibraryId(disc);
+        const existing = await libraryRequest('readonly', store => store.get(libraryId));
+        const cover = await extractDiscCover(file, disc).catch(error => {
+            console.warn('Could not read the banner:', error);
+            return null;
+        });
+
+        const game = {
+            libraryId: libraryId,
+            gameId: disc.gameId,
+            title: disc.title || disc.gameId,
+            platform: disc.platform,
+            region: disc.region,
+            format: disc.format,
+            revision: disc.revision,
+            discNumber: disc.discNumber,
+            fileName: file.name,
+            size: file.size,
+            storage: null,
+            opfsName: null,
+            handle: null,
+            blob: null,
+            cover: cover,
+            addedAt: existing ? existing.addedAt : Date.now(),
+            lastPlayed: existing ? existing.lastPlayed : null,
+            playTime: existing ? existing.playTime : 0
+        };
+
+        if (navigator.storage && navigator.storage.persist) {
+            await navigator.storage.persist();
+        }
+
+        if (handle) {
+            game.storage = 'handle';
+            game.handle = handle;
+        } else {
+            const directory = await getLibraryDirectory();
+            if (directory) {
+                progressBar.style.display = 'block';
+                updateProgress(progressBar, 0);
+                await copyFileToDirectory(directory, libraryId, file, (written) => {
+                    updateProgress(progressBar, Math.round((written / file.size) * 100));
+                });
+                game.storage = 'opfs';
+                game.opfsName = libraryId;
+            } else {
+                game.storage = 'indexeddb';
+                game.blob = file;
+            }
+        }
+
+        // Drop the old copy if the game moves to another storage or file name
+        if (existing && existing.storage === 'opfs' && existing.opfsName !== game.opfsName) {
+            await removeLibraryFile(existing);
+        }
+
+        await libraryRequest('readwrite', store => store.put(game));
+        await refreshLibrary();
+        showStatus(statusDiv, 'success', `${describeLibraryGame(game)} was ${existing ? 'updated in' : 'added to'} the library.`);
+    } catch (error) {
+        console.error('Library import failed:', error);
+        showStatus(statusDiv, 'error', `Could not add ${file.name} to the library: ${error.message}`);
+    } finally {
+        progressBar.style.display = 'none';
+    }
+}
+
+/**
+ * Copy a File into an OPFS directory without holding it in memory
+ * @param {FileSystemDirectoryHandle} directory - Target directory
+ * @param {string} name - File name in the directory
+ * @param {File} file - File to copy
+ * @param {Function} onProgress - Called with the number of bytes written
+ */
+async function copyFileToDirectory(directory, name, file, onProgress) {
+    const target = await directory.getFileHandle(name, { create: true });
+    const writable = await target.createWritable();
+    let written = 0;
+
+    const counter = new TransformStream({
+        transform(chunk, controller) {
+            written += chunk.byteLength;
+            onProgress(written);
+            controller.enqueue(chunk);
+        }
+    });
+
+    try {
+        // pipeTo closes the writable on success and aborts it on failure
+        await file.stream().pipeThrough(counter).pipeTo(writable);
+    } catch (error) {
+        await directory.removeEntry(name).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Get the stored disc image of a library game
+ * @param {Object} game - Library record
+ * @returns {Promise<File>}
+ */
+async function openLibraryFile(game) {
+    if (game.storage === 'handle') {
+        const options = { mode: 'read' };
+        if (await game.handle.queryPermission(options) !== 'granted' &&
+            await game.handle.requestPermission(options) !== 'granted') {
+            throw new Error(`Permission to read ${game.fileName} was not granted.`);
+        }
+        try {
+            return await game.handle.getFile();
+        } catch (error) {
+            throw new Error(`${game.fileName} is no longer available. It may have been moved or deleted; add it to the library again.`);
+        }
+    }
+
+    if (game.storage === 'opfs') {
+        const directory = await getLibraryDirectory();
+        const handle = await directory.getFileHandle(game.opfsName);
+        const file = await handle.getFile();
+        // Keep the original name so the emulator sees the right extension
+        return new File([file], game.fileName, { lastModified: file.lastModified });
+    }
+
+    return new File([game.blob], game.fileName);
+}
+
+/**
+ * Delete the stored copy of a library game
+ * @param {Object} game - Library record
+ */
+async function removeLibraryFile(game) {
+    if (game.storage !== 'opfs') return;
+
+    const directory = await getLibraryDirectory();
+    try {
+        await directory.removeEntry(game.opfsName);
+    } catch (error) {
+        if (error.name !== 'NotFoundError') throw error;
+    }
+}
+
+/**
+ * Remove a game and its stored copy from the library
+ * @param {Object} game - Library record
+ */
+async function removeGameFromLibrary(game) {
+    const statusDiv = document.getElementById('library-status');
+    const name = describeLibraryGame(game);
+
+    try {
+        if (libraryPlaySession && libraryPlaySession.libraryId === game.libraryId) {
+            libraryPlaySession = null;
+        }
+        await removeLibraryFile(game);
+        await libraryRequest('readwrite', store => store.delete(game.libraryId));
+        await refreshLibrary();
+        showStatus(statusDiv, 'success', `${name} was removed from the library.`);
+    } catch (error) {
+        console.error('Library removal failed:', error);
+        showStatus(statusDiv, 'error', `Could not remove ${name}: ${error.message}`);
+    }
+}
+
+/**
+ * Boot a library game in the emulator
+ * @param {Object} game - Library record
+ */
+async function playLibraryGame(game) {
+    const statusDiv = document.getElementById('library-status');
+    const placeholder = document.getElementById('emulator-placeholder');
+    const container = document.getElementById('emulator-container');
+    const infoDiv = document.getElementById('rom-info');
+
+    if (!getActiveBackend()) {
+        showStatus(statusDiv, 'error', 'Library games can only be played once the emulator has loaded.');
+        return;
+    }
+
+    let file;
+    try {
+        file = await openLibraryFile(game);
+    } catch (error) {
+        showStatus(statusDiv, 'error', error.message);
+        return;
+    }
+
+    endLibraryPlaySession();
+    romSelection++; // A file still being identified in the ROM loader must not replace this one
+    currentROM = file;
+    setCurrentGame(game.gameId, game.title);
+    if (placeholder) placeholder.style.display = 'none';
+    if (infoDiv) infoDiv.style.display = 'none';
+    if (container) container.style.display = 'block';
+    showStatus(document.getElementById('emulator-status'), 'info', `Loading ${game.title}...`);
+
+    // A failed boot is neither played nor timed
+    if (!await bootInEmulator(file.name, file)) {
+        showStatus(statusDiv, 'error', `${game.title} could not be started.`);
+        return;
+    }
+
+    const backend = getActiveBackend();
+    const running = !backend || !backend.state || backend.state === 'running';
+    libraryPlaySession = { libraryId: game.libraryId, since: running ? Date.now() : null };
+    game.lastPlayed = Date.now();
+    try {
+        await libraryRequest('readwrite', store => store.put(game));
+    } catch (error) {
+        console.error('Could not record last played time:', error);
+        showStatus(statusDiv, 'error', `${game.title} is running, but its last played time could not be saved: ${error.message}`);
+        return;
+    }
+    statusDiv.style.display = 'none';
+    await refreshLibrary();
+}
+
+/**
+ * Add the time since the last flush to the running game's play time
+ * @returns {Promise}
+ */
+async function recordPlayTime() {
+    const session = libraryPlaySession;
+    if (!session || session.since === null) return;
+
+    const now = Date.now();
+    const elapsed = now - session.since;
+    session.since = now;
+
+    try {
+        const game = await libraryRequest('readonly', store => store.get(session.libraryId));
+        if (!game) return;
+        game.playTime += elapsed;
+        await libraryRequest('readwrite', store => store.put(game));
+    } catch (error) {
+        console.warn('Could not record play time:', error);
+    }
+}
+
+/**
+ * Count play time only while emulation runs
+ * Called by emulator.js when the game pauses, resumes or stops.
+ * @param {boolean} running - Whether emulation is running
+ */
+function setLibraryPlayRunning(running) {
+    const session = libraryPlaySession;
+    if (!session || running === (session.since !== null)) return;
+
+    if (running) {
+        session.since = Date.now();
+    } else {
+        recordPlayTime();
+        session.since = null;
+    }
+}
+
+/**
+ * Stop counting play time for the running library game
+ * Called when another game is booted.
+ */
+function endLibraryPlaySession() {
+    if (!libraryPlaySession) return;
+    recordPlayTime();
+    libraryPlaySession = null;
+}
+
+/**
+ * Re-read the library and redraw the grid and quota
+ * @returns {Promise}
+ */
+async function refreshLibrary() {
+    const statusDiv = document.getElementById('library-status');
+    const gridDiv = document.getElementById('library-grid');
+    const quotaDiv = document.getElementById('library-quota');
+
+    try {
+        const games = await libraryRequest('readonly', store => store.getAll());
+        libraryGames = games.sort((a, b) => (b.lastPlayed || 0) - (a.lastPlayed || 0) || a.title.localeCompare(b.title));
+    } catch (error) {
+        console.error('Library refresh failed:', error);
+        libraryGames = [];
+        showStatus(statusDiv, 'error', `Could not read the library: ${error.message}`);
+    }
+
+    libraryCoverUrls.forEach(url => URL.revokeObjectURL(url));
+    libraryCoverUrls = [];
+    gridDiv.innerHTML = renderLibraryGrid(libraryGames);
+
+    try {
+        quotaDiv.textContent = await describeStorageQuota();
+    } catch (error) {
+        console.warn('Could not estimate storage:', error);
+        quotaDiv.textContent = '';
+        showStatus(statusDiv, 'error', `Could not read storage usage: ${error.message}`);
+    }
+}
+
+/**
+ * Describe how much of this site's storage quota is in use
+ * @returns {Promise<string>}
+ */
+async function describeStorageQuota() {
+    if (!navigator.storage || !navigator.storage.estimate) {
+        return 'Storage usage is not available in this browser.';
+    }
+    const { usage, quota } = await navigator.storage.estimate();
+    const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+    return `Storage used: ${formatBytes(usage)} of ${formatBytes(quota)}` +
+        (persisted ? '' : ' (the browser may clear it when space runs low)');
+}
+
+/**
+ * Render the library as a grid of cards
+ * @param {Array<Object>} games - Library records
+ * @returns {string} HTML
+ */
+function renderLibraryGrid(games) {
+    if (games.length === 0) {
+        return '<p class="section-description">No games in the library yet. Add a disc image to keep it here between visits.</p>';
+    }
+
+    return games.map(game => {
+        let cover;
+        if (game.cover) {
+            const url = URL.createObjectURL(game.cover);
+            libraryCoverUrls.push(url);
+            cover = `<img class="library-cover" src="${url}" alt="">`;
+        } else {
+            cover = `<div class="library-cover library-cover-placeholder">${escapeHtml(game.gameId)}</div>`;
+        }
+
+        return `
+            <div class="library-card">
+                ${cover}
+                <h3>${escapeHtml(describeLibraryGame(game))}</h3>
+                <p>${escapeHtml(game.gameId)} · ${escapeHtml(game.platform)} · ${escapeHtml(game.region)}</p>
+                <p>${formatBytes(game.size)} ${escapeHtml(game.format)}${game.storage === 'handle' ? ' (linked)' : ''}</p>
+                <p>Last played: ${game.lastPlayed ? new Date(game.lastPlayed).toLocaleString() : 'Never'}</p>
+                <p>Play time: ${formatPlayTime(game.playTime)}</p>
+                <div class="title-actions">
+                    <button class="wii-button install-button" data-action="play" data-game="${escapeHtml(game.libraryId)}">Play</button>
+                    <button class="wii-button cancel-button" data-action="remove" data-game="${escapeHtml(game.libraryId)}">Remove</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Format a play time total
+ * @param {number} ms - Milliseconds
+ * @returns {string}
+ */
+function formatPlayTime(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return 'Less than a minute';
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `${hours} h ${minutes % 60} min` : `${minutes} min`;
+}
+
+/**
+ * Extract the banner image of a disc as a PNG
+ * Only unencrypted, uncompressed GameCube images are supported; Wii banners
+ * sit inside the encrypted game partition.
+ * @param {File} file - Disc image
+ * @param {Object} disc - Disc info from detectDiscImage
+ * @returns {Promise<Blob|null>} PNG, or null if the disc has no readable banner
+ */
+async function extractDiscCover(file, disc) {
+    if (disc.platform !== 'GameCube' || disc.format !== 'ISO') {
+        return null;
+    }
+
+    const header = new DataView((await readFileRange(file, GC_FST_OFFSET_OFFSET, 8)).buffer);
+    const fstOffset = header.getUint32(0, false);
+    const fstSize = header.getUint32(GC_FST_SIZE_OFFSET - GC_FST_OFFSET_OFFSET, false);
+    if (fstSize === 0 || fstSize > GC_FST_MAX_SIZE || fstOffset + fstSize > file.size) return null;
+
+    const banner = findGameCubeRootFile(await readFileRange(file, fstOffset, fstSize), GC_BANNER_FILE_NAME);
+    if (!banner) return null;
+
+    const imageSize = GC_BANNER_WIDTH * GC_BANNER_HEIGHT * 2;
+    const data = await readFileRange(file, banner.offset, GC_BANNER_IMAGE_OFFSET + imageSize);
+    const magic = String.fromCharCode(...data.subarray(0, 4));
+    if (!GC_BANNER_MAGICS.includes(magic) || data.length < GC_BANNER_IMAGE_OFFSET + imageSize) {
+        return null;
+    }
+
+    const pixels = decodeRgb5a3(data.subarray(GC_BANNER_IMAGE_OFFSET), GC_BANNER_WIDTH, GC_BANNER_HEIGHT);
+    return imageDataToPng(pixels, GC_BANNER_WIDTH, GC_BANNER_HEIGHT);
+}
+
+/**
+ * Find a file in the root directory of a GameCube FST
+ * @param {Uint8Array} fst - File system table
+ * @param {string} name - File name
+ * @returns {{offset: number, size: number}|null}
+ */
+function findGameCubeRootFile(fst, name) {
+    const view = new DataView(fst.buffer, fst.byteOffset, fst.byteLength);
+    const entryCount = view.getUint32(8, false);
+    const stringTable = entryCount * GC_FST_ENTRY_SIZE;
+    if (entryCount === 0 || stringTable > fst.length) return null;
+
+    // Root files are the entries not nested in a subdirectory
+    for (let i = 1; i < entryCount;) {
+        const entry = i * GC_FST_ENTRY_SIZE;
+        const isDirectory = fst[entry] === 1;
+        const nameOffset = view.getUint32(entry, false) & 0xFFFFFF;
+
+        if (isDirectory) {
+            // A directory's next index must move forward, or a corrupt FST would loop forever
+            i = Math.max(i + 1, view.getUint32(entry + 8, false));
+            continue;
+        }
+
+        const start = stringTable + nameOffset;
+        const end = fst.indexOf(0, start);
+        const entryName = String.fromCharCode(...fst.subarray(start, end === -1 ? fst.length : end));
+        if (entryName.toLowerCase() === name) {
+            return { offset: view.getUint32(entry + 4, false), size: view.getUint32(entry + 8, false) };
+        }
+        i++;
+    }
+    return null;
+}
+
+/**
+ * Write one RGB5A3 colour as RGBA
+ * With the top bit set the value is RGB555, otherwise ARGB3444.
+ * @param {number} value - 16-bit colour
+ * @param {Uint8ClampedArray} pixels - RGBA pixels
+ * @param {number} target - Offset of the pixel in pixels
+ */
+function writeRgb5a3Pixel(value, pixels, target) {
+    if (value & 0x8000) {
+        pixels[target] = ((value >> 10) & 0x1F) * 255 / 31;
+        pixels[target + 1] = ((value >> 5) & 0x1F) * 255 / 31;
+        pixels[target + 2] = (value & 0x1F) * 255 / 31;
+        pixels[target + 3] = 255;
+    } else {
+        pixels[target] = ((value >> 8) & 0x0F) * 17;
+        pixels[target + 1] = ((value >> 4) & 0x0F) * 17;
+        pixels[target + 2] = (value & 0x0F) * 17;
+        pixels[target + 3] = ((value >> 12) & 0x07) * 255 / 7;
+    }
+}
+
+/**
+ * Decode an RGB5A3 texture
+ * Pixels are big-endian 16-bit values in 4x4 tiles.
+ * @param {Uint8Array} data - Texture data
+ * @param {number} width - Width in pixels (multiple of 4)
+ * @param {number} height - Height in pixels (multiple of 4)
+ * @returns {Uint8ClampedArray} RGBA pixels
+ */
+function decodeRgb5a3(data, width, height) {
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    let offset = 0;
+
+    for (let tileY = 0; tileY < height; tileY += 4) {
+        for (let tileX = 0; tileX < width; tileX += 4) {
+            for (let y = 0; y < 4; y++) {
+                for (let x = 0; x < 4; x++) {
+                    const value = (data[offset] << 8) | data[offset + 1];
+                    offset += 2;
+                    writeRgb5a3Pixel(value, pixels, ((tileY + y) * width + tileX + x) * 4);
+                }
+            }
+        }
+    }
+    return pixels;
+}
+
+/**
+ * Decode a CI8 texture
+ * Pixels are 8-bit palette indices in 8x4 tiles; the palette holds 256 RGB5A3 colours.
+ * @param {Uint8Array} data - Texture data
+ * @param {Uint8Array} palette - 512-byte palette
+ * @param {number} width - Width in pixels (multiple of 8)
+ * @param {number} height - Height in pixels (multiple of 4)
+ * @returns {Uint8ClampedArray} RGBA pixels
+ */
+function decodeCi8(data, palette, width, height) {
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    let offset = 0;
+
+    for (let tileY = 0; tileY < height; tileY += 4) {
+        for (let tileX = 0; tileX < width; tileX += 8) {
+            for (let y = 0; y < 4; y++) {
+                for (let x = 0; x < 8; x++) {
+                    const index = data[offset++] * 2;
+                    const value = (palette[index] << 8) | palette[index + 1];
+                    writeRgb5a3Pixel(value, pixels, ((tileY + y) * width + tileX + x) * 4);
+                }
+            }
+        }
+    }
+    return pixels;
+}
+
+/**
+ * Encode RGBA pixels as a PNG
+ * @param {Uint8ClampedArray} pixels - RGBA pixels
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Promise<Blob>}
+ */
+function imageDataToPng(pixels, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the banner')), 'image/png');
+    });
+}
+
+// Initialize on DOM load
+document.addEventListener('DOMContentLoaded', initGameLibrary);
@@ -0,0 +1,548 @@
+// Gamepad Input
+// Maps Gamepad API controllers to emulated Wii Remotes (+ Nunchuk), Classic Controllers and GameCube controllers
+
+/**
+ * Controls of each emulated controller, in the order they are sent to Dolphin
+ * Sticks are split into four directions so each can be bound on its own.
+ */
+const EMULATED_CONTROLLERS = {
+    wiimote: {
+        name: 'Wii Remote + Nunchuk',
+        controls: ['A', 'B', '1', '2', 'Plus', 'Minus', 'Home', 'Up', 'Down', 'Left', 'Right',
+            'C', 'Z', 'Stick Up', 'Stick Down', 'Stick Left', 'Stick Right']
+    },
+    classic: {
+        name: 'Classic Controller',
+        controls: ['A', 'B', 'X', 'Y', 'L', 'R', 'ZL', 'ZR', 'Plus', 'Minus', 'Home', 'Up', 'Down', 'Left', 'Right',
+            'Left Stick Up', 'Left Stick Down', 'Left Stick Left', 'Left Stick Right',
+            'Right Stick Up', 'Right Stick Down', 'Right Stick Left', 'Right Stick Right']
+    },
+    gamecube: {
+        name: 'GameCube Controller',
+        controls: ['A', 'B', 'X', 'Y', 'Z', 'Start', 'L', 'R', 'Up', 'Down', 'Left', 'Right',
+            'Main Stick Up', 'Main Stick Down', 'Main Stick Left', 'Main Stick Right',
+            'C-Stick Up', 'C-Stick Down', 'C-Stick Left', 'C-Stick Right']
+    }
+};
+
+/**
+ * Default bindings, in terms of the Gamepad API "standard" mapping
+ * Face buttons follow their position on the original controller.
+ */
+const DEFAULT_GAMEPAD_BINDINGS = {
+    wiimote: {
+        'A': 'Button 0', 'B': 'Button 7', '1': 'Button 2', '2': 'Button 3',
+        'Plus': 'Button 9', 'Minus': 'Button 8', 'Home': 'Button 16',
+        'Up': 'Button 12', 'Down': 'Button 13', 'Left': 'Button 14', 'Right': 'Button 15',
+        'C': 'Button 4', 'Z': 'Button 6',
+        'Stick Up': 'Axis 1-', 'Stick Down': 'Axis 1+', 'Stick Left': 'Axis 0-', 'Stick Right': 'Axis 0+'
+    },
+    classic: {
+        'A': 'Button 1', 'B': 'Button 0', 'X': 'Button 3', 'Y': 'Button 2',
+        'L': 'Button 6', 'R': 'Button 7', 'ZL': 'Button 4', 'ZR': 'Button 5',
+        'Plus': 'Button 9', 'Minus': 'Button 8', 'Home': 'Button 16',
+        'Up': 'Button 12', 'Down': 'Button 13', 'Left': 'Button 14', 'Right': 'Button 15',
+        'Left Stick Up': 'Axis 1-', 'Left Stick Down': 'Axis 1+', 'Left Stick Left': 'Axis 0-', 'Left Stick Right': 'Axis 0+',
+        'Right Stick Up': 'Axis 3-', 'Right Stick Down': 'Axis 3+', 'Right Stick Left': 'Axis 2-', 'Right Stick Right': 'Axis 2+'
+    },
+    gamecube: {
+        'A': 'Button 0', 'B': 'Button 2', 'X': 'Button 1', 'Y': 'Button 3',
+        'Z': 'Button 5', 'Start': 'Button 9', 'L': 'Button 6', 'R': 'Button 7',
+        'Up': 'Button 12', 'Down': 'Button 13', 'Left': 'Button 14', 'Right': 'Button 15',
+        'Main Stick Up': 'Axis 1-', 'Main Stick Down': 'Axis 1+', 'Main Stick Left': 'Axis 0-', 'Main Stick Right': 'Axis 0+',
+        'C-Stick Up': 'Axis 3-', 'C-Stick Down': 'Axis 3+', 'C-Stick Left': 'Axis 2-', 'C-Stick Right': 'Axis 2+'
+    }
+};
+
+/**
+ * Physical layouts, used to name the buttons of the standard mapping
+ */
+const GAMEPAD_LAYOUTS = {
+    xbox: {
+        name: 'Xbox',
+        buttons: ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'View', 'Menu', 'LS', 'RS',
+            'D-Pad Up', 'D-Pad Down', 'D-Pad Left', 'D-Pad Right', 'Xbox']
+    },
+    playstation: {
+        name: 'PlayStation',
+        buttons: ['Cross', 'Circle', 'Square', 'Triangle', 'L1', 'R1', 'L2', 'R2', 'Share', 'Options', 'L3', 'R3',
+            'D-Pad Up', 'D-Pad Down', 'D-Pad Left', 'D-Pad Right', 'PS']
+    }
+};
+const GAMEPAD_AXIS_NAMES = ['Left Stick X', 'Left Stick Y', 'Right Stick X', 'Right Stick Y'];
+
+/**
+ * Input tuning
+ */
+const GAMEPAD_MAX_PORTS = 4;
+const GAMEPAD_DEADZONE = 0.15;
+const GAMEPAD_REMAP_THRESHOLD = 0.6; // How far a button or axis must move to be picked while remapping
+const GAMEPAD_REMAP_TIMEOUT = 5000; // ms
+const GAMEPAD_MAPPINGS_STORAGE_KEY = 'webwiiGamepadMappings';
+
+/**
+ * Mappings saved per controller ID: {device, layout, bindings: {device: {control: binding}}}
+ */
+let gamepadMappings = {};
+
+/**
+ * Gamepad index connected to each emulated port
+ */
+let gamepadPorts = [];
+
+/**
+ * Latest state from each input source ('gamepad', 'keyboard') on each port: {source: {device, values}}
+ */
+let controllerInputs = [];
+
+/**
+ * Last state sent for each port, to only forward changes
+ */
+let controllerLastSent = [];
+
+/**
+ * requestAnimationFrame handle of the polling loop
+ */
+let gamepadPollHandle = null;
+
+/**
+ * Open remapping screen ({port, control, baseline, startedAt}); control is null while idle
+ */
+let gamepadRemap = null;
+
+/**
+ * Initialize controller support
+ */
+function initGamepadInput() {
+    const listDiv = document.getElementById('gamepad-list');
+    const bindingsDiv = document.getElementById('gamepad-bindings');
+
+    if (!listDiv || !bindingsDiv || !navigator.getGamepads) return;
+
+    try {
+        gamepadMappings = JSON.parse(localStorage.getItem(GAMEPAD_MAPPINGS_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Stored controller mappings are unreadable:', error);
+    }
+
+    window.addEventListener('gamepadconnected', (event) => {
+        console.log(`Controller connected: ${event.gamepad.id}`);
+        refreshGamepadList();
+        startGamepadPolling();
+    });
+    window.addEventListener('gamepaddisconnected', (event) => {
+        console.log(`Controller disconnected: ${event.gamepad.id}`);
+        if (gamepadRemap && gamepadPorts[gamepadRemap.port] === event.gamepad.index) {
+            closeGamepadRemap();
+        }
+        refreshGamepadList();
+    });
+
+    // Per-controller settings carry the port they belong to
+    listDiv.addEventListener('change', (event) => {
+        const select = event.target.closest('select[data-setting]');
+        if (!select) return;
+
+        const port = parseInt(select.dataset.port, 10);
+        const gamepad = getPortGamepad(port);
+        if (!gamepad) return;
+        // Let go of held inputs first, or they stay pressed on the device being replaced
+        releaseGamepadPort(port);
+        getGamepadMapping(gamepad)[select.dataset.setting] = select.value;
+        saveGamepadMappings();
+        refreshGamepadList();
+    });
+    listDiv.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-action="remap"]');
+        if (button) {
+            openGamepadRemap(parseInt(button.dataset.port, 10));
+        }
+    });
+
+    bindingsDiv.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-control]');
+        if (button && gamepadRemap) {
+            startGamepadCapture(button.dataset.control);
+        }
+    });
+    document.getElementById('gamepad-reset').addEventListener('click', resetGamepadBindings);
+    document.getElementById('gamepad-remap-done').addEventListener('click', closeGamepadRemap);
+
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && gamepadRemap && gamepadRemap.control) {
+            event.preventDefault();
+            cancelGamepadCapture();
+        }
+    });
+
+    refreshGamepadList();
+}
+
+/**
+ * Save the controller mappings to localStorage
+ */
+function saveGamepadMappings() {
+    localStorage.setItem(GAMEPAD_MAPPINGS_STORAGE_KEY, JSON.stringify(gamepadMappings));
+}
+
+/**
+ * Guess the physical layout from a controller ID
+ * @param {string} id - Gamepad ID
+ * @returns {string} Layout key (see GAMEPAD_LAYOUTS)
+ */
+function detectGamepadLayout(id) {
+    return /playstation|dualshock|dualsense|054c/i.test(id) ? 'playstation' : 'xbox';
+}
+
+/**
+ * Get (creating if needed) the saved mapping for a controller
+ * @param {Gamepad} gamepad - Gamepad
+ * @returns {Object} Mapping ({device, layout, bindings})
+ */
+function getGamepadMapping(gamepad) {
+    if (!gamepadMappings[gamepad.id]) {
+        gamepadMappings[gamepad.id] = {
+            device: 'wiimote',
+            layout: detectGamepadLayout(gamepad.id),
+            bindings: {}
+        };
+    }
+    return gamepadMappings[gamepad.id];
+}
+
+/**
+ * Binding for one emulated control, falling back to the preset
+ * @param {Object} mapping - Controller mapping
+ * @param {string} device - Emulated controller
+ * @param {string} control - Control name
+ * @returns {string|null} Binding such as 'Button 0' or 'Axis 1-', or null if unbound
+ */
+function getControlBinding(mapping, device, control) {
+    const custom = mapping.bindings[device];
+    if (custom && control in custom) {
+        return custom[control];
+    }
+    return DEFAULT_GAMEPAD_BINDINGS[device][control] || null;
+}
+
+/**
+ * Read how far a binding is pressed
+ * @param {Gamepad} gamepad - Gamepad
+ * @param {string|null} binding - Binding
+ * @returns {number} 0 to 1
+ */
+function readGamepadBinding(gamepad, binding) {
+    const match = binding && /^(Button|Axis) (\d+)([+-]?)$/.exec(binding);
+    if (!match) return 0;
+
+    const index = parseInt(match[2], 10);
+    if (match[1] === 'Button') {
+        const button = gamepad.buttons[index];
+        return button ? button.value || (button.pressed ? 1 : 0) : 0;
+    }
+
+    const axis = gamepad.axes[index] || 0;
+    const value = match[3] === '-' ? -axis : axis;
+    return value <= GAMEPAD_DEADZONE ? 0 : (value - GAMEPAD_DEADZONE) / (1 - GAMEPAD_DEADZONE);
+}
+
+/**
+ * Describe a binding with the controller's button names
+ * @param {string|null} binding - Binding
+ * @param {string} layout - Layout key
+ * @returns {string}
+ */
+function describeGamepadBinding(binding, layout) {
+    const match = binding && /^(Button|Axis) (\d+)([+-]?)$/.exec(binding);
+    if (!match) return 'Not bound';
+
+    const index = parseInt(match[2], 10);
+    if (match[1] === 'Button') {
+        const name = GAMEPAD_LAYOUTS[layout].buttons[index];
+        return name ? `${name} (${binding})` : binding;
+    }
+    const name = GAMEPAD_AXIS_NAMES[index];
+    return name ? `${name} ${match[3]} (${binding})` : binding;
+}
+
+/**
+ * Gamepad connected to a port
+ * @param {number} port - Port index
+ * @returns {Gamepad|null}
+ */
+function getPortGamepad(port) {
+    const index = gamepadPorts[port];
+    return index === undefined ? null : navigator.getGamepads()[index] || null;
+}
+
+/**
+ * Assign connected controllers to ports and redraw the list
+ */
+function refreshGamepadList() {
+    const listDiv = document.getElementById('gamepad-list');
+    const statusDiv = document.getElementById('gamepad-status');
+    const previousPorts = gamepadPorts;
+
+    gamepadPorts = Array.from(navigator.getGamepads())
+        .filter(Boolean)
+        .slice(0, GAMEPAD_MAX_PORTS)
+        .map(gamepad => gamepad.index);
+
+    // Release whatever a controller that went away was holding
+    previousPorts.forEach((index, port) => {
+        if (gamepadPorts[port] !== index) {
+            releaseGamepadPort(port);
+        }
+    });
+
+    if (gamepadPorts.length === 0) {
+        listDiv.innerHTML = '';
+        showStatus(statusDiv, 'info', 'No controllers detected. Connect one and press any button.');
+        return;
+    }
+    statusDiv.style.display = 'none';
+
+    const rows = gamepadPorts.map((index, port) => {
+        const gamepad = navigator.getGamepads()[index];
+        const mapping = getGamepadMapping(gamepad);
+        const deviceOptions = Object.entries(EMULATED_CONTROLLERS).map(([key, device]) =>
+            `<option value="${key}" ${key === mapping.device ? 'selected' : ''}>${device.name}</option>`).join('');
+        const layoutOptions = Object.entries(GAMEPAD_LAYOUTS).map(([key, layout]) =>
+            `<option value="${key}" ${key === mapping.layout ? 'selected' : ''}>${layout.name}</option>`).join('');
+
+        return `
+            <tr>
+                <td>${port + 1}</td>
+                <td>${escapeHtml(gamepad.id)}${gamepad.mapping !== 'standard' ? '<br><span class="nand-size">Non-standard layout, remap the buttons if they are wrong</span>' : ''}</td>
+                <td><select data-setting="device" data-port="${port}">${deviceOptions}</select></td>
+                <td><select data-setting="layout" data-port="${port}">${layoutOptions}</select></td>
+                <td class="title-actions">
+                    <button class="wii-button" data-action="remap" data-port="${port}">Remap</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+
+    listDiv.innerHTML = `
+        <table class="details-table">
+            <thead>
+                <tr><th>Port</th><th>Controller</th><th>Emulates</th><th>Layout</th><th>Actions</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+
+    if (gamepadRemap) {
+        renderGamepadBindings();
+    }
+}
+
+/**
+ * Start polling controllers every frame
+ */
+function startGamepadPolling() {
+    if (gamepadPollHandle === null) {
+        gamepadPollHandle = requestAnimationFrame(pollGamepads);
+    }
+}
+
+/**
+ * Read every controller, forward its state to Dolphin and drive the remapping screen
+ */
+function pollGamepads() {
+    gamepadPollHandle = null;
+    if (gamepadPorts.length === 0) return;
+
+    gamepadPorts.forEach((index, port) => {
+        const gamepad = navigator.getGamepads()[index];
+        if (!gamepad) return;
+
+        const mapping = getGamepadMapping(gamepad);
+        const values = EMULATED_CONTROLLERS[mapping.device].controls.map(control =>
+            readGamepadBinding(gamepad, getControlBinding(mapping, mapping.device, control)));
+
+        if (gamepadRemap && gamepadRemap.port === port) {
+            if (gamepadRemap.control) {
+                checkGamepadCapture(gamepad);
+            } else {
+                updateGamepadMeters(values);
+            }
+            // Input goes to the remapping screen, not the game
+            return;
+        }
+        submitControllerInput('gamepad', port, mapping.device, values);
+    });
+
+    gamepadPollHandle = requestAnimationFrame(pollGamepads);
+}
+
+/**
+ * Record one input source's state for a port and forward the port's state to Dolphin when it changed
+ * Sources driving the same emulated controller are combined; the strongest press of each control wins.
+ * @param {string} source - 'gamepad' or 'keyboard'
+ * @param {number} port - Port index
+ * @param {string} device - Emulated controller
+ * @param {number[]|null} values - Control values in EMULATED_CONTROLLERS order, or null to release everything
+ */
+function submitControllerInput(source, port, device, values) {
+    const inputs = controllerInputs[port] = controllerInputs[port] || {};
+    if (values) {
+        inputs[source] = { device: device, values: values };
+    } else {
+        delete inputs[source];
+    }
+
+    const sources = Object.values(inputs).filter(input => input.device === device);
+    const combined = EMULATED_CONTROLLERS[device].controls.map((control, i) =>
+        Math.max(0, ...sources.map(input => input.values[i])));
+
+    if (!backendSupports('controllerInput')) return;
+
+    const key = device + ':' + combined.join(',');
+    if (controllerLastSent[port] === key) return;
+    controllerLastSent[port] = key;
+
+    getActiveBackend().sendInput(port, device, combined);
+}
+
+/**
+ * Release every control a gamepad holds on a port
+ * @param {number} port - Port index
+ */
+function releaseGamepadPort(port) {
+    const input = controllerInputs[port] && controllerInputs[port].gamepad;
+    if (input) {
+        submitControllerInput('gamepad', port, input.device, null);
+    }
+}
+
+/**
+ * Open the remapping screen for a port
+ * @param {number} port - Port index
+ */
+function openGamepadRemap(port) {
+    if (!getPortGamepad(port)) return;
+
+    releaseGamepadPort(port);
+    gamepadRemap = { port: port, control: null, baseline: null, startedAt: 0 };
+    document.getElementById('gamepad-remap').style.display = 'block';
+    renderGamepadBindings();
+    startGamepadPolling();
+}
+
+/**
+ * Close the remapping screen
+ */
+function closeGamepadRemap() {
+    gamepadRemap = null;
+    document.getElementById('gamepad-remap').style.display = 'none';
+}
+
+/**
+ * Draw the bindings of the port being remapped
+ */
+function renderGamepadBindings() {
+    const gamepad = getPortGamepad(gamepadRemap.port);
+    if (!gamepad) return;
+
+    const mapping = getGamepadMapping(gamepad);
+    const device = EMULATED_CONTROLLERS[mapping.device];
+    document.getElementById('gamepad-remap-title').textContent = `Port ${gamepadRemap.port + 1}: ${device.name}`;
+
+    document.getElementById('gamepad-bindings').innerHTML = device.controls.map(control => {
+        const capturing = gamepadRemap.control === control;
+        return `
+            <div class="gamepad-binding${capturing ? ' capturing' : ''}">
+                <span class="gamepad-control">${escapeHtml(control)}</span>
+                <button class="wii-button" data-control="${escapeHtml(control)}">
+                    ${capturing ? 'Press a button… (Esc to cancel)' : escapeHtml(describeGamepadBinding(getControlBinding(mapping, mapping.device, control), mapping.layout))}
+                </button>
+                <span class="gamepad-meter"><span class="gamepad-meter-fill"></span></span>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Show how far each control is pressed on the remapping screen
+ * @param {number[]} values - Control values
+ */
+function updateGamepadMeters(values) {
+    document.querySelectorAll('#gamepad-bindings .gamepad-meter-fill').forEach((fill, i) => {
+        fill.style.width = `${Math.round((values[i] || 0) * 100)}%`;
+    });
+}
+
+/**
+ * Wait for the next button or axis movement and bind it to a control
+ * @param {string} control - Control name
+ */
+function startGamepadCapture(control) {
+    const gamepad = getPortGamepad(gamepadRemap.port);
+    if (!gamepad) return;
+
+    // Triggers on some controllers rest at -1, so movement is measured from where the axes are now
+    gamepadRemap.control = control;
+    gamepadRemap.baseline = {
+        buttons: gamepad.buttons.map(button => button.pressed),
+        axes: Array.from(gamepad.axes)
+    };
+    gamepadRemap.startedAt = performance.now();
+    renderGamepadBindings();
+}
+
+/**
+ * Check whether the controller being remapped has a new input to bind
+ * @param {Gamepad} gamepad - Gamepad
+ */
+function checkGamepadCapture(gamepad) {
+    const { baseline } = gamepadRemap;
+    let binding = null;
+
+    gamepad.buttons.forEach((button, index) => {
+        if (!binding && button.pressed && !baseline.buttons[index]) {
+            binding = `Button ${index}`;
+        }
+    });
+    gamepad.axes.forEach((value, index) => {
+        const moved = value - (baseline.axes[index] || 0);
+        if (!binding && Math.abs(moved) >= GAMEPAD_REMAP_THRESHOLD) {
+            binding = `Axis ${index}${moved > 0 ? '+' : '-'}`;
+        }
+    });
+
+    if (binding) {
+        const mapping = getGamepadMapping(gamepad);
+        mapping.bindings[mapping.device] = mapping.bindings[mapping.device] || {};
+        mapping.bindings[mapping.device][gamepadRemap.control] = binding;
+        saveGamepadMappings();
+        cancelGamepadCapture();
+    } else if (performance.now() - gamepadRemap.startedAt > GAMEPAD_REMAP_TIMEOUT) {
+        cancelGamepadCapture();
+    }
+}
+
+/**
+ * Stop waiting for an input
+ */
+function cancelGamepadCapture() {
+    gamepadRemap.control = null;
+    renderGamepadBindings();
+}
+
+/**
+ * Restore the preset bindings of the port being remapped
+ */
+function resetGamepadBindings() {
+    const gamepad = gamepadRemap && getPortGamepad(gamepadRemap.port);
+    if (!gamepad) return;
+
+    const mapping = getGamepadMapping(gamepad);
+    delete mapping.bindings[mapping.device];
+    saveGamepadMappings();
+    gamepadRemap.control = null;
+    renderGamepadBindings();
+}
+
+// Initialize on DOM load
+document.addEventListener('DOMContentLoaded', initGamepadInput);
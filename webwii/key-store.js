@@ -0,0 +1,125 @@
+// Key Store
+// Keeps user-supplied console keys in this browser's localStorage.
+// WebWii never ships Nintendo keys; users paste or import their own.
+
+/**
+ * localStorage key prefix for stored keys
+ */
+const KEY_STORE_PREFIX = 'webwiiKey.';
+
+/**
+ * Known keys and their expected sizes in bytes
+ */
+const KNOWN_KEYS = {
+    common: 16,
+    korean: 16, // Common key of Korean consoles
+    sd: 16, // Encrypts save data exported to SD cards
+    console: 0x400 // Full keys.bin from a BootMii dump
+};
+
+/**
+ * Common keys by the index a ticket names
+ * Index 2 is the Wii U's vWii key, which WebWii does not use.
+ */
+const TICKET_COMMON_KEYS = ['common', 'korean'];
+
+/**
+ * Parse and validate a hex key for a known key name
+ * @param {string} name - Key name (see KNOWN_KEYS)
+ * @param {string} hex - Hex string entered by the user
+ * @returns {Uint8Array} Key bytes
+ */
+function parseKeyHex(name, hex) {
+    const expectedLength = KNOWN_KEYS[name];
+    if (!expectedLength) {
+        throw new Error(`Unknown key "${name}"`);
+    }
+
+    let bytes;
+    try {
+        bytes = hexToBytes(hex);
+    } catch (error) {
+        throw new Error(`The ${name} key must be written in hex`);
+    }
+    if (bytes.length !== expectedLength) {
+        throw new Error(`The ${name} key must be ${expectedLength} bytes (${expectedLength * 2} hex characters), got ${bytes.length}`);
+    }
+    return bytes;
+}
+
+/**
+ * Get a stored key
+ * @param {string} name - Key name
+ * @returns {Uint8Array|null} Key bytes, or null if not stored
+ */
+function getStoredKey(name) {
+    try {
+        const hex = localStorage.getItem(KEY_STORE_PREFIX + name);
+        return hex ? parseKeyHex(name, hex) : null;
+    } catch (error) {
+        console.warn(`Stored ${name} key is unreadable:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Store a key locally
+ * @param {string} name - Key name
+ * @param {Uint8Array} bytes - Key bytes
+ */
+function setStoredKey(name, bytes) {
+    localStorage.setItem(KEY_STORE_PREFIX + name, bytesToHex(bytes));
+}
+
+/**
+ * Remove a stored key
+ * @param {string} name - Key name
+ */
+function clearStoredKey(name) {
+    localStorage.removeItem(KEY_STORE_PREFIX + name);
+}
+
+/**
+ * Name of the common key a ticket's title key is encrypted with
+ * @param {Object} ticket - Ticket with its commonKeyIndex
+ * @returns {string} Key name ('common' or 'korean')
+ */
+function getTicketCommonKeyName(ticket) {
+    const name = TICKET_COMMON_KEYS[ticket.commonKeyIndex];
+    if (!name) {
+        throw new Error(`The ticket uses common key ${ticket.commonKeyIndex}, which WebWii does not support (only the standard and Korean keys are)`);
+    }
+    return name;
+}
+
+/**
+ * Stored common key for a ticket
+ * @param {Object} ticket - Ticket with its commonKeyIndex
+ * @returns {Uint8Array|null} Key, or null if it is not stored or not supported
+ */
+function getStoredTicketCommonKey(ticket) {
+    const name = TICKET_COMMON_KEYS[ticket.commonKeyIndex];
+    return name ? getStoredKey(name) : null;
+}
+
+/**
+ * Describe a common key for messages
+ * @param {string} name - 'common' or 'korean'
+ * @returns {string}
+ */
+function describeCommonKey(name) {
+    return name === 'korean' ? 'Korean common key' : 'Wii common key';
+}
+
+/**
+ * Store a console's keys.bin so NAND, WAD and save tools can reuse it
+ * The common key inside it is also stored unless one is already present.
+ * @param {Uint8Array} keys - keys.bin contents
+ */
+function storeConsoleKeys(keys) {
+    const parsed = parseKeysBin(keys);
+    setStoredKey('console', keys.subarray(0, KEYS_BIN_SIZE));
+    if (!getStoredKey('common')) {
+        setStoredKey('common', parsed.commonKey);
+    }
+}
@@ -0,0 +1,557 @@
+// Keyboard Input
+// Keyboard bindings for an emulated controller, Wii Remote motion and emulator hotkeys, with conflict checks and JSON import/export
+
+/**
+ * Default keys for each emulated controller, by KeyboardEvent.code
+ */
+const DEFAULT_KEYBOARD_CONTROLS = {
+    wiimote: {
+        'A': 'KeyX', 'B': 'KeyZ', '1': 'Digit1', '2': 'Digit2',
+        'Plus': 'Equal', 'Minus': 'Minus', 'Home': 'KeyH',
+        'Up': 'ArrowUp', 'Down': 'ArrowDown', 'Left': 'ArrowLeft', 'Right': 'ArrowRight',
+        'C': 'KeyC', 'Z': 'KeyV',
+        'Stick Up': 'KeyW', 'Stick Down': 'KeyS', 'Stick Left': 'KeyA', 'Stick Right': 'KeyD'
+    },
+    classic: {
+        'A': 'KeyX', 'B': 'KeyZ', 'X': 'KeyC', 'Y': 'KeyV',
+        'L': 'KeyQ', 'R': 'KeyE', 'ZL': 'Digit1', 'ZR': 'Digit3',
+        'Plus': 'Equal', 'Minus': 'Minus', 'Home': 'KeyH',
+        'Up': 'ArrowUp', 'Down': 'ArrowDown', 'Left': 'ArrowLeft', 'Right': 'ArrowRight',
+        'Left Stick Up': 'KeyW', 'Left Stick Down': 'KeyS', 'Left Stick Left': 'KeyA', 'Left Stick Right': 'KeyD',
+        'Right Stick Up': 'Numpad8', 'Right Stick Down': 'Numpad2', 'Right Stick Left': 'Numpad4', 'Right Stick Right': 'Numpad6'
+    },
+    gamecube: {
+        'A': 'KeyX', 'B': 'KeyZ', 'X': 'KeyC', 'Y': 'KeyV',
+        'Z': 'Space', 'Start': 'Enter', 'L': 'KeyQ', 'R': 'KeyE',
+        'Up': 'ArrowUp', 'Down': 'ArrowDown', 'Left': 'ArrowLeft', 'Right': 'ArrowRight',
+        'Main Stick Up': 'KeyW', 'Main Stick Down': 'KeyS', 'Main Stick Left': 'KeyA', 'Main Stick Right': 'KeyD',
+        'C-Stick Up': 'Numpad8', 'C-Stick Down': 'Numpad2', 'C-Stick Left': 'Numpad4', 'C-Stick Right': 'Numpad6'
+    }
+};
+
+/**
+ * Wii Remote motion keys, read by wiimote-pointer.js when tilt comes from keys
+ */
+const KEYBOARD_MOTION_INPUTS = {
+    forward: 'Tilt forward',
+    backward: 'Tilt backward',
+    left: 'Tilt left',
+    right: 'Tilt right',
+    shake: 'Shake'
+};
+const DEFAULT_KEYBOARD_MOTION = { forward: 'KeyI', backward: 'KeyK', left: 'KeyJ', right: 'KeyL', shake: 'KeyU' };
+
+/**
+ * Emulator hotkeys: press runs when the key goes down; actions with release are held
+ */
+const KEYBOARD_ACTIONS = {
+    pause: { label: 'Pause / resume', press: () => togglePause() },
+    reset: { label: 'Reset', press: () => resetEmulator() },
+    fullscreen: { label: 'Fullscreen', press: () => toggleFullscreen() },
+    fastForward: { label: 'Fast-forward (hold)', press: () => setFastForward(true), release: () => setFastForward(false) },
+    rewind: { label: 'Rewind (hold)', press: () => startEmulatorRewind(), release: () => stopEmulatorRewind() },
+    screenshot: { label: 'Screenshot', press: () => takeScreenshot() },
+    recenter: { label: 'Recenter pointer', press: () => recenterPointer() }
+};
+const DEFAULT_KEYBOARD_ACTIONS = {
+    pause: 'KeyP', reset: 'Shift+KeyR', fullscreen: 'KeyF', fastForward: 'Tab',
+    rewind: 'Backspace', screenshot: 'Backquote', recenter: 'KeyT'
+};
+for (let slot = 1; slot <= 10; slot++) {
+    KEYBOARD_ACTIONS[`loadState${slot}`] = {
+        label: `Load state ${slot}`,
+        press: () => canUseSaveStates() && loadStateFromSlot(slot)
+    };
+    KEYBOARD_ACTIONS[`saveState${slot}`] = {
+        label: `Save state ${slot}`,
+        press: () => canUseSaveStates() && saveStateToSlot(slot)
+    };
+    DEFAULT_KEYBOARD_ACTIONS[`loadState${slot}`] = `F${slot}`;
+    DEFAULT_KEYBOARD_ACTIONS[`saveState${slot}`] = `Shift+F${slot}`;
+}
+
+/**
+ * Modifiers, in the order they are written in a binding such as 'Ctrl+Shift+KeyS'
+ */
+const KEYBOARD_MODIFIERS = [['Ctrl', 'ctrlKey'], ['Alt', 'altKey'], ['Shift', 'shiftKey'], ['Meta', 'metaKey']];
+const KEYBOARD_MODIFIER_CODES = ['ControlLeft', 'ControlRight', 'AltLeft', 'AltRight',
+    'ShiftLeft', 'ShiftRight', 'MetaLeft', 'MetaRight'];
+
+const KEYBOARD_SETTINGS_STORAGE_KEY = 'webwiiKeyboardBindings';
+
+/**
+ * Keys wiimote-pointer.js kept in its own settings before they moved here, with their defaults then
+ * Only changed keys are carried over, since KeyC is now the C button.
+ */
+const LEGACY_POINTER_KEYS = { forward: 'KeyI', backward: 'KeyK', left: 'KeyJ', right: 'KeyL', shake: 'KeyU' };
+const LEGACY_POINTER_RECENTER_KEY = 'KeyC';
+const KEYBOARD_EXPORT_VERSION = 1;
+
+/**
+ * Current settings: {device, port, controls: {device: {control: code}}, motion: {input: code}, actions: {action: binding}}
+ * An empty string leaves something unbound.
+ */
+let keyboardSettings = null;
+
+/**
+ * Codes of the keys held down, and the held actions to release with them (code → action)
+ */
+let keyboardHeld = new Set();
+let keyboardHeldActions = new Map();
+
+/**
+ * Binding waiting for a key press ({group, name}), or null
+ */
+let keyboardCapture = null;
+
+/**
+ * Initialize keyboard input and the bindings panel
+ */
+function initKeyboardInput() {
+    const panel = document.getElementById('keyboard-settings');
+    const importInput = document.getElementById('keyboard-import');
+
+    if (!panel || !importInput) return;
+
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(KEYBOARD_SETTINGS_STORAGE_KEY));
+    } catch (error) {
+        console.warn('Stored keyboard bindings are unreadable:', error);
+    }
+    const migrated = migratePointerKeys(saved);
+    keyboardSettings = normalizeKeyboardSettings(migrated || saved);
+    if (migrated) {
+        saveKeyboardSettings();
+    }
+
+    panel.addEventListener('change', (event) => {
+        const select = event.target.closest('select[data-setting]');
+        if (!select) return;
+
+        releaseKeyboardControls();
+        keyboardSettings[select.dataset.setting] = select.dataset.setting === 'port' ? parseInt(select.value, 10) : select.value;
+        saveKeyboardSettings();
+        renderKeyboardSettings();
+    });
+    panel.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        switch (button.dataset.action) {
+            case 'bind':
+                keyboardCapture = { group: button.dataset.group, name: button.dataset.name };
+                renderKeyboardSettings();
+                break;
+            case 'unbind':
+                setKeyboardBinding(button.dataset.group, button.dataset.name, '');
+                break;
+            case 'export':
+                exportKeyboardBindings();
+                break;
+            case 'import':
+                importInput.click();
+                break;
+            case 'reset':
+                showNandWarning('You are about to replace all keyboard bindings with the defaults. Are you sure you want to proceed?', () => {
+                    releaseKeyboardControls();
+                    keyboardSettings = normalizeKeyboardSettings(null);
+                    saveKeyboardSettings();
+                    renderKeyboardSettings();
+                    showStatus(document.getElementById('keyboard-status'), 'success', 'Keyboard bindings reset.');
+                });
+                break;
+        }
+    });
+    importInput.addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (file) {
+            importKeyboardBindings(file);
+        }
+    });
+
+    document.addEventListener('keydown', handleKeyboardKeyDown);
+    document.addEventListener('keyup', handleKeyboardKeyUp);
+    window.addEventListener('blur', releaseKeyboardInput);
+
+    renderKeyboardSettings();
+}
+
+/**
+ * Move tilt, shake and recenter keys out of the pointer settings, once
+ * Bindings already saved here win over the old ones.
+ * @param {Object|null} saved - Saved settings
+ * @returns {Object|null} Settings with the old keys, or null if there was nothing to move
+ */
+function migratePointerKeys(saved) {
+    let pointer = null;
+    try {
+        pointer = JSON.parse(localStorage.getItem(POINTER_SETTINGS_STORAGE_KEY));
+    } catch (error) {
+        return null;
+    }
+    if (!pointer || typeof pointer !== 'object' || (!('tiltKeys' in pointer) && !('recenterKey' in pointer))) {
+        return null;
+    }
+
+    saved = saved && typeof saved === 'object' ? saved : {};
+    const motion = {};
+    Object.entries(pointer.tiltKeys || {}).forEach(([name, code]) => {
+        if (LEGACY_POINTER_KEYS[name] && typeof code === 'string' && code !== LEGACY_POINTER_KEYS[name]) {
+            motion[name] = code;
+        }
+    });
+    const actions = {};
+    if (typeof pointer.recenterKey === 'string' && pointer.recenterKey !== LEGACY_POINTER_RECENTER_KEY) {
+        actions.recenter = pointer.recenterKey;
+    }
+
+    delete pointer.tiltKeys;
+    delete pointer.recenterKey;
+    localStorage.setItem(POINTER_SETTINGS_STORAGE_KEY, JSON.stringify(pointer));
+
+    return {
+        ...saved,
+        motion: { ...motion, ...saved.motion },
+        actions: { ...actions, ...saved.actions }
+    };
+}
+
+/**
+ * Fill in anything missing from saved or imported settings with the defaults
+ * @param {Object|null} saved - Saved settings
+ * @returns {Object} Settings
+ */
+function normalizeKeyboardSettings(saved) {
+    saved = saved && typeof saved === 'object' ? saved : {};
+    const savedControls = saved.controls || {};
+    const keep = (defaults, values) => {
+        const merged = { ...defaults };
+        Object.keys(defaults).forEach(name => {
+            if (values && typeof values[name] === 'string') {
+                merged[name] = values[name];
+            }
+        });
+        return merged;
+    };
+
+    const controls = {};
+    Object.keys(EMULATED_CONTROLLERS).forEach(device => {
+        controls[device] = keep(DEFAULT_KEYBOARD_CONTROLS[device], savedControls[device]);
+    });
+    const port = parseInt(saved.port, 10);
+
+    return {
+        device: EMULATED_CONTROLLERS[saved.device] ? saved.device : 'wiimote',
+        port: port >= 0 && port < GAMEPAD_MAX_PORTS ? port : 0,
+        controls: controls,
+        motion: keep(DEFAULT_KEYBOARD_MOTION, saved.motion),
+        actions: keep(DEFAULT_KEYBOARD_ACTIONS, saved.actions)
+    };
+}
+
+/**
+ * Save the settings to localStorage
+ */
+function saveKeyboardSettings() {
+    localStorage.setItem(KEYBOARD_SETTINGS_STORAGE_KEY, JSON.stringify(keyboardSettings));
+}
+
+/**
+ * Bindings of one group
+ * @param {string} group - 'controls', 'motion' or 'actions'
+ * @returns {Object} Name → binding; controls are those of the selected controller
+ */
+function getKeyboardGroup(group) {
+    return group === 'controls' ? keyboardSettings.controls[keyboardSettings.device] : keyboardSettings[group];
+}
+
+/**
+ * Change one binding
+ * @param {string} group - 'controls', 'motion' or 'actions'
+ * @param {string} name - Control, motion input or action
+ * @param {string} binding - New binding, or '' to unbind
+ */
+function setKeyboardBinding(group, name, binding) {
+    releaseKeyboardControls();
+    getKeyboardGroup(group)[name] = binding;
+    saveKeyboardSettings();
+    renderKeyboardSettings();
+
+    const conflicts = getKeyboardConflicts()[`${group}:${name}`];
+    if (conflicts) {
+        showStatus(document.getElementById('keyboard-status'), 'error',
+            `${describeKeyBinding(binding)} is also used by ${conflicts.join(', ')}.`);
+    }
+}
+
+/**
+ * Every active binding: the selected controller's controls, motion and hotkeys
+ * Controls and motion are held keys matched by code alone, so they keep working while a modifier is down.
+ * @returns {{id: string, label: string, binding: string, held: boolean}[]}
+ */
+function listKeyboardBindings() {
+    const entries = [];
+    Object.entries(getKeyboardGroup('controls')).forEach(([name, binding]) => {
+        entries.push({ id: `controls:${name}`, label: name, binding: binding, held: true });
+    });
+    Object.entries(keyboardSettings.motion).forEach(([name, binding]) => {
+        entries.push({ id: `motion:${name}`, label: KEYBOARD_MOTION_INPUTS[name], binding: binding, held: true });
+    });
+    Object.entries(keyboardSettings.actions).forEach(([name, binding]) => {
+        entries.push({ id: `actions:${name}`, label: KEYBOARD_ACTIONS[name].label, binding: binding, held: false });
+    });
+    return entries.filter(entry => entry.binding);
+}
+
+/**
+ * Find bindings that one key press would trigger together
+ * @returns {Object} Binding ID ('group:name') → labels of the bindings it clashes with
+ */
+function getKeyboardConflicts() {
+    const entries = listKeyboardBindings();
+    const conflicts = {};
+
+    entries.forEach(a => {
+        entries.forEach(b => {
+            if (a === b) return;
+            const clash = a.binding === b.binding ||
+                (a.held && keyBindingCode(b.binding) === a.binding) ||
+                (b.held && keyBindingCode(a.binding) === b.binding);
+            if (clash) {
+                conflicts[a.id] = conflicts[a.id] || [];
+                conflicts[a.id].push(b.label);
+            }
+        });
+    });
+    return conflicts;
+}
+
+/**
+ * Build a binding from a key event
+ * @param {KeyboardEvent} event - Key event
+ * @returns {string} e.g. 'Shift+F1'
+ */
+function keyBindingFromEvent(event) {
+    const modifiers = KEYBOARD_MODIFIERS.filter(([, property]) => event[property]).map(([name]) => name);
+    return [...modifiers, event.code].join('+');
+}
+
+/**
+ * Key code of a binding, without its modifiers
+ * @param {string} binding - Binding
+ * @returns {string}
+ */
+function keyBindingCode(binding) {
+    return binding.split('+').pop();
+}
+
+/**
+ * Name a binding for display
+ * @param {string} binding - Binding
+ * @returns {string}
+ */
+function describeKeyBinding(binding) {
+    if (!binding) return 'Unbound';
+    return binding.split('+').map(part => part
+        .replace(/^Key/, '')
+        .replace(/^Digit/, '')
+        .replace(/^Arrow/, '')
+        .replace(/^Numpad(?=\d)/, 'Num ')).join('+');
+}
+
+/**
+ * Whether keys should drive the game: a game is running and focus is not in a text field
+ * @param {KeyboardEvent} event - Key event
+ * @returns {boolean}
+ */
+function keyboardDrivesGame(event) {
+    const container = document.getElementById('emulator-container');
+    return Boolean(getActiveBackend()) && container && container.style.display !== 'none' && !isTypingTarget(event.target);
+}
+
+/**
+ * Whether a motion input's key is held, for wiimote-pointer.js
+ * @param {string} name - Motion input (see KEYBOARD_MOTION_INPUTS)
+ * @returns {boolean}
+ */
+function isKeyboardMotionHeld(name) {
+    return Boolean(keyboardSettings && keyboardSettings.motion[name] && keyboardHeld.has(keyboardSettings.motion[name]));
+}
+
+/**
+ * Handle hotkeys, held controls and key capture
+ * @param {KeyboardEvent} event - Key event
+ */
+function handleKeyboardKeyDown(event) {
+    if (keyboardCapture) {
+        captureKeyboardBinding(event);
+        return;
+    }
+    if (!keyboardDrivesGame(event)) return;
+
+    const binding = keyBindingFromEvent(event);
+    const action = Object.keys(keyboardSettings.actions).find(name => keyboardSettings.actions[name] === binding);
+    if (action) {
+        event.preventDefault();
+        if (event.repeat) return;
+        KEYBOARD_ACTIONS[action].press();
+        if (KEYBOARD_ACTIONS[action].release) {
+            keyboardHeldActions.set(event.code, action);
+        }
+        return;
+    }
+
+    const held = Object.values(getKeyboardGroup('controls')).includes(event.code) ||
+        Object.values(keyboardSettings.motion).includes(event.code);
+    if (held) {
+        event.preventDefault();
+        keyboardHeld.add(event.code);
+        updateKeyboardControls();
+    }
+}
+
+/**
+ * Let go of held controls and actions
+ * @param {KeyboardEvent} event - Key event
+ */
+function handleKeyboardKeyUp(event) {
+    const action = keyboardHeldActions.get(event.code);
+    if (action) {
+        keyboardHeldActions.delete(event.code);
+        KEYBOARD_ACTIONS[action].release();
+    }
+    if (keyboardHeld.delete(event.code)) {
+        updateKeyboardControls();
+    }
+}
+
+/**
+ * Let go of everything, e.g. when the window loses focus and key-ups would be missed
+ */
+function releaseKeyboardInput() {
+    keyboardHeldActions.forEach(action => KEYBOARD_ACTIONS[action].release());
+    keyboardHeldActions.clear();
+    keyboardHeld.clear();
+    releaseKeyboardControls();
+}
+
+/**
+ * Send the held keys as the selected controller's state
+ */
+function updateKeyboardControls() {
+    const { device, port } = keyboardSettings;
+    const bindings = keyboardSettings.controls[device];
+    const values = EMULATED_CONTROLLERS[device].controls.map(control =>
+        bindings[control] && keyboardHeld.has(bindings[control]) ? 1 : 0);
+    submitControllerInput('keyboard', port, device, values);
+}
+
+/**
+ * Release the controller the keyboard drives, before its device, port or bindings change
+ */
+function releaseKeyboardControls() {
+    if (!keyboardSettings) return;
+
+    keyboardHeld.clear();
+    submitControllerInput('keyboard', keyboardSettings.port, keyboardSettings.device, null);
+}
+
+/**
+ * Bind the pressed key to the binding being captured
+ * Hotkeys take modifiers and wait for a non-modifier key; held inputs take the key alone.
+ * @param {KeyboardEvent} event - Key event
+ */
+function captureKeyboardBinding(event) {
+    event.preventDefault();
+
+    const { group, name } = keyboardCapture;
+    if (event.code === 'Escape') {
+        keyboardCapture = null;
+        renderKeyboardSettings();
+        return;
+    }
+    if (group === 'actions' && KEYBOARD_MODIFIER_CODES.includes(event.code)) return;
+
+    keyboardCapture = null;
+    setKeyboardBinding(group, name, group === 'actions' ? keyBindingFromEvent(event) : event.code);
+}
+
+/**
+ * Download the bindings as JSON
+ */
+function exportKeyboardBindings() {
+    const data = { version: KEYBOARD_EXPORT_VERSION, ...keyboardSettings };
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), 'webwii-keyboard.json');
+}
+
+/**
+ * Replace the bindings with ones exported earlier
+ * @param {File} file - JSON file
+ */
+async function importKeyboardBindings(file) {
+    const statusDiv = document.getElementById('keyboard-status');
+
+    try {
+        const data = JSON.parse(await file.text());
+        if (!data || data.version !== KEYBOARD_EXPORT_VERSION) {
+            throw new Error('Not a WebWii keyboard bindings file');
+        }
+
+        releaseKeyboardControls();
+        keyboardSettings = normalizeKeyboardSettings(data);
+        saveKeyboardSettings();
+        renderKeyboardSettings();
+
+        const conflicts = Object.keys(getKeyboardConflicts()).length;
+        if (conflicts > 0) {
+            showStatus(statusDiv, 'error', `Bindings imported, but ${conflicts} of them clash. They are marked below.`);
+        } else {
+            showStatus(statusDiv, 'success', `Imported keyboard bindings from ${file.name}.`);
+        }
+    } catch (error) {
+        console.error('Failed to import keyboard bindings:', error);
+        showStatus(statusDiv, 'error', `Failed to import bindings: ${error.message}`);
+    }
+}
+
+/**
+ * Draw the panel from the current settings
+ */
+function renderKeyboardSettings() {
+    const panel = document.getElementById('keyboard-settings');
+    const conflicts = getKeyboardConflicts();
+
+    panel.querySelector('[data-setting="device"]').value = keyboardSettings.device;
+    panel.querySelector('[data-setting="port"]').value = String(keyboardSettings.port);
+
+    const groups = [
+        ['controls', EMULATED_CONTROLLERS[keyboardSettings.device].name, name => name],
+        ['motion', 'Wii Remote Motion', name => KEYBOARD_MOTION_INPUTS[name]],
+        ['actions', 'Hotkeys', name => KEYBOARD_ACTIONS[name].label]
+    ];
+
+    document.getElementById('keyboard-bindings').innerHTML = groups.map(([group, title, label]) => `
+        <h3 class="nand-tree-heading">${escapeHtml(title)}</h3>
+        <div class="gamepad-bindings">
+            ${Object.entries(getKeyboardGroup(group)).map(([name, binding]) => {
+                const capturing = keyboardCapture && keyboardCapture.group === group && keyboardCapture.name === name;
+                const clashes = conflicts[`${group}:${name}`];
+                return `
+                    <div class="gamepad-binding keyboard-binding${capturing ? ' capturing' : ''}${clashes ? ' conflict' : ''}"
+                        ${clashes ? `title="Also used by ${escapeHtml(clashes.join(', '))}"` : ''}>
+                        <span class="gamepad-control">${escapeHtml(label(name))}</span>
+                        <button class="wii-button" data-action="bind" data-group="${group}" data-name="${escapeHtml(name)}">
+                            ${capturing ? 'Press a key… (Esc to cancel)' : escapeHtml(describeKeyBinding(binding))}
+                        </button>
+                        <button class="wii-button" data-action="unbind" data-group="${group}" data-name="${escapeHtml(name)}" title="Unbind">✕</button>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `).join('');
+}
+
+// Initialize on DOM load
+document.addEventListener('DOMContentLoaded', initKeyboardInput);
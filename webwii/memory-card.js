@@ -0,0 +1,996 @@
+// Memory Card
+// GameCube memory card images (.raw) under /saves, with .gci import/export
+
+/**
+ * Card layout: 8 KiB blocks, the first five hold the header, two copies of
+ * the directory and two copies of the block allocation table (BAT)
+ */
+const MEMCARD_BLOCK_SIZE = 0x2000;
+const MEMCARD_SYSTEM_BLOCKS = 5;
+const MEMCARD_DIRECTORY_BLOCKS = [1, 2];
+const MEMCARD_BAT_BLOCKS = [3, 4];
+const MEMCARD_BLOCKS_PER_MBIT = 16;
+
+/**
+ * Header fields
+ */
+const MEMCARD_HEADER_SERIAL_SIZE = 12;
+const MEMCARD_HEADER_FORMAT_TIME_OFFSET = 0x0C;
+const MEMCARD_HEADER_SIZE_OFFSET = 0x22;
+const MEMCARD_HEADER_ENCODING_OFFSET = 0x24;
+const MEMCARD_HEADER_CHECKSUM_OFFSET = 0x1FC;
+
+/**
+ * Directory: 127 entries of 0x40 bytes, then an update counter and checksums
+ */
+const MEMCARD_DIRECTORY_ENTRIES = 127;
+const MEMCARD_ENTRY_SIZE = 0x40;
+const MEMCARD_DIRECTORY_COUNTER_OFFSET = 0x1FFA;
+const MEMCARD_DIRECTORY_CHECKSUM_OFFSET = 0x1FFC;
+
+/**
+ * BAT: checksums first, then an update counter, free and last allocated
+ * block, and the next-block map for blocks 5 onwards
+ */
+const MEMCARD_BAT_COUNTER_OFFSET = 0x04;
+const MEMCARD_BAT_FREE_BLOCKS_OFFSET = 0x06;
+const MEMCARD_BAT_LAST_ALLOCATED_OFFSET = 0x08;
+const MEMCARD_BAT_MAP_OFFSET = 0x0A;
+const MEMCARD_BAT_LAST_BLOCK = 0xFFFF;
+
+/**
+ * Directory entry fields (a .gci file starts with one)
+ */
+const DENTRY_MAKER_OFFSET = 0x04;
+const DENTRY_GAME_ID_SIZE = 6; // Game code and maker code
+const DENTRY_BANNER_FLAGS_OFFSET = 0x07;
+const DENTRY_FILE_NAME_OFFSET = 0x08;
+const DENTRY_FILE_NAME_SIZE = 0x20;
+const DENTRY_MODIFIED_OFFSET = 0x28;
+const DENTRY_IMAGE_OFFSET = 0x2C;
+const DENTRY_ICON_FORMAT_OFFSET = 0x30;
+const DENTRY_ANIMATION_SPEED_OFFSET = 0x32;
+const DENTRY_FIRST_BLOCK_OFFSET = 0x36;
+const DENTRY_BLOCK_COUNT_OFFSET = 0x38;
+const DENTRY_COMMENT_OFFSET = 0x3C;
+const DENTRY_COMMENT_SIZE = 0x20;
+
+/**
+ * Banner and icon images inside a save
+ * Icon frames last 4, 8 or 12 video frames; bit 2 of the banner flags makes the animation bounce.
+ */
+const MEMCARD_BANNER_WIDTH = 96;
+const MEMCARD_BANNER_HEIGHT = 32;
+const MEMCARD_ICON_SIZE = 32;
+const MEMCARD_ICON_FRAMES = 8;
+const MEMCARD_PALETTE_SIZE = 0x200;
+const MEMCARD_IMAGE_CI8_SHARED = 1;
+const MEMCARD_IMAGE_RGB5A3 = 2;
+const MEMCARD_IMAGE_CI8 = 3;
+const MEMCARD_ANIMATION_BOUNCE = 0x04;
+const MEMCARD_ANIMATION_TICK = 1000 / 60 * 4; // ms per animation speed unit
+
+/**
+ * Card sizes offered when creating a card, in usable blocks
+ */
+const MEMCARD_SIZES = {
+    59: 4,    // Mbit
+    251: 16,
+    1019: 64
+};
+
+/**
+ * Where the cards for slots A and B are kept (IndexedDB-backed)
+ */
+const MEMCARD_PATHS = ['/saves/MemoryCardA.raw', '/saves/MemoryCardB.raw'];
+const MEMCARD_SLOT_NAMES = ['A', 'B'];
+
+/**
+ * Seconds between the Unix epoch and 2000-01-01, the GameCube epoch
+ */
+const GAMECUBE_EPOCH = Date.UTC(2000, 0, 1) / 1000;
+const GAMECUBE_TICKS_PER_SECOND = 40500000;
+
+/**
+ * Cards opened in each slot, from the last refresh (null for an empty slot)
+ */
+let memoryCards = [null, null];
+
+/**
+ * Animated icons on screen for each slot, driven by one timer
+ */
+let memoryCardIcons = [[], []];
+
+/**
+ * Slot a picked .gci file is imported into
+ */
+let memoryCardImportSlot = 0;
+
+/**
+ * A GameCube memory card image
+ * Edits go to the inactive directory and BAT copies, so the previous copies
+ * stay on the card as backups just like on hardware.
+ */
+class MemoryCard {
+    /**
+     * @param {Uint8Array} data - Card image
+     */
+    constructor(data) {
+        if (data.length < MEMCARD_BLOCK_SIZE * (MEMCARD_SYSTEM_BLOCKS + 1) || data.length % MEMCARD_BLOCK_SIZE !== 0) {
+            throw new Error('This is not a memory card image (unexpected size)');
+        }
+
+        this.data = data;
+        this.view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        this.totalBlocks = data.length / MEMCARD_BLOCK_SIZE;
+
+        const sizeMbit = this.view.getUint16(MEMCARD_HEADER_SIZE_OFFSET, false);
+        if (sizeMbit * MEMCARD_BLOCKS_PER_MBIT !== this.totalBlocks) {
+            throw new Error(`The card header says ${sizeMbit} Mbit but the image holds ${this.totalBlocks} blocks`);
+        }
+
+        this.checks = {
+            header: this.checksumMatches(0, MEMCARD_HEADER_CHECKSUM_OFFSET, MEMCARD_HEADER_CHECKSUM_OFFSET),
+            directory: MEMCARD_DIRECTORY_BLOCKS.map(block => {
+                const start = block * MEMCARD_BLOCK_SIZE;
+                return this.checksumMatches(start, MEMCARD_DIRECTORY_CHECKSUM_OFFSET, start + MEMCARD_DIRECTORY_CHECKSUM_OFFSET);
+            }),
+            bat: MEMCARD_BAT_BLOCKS.map(block => {
+                // The BAT keeps its checksums in front of the range they cover
+                const start = block * MEMCARD_BLOCK_SIZE;
+                return this.checksumMatches(start + MEMCARD_BAT_COUNTER_OFFSET, MEMCARD_BLOCK_SIZE - MEMCARD_BAT_COUNTER_OFFSET, start);
+            })
+        };
+        this.directoryCopy = this.pickActiveCopy(MEMCARD_DIRECTORY_BLOCKS, this.checks.directory, MEMCARD_DIRECTORY_COUNTER_OFFSET);
+        this.batCopy = this.pickActiveCopy(MEMCARD_BAT_BLOCKS, this.checks.bat, MEMCARD_BAT_COUNTER_OFFSET);
+        if (this.directoryCopy < 0 || this.batCopy < 0) {
+            throw new Error('Both copies of the card ' + (this.directoryCopy < 0 ? 'directory' : 'allocation table') + ' are damaged');
+        }
+
+        const encoding = this.view.getUint16(MEMCARD_HEADER_ENCODING_OFFSET, false);
+        this.textDecoder = new TextDecoder(encoding === 1 ? 'shift_jis' : 'windows-1252');
+    }
+
+    /**
+     * Create a freshly formatted card
+     * @param {number} blocks - Usable blocks (see MEMCARD_SIZES)
+     * @returns {MemoryCard}
+     */
+    static format(blocks) {
+        const sizeMbit = MEMCARD_SIZES[blocks];
+        if (!sizeMbit) {
+            throw new Error(`Unsupported card size: ${blocks} blocks`);
+        }
+
+        const totalBlocks = sizeMbit * MEMCARD_BLOCKS_PER_MBIT;
+        const data = new Uint8Array(totalBlocks * MEMCARD_BLOCK_SIZE);
+        const view = new DataView(data.buffer);
+
+        // Header
+        data.fill(0xFF, 0, MEMCARD_BLOCK_SIZE);
+        crypto.getRandomValues(data.subarray(0, MEMCARD_HEADER_SERIAL_SIZE));
+        const ticks = BigInt(Math.floor(Date.now() / 1000 - GAMECUBE_EPOCH)) * BigInt(GAMECUBE_TICKS_PER_SECOND);
+        view.setBigUint64(MEMCARD_HEADER_FORMAT_TIME_OFFSET, ticks, false);
+        data.fill(0, MEMCARD_HEADER_FORMAT_TIME_OFFSET + 8, MEMCARD_HEADER_SIZE_OFFSET);
+        view.setUint16(MEMCARD_HEADER_SIZE_OFFSET, sizeMbit, false);
+        view.setUint16(MEMCARD_HEADER_ENCODING_OFFSET, 0, false);
+        writeMemcardChecksum(view, 0, MEMCARD_HEADER_CHECKSUM_OFFSET, MEMCARD_HEADER_CHECKSUM_OFFSET);
+
+        // Empty directories and allocation tables
+        MEMCARD_DIRECTORY_BLOCKS.forEach(block => {
+            const start = block * MEMCARD_BLOCK_SIZE;
+            data.fill(0xFF, start, start + MEMCARD_BLOCK_SIZE);
+            view.setUint16(start + MEMCARD_DIRECTORY_COUNTER_OFFSET, 0, false);
+            writeMemcardChecksum(view, start, MEMCARD_DIRECTORY_CHECKSUM_OFFSET, start + MEMCARD_DIRECTORY_CHECKSUM_OFFSET);
+        });
+        MEMCARD_BAT_BLOCKS.forEach(block => {
+            const start = block * MEMCARD_BLOCK_SIZE;
+            view.setUint16(start + MEMCARD_BAT_FREE_BLOCKS_OFFSET, totalBlocks - MEMCARD_SYSTEM_BLOCKS, false);
+            view.setUint16(start + MEMCARD_BAT_LAST_ALLOCATED_OFFSET, MEMCARD_SYSTEM_BLOCKS - 1, false);
+            writeMemcardChecksum(view, start + MEMCARD_BAT_COUNTER_OFFSET, MEMCARD_BLOCK_SIZE - MEMCARD_BAT_COUNTER_OFFSET, start);
+        });
+
+        data.fill(0xFF, MEMCARD_SYSTEM_BLOCKS * MEMCARD_BLOCK_SIZE);
+        return new MemoryCard(data);
+    }
+
+    /**
+     * Check a checksum pair against the data it covers
+     * @param {number} start - Offset of the checksummed range
+     * @param {number} length - Length of the range
+     * @param {number} checksumOffset - Offset of the stored checksum pair
+     * @returns {boolean}
+     */
+    checksumMatches(start, length, checksumOffset) {
+        const [sum, inverse] = calculateMemcardChecksum(this.view, start, length);
+        return this.view.getUint16(checksumOffset, false) === sum && this.view.getUint16(checksumOffset + 2, false) === inverse;
+    }
+
+    /**
+     * Choose the newest copy with a valid checksum
+     * @param {number[]} blocks - Blocks holding the two copies
+     * @param {boolean[]} valid - Checksum result for each copy
+     * @param {number} counterOffset - Offset of the update counter in the block
+     * @returns {number} Index of the copy, or -1 if both are damaged
+     */
+    pickActiveCopy(blocks, valid, counterOffset) {
+        const counters = blocks.map(block => this.view.getUint16(block * MEMCARD_BLOCK_SIZE + counterOffset, false));
+        if (valid[0] && valid[1]) {
+            // The counters wrap from 0xFFFF to 0, so the newer one is up to half the range ahead
+            return (counters[1] - counters[0]) << 16 >> 16 > 0 ? 1 : 0;
+        }
+        return valid.indexOf(true);
+    }
+
+    /**
+     * Offset of the active directory
+     * @returns {number}
+     */
+    get directoryOffset() {
+        return MEMCARD_DIRECTORY_BLOCKS[this.directoryCopy] * MEMCARD_BLOCK_SIZE;
+    }
+
+    /**
+     * Offset of the active BAT
+     * @returns {number}
+     */
+    get batOffset() {
+        return MEMCARD_BAT_BLOCKS[this.batCopy] * MEMCARD_BLOCK_SIZE;
+    }
+
+    /**
+     * Number of blocks available to saves
+     * @returns {number}
+     */
+    get userBlocks() {
+        return this.totalBlocks - MEMCARD_SYSTEM_BLOCKS;
+    }
+
+    /**
+     * Number of unallocated blocks
+     * @returns {number}
+     */
+    get freeBlocks() {
+        return this.view.getUint16(this.batOffset + MEMCARD_BAT_FREE_BLOCKS_OFFSET, false);
+    }
+
+    /**
+     * Whether every checksum on the card is valid
+     * @returns {boolean}
+     */
+    get checksumsValid() {
+        return this.checks.header && this.checks.directory.every(Boolean) && this.checks.bat.every(Boolean);
+    }
+
+    /**
+     * Block that follows a block in the BAT
+     * @param {number} block - Block number
+     * @returns {number} Next block, MEMCARD_BAT_LAST_BLOCK at the end of a file, 0 if free
+     */
+    nextBlock(block) {
+        return this.view.getUint16(this.batOffset + MEMCARD_BAT_MAP_OFFSET + (block - MEMCARD_SYSTEM_BLOCKS) * 2, false);
+    }
+
+    /**
+     * Follow a save's BAT chain
+     * @param {number} firstBlock - First block
+     * @param {number} count - Expected number of blocks
+     * @returns {number[]} Block numbers
+     */
+    fileBlocks(firstBlock, count) {
+        const blocks = [];
+        let block = firstBlock;
+        while (blocks.length < count) {
+            if (block < MEMCARD_SYSTEM_BLOCKS || block >= this.totalBlocks || blocks.includes(block)) {
+                throw new Error('the block allocation chain is broken');
+            }
+            blocks.push(block);
+            block = this.nextBlock(block);
+        }
+        return blocks;
+    }
+
+    /**
+     * Read a directory entry
+     * @param {number} index - Entry index
+     * @returns {Uint8Array|null} 0x40-byte entry, or null if unused
+     */
+    entryBytes(index) {
+        const offset = this.directoryOffset + index * MEMCARD_ENTRY_SIZE;
+        if (this.view.getUint32(offset, false) === 0xFFFFFFFF) return null;
+        return this.data.slice(offset, offset + MEMCARD_ENTRY_SIZE);
+    }
+
+    /**
+     * Read a save's data
+     * @param {Uint8Array} entry - Directory entry
+     * @returns {Uint8Array} Data, a whole number of blocks long
+     */
+    readFileData(entry) {
+        const view = new DataView(entry.buffer, entry.byteOffset, MEMCARD_ENTRY_SIZE);
+        const count = view.getUint16(DENTRY_BLOCK_COUNT_OFFSET, false);
+        const blocks = this.fileBlocks(view.getUint16(DENTRY_FIRST_BLOCK_OFFSET, false), count);
+        const data = new Uint8Array(count * MEMCARD_BLOCK_SIZE);
+        blocks.forEach((block, i) => {
+            data.set(this.data.subarray(block * MEMCARD_BLOCK_SIZE, (block + 1) * MEMCARD_BLOCK_SIZE), i * MEMCARD_BLOCK_SIZE);
+        });
+        return data;
+    }
+
+    /**
+     * Decode a text field in the card's encoding
+     * @param {Uint8Array} bytes - Field
+     * @returns {string}
+     */
+    decodeText(bytes) {
+        const end = bytes.indexOf(0);
+        return this.textDecoder.decode(end >= 0 ? bytes.subarray(0, end) : bytes).trim();
+    }
+
+    /**
+     * List the saves on the card
+     * @returns {Array<Object>} Saves ({index, gameCode, fileName, blocks, modified, comment, subtitle, frames, bounce, error})
+     */
+    listSaves() {
+        const saves = [];
+        for (let index = 0; index < MEMCARD_DIRECTORY_ENTRIES; index++) {
+            const entry = this.entryBytes(index);
+            if (!entry) continue;
+
+            const view = new DataView(entry.buffer);
+            const save = {
+                index: index,
+                gameCode: String.fromCharCode(...entry.subarray(0, DENTRY_GAME_ID_SIZE)),
+                fileName: this.decodeText(entry.subarray(DENTRY_FILE_NAME_OFFSET, DENTRY_FILE_NAME_OFFSET + DENTRY_FILE_NAME_SIZE)),
+                blocks: view.getUint16(DENTRY_BLOCK_COUNT_OFFSET, false),
+                modified: new Date((GAMECUBE_EPOCH + view.getUint32(DENTRY_MODIFIED_OFFSET, false)) * 1000),
+                comment: '',
+                subtitle: '',
+                frames: [],
+                bounce: Boolean(entry[DENTRY_BANNER_FLAGS_OFFSET] & MEMCARD_ANIMATION_BOUNCE),
+                error: null
+            };
+
+            try {
+                const data = this.readFileData(entry);
+                const commentOffset = view.getUint32(DENTRY_COMMENT_OFFSET, false);
+                if (commentOffset !== 0xFFFFFFFF && commentOffset + DENTRY_COMMENT_SIZE * 2 <= data.length) {
+                    save.comment = this.decodeText(data.subarray(commentOffset, commentOffset + DENTRY_COMMENT_SIZE));
+                    save.subtitle = this.decodeText(data.subarray(commentOffset + DENTRY_COMMENT_SIZE, commentOffset + DENTRY_COMMENT_SIZE * 2));
+                }
+                save.frames = decodeMemcardIcon(entry, data);
+            } catch (error) {
+                save.error = error.message;
+            }
+            saves.push(save);
+        }
+        return saves;
+    }
+
+    /**
+     * Export a save as a .gci file (its directory entry followed by its data)
+     * @param {number} index - Entry index
+     * @returns {Uint8Array}
+     */
+    exportGci(index) {
+        const entry = this.entryBytes(index);
+        if (!entry) {
+            throw new Error('That directory entry is empty');
+        }
+
+        const data = this.readFileData(entry);
+        const gci = new Uint8Array(MEMCARD_ENTRY_SIZE + data.length);
+        gci.set(entry);
+        gci.set(data, MEMCARD_ENTRY_SIZE);
+        return gci;
+    }
+
+    /**
+     * Add a .gci save to the card
+     * @param {Uint8Array} gci - .gci file
+     */
+    importGci(gci) {
+        this.assertWritable();
+        if (gci.length < MEMCARD_ENTRY_SIZE) {
+            throw new Error('The file is too small to be a .gci save');
+        }
+
+        const entry = gci.slice(0, MEMCARD_ENTRY_SIZE);
+        const entryView = new DataView(entry.buffer);
+        const count = entryView.getUint16(DENTRY_BLOCK_COUNT_OFFSET, false);
+        if (entryView.getUint32(0, false) === 0xFFFFFFFF || count === 0 || gci.length !== MEMCARD_ENTRY_SIZE + count * MEMCARD_BLOCK_SIZE) {
+            throw new Error('The file is not a .gci save (its size does not match its block count)');
+        }
+
+        let freeIndex = -1;
+        for (let index = 0; index < MEMCARD_DIRECTORY_ENTRIES; index++) {
+            const existing = this.entryBytes(index);
+            if (!existing) {
+                if (freeIndex < 0) freeIndex = index;
+            } else if (bytesEqual(existing.subarray(0, DENTRY_GAME_ID_SIZE), entry.subarray(0, DENTRY_GAME_ID_SIZE)) &&
+                bytesEqual(existing.subarray(DENTRY_FILE_NAME_OFFSET, DENTRY_MODIFIED_OFFSET), entry.subarray(DENTRY_FILE_NAME_OFFSET, DENTRY_MODIFIED_OFFSET))) {
+                throw new Error('The card already holds a save with this name. Delete it first.');
+            }
+        }
+        if (freeIndex < 0) {
+            throw new Error('The card directory is full (127 saves)');
+        }
+        if (count > this.freeBlocks) {
+            throw new Error(`The save needs ${count} blocks but only ${this.freeBlocks} are free`);
+        }
+
+        // Allocate blocks after the last allocated one, wrapping around once
+        const bat = this.data.slice(this.batOffset, this.batOffset + MEMCARD_BLOCK_SIZE);
+        const batView = new DataView(bat.buffer);
+        const mapOffset = block => MEMCARD_BAT_MAP_OFFSET + (block - MEMCARD_SYSTEM_BLOCKS) * 2;
+        const blocks = [];
+        let block = batView.getUint16(MEMCARD_BAT_LAST_ALLOCATED_OFFSET, false);
+        for (let scanned = MEMCARD_SYSTEM_BLOCKS; scanned < this.totalBlocks && blocks.length < count; scanned++) {
+            block = block + 1 >= this.totalBlocks || block + 1 < MEMCARD_SYSTEM_BLOCKS ? MEMCARD_SYSTEM_BLOCKS : block + 1;
+            if (batView.getUint16(mapOffset(block), false) === 0) {
+                blocks.push(block);
+            }
+        }
+        // The free block count disagrees with the allocation table
+        if (blocks.length < count) {
+            throw new Error(`The card is corrupt: it reports ${this.freeBlocks} free blocks, but only ${blocks.length} are free`);
+        }
+        blocks.forEach((current, i) => {
+            batView.setUint16(mapOffset(current), i + 1 < blocks.length ? blocks[i + 1] : MEMCARD_BAT_LAST_BLOCK, false);
+            this.data.set(gci.subarray(MEMCARD_ENTRY_SIZE + i * MEMCARD_BLOCK_SIZE, MEMCARD_ENTRY_SIZE + (i + 1) * MEMCARD_BLOCK_SIZE), current * MEMCARD_BLOCK_SIZE);
+        });
+        batView.setUint16(MEMCARD_BAT_FREE_BLOCKS_OFFSET, this.freeBlocks - count, false);
+        batView.setUint16(MEMCARD_BAT_LAST_ALLOCATED_OFFSET, blocks[blocks.length - 1], false);
+
+        entryView.setUint16(DENTRY_FIRST_BLOCK_OFFSET, blocks[0], false);
+        const directory = this.data.slice(this.directoryOffset, this.directoryOffset + MEMCARD_BLOCK_SIZE);
+        directory.set(entry, freeIndex * MEMCARD_ENTRY_SIZE);
+
+        this.writeDirectory(directory);
+        this.writeBat(bat);
+    }
+
+    /**
+     * Remove a save from the card
+     * @param {number} index - Entry index
+     */
+    deleteSave(index) {
+        this.assertWritable();
+        const entry = this.entryBytes(index);
+        if (!entry) {
+            throw new Error('That directory entry is empty');
+        }
+
+        const entryView = new DataView(entry.buffer);
+        const count = entryView.getUint16(DENTRY_BLOCK_COUNT_OFFSET, false);
+        const blocks = this.fileBlocks(entryView.getUint16(DENTRY_FIRST_BLOCK_OFFSET, false), count);
+
+        const bat = this.data.slice(this.batOffset, this.batOffset + MEMCARD_BLOCK_SIZE);
+        const batView = new DataView(bat.buffer);
+        blocks.forEach(block => {
+            batView.setUint16(MEMCARD_BAT_MAP_OFFSET + (block - MEMCARD_SYSTEM_BLOCKS) * 2, 0, false);
+        });
+        batView.setUint16(MEMCARD_BAT_FREE_BLOCKS_OFFSET, this.freeBlocks + count, false);
+
+        const directory = this.data.slice(this.directoryOffset, this.directoryOffset + MEMCARD_BLOCK_SIZE);
+        directory.fill(0xFF, index * MEMCARD_ENTRY_SIZE, (index + 1) * MEMCARD_ENTRY_SIZE);
+
+        this.writeDirectory(directory);
+        this.writeBat(bat);
+    }
+
+    /**
+     * Refuse edits to a card whose header is damaged
+     */
+    assertWritable() {
+        if (!this.checks.header) {
+            throw new Error('The card header checksum is wrong, so the card cannot be changed. Create a new card instead.');
+        }
+    }
+
+    /**
+     * Store an updated directory in the inactive copy and make it active
+     * @param {Uint8Array} directory - Directory block
+     */
+    writeDirectory(directory) {
+        const view = new DataView(directory.buffer);
+        view.setUint16(MEMCARD_DIRECTORY_COUNTER_OFFSET, (view.getUint16(MEMCARD_DIRECTORY_COUNTER_OFFSET, false) + 1) & 0xFFFF, false);
+        writeMemcardChecksum(view, 0, MEMCARD_DIRECTORY_CHECKSUM_OFFSET, MEMCARD_DIRECTORY_CHECKSUM_OFFSET);
+
+        this.directoryCopy = 1 - this.directoryCopy;
+        this.data.set(directory, this.directoryOffset);
+        this.checks.directory[this.directoryCopy] = true;
+    }
+
+    /**
+     * Store an updated BAT in the inactive copy and make it active
+     * @param {Uint8Array} bat - BAT block
+     */
+    writeBat(bat) {
+        const view = new DataView(bat.buffer);
+        view.setUint16(MEMCARD_BAT_COUNTER_OFFSET, (view.getUint16(MEMCARD_BAT_COUNTER_OFFSET, false) + 1) & 0xFFFF, false);
+        writeMemcardChecksum(view, MEMCARD_BAT_COUNTER_OFFSET, MEMCARD_BLOCK_SIZE - MEMCARD_BAT_COUNTER_OFFSET, 0);
+
+        this.batCopy = 1 - this.batCopy;
+        this.data.set(bat, this.batOffset);
+        this.checks.bat[this.batCopy] = true;
+    }
+}
+
+/**
+ * Compute a memory card checksum pair over big-endian 16-bit words
+ * @param {DataView} view - Data
+ * @param {number} start - Offset of the range
+ * @param {number} length - Length of the range in bytes
+ * @returns {number[]} [checksum, inverse checksum]
+ */
+function calculateMemcardChecksum(view, start, length) {
+    let sum = 0;
+    let inverse = 0;
+    for (let offset = start; offset < start + length; offset += 2) {
+        const word = view.getUint16(offset, false);
+        sum = (sum + word) & 0xFFFF;
+        inverse = (inverse + (word ^ 0xFFFF)) & 0xFFFF;
+    }
+    return [sum === 0xFFFF ? 0 : sum, inverse === 0xFFFF ? 0 : inverse];
+}
+
+/**
+ * Compute a checksum pair and store it
+ * @param {DataView} view - Data
+ * @param {number} start - Offset of the range
+ * @param {number} length - Length of the range in bytes
+ * @param {number} checksumOffset - Where to store the pair
+ */
+function writeMemcardChecksum(view, start, length, checksumOffset) {
+    const [sum, inverse] = calculateMemcardChecksum(view, start, length);
+    view.setUint16(checksumOffset, sum, false);
+    view.setUint16(checksumOffset + 2, inverse, false);
+}
+
+/**
+ * Decode a save's icon animation
+ * @param {Uint8Array} entry - Directory entry
+ * @param {Uint8Array} data - Save data
+ * @returns {Array<{pixels: Uint8ClampedArray, duration: number}>} Frames, empty if the save has no icon
+ */
+function decodeMemcardIcon(entry, data) {
+    const view = new DataView(entry.buffer, entry.byteOffset, MEMCARD_ENTRY_SIZE);
+    let offset = view.getUint32(DENTRY_IMAGE_OFFSET, false);
+    if (offset === 0xFFFFFFFF) return [];
+
+    // The banner comes first
+    const bannerPixels = MEMCARD_BANNER_WIDTH * MEMCARD_BANNER_HEIGHT;
+    const bannerFormat = entry[DENTRY_BANNER_FLAGS_OFFSET] & 3;
+    if (bannerFormat === MEMCARD_IMAGE_CI8_SHARED) {
+        offset += bannerPixels + MEMCARD_PALETTE_SIZE;
+    } else if (bannerFormat === MEMCARD_IMAGE_RGB5A3) {
+        offset += bannerPixels * 2;
+    }
+
+    // Frame images follow each other; shared-palette frames use one palette after the last frame
+    const iconPixels = MEMCARD_ICON_SIZE * MEMCARD_ICON_SIZE;
+    const formats = view.getUint16(DENTRY_ICON_FORMAT_OFFSET, false);
+    const speeds = view.getUint16(DENTRY_ANIMATION_SPEED_OFFSET, false);
+    const layout = [];
+    for (let i = 0; i < MEMCARD_ICON_FRAMES; i++) {
+        const speed = (speeds >> (i * 2)) & 3;
+        if (speed === 0) break;
+
+        const format = (formats >> (i * 2)) & 3;
+        layout.push({ format: format, offset: offset, duration: speed * MEMCARD_ANIMATION_TICK });
+        if (format === MEMCARD_IMAGE_CI8_SHARED) {
+            offset += iconPixels;
+        } else if (format === MEMCARD_IMAGE_RGB5A3) {
+            offset += iconPixels * 2;
+        } else if (format === MEMCARD_IMAGE_CI8) {
+            offset += iconPixels + MEMCARD_PALETTE_SIZE;
+        }
+    }
+    const sharedPalette = data.subarray(offset, offset + MEMCARD_PALETTE_SIZE);
+
+    const frames = [];
+    layout.forEach(frame => {
+        let pixels;
+        if (frame.format === MEMCARD_IMAGE_RGB5A3) {
+            pixels = decodeRgb5a3(data.subarray(frame.offset, frame.offset + iconPixels * 2), MEMCARD_ICON_SIZE, MEMCARD_ICON_SIZE);
+        } else if (frame.format === MEMCARD_IMAGE_CI8_SHARED) {
+            pixels = decodeCi8(data.subarray(frame.offset, frame.offset + iconPixels), sharedPalette, MEMCARD_ICON_SIZE, MEMCARD_ICON_SIZE);
+        } else if (frame.format === MEMCARD_IMAGE_CI8) {
+            const palette = data.subarray(frame.offset + iconPixels, frame.offset + iconPixels + MEMCARD_PALETTE_SIZE);
+            pixels = decodeCi8(data.subarray(frame.offset, frame.offset + iconPixels), palette, MEMCARD_ICON_SIZE, MEMCARD_ICON_SIZE);
+        } else if (frames.length > 0) {
+            // A frame without an image holds the previous one
+            pixels = frames[frames.length - 1].pixels;
+        } else {
+            return;
+        }
+        frames.push({ pixels: pixels, duration: frame.duration });
+    });
+    return frames;
+}
+
+/**
+ * Initialize the memory card manager
+ */
+function initMemoryCards() {
+    const panel = document.getElementById('memcard-slots');
+    const gciInput = document.getElementById('memcard-gci-input');
+    const refreshButton = document.getElementById('refresh-memcards');
+
+    if (!panel || !gciInput) return;
+
+    refreshButton.addEventListener('click', refreshMemoryCards);
+
+    gciInput.addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (file) {
+            importGciFile(memoryCardImportSlot, file);
+        }
+    });
+
+    // Buttons in both slots carry the slot and, for saves, the entry index
+    panel.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const slot = parseInt(button.dataset.slot, 10);
+        const index = parseInt(button.dataset.index, 10);
+        switch (button.dataset.action) {
+            case 'create':
+                confirmCreateMemoryCard(slot);
+                break;
+            case 'import':
+                memoryCardImportSlot = slot;
+                gciInput.click();
+                break;
+            case 'export':
+                exportGciFile(slot, index);
+                break;
+            case 'copy':
+                copyMemoryCardSave(slot, index);
+                break;
+            case 'delete':
+                confirmDeleteMemoryCardSave(slot, index);
+                break;
+        }
+    });
+
+    setInterval(animateMemoryCardIcons, MEMCARD_ANIMATION_TICK);
+}
+
+/**
+ * Get the Emscripten filesystem once saved data has been loaded
+ * @returns {Promise<Object>} Emscripten FS
+ */
+async function getMemoryCardFS() {
+    if (!backendSupports('memoryCards')) {
+        throw new Error('Memory cards need Dolphin to be loaded.');
+    }
+    const backend = getActiveBackend();
+    await backend.fileSystemReady;
+    return backend.getModule().FS;
+}
+
+/**
+ * Refuse to change cards while a game holds them
+ * Dolphin reads the card when a game boots and writes its own copy back later, which would undo the change.
+ */
+function assertMemoryCardsEditable() {
+    const state = getActiveBackend().state;
+    if (state === 'running' || state === 'paused') {
+        throw new Error('Stop the game first. A running game keeps its own copy of the card and would overwrite the change.');
+    }
+}
+
+/**
+ * Write a card back to its slot file and persist it
+ * @param {Object} FS - Emscripten FS
+ * @param {number} slot - Slot index
+ * @param {MemoryCard} card - Card
+ * @returns {Promise}
+ */
+async function storeMemoryCard(FS, slot, card) {
+    FS.writeFile(MEMCARD_PATHS[slot], card.data);
+    await getActiveBackend().persistFileSystem();
+}
+
+/**
+ * Re-open both cards, insert them into Dolphin and redraw the slots
+ * @returns {Promise}
+ */
+async function refreshMemoryCards() {
+    const statusDiv = document.getElementById('memcard-status');
+
+    let FS;
+    try {
+        FS = await getMemoryCardFS();
+    } catch (error) {
+        showStatus(statusDiv, 'info', error.message);
+        return;
+    }
+
+    const problems = [];
+    MEMCARD_PATHS.forEach((path, slot) => {
+        memoryCards[slot] = null;
+        let card = null;
+        if (FS.analyzePath(path).exists) {
+            try {
+                card = new MemoryCard(FS.readFile(path));
+                memoryCards[slot] = card;
+            } catch (error) {
+                problems.push(`Slot ${MEMCARD_SLOT_NAMES[slot]}: ${error.message}`);
+            }
+        }
+
+        try {
+            getActiveBackend().setMemoryCard(slot, card ? path : null);
+        } catch (error) {
+            console.warn(`Could not insert the slot ${MEMCARD_SLOT_NAMES[slot]} card:`, error.message);
+        }
+        renderMemoryCardSlot(slot);
+    });
+
+    if (problems.length > 0) {
+        showStatus(statusDiv, 'error', problems.join(' '));
+    } else {
+        statusDiv.style.display = 'none';
+    }
+}
+
+/**
+ * Draw one slot: card summary, checksums and saves
+ * @param {number} slot - Slot index
+ */
+function renderMemoryCardSlot(slot) {
+    const slotDiv = document.getElementById(`memcard-slot-${slot}`);
+    const card = memoryCards[slot];
+    const name = MEMCARD_SLOT_NAMES[slot];
+    memoryCardIcons[slot] = [];
+
+    if (!card) {
+        slotDiv.innerHTML = `
+            <h3>Slot ${name}</h3>
+            <p class="emulator-hint">No memory card. Create one to keep GameCube saves.</p>
+            <div class="memcard-actions">
+                <button class="wii-button" data-action="create" data-slot="${slot}">Create Card</button>
+            </div>
+        `;
+        return;
+    }
+
+    const check = (ok, label) => `<span class="${ok ? 'memcard-check-ok' : 'memcard-check-bad'}">${ok ? '✓' : '✗'} ${label}</span>`;
+    const saves = card.listSaves();
+    const rows = saves.map(save => `
+        <tr>
+            <td><canvas class="memcard-icon" width="${MEMCARD_ICON_SIZE}" height="${MEMCARD_ICON_SIZE}" data-index="${save.index}"></canvas></td>
+            <td>${escapeHtml(save.comment || save.fileName)}${save.subtitle ? `<br><span class="nand-size">${escapeHtml(save.subtitle)}</span>` : ''}${save.error ? `<br><span class="memcard-check-bad">✗ ${escapeHtml(save.error)}</span>` : ''}</td>
+            <td class="hash-cell">${escapeHtml(save.gameCode)}<br>${escapeHtml(save.fileName)}</td>
+            <td>${save.blocks}</td>
+            <td>${save.modified.toLocaleString()}</td>
+            <td class="title-actions">
+                <button class="wii-button" data-action="export" data-slot="${slot}" data-index="${save.index}" ${save.error ? 'disabled' : ''}>Export</button>
+                <button class="wii-button" data-action="copy" data-slot="${slot}" data-index="${save.index}" ${save.error ? 'disabled' : ''}>Copy to ${MEMCARD_SLOT_NAMES[1 - slot]}</button>
+                <button class="wii-button" data-action="delete" data-slot="${slot}" data-index="${save.index}">Delete</button>
+            </td>
+        </tr>
+    `).join('');
+
+    slotDiv.innerHTML = `
+        <h3>Slot ${name}</h3>
+        <p><strong>Card:</strong> ${card.userBlocks} blocks, ${card.freeBlocks} free, ${saves.length} saves</p>
+        <p class="memcard-checks">
+            ${check(card.checks.header, 'Header')}
+            ${check(card.checks.directory.every(Boolean), card.checks.directory.every(Boolean) ? 'Directory' : 'Directory (using the good copy)')}
+            ${check(card.checks.bat.every(Boolean), card.checks.bat.every(Boolean) ? 'Block table' : 'Block table (using the good copy)')}
+        </p>
+        <div class="memcard-actions">
+            <button class="wii-button" data-action="import" data-slot="${slot}">Import .gci</button>
+            <button class="wii-button" data-action="create" data-slot="${slot}">Create New Card</button>
+        </div>
+        ${saves.length > 0 ? `
+        <table class="details-table">
+            <thead>
+                <tr><th></th><th>Save</th><th>Game / File</th><th>Blocks</th><th>Modified</th><th>Actions</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>` : ''}
+    `;
+
+    slotDiv.querySelectorAll('canvas.memcard-icon').forEach(canvas => {
+        const save = saves.find(s => s.index === parseInt(canvas.dataset.index, 10));
+        if (!save || save.frames.length === 0) return;
+
+        // A bouncing animation plays forwards then backwards without repeating the end frames
+        const sequence = save.bounce && save.frames.length > 2
+            ? save.frames.concat(save.frames.slice(1, -1).reverse())
+            : save.frames;
+        const icon = {
+            context: canvas.getContext('2d'),
+            frames: sequence.map(frame => ({
+                image: new ImageData(frame.pixels, MEMCARD_ICON_SIZE, MEMCARD_ICON_SIZE),
+                duration: frame.duration
+            })),
+            current: 0,
+            elapsed: 0
+        };
+        icon.context.putImageData(icon.frames[0].image, 0, 0);
+        memoryCardIcons[slot].push(icon);
+    });
+}
+
+/**
+ * Advance the animated icons by one tick
+ */
+function animateMemoryCardIcons() {
+    memoryCardIcons.forEach(icons => icons.forEach(icon => {
+        if (icon.frames.length < 2) return;
+
+        icon.elapsed += MEMCARD_ANIMATION_TICK;
+        if (icon.elapsed >= icon.frames[icon.current].duration) {
+            icon.elapsed = 0;
+            icon.current = (icon.current + 1) % icon.frames.length;
+            icon.context.putImageData(icon.frames[icon.current].image, 0, 0);
+        }
+    }));
+}
+
+/**
+ * Ask before replacing a slot's card with a blank one
+ * @param {number} slot - Slot index
+ */
+function confirmCreateMemoryCard(slot) {
+    const blocks = parseInt(document.getElementById('memcard-size').value, 10);
+    if (!memoryCards[slot]) {
+        createMemoryCard(slot, blocks);
+        return;
+    }
+
+    showNandWarning(
+        `You are about to replace the card in slot ${MEMCARD_SLOT_NAMES[slot]} with a blank ${blocks}-block card. Every save on it will be lost. Are you sure you want to proceed?`,
+        () => createMemoryCard(slot, blocks)
+    );
+}
+
+/**
+ * Format a new card into a slot
+ * @param {number} slot - Slot index
+ * @param {number} blocks - Usable blocks
+ */
+async function createMemoryCard(slot, blocks) {
+    const statusDiv = document.getElementById('memcard-status');
+
+    try {
+        const FS = await getMemoryCardFS();
+        assertMemoryCardsEditable();
+        await storeMemoryCard(FS, slot, MemoryCard.format(blocks));
+        await refreshMemoryCards();
+        showStatus(statusDiv, 'success', `Created a ${blocks}-block card in slot ${MEMCARD_SLOT_NAMES[slot]}.`);
+    } catch (error) {
+        console.error('Memory card creation failed:', error);
+        showStatus(statusDiv, 'error', `Could not create the card: ${error.message}`);
+    }
+}
+
+/**
+ * Import a .gci save into a slot's card
+ * @param {number} slot - Slot index
+ * @param {File} file - .gci file
+ */
+async function importGciFile(slot, file) {
+    const statusDiv = document.getElementById('memcard-status');
+    const card = memoryCards[slot];
+    if (!card) return;
+
+    try {
+        const FS = await getMemoryCardFS();
+        assertMemoryCardsEditable();
+        card.importGci(new Uint8Array(await file.arrayBuffer()));
+        await storeMemoryCard(FS, slot, card);
+        renderMemoryCardSlot(slot);
+        showStatus(statusDiv, 'success', `Imported ${file.name} into slot ${MEMCARD_SLOT_NAMES[slot]}.`);
+    } catch (error) {
+        console.error('GCI import failed:', error);
+        showStatus(statusDiv, 'error', `Could not import ${file.name}: ${error.message}`);
+        await refreshMemoryCards();
+    }
+}
+
+/**
+ * Download a save as a .gci file
+ * Files are named like Dolphin's GCI folders: <maker>-<game>-<file name>.gci
+ * @param {number} slot - Slot index
+ * @param {number} index - Entry index
+ */
+function exportGciFile(slot, index) {
+    const statusDiv = document.getElementById('memcard-status');
+    const card = memoryCards[slot];
+    if (!card) return;
+
+    try {
+        const gci = card.exportGci(index);
+        const code = String.fromCharCode(...gci.subarray(0, DENTRY_MAKER_OFFSET));
+        const maker = String.fromCharCode(...gci.subarray(DENTRY_MAKER_OFFSET, DENTRY_GAME_ID_SIZE));
+        const name = card.decodeText(gci.subarray(DENTRY_FILE_NAME_OFFSET, DENTRY_FILE_NAME_OFFSET + DENTRY_FILE_NAME_SIZE));
+        downloadBlob(gci, `${maker}-${code}-${name}.gci`.replace(/[\\/:*?"<>|]/g, '_'));
+    } catch (error) {
+        console.error('GCI export failed:', error);
+        showStatus(statusDiv, 'error', `Could not export the save: ${error.message}`);
+    }
+}
+
+/**
+ * Copy a save to the card in the other slot
+ * @param {number} slot - Source slot index
+ * @param {number} index - Entry index
+ */
+async function copyMemoryCardSave(slot, index) {
+    const statusDiv = document.getElementById('memcard-status');
+    const source = memoryCards[slot];
+    const targetSlot = 1 - slot;
+    const target = memoryCards[targetSlot];
+
+    if (!source) return;
+    if (!target) {
+        showStatus(statusDiv, 'error', `There is no card in slot ${MEMCARD_SLOT_NAMES[targetSlot]}. Create one first.`);
+        return;
+    }
+
+    try {
+        const FS = await getMemoryCardFS();
+        assertMemoryCardsEditable();
+        target.importGci(source.exportGci(index));
+        await storeMemoryCard(FS, targetSlot, target);
+        renderMemoryCardSlot(targetSlot);
+        showStatus(statusDiv, 'success', `Copied the save to slot ${MEMCARD_SLOT_NAMES[targetSlot]}.`);
+    } catch (error) {
+        console.error('Memory card copy failed:', error);
+        showStatus(statusDiv, 'error', `Could not copy the save: ${error.message}`);
+        await refreshMemoryCards();
+    }
+}
+
+/**
+ * Ask before deleting a save
+ * @param {number} slot - Slot index
+ * @param {number} index - Entry index
+ */
+function confirmDeleteMemoryCardSave(slot, index) {
+    const card = memoryCards[slot];
+    if (!card) return;
+
+    const save = card.listSaves().find(s => s.index === index);
+    const label = save ? (save.comment || save.fileName) : 'this save';
+    showNandWarning(
+        `You are about to delete "${label}" from the card in slot ${MEMCARD_SLOT_NAMES[slot]}. Are you sure you want to proceed?`,
+        () => deleteMemoryCardSave(slot, index)
+    );
+}
+
+/**
+ * Delete a save from a slot's card
+ * @param {number} slot - Slot index
+ * @param {number} index - Entry index
+ */
+async function deleteMemoryCardSave(slot, index) {
+    const statusDiv = document.getElementById('memcard-status');
+    const card = memoryCards[slot];
+    if (!card) return;
+
+    try {
+        const FS = await getMemoryCardFS();
+        assertMemoryCardsEditable();
+        card.deleteSave(index);
+        await storeMemoryCard(FS, slot, card);
+        renderMemoryCardSlot(slot);
+        showStatus(statusDiv, 'success', `Deleted the save from slot ${MEMCARD_SLOT_NAMES[slot]}.`);
+    } catch (error) {
+        console.error('Memory card delete failed:', error);
+        showStatus(statusDiv, 'error', `Could not delete the save: ${error.message}`);
+        await refreshMemoryCards();
+    }
+}
+
+// Initialize on DOM load
+document.addEventListener('DOMContentLoaded', initMemoryCards);
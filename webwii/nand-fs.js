@@ -0,0 +1,477 @@
+// Virtual NAND
+// Reads and writes the emulated Wii NAND inside the Dolphin Emscripten filesystem
+
+/**
+ * Where Dolphin keeps the Wii NAND root inside its user directory
+ */
+const VIRTUAL_NAND_ROOT = '/user/Wii';
+
+/**
+ * shared1/content.map: one entry per shared content, an 8-character file
+ * name followed by the content's SHA-1
+ */
+const CONTENT_MAP_PATH = '/shared1/content.map';
+const CONTENT_MAP_ENTRY_SIZE = 0x1C;
+const CONTENT_MAP_NAME_SIZE = 8;
+
+/**
+ * TMD content type flag for contents shared between titles
+ */
+const CONTENT_TYPE_SHARED_FLAG = 0x8000;
+
+/**
+ * Files are written in chunks so progress can be reported while large contents are written
+ */
+const FS_WRITE_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Characters Dolphin escapes in NAND file names on the host filesystem
+ */
+const NAND_ILLEGAL_NAME_CHARACTERS = '"*/:<>?\\|\x7f';
+
+/**
+ * Format a 32-bit title ID half as it appears in NAND paths
+ * @param {number} value - Upper or lower half of a title ID
+ * @returns {string} 8 lowercase hex digits
+ */
+function nandHex(value) {
+    return toHex(value).toLowerCase();
+}
+
+/**
+ * NAND path of a title's directory
+ * @param {number} titleIdHi - Upper 32 bits of the title ID
+ * @param {number} titleIdLo - Lower 32 bits of the title ID
+ * @returns {string}
+ */
+function titleDirectoryPath(titleIdHi, titleIdLo) {
+    return `/title/${nandHex(titleIdHi)}/${nandHex(titleIdLo)}`;
+}
+
+/**
+ * NAND path of a title's ticket
+ * @param {number} titleIdHi - Upper 32 bits of the title ID
+ * @param {number} titleIdLo - Lower 32 bits of the title ID
+ * @returns {string}
+ */
+function ticketPath(titleIdHi, titleIdLo) {
+    return `/ticket/${nandHex(titleIdHi)}/${nandHex(titleIdLo)}.tik`;
+}
+
+/**
+ * Escape a NAND file name the way Dolphin stores it (illegal characters become __xx__)
+ * @param {string} name - File name as stored in the NAND
+ * @returns {string}
+ */
+function escapeNandFileName(name) {
+    if (name === '.' || name === '..') {
+        return name.replace(/\./g, '__2e__');
+    }
+    return Array.from(name).map(character => {
+        const code = character.charCodeAt(0);
+        if (code <= 0x1F || NAND_ILLEGAL_NAME_CHARACTERS.includes(character)) {
+            return `__${code.toString(16).padStart(2, '0')}__`;
+        }
+        return character;
+    }).join('');
+}
+
+/**
+ * Escape every component of a NAND path
+ * @param {string} path - Path as stored in the NAND, e.g. /title/00010000/52534245/data
+ * @returns {string} Path as stored by Dolphin ('' for the root)
+ */
+function escapeNandPath(path) {
+    return path.split('/').filter(Boolean).map(name => '/' + escapeNandFileName(name)).join('');
+}
+
+/**
+ * Decode shared1/content.map
+ * @param {Uint8Array} data - File contents
+ * @returns {Array<{name: string, hash: Uint8Array}>}
+ */
+function parseContentMap(data) {
+    const entries = [];
+    for (let offset = 0; offset + CONTENT_MAP_ENTRY_SIZE <= data.length; offset += CONTENT_MAP_ENTRY_SIZE) {
+        entries.push({
+            name: String.fromCharCode(...data.subarray(offset, offset + CONTENT_MAP_NAME_SIZE)),
+            hash: data.slice(offset + CONTENT_MAP_NAME_SIZE, offset + CONTENT_MAP_ENTRY_SIZE)
+        });
+    }
+    return entries;
+}
+
+/**
+ * Encode shared1/content.map
+ * @param {Array<{name: string, hash: Uint8Array}>} entries - Map entries
+ * @returns {Uint8Array}
+ */
+function encodeContentMap(entries) {
+    const data = new Uint8Array(entries.length * CONTENT_MAP_ENTRY_SIZE);
+    entries.forEach((entry, i) => {
+        const offset = i * CONTENT_MAP_ENTRY_SIZE;
+        for (let j = 0; j < CONTENT_MAP_NAME_SIZE; j++) {
+            data[offset + j] = entry.name.charCodeAt(j);
+        }
+        data.set(entry.hash, offset + CONTENT_MAP_NAME_SIZE);
+    });
+    return data;
+}
+
+/**
+ * The emulated NAND, addressed with NAND paths such as /title/00010001
+ */
+class VirtualNand {
+    /**
+     * @param {Object} FS - Emscripten FS object
+     * @param {Function} persist - Returns a Promise that flushes the filesystem to IndexedDB
+     * @param {string} root - Filesystem path of the NAND root
+     */
+    constructor(FS, persist, root = VIRTUAL_NAND_ROOT) {
+        this.FS = FS;
+        this.persistCallback = persist;
+        this.root = root;
+        this.snapshotRoot = `${root}.snapshot`;
+    }
+
+    /**
+     * Map a NAND path to a filesystem path
+     * @param {string} path - NAND path
+     * @returns {string}
+     */
+    resolve(path) {
+        return this.root + path;
+    }
+
+    /**
+     * @param {string} path - NAND path
+     * @returns {boolean}
+     */
+    exists(path) {
+        return this.FS.analyzePath(this.resolve(path)).exists;
+    }
+
+    /**
+     * @param {string} path - NAND path
+     * @returns {boolean}
+     */
+    isDirectory(path) {
+        return this.exists(path) && this.FS.isDir(this.FS.stat(this.resolve(path)).mode);
+    }
+
+    /**
+     * Create a directory and any missing parents
+     * @param {string} path - NAND path
+     * @returns {Array<string>} NAND paths of the directories that were created
+     */
+    makeDirectories(path) {
+        const created = [];
+        let current = '';
+        path.split('/').filter(Boolean).forEach(name => {
+            current += '/' + name;
+            if (!this.exists(current)) {
+                this.FS.mkdir(this.resolve(current));
+                created.push(current);
+            }
+        });
+        return created;
+    }
+
+    /**
+     * @param {string} path - NAND path
+     * @returns {Uint8Array}
+     */
+    readFile(path) {
+        return this.FS.readFile(this.resolve(path));
+    }
+
+    /**
+     * Read the start of a file
+     * @param {string} path - NAND path
+     * @param {number} length - Maximum number of bytes
+     * @returns {Uint8Array}
+     */
+    readFileHead(path, length) {
+        const buffer = new Uint8Array(length);
+        const stream = this.FS.open(this.resolve(path), 'r');
+        try {
+            const read = this.FS.read(stream, buffer, 0, length, 0);
+            return buffer.subarray(0, read);
+        } finally {
+            this.FS.close(stream);
+        }
+    }
+
+    /**
+     * Write a file directly, outside of any transaction
+     * @param {string} path - NAND path (its parent must exist)
+     * @param {Uint8Array} data - File contents
+     */
+    writeFile(path, data) {
+        this.FS.writeFile(this.resolve(path), data);
+    }
+
+    /**
+     * List a directory
+     * @param {string} path - NAND path
+     * @returns {Array<string>} Entry names
+     */
+    listDirectory(path) {
+        return this.FS.readdir(this.resolve(path)).filter(name => name !== '.' && name !== '..');
+    }
+
+    /**
+     * Delete a file or a directory with everything in it
+     * @param {string} path - NAND path
+     */
+    remove(path) {
+        if (!this.exists(path)) return;
+        if (this.isDirectory(path)) {
+            this.listDirectory(path).forEach(name => this.remove(`${path}/${name}`));
+            this.FS.rmdir(this.resolve(path));
+        } else {
+            this.FS.unlink(this.resolve(path));
+        }
+    }
+
+    /**
+     * Move a file or directory
+     * @param {string} from - NAND path
+     * @param {string} to - NAND path (its parent must exist)
+     */
+    rename(from, to) {
+        this.FS.rename(this.resolve(from), this.resolve(to));
+    }
+
+    /**
+     * Whether a snapshot of an earlier NAND is being kept
+     * @returns {boolean}
+     */
+    hasSnapshot() {
+        return this.FS.analyzePath(this.snapshotRoot).exists;
+    }
+
+    /**
+     * Set the whole NAND aside as a snapshot and start over with an empty one
+     * Any older snapshot is discarded.
+     */
+    createSnapshot() {
+        this.discardSnapshot();
+        this.FS.rename(this.root, this.snapshotRoot);
+        this.FS.mkdir(this.root);
+    }
+
+    /**
+     * Replace the NAND with the snapshot
+     */
+    restoreSnapshot() {
+        if (!this.hasSnapshot()) {
+            throw new Error('There is no NAND snapshot to roll back to');
+        }
+        this.remove('');
+        this.FS.rename(this.snapshotRoot, this.root);
+    }
+
+    /**
+     * Delete the snapshot
+     */
+    discardSnapshot() {
+        if (this.hasSnapshot()) {
+            new VirtualNand(this.FS, this.persistCallback, this.snapshotRoot).remove('');
+        }
+    }
+
+    /**
+     * Read shared1/content.map
+     * @returns {Array<{name: string, hash: Uint8Array}>} Entries, empty if the map does not exist
+     */
+    readContentMap() {
+        return this.exists(CONTENT_MAP_PATH) ? parseContentMap(this.readFile(CONTENT_MAP_PATH)) : [];
+    }
+
+    /**
+     * Flush the NAND to IndexedDB
+     * @returns {Promise}
+     */
+    persist() {
+        return this.persistCallback();
+    }
+
+    /**
+     * Start a set of changes that are applied all at once
+     * @returns {NandTransaction}
+     */
+    beginTransaction() {
+        return new NandTransaction(this);
+    }
+}
+
+/**
+ * A group of NAND changes that either all apply or leave the NAND untouched
+ *
+ * New files are written to a staging directory under /tmp first. commit()
+ * moves them into place, moving anything they replace aside, and rolls back
+ * if that or persisting fails.
+ */
+class NandTransaction {
+    /**
+     * @param {VirtualNand} nand - NAND to change
+     */
+    constructor(nand) {
+        this.nand = nand;
+        this.staging = `/tmp/webwii-${Date.now()}`;
+        this.writes = [];
+        this.replacedDirectories = [];
+        this.removals = [];
+        this.directories = [];
+        this.bytesWritten = 0;
+
+        nand.remove(this.staging);
+        nand.makeDirectories(this.staging);
+    }
+
+    /**
+     * Stage a file
+     * @param {string} path - Target NAND path
+     * @param {Uint8Array} data - File contents
+     * @param {Function} onProgress - Called with the transaction's total bytes written so far
+     * @returns {Promise}
+     */
+    async writeFile(path, data, onProgress) {
+        const staged = `${this.staging}/${this.writes.length}`;
+        const FS = this.nand.FS;
+        const stream = FS.open(this.nand.resolve(staged), 'w');
+
+        try {
+            let offset = 0;
+            while (offset < data.length) {
+                const length = Math.min(FS_WRITE_CHUNK_SIZE, data.length - offset);
+                FS.write(stream, data, offset, length);
+                offset += length;
+                this.bytesWritten += length;
+                if (onProgress) onProgress(this.bytesWritten);
+
+                // Let the page repaint between chunks
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        } finally {
+            FS.close(stream);
+        }
+
+        this.writes.push({ path: path, staged: staged });
+    }
+
+    /**
+     * Replace a directory wholesale: on commit its old contents are discarded
+     * @param {string} path - NAND path
+     */
+    replaceDirectory(path) {
+        this.replacedDirectories.push(path);
+    }
+
+    /**
+     * Create a directory (and missing parents) on commit
+     * @param {string} path - NAND path
+     */
+    makeDirectory(path) {
+        this.directories.push(path);
+    }
+
+    /**
+     * Delete a file or directory on commit
+     * @param {string} path - NAND path
+     */
+    removePath(path) {
+        this.removals.push(path);
+    }
+
+    /**
+     * Apply the staged changes and persist them
+     * @returns {Promise}
+     */
+    async commit() {
+        const nand = this.nand;
+        const backup = `${this.staging}/backup`;
+        const applied = [];
+        nand.makeDirectories(backup);
+
+        try {
+            this.replacedDirectories.concat(this.removals).forEach((path, i) => {
+                if (nand.exists(path)) {
+                    nand.rename(path, `${backup}/r${i}`);
+                    applied.push({ path: path, backup: `${backup}/r${i}` });
+                }
+            });
+
+            this.writes.forEach((write, i) => {
+                nand.makeDirectories(write.path.slice(0, write.path.lastIndexOf('/')))
+                    .forEach(directory => applied.push({ path: directory, backup: null }));
+                let moved = null;
+                if (nand.exists(write.path)) {
+                    moved = `${backup}/w${i}`;
+                    nand.rename(write.path, moved);
+                }
+                applied.push({ path: write.path, backup: moved });
+                nand.rename(write.staged, write.path);
+            });
+
+            this.directories.forEach(path => {
+                nand.makeDirectories(path).forEach(directory => applied.push({ path: directory, backup: null }));
+            });
+
+            await nand.persist();
+        } catch (error) {
+            this.rollback(applied);
+            await nand.persist().catch(persistError => {
+                console.error('Could not persist the NAND after rolling back:', persistError);
+            });
+            throw error;
+        }
+
+        nand.remove(this.staging);
+        await nand.persist().catch(error => {
+            console.warn('Could not remove the NAND staging directory:', error);
+        });
+    }
+
+    /**
+     * Undo applied changes, newest first
+     * @param {Array<{path: string, backup: string|null}>} applied - Changes made by commit
+     */
+    rollback(applied) {
+        const nand = this.nand;
+        applied.slice().reverse().forEach(change => {
+            try {
+                nand.remove(change.path);
+                if (change.backup) {
+                    nand.rename(change.backup, change.path);
+                }
+            } catch (error) {
+                console.error(`Could not roll back ${change.path}:`, error);
+            }
+        });
+        this.abort();
+    }
+
+    /**
+     * Discard staged changes without touching the NAND
+     */
+    abort() {
+        try {
+            this.nand.remove(this.staging);
+        } catch (error) {
+            console.warn('Could not remove the NAND staging directory:', error);
+        }
+    }
+}
+
+/**
+ * Open the emulator's virtual NAND
+ * @returns {Promise<VirtualNand>}
+ */
+function openEmulatorNand() {
+    if (!backendSupports('nand')) {
+        return Promise.reject(new Error('The Dolphin emulator has to finish loading before the virtual NAND can be changed.'));
+    }
+    return getActiveBackend().openVirtualNand();
+}
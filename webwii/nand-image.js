@@ -0,0 +1,644 @@
+// NAND Image Reader
+// Reads BootMii NAND dumps (nand.bin) on demand from a File and decodes the SFFS filesystem
+
+/**
+ * NAND geometry: 2048-byte pages with a 64-byte spare area, 8 pages per cluster
+ */
+const NAND_PAGE_SIZE = 0x800;
+const NAND_SPARE_SIZE = 0x40;
+const NAND_PAGES_PER_CLUSTER = 8;
+const NAND_CLUSTER_SIZE = NAND_PAGE_SIZE * NAND_PAGES_PER_CLUSTER; // 16 KB
+const NAND_CLUSTER_COUNT = 0x8000;
+const NAND_CLUSTERS_PER_BLOCK = 8;
+const NAND_DATA_SIZE = NAND_CLUSTER_COUNT * NAND_CLUSTER_SIZE; // 512 MB
+const NAND_ECC_DATA_SIZE = NAND_CLUSTER_COUNT * NAND_PAGES_PER_CLUSTER * (NAND_PAGE_SIZE + NAND_SPARE_SIZE);
+
+/**
+ * Known nand.bin layouts, identified by file size
+ */
+const NAND_LAYOUTS = [
+    { size: NAND_ECC_DATA_SIZE + 0x400, name: 'BootMii (with ECC, 1 KB keys footer)', hasEcc: true, keysSize: 0x400 },
+    { size: NAND_ECC_DATA_SIZE + 0x600, name: 'With ECC, 1.5 KB keys footer', hasEcc: true, keysSize: 0x600 },
+    { size: NAND_ECC_DATA_SIZE, name: 'With ECC, no keys footer', hasEcc: true, keysSize: 0 },
+    { size: NAND_DATA_SIZE, name: 'Without ECC (data only)', hasEcc: false, keysSize: 0 }
+];
+
+/**
+ * SFFS superblocks occupy the last 256 clusters: 16 copies of 16 clusters each
+ */
+const SFFS_SUPERBLOCK_START = 0x7F00;
+const SFFS_SUPERBLOCK_CLUSTERS = 16;
+const SFFS_SUPERBLOCK_COUNT = 16;
+const SFFS_SUPERBLOCK_SIZE = SFFS_SUPERBLOCK_CLUSTERS * NAND_CLUSTER_SIZE;
+const SFFS_MAGIC = 0x53464653; // 'SFFS'
+const SFFS_FAT_OFFSET = 0x0C;
+const SFFS_FST_OFFSET = 0x1000C;
+const SFFS_FST_ENTRY_SIZE = 0x20;
+const SFFS_FST_ENTRY_COUNT = 0x17FF;
+
+/**
+ * Special FAT values
+ */
+const FAT_LAST_CLUSTER = 0xFFFB;
+const FAT_RESERVED = 0xFFFC;
+const FAT_BAD_BLOCK = 0xFFFD;
+const FAT_FREE = 0xFFFE;
+
+/**
+ * FST entry types (low two bits of the mode byte)
+ */
+const FST_TYPE_FILE = 1;
+const FST_TYPE_DIRECTORY = 2;
+const FST_NO_ENTRY = 0xFFFF;
+
+/**
+ * Find the nand.bin layout matching a file size
+ * @param {number} size - File size in bytes
+ * @returns {Object|null} Layout from NAND_LAYOUTS, or null
+ */
+function detectNandLayout(size) {
+    return NAND_LAYOUTS.find(layout => layout.size === size) || null;
+}
+
+/**
+ * Random-access reader for a NAND dump
+ * Only the parts that are needed are read from the File, so a 528 MB dump
+ * never has to be loaded into memory at once.
+ */
+class NandImage {
+    /**
+     * @param {Blob} blob - nand.bin file
+     * @param {Object} layout - Layout from NAND_LAYOUTS
+     */
+    constructor(blob, layout) {
+        this.blob = blob;
+        this.layout = layout;
+        this.pageStride = layout.hasEcc ? NAND_PAGE_SIZE + NAND_SPARE_SIZE : NAND_PAGE_SIZE;
+        this.superblock = null;
+    }
+
+    /**
+     * Read a byte range of the underlying file
+     * @param {number} start - Start offset
+     * @param {number} length - Number of bytes
+     * @returns {Promise<Uint8Array>}
+     */
+    async readRange(start, length) {
+        const buffer = await this.blob.slice(start, start + length).arrayBuffer();
+        return new Uint8Array(buffer);
+    }
+
+    /**
+     * Read consecutive clusters, returning page data without spare areas
+     * @param {number} cluster - First cluster number
+     * @param {number} count - Number of clusters
+     * @returns {Promise<Uint8Array>} count * 16 KB of data
+     */
+    async readClusters(cluster, count = 1) {
+        const raw = await this.readRawClusters(cluster, count);
+        if (!this.layout.hasEcc) {
+            return raw;
+        }
+
+        const data = new Uint8Array(count * NAND_CLUSTER_SIZE);
+        const pages = count * NAND_PAGES_PER_CLUSTER;
+        for (let page = 0; page < pages; page++) {
+            const source = page * this.pageStride;
+            data.set(raw.subarray(source, source + NAND_PAGE_SIZE), page * NAND_PAGE_SIZE);
+        }
+        return data;
+    }
+
+    /**
+     * Read consecutive clusters exactly as stored, including spare areas
+     * @param {number} cluster - First cluster number
+     * @param {number} count - Number of clusters
+     * @returns {Promise<Uint8Array>}
+     */
+    readRawClusters(cluster, count = 1) {
+        const clusterStride = this.pageStride * NAND_PAGES_PER_CLUSTER;
+        return this.readRange(cluster * clusterStride, count * clusterStride);
+    }
+
+    /**
+     * Read one cluster with single-bit ECC errors corrected
+     * @param {number} cluster - Cluster number
+     * @returns {Promise<{data: Uint8Array, raw: Uint8Array, uncorrectable: boolean}>}
+     */
+    async readCorrectedCluster(cluster) {
+        const raw = await this.readRawClusters(cluster, 1);
+        if (!this.layout.hasEcc) {
+            return { data: raw, raw: raw, uncorrectable: false };
+        }
+
+        const data = new Uint8Array(NAND_CLUSTER_SIZE);
+        let uncorrectable = false;
+        for (let page = 0; page < NAND_PAGES_PER_CLUSTER; page++) {
+            const source = page * this.pageStride;
+            const pageBytes = raw.subarray(source, source + this.pageStride);
+            if (checkPageEcc(pageBytes) === 'uncorrectable') {
+                uncorrectable = true;
+            }
+            data.set(pageBytes.subarray(0, NAND_PAGE_SIZE), page * NAND_PAGE_SIZE);
+        }
+        return { data: data, raw: raw, uncorrectable: uncorrectable };
+    }
+
+    /**
+     * Read and decrypt a file from the filesystem
+     * @param {Object} node - File node from buildTree
+     * @param {Uint8Array|CryptoKey} aesKey - NAND AES key
+     * @returns {Promise<Uint8Array>} File contents
+     */
+    async readFile(node, aesKey) {
+        if (node.type !== 'file' || !node.clusters) {
+            throw new Error(`${node.path} is not a readable file${node.error ? `: ${node.error}` : ''}`);
+        }
+
+        const key = await resolveAesKey(aesKey);
+        const zeroIv = new Uint8Array(AES_BLOCK_SIZE);
+        const data = new Uint8Array(node.clusters.length * NAND_CLUSTER_SIZE);
+        for (let i = 0; i < node.clusters.length; i++) {
+            const cluster = await this.readCorrectedCluster(node.clusters[i]);
+            if (cluster.uncorrectable) {
+                throw new Error(`${node.path} has an uncorrectable ECC error in cluster 0x${node.clusters[i].toString(16)}`);
+            }
+            data.set(await aesCbcDecrypt(key, zeroIv, cluster.data), i * NAND_CLUSTER_SIZE);
+        }
+        return data.subarray(0, node.size);
+    }
+
+    /**
+     * Locate the newest valid SFFS superblock (highest generation)
+     * @param {Function} onProgress - Called with (checked, total) for each superblock
+     * @returns {Promise<Object>} Superblock ({index, cluster, generation, fat, fst})
+     */
+    async findNewestSuperblock(onProgress) {
+        const candidates = [];
+
+        for (let i = 0; i < SFFS_SUPERBLOCK_COUNT; i++) {
+            const cluster = SFFS_SUPERBLOCK_START + i * SFFS_SUPERBLOCK_CLUSTERS;
+            const header = await this.readRange(cluster * this.pageStride * NAND_PAGES_PER_CLUSTER, 8);
+            const view = new DataView(header.buffer);
+            if (view.getUint32(0, false) === SFFS_MAGIC) {
+                candidates.push({ index: i, cluster: cluster, generation: view.getUint32(4, false) });
+            }
+            if (onProgress) onProgress(i + 1, SFFS_SUPERBLOCK_COUNT);
+        }
+
+        if (candidates.length === 0) {
+            throw new Error('No SFFS superblock found. This is not a Wii NAND dump, or it uses a different layout.');
+        }
+
+        candidates.sort((a, b) => b.generation - a.generation);
+        const newest = candidates[0];
+        const data = await this.readClusters(newest.cluster, SFFS_SUPERBLOCK_CLUSTERS);
+
+        this.superblock = {
+            index: newest.index,
+            cluster: newest.cluster,
+            generation: newest.generation,
+            validCopies: candidates.length,
+            data: data,
+            fat: this.decodeFat(data),
+            fst: this.decodeFst(data)
+        };
+        return this.superblock;
+    }
+
+    /**
+     * Decode the cluster allocation table of a superblock
+     * @param {Uint8Array} data - Superblock data
+     * @returns {Uint16Array} Next-cluster value for every cluster
+     */
+    decodeFat(data) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const fat = new Uint16Array(NAND_CLUSTER_COUNT);
+        for (let i = 0; i < NAND_CLUSTER_COUNT; i++) {
+            fat[i] = view.getUint16(SFFS_FAT_OFFSET + i * 2, false);
+        }
+        return fat;
+    }
+
+    /**
+     * Decode the file system table entries of a superblock
+     * @param {Uint8Array} data - Superblock data
+     * @returns {Array<Object>} FST entries, indexed by entry number
+     */
+    decodeFst(data) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const entries = [];
+
+        for (let i = 0; i < SFFS_FST_ENTRY_COUNT; i++) {
+            const offset = SFFS_FST_OFFSET + i * SFFS_FST_ENTRY_SIZE;
+            let name = '';
+            for (let j = 0; j < 12; j++) {
+                const c = data[offset + j];
+                if (c === 0) break;
+                name += String.fromCharCode(c);
+            }
+            const mode = data[offset + 0x0C];
+            entries.push({
+                index: i,
+                name: name,
+                mode: mode,
+                type: mode & 3,
+                attributes: data[offset + 0x0D],
+                sub: view.getUint16(offset + 0x0E, false),
+                sibling: view.getUint16(offset + 0x10, false),
+                size: view.getUint32(offset + 0x12, false),
+                uid: view.getUint32(offset + 0x16, false),
+                gid: view.getUint16(offset + 0x1A, false),
+                x3: view.getUint32(offset + 0x1C, false)
+            });
+        }
+        return entries;
+    }
+
+    /**
+     * Follow a file's cluster chain through the FAT
+     * @param {number} firstCluster - First cluster of the file
+     * @param {number} size - File size in bytes
+     * @returns {Array<number>} Cluster numbers in file order
+     */
+    getClusterChain(firstCluster, size) {
+        const fat = this.superblock.fat;
+        const expected = Math.ceil(size / NAND_CLUSTER_SIZE);
+        const chain = [];
+        let cluster = firstCluster;
+
+        while (chain.length < expected) {
+            if (cluster >= NAND_CLUSTER_COUNT) {
+                throw new Error(`cluster chain points to invalid cluster 0x${cluster.toString(16)}`);
+            }
+            chain.push(cluster);
+            cluster = fat[cluster];
+            if (cluster === FAT_LAST_CLUSTER) break;
+            if (cluster === FAT_FREE || cluster === FAT_BAD_BLOCK || cluster === FAT_RESERVED) {
+                throw new Error(`cluster chain runs into a ${cluster === FAT_BAD_BLOCK ? 'bad' : 'free/reserved'} cluster`);
+            }
+        }
+
+        if (chain.length < expected) {
+            throw new Error(`cluster chain has ${chain.length} clusters, file needs ${expected}`);
+        }
+        return chain;
+    }
+
+    /**
+     * Build the directory tree from the FST
+     * @returns {Object} Root node ({name, path, type, size, children, entry, clusters, error})
+     */
+    buildTree() {
+        if (!this.superblock) {
+            throw new Error('Superblock has not been loaded');
+        }
+
+        const fst = this.superblock.fst;
+        const visited = new Set();
+
+        const buildNode = (index, parentPath) => {
+            const entry = fst[index];
+            visited.add(index);
+            const path = index === 0 ? '/' : `${parentPath === '/' ? '' : parentPath}/${entry.name}`;
+            const node = {
+                name: index === 0 ? '/' : entry.name,
+                path: path,
+                type: entry.type === FST_TYPE_DIRECTORY ? 'dir' : 'file',
+                size: entry.type === FST_TYPE_FILE ? entry.size : 0,
+                entry: entry,
+                children: [],
+                clusters: null,
+                error: null
+            };
+
+            if (entry.type === FST_TYPE_DIRECTORY) {
+                let child = entry.sub;
+                while (child !== FST_NO_ENTRY) {
+                    if (child >= fst.length || visited.has(child)) {
+                        node.error = 'Directory listing is corrupt (loop or invalid entry)';
+                        break;
+                    }
+                    node.children.push(buildNode(child, path));
+                    child = fst[child].sibling;
+                }
+                node.children.sort((a, b) => a.name.localeCompare(b.name));
+            } else if (entry.size > 0) {
+                try {
+                    node.clusters = this.getClusterChain(entry.sub, entry.size);
+                } catch (error) {
+                    node.error = error.message;
+                }
+            } else {
+                node.clusters = [];
+            }
+            return node;
+        };
+
+        if (fst[0].type !== FST_TYPE_DIRECTORY) {
+            throw new Error('FST root entry is not a directory');
+        }
+        return buildNode(0, '');
+    }
+}
+
+/**
+ * Walk a NAND tree depth-first
+ * @param {Object} node - Tree node from NandImage.buildTree
+ * @param {Function} callback - Called with each node
+ */
+function walkNandTree(node, callback) {
+    callback(node);
+    node.children.forEach(child => walkNandTree(child, callback));
+}
+
+/**
+ * Find a node in a NAND tree by absolute path
+ * @param {Object} tree - Root node from NandImage.buildTree
+ * @param {string} path - Path such as /title/00000001/00000002
+ * @returns {Object|null} Node, or null if missing
+ */
+function findNandNode(tree, path) {
+    let node = tree;
+    for (const name of path.split('/').filter(Boolean)) {
+        node = node.children.find(child => child.name === name);
+        if (!node) return null;
+    }
+    return node;
+}
+
+/**
+ * Spare area layout: bad block marker, HMAC copies and page ECC
+ */
+const SPARE_BAD_BLOCK_MARKER = 0x00;
+const SPARE_HMAC_OFFSET = 0x01;
+const SPARE_HMAC_PAGE = 6;
+const SPARE_ECC_OFFSET = 0x30;
+const ECC_SUBPAGE_SIZE = 0x200;
+
+/**
+ * BootMii keys footer (keys.bin): a text header, the OTP at 0x100 and the
+ * SEEPROM at 0x200
+ */
+const KEYS_BIN_SIZE = 0x400;
+const KEYS_HEADER_SIZE = 0x100;
+const KEYS_COMMON_KEY_OFFSET = 0x114;
+const KEYS_NG_ID_OFFSET = 0x124;
+const KEYS_NG_PRIVATE_KEY_OFFSET = 0x128;
+const KEYS_NAND_HMAC_OFFSET = 0x144;
+const KEYS_NAND_AES_OFFSET = 0x158;
+const KEYS_RNG_KEY_OFFSET = 0x168;
+const KEYS_MS_ID_OFFSET = 0x200;
+const KEYS_CA_ID_OFFSET = 0x204;
+const KEYS_NG_KEY_ID_OFFSET = 0x208;
+const KEYS_NG_SIGNATURE_OFFSET = 0x20C;
+
+/**
+ * System menu settings file and the key its contents are XORed with
+ */
+const SETTING_TXT_PATH = '/title/00000001/00000002/data/setting.txt';
+const SETTING_TXT_KEY = 0x73B5DBFA;
+
+/**
+ * Console regions from the AREA and GAME fields of setting.txt
+ */
+const SETTING_AREAS = {
+    JPN: 'Japan', USA: 'Americas', EUR: 'Europe', KOR: 'Korea', AUS: 'Australia',
+    BRA: 'Brazil', TWN: 'Taiwan', ROC: 'Taiwan', CHN: 'China', HKG: 'Hong Kong',
+    ASI: 'Asia', LTN: 'Latin America', SAF: 'South Africa'
+};
+const SETTING_GAME_REGIONS = { JP: 'NTSC-J', US: 'NTSC-U', EU: 'PAL', KR: 'NTSC-K' };
+
+const LITTLE_ENDIAN_PLATFORM = new Uint8Array(new Uint32Array([1]).buffer)[0] === 1;
+
+/**
+ * Parity of the bits in a byte
+ * @param {number} x - Byte value
+ * @returns {number} 0 or 1
+ */
+function bitParity(x) {
+    x ^= x >> 4;
+    x ^= x >> 2;
+    x ^= x >> 1;
+    return x & 1;
+}
+
+/**
+ * Fold a 32-bit word into the XOR of selected bytes
+ * @param {number} word - Word read through a Uint32Array
+ * @param {Array<number>} positions - Byte positions in memory order (0-3)
+ * @returns {number} XOR of the selected bytes
+ */
+function foldWordBytes(word, positions) {
+    let result = 0;
+    positions.forEach(position => {
+        const shift = LITTLE_ENDIAN_PLATFORM ? position * 8 : 24 - position * 8;
+        result ^= (word >>> shift) & 0xFF;
+    });
+    return result;
+}
+
+/**
+ * Calculate the Hamming ECC of one 512-byte subpage, as stored by the NAND controller
+ * Column parities are computed on 32-bit words: bits 2-8 of the byte index
+ * select a word, bits 0-1 a byte within it.
+ * @param {Uint32Array} words - Words of the page data
+ * @param {number} wordOffset - Index of the subpage's first word
+ * @returns {{a0: number, a1: number}} The two 12-bit parity words
+ */
+function calculateSubpageEcc(words, wordOffset) {
+    let all = 0;
+    const selected = [0, 0, 0, 0, 0, 0, 0];
+    for (let k = 0; k < ECC_SUBPAGE_SIZE / 4; k++) {
+        const word = words[wordOffset + k];
+        all ^= word;
+        for (let bit = 0, bits = k; bits; bit++, bits >>= 1) {
+            if (bits & 1) selected[bit] ^= word;
+        }
+    }
+
+    // Byte-wise XOR of the subpage and of bytes whose index has bit j set
+    const total = foldWordBytes(all, [0, 1, 2, 3]);
+    const withBit = [foldWordBytes(all, [1, 3]), foldWordBytes(all, [2, 3])]
+        .concat(selected.map(word => foldWordBytes(word, [0, 1, 2, 3])));
+
+    let a0 = bitParity(total & 0x55) | (bitParity(total & 0x33) << 1) | (bitParity(total & 0x0F) << 2);
+    let a1 = bitParity(total & 0xAA) | (bitParity(total & 0xCC) << 1) | (bitParity(total & 0xF0) << 2);
+    withBit.forEach((set, j) => {
+        a0 |= bitParity(total ^ set) << (3 + j);
+        a1 |= bitParity(set) << (3 + j);
+    });
+    return { a0: a0, a1: a1 };
+}
+
+/**
+ * Check one page against the ECC stored in its spare area
+ * Single-bit data errors are corrected in place.
+ * @param {Uint8Array} raw - Raw page (data + spare), 4-byte aligned in its buffer
+ * @returns {string} 'ok', 'erased', 'correctable' or 'uncorrectable'
+ */
+function checkPageEcc(raw) {
+    const spare = raw.subarray(NAND_PAGE_SIZE, NAND_PAGE_SIZE + NAND_SPARE_SIZE);
+    const stored = spare.subarray(SPARE_ECC_OFFSET, SPARE_ECC_OFFSET + 16);
+
+    if (stored.every(b => b === 0xFF)) {
+        // Unprogrammed pages have no ECC; anything but 0xFF data means damage
+        return raw.subarray(0, NAND_PAGE_SIZE).every(b => b === 0xFF) ? 'erased' : 'uncorrectable';
+    }
+
+    const words = new Uint32Array(raw.buffer, raw.byteOffset, NAND_PAGE_SIZE / 4);
+    let result = 'ok';
+
+    for (let subpage = 0; subpage < NAND_PAGE_SIZE / ECC_SUBPAGE_SIZE; subpage++) {
+        const ecc = calculateSubpageEcc(words, subpage * ECC_SUBPAGE_SIZE / 4);
+        const s = subpage * 4;
+        const syndrome0 = ecc.a0 ^ (stored[s] | (stored[s + 1] << 8));
+        const syndrome1 = ecc.a1 ^ (stored[s + 2] | (stored[s + 3] << 8));
+
+        if (syndrome0 === 0 && syndrome1 === 0) continue;
+
+        // A single flipped data bit toggles exactly one bit of each parity pair;
+        // a single flipped bit in the stored ECC toggles one syndrome bit
+        const singleDataBit = (syndrome0 ^ syndrome1) === 0xFFF;
+        const singleEccBit = countBits(syndrome0) + countBits(syndrome1) === 1;
+        if (singleDataBit) {
+            // The set-bit parities spell out the flipped bit's position
+            raw[subpage * ECC_SUBPAGE_SIZE + (syndrome1 >> 3)] ^= 1 << (syndrome1 & 7);
+            result = 'correctable';
+        } else if (singleEccBit) {
+            result = 'correctable';
+        } else {
+            return 'uncorrectable';
+        }
+    }
+    return result;
+}
+
+/**
+ * Count set bits in a 32-bit value
+ * @param {number} value - Value
+ * @returns {number} Number of set bits
+ */
+function countBits(value) {
+    let count = 0;
+    for (let v = value >>> 0; v; v &= v - 1) count++;
+    return count;
+}
+
+/**
+ * Build the 64-byte salt mixed into a file cluster's HMAC
+ * @param {Object} entry - FST entry of the file
+ * @param {number} chainIndex - Position of the cluster within the file
+ * @returns {Uint8Array}
+ */
+function fileHmacSalt(entry, chainIndex) {
+    const salt = new Uint8Array(0x40);
+    const view = new DataView(salt.buffer);
+    view.setUint32(0x00, entry.uid, false);
+    for (let i = 0; i < entry.name.length && i < 12; i++) {
+        salt[0x04 + i] = entry.name.charCodeAt(i);
+    }
+    view.setUint32(0x10, chainIndex, false);
+    view.setUint32(0x14, entry.index, false);
+    view.setUint32(0x18, entry.x3, false);
+    return salt;
+}
+
+/**
+ * Build the 64-byte salt mixed into a superblock's HMAC
+ * @param {number} cluster - First cluster of the superblock
+ * @returns {Uint8Array}
+ */
+function superblockHmacSalt(cluster) {
+    const salt = new Uint8Array(0x40);
+    new DataView(salt.buffer).setUint16(0x12, cluster, false);
+    return salt;
+}
+
+/**
+ * Extract the HMAC stored in the spare area of a raw cluster
+ * @param {Uint8Array} rawCluster - Cluster including spare areas
+ * @returns {Uint8Array} 20-byte HMAC
+ */
+function storedClusterHmac(rawCluster) {
+    const spare = SPARE_HMAC_PAGE * (NAND_PAGE_SIZE + NAND_SPARE_SIZE) + NAND_PAGE_SIZE;
+    return rawCluster.slice(spare + SPARE_HMAC_OFFSET, spare + SPARE_HMAC_OFFSET + 20);
+}
+
+/**
+ * Read the keys footer appended by BootMii
+ * @param {NandImage} nand - NAND reader
+ * @returns {Promise<Uint8Array|null>} 1 KB keys.bin, or null if the layout has none
+ */
+async function readNandKeysFooter(nand) {
+    if (nand.layout.keysSize === 0) return null;
+    return nand.readRange(NAND_ECC_DATA_SIZE, KEYS_BIN_SIZE);
+}
+
+/**
+ * Split a keys.bin into its individual keys
+ * @param {Uint8Array} keys - keys.bin contents
+ * @returns {Object} Header text, console ID and key material
+ */
+function parseKeysBin(keys) {
+    if (keys.length < KEYS_BIN_SIZE) {
+        throw new Error(`keys.bin must be ${KEYS_BIN_SIZE} bytes, got ${keys.length}`);
+    }
+    if (keys.subarray(KEYS_HEADER_SIZE, KEYS_HEADER_SIZE + 0x80).every(byte => byte === 0)) {
+        throw new Error('The keys footer is empty (the OTP was not dumped)');
+    }
+
+    const view = new DataView(keys.buffer, keys.byteOffset, KEYS_BIN_SIZE);
+    const header = new TextDecoder('ascii').decode(keys.subarray(0, KEYS_HEADER_SIZE)).replace(/\0.*$/s, '').trim();
+    const ngId = view.getUint32(KEYS_NG_ID_OFFSET, false);
+
+    return {
+        header: header,
+        ngId: ngId,
+        consoleId: ngId.toString(16).padStart(8, '0'),
+        commonKey: keys.slice(KEYS_COMMON_KEY_OFFSET, KEYS_COMMON_KEY_OFFSET + 16),
+        ngPrivateKey: keys.slice(KEYS_NG_PRIVATE_KEY_OFFSET, KEYS_NG_PRIVATE_KEY_OFFSET + 30),
+        nandHmacKey: keys.slice(KEYS_NAND_HMAC_OFFSET, KEYS_NAND_HMAC_OFFSET + 20),
+        nandAesKey: keys.slice(KEYS_NAND_AES_OFFSET, KEYS_NAND_AES_OFFSET + 16),
+        rngKey: keys.slice(KEYS_RNG_KEY_OFFSET, KEYS_RNG_KEY_OFFSET + 16),
+        msId: view.getUint32(KEYS_MS_ID_OFFSET, false),
+        caId: view.getUint32(KEYS_CA_ID_OFFSET, false),
+        ngKeyId: view.getUint32(KEYS_NG_KEY_ID_OFFSET, false),
+        ngSignature: keys.slice(KEYS_NG_SIGNATURE_OFFSET, KEYS_NG_SIGNATURE_OFFSET + 60)
+    };
+}
+
+/**
+ * Decode the system menu's setting.txt
+ * The file is XORed with a key that rotates left by one bit per byte.
+ * @param {Uint8Array} data - Decrypted file contents
+ * @returns {Object} KEY=VALUE pairs
+ */
+function parseSettingTxt(data) {
+    let key = SETTING_TXT_KEY;
+    let text = '';
+    for (let i = 0; i < data.length; i++) {
+        text += String.fromCharCode(data[i] ^ (key & 0xFF));
+        key = ((key << 1) | (key >>> 31)) >>> 0;
+    }
+
+    const settings = {};
+    text.split(/\r?\n/).forEach(line => {
+        const separator = line.indexOf('=');
+        if (separator > 0) {
+            settings[line.slice(0, separator)] = line.slice(separator + 1).replace(/\0.*$/s, '');
+        }
+    });
+    return settings;
+}
+
+/**
+ * Describe the console region from setting.txt values
+ * @param {Object} settings - Result of parseSettingTxt
+ * @returns {string}
+ */
+function describeConsoleRegion(settings) {
+    const area = SETTING_AREAS[settings.AREA] || settings.AREA || 'Unknown';
+    const game = SETTING_GAME_REGIONS[settings.GAME] || settings.GAME;
+    return game ? `${area} (${game})` : area;
+}
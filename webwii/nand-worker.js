@@ -0,0 +1,248 @@
+// NAND Worker
+// Checks page ECC and SFFS HMACs of a BootMii dump and extracts its files without blocking the page
+
+importScripts('wii-crypto.js', 'nand-image.js');
+
+/**
+ * Number of blocks read from the file per ECC chunk (8 clusters per block)
+ */
+const ECC_CHUNK_BLOCKS = 64;
+
+/**
+ * Handle an integrity check or extraction request
+ *
+ * Message: { type: 'verify' | 'extract', file: File, layout: Object, keys: Uint8Array|null }
+ * `keys` is a stored keys.bin to use when the dump has no keys footer. It is
+ * only trusted if the superblock HMAC matches, since it may belong to
+ * another console.
+ *
+ * Replies with 'progress' messages ({phase, processed, total}), then 'done'
+ * with the integrity report, or 'error'. See extractFiles for 'extract'.
+ */
+self.onmessage = async (event) => {
+    const request = event.data;
+    if (request.type === 'extract') {
+        extractFiles(request);
+        return;
+    }
+    if (request.type !== 'verify') return;
+
+    try {
+        const nand = new NandImage(request.file, request.layout);
+        await nand.findNewestSuperblock();
+        const tree = nand.buildTree();
+
+        const report = {
+            eccChecked: nand.layout.hasEcc,
+            hmacChecked: false,
+            hmacSkippedReason: null,
+            storedKeysRejected: false,
+            badBlocks: [],
+            correctablePages: [],
+            uncorrectablePages: [],
+            superblockHmacOk: null,
+            hmacFailures: [],
+            affectedFiles: []
+        };
+
+        if (!nand.layout.hasEcc) {
+            report.hmacSkippedReason = 'This dump has no spare areas, so ECC and HMAC data are missing.';
+            self.postMessage({ type: 'done', report: report });
+            return;
+        }
+
+        await checkEcc(nand, report);
+
+        const footerKeys = await readNandKeysFooter(nand);
+        const keys = footerKeys || request.keys;
+        if (keys) {
+            await checkHmacs(nand, tree, keys, !footerKeys, report);
+        } else {
+            report.hmacSkippedReason = 'No NAND keys are available (the dump has no keys footer and no console keys are stored).';
+        }
+
+        report.affectedFiles = findAffectedFiles(nand, tree, report);
+        self.postMessage({ type: 'done', report: report });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
+
+/**
+ * Check the ECC of every page and record bad blocks
+ * @param {NandImage} nand - NAND reader
+ * @param {Object} report - Report to fill in
+ */
+async function checkEcc(nand, report) {
+    const totalBlocks = NAND_CLUSTER_COUNT / NAND_CLUSTERS_PER_BLOCK;
+    const pagesPerBlock = NAND_CLUSTERS_PER_BLOCK * NAND_PAGES_PER_CLUSTER;
+
+    for (let block = 0; block < totalBlocks; block += ECC_CHUNK_BLOCKS) {
+        const raw = await nand.readRawClusters(block * NAND_CLUSTERS_PER_BLOCK, ECC_CHUNK_BLOCKS * NAND_CLUSTERS_PER_BLOCK);
+
+        for (let b = 0; b < ECC_CHUNK_BLOCKS; b++) {
+            const firstPage = b * pagesPerBlock;
+            const marker = raw[firstPage * nand.pageStride + NAND_PAGE_SIZE + SPARE_BAD_BLOCK_MARKER];
+            if (marker !== 0xFF) {
+                report.badBlocks.push(block + b);
+                continue;
+            }
+
+            for (let p = 0; p < pagesPerBlock; p++) {
+                const start = (firstPage + p) * nand.pageStride;
+                const result = checkPageEcc(raw.subarray(start, start + nand.pageStride));
+                const page = (block + b) * pagesPerBlock + p;
+                if (result === 'correctable') {
+                    report.correctablePages.push(page);
+                } else if (result === 'uncorrectable') {
+                    report.uncorrectablePages.push(page);
+                }
+            }
+        }
+
+        self.postMessage({ type: 'progress', phase: 'ecc', processed: block + ECC_CHUNK_BLOCKS, total: totalBlocks });
+    }
+}
+
+/**
+ * Check the superblock HMAC and the HMAC of every file cluster
+ * @param {NandImage} nand - NAND reader
+ * @param {Object} tree - Filesystem tree
+ * @param {Uint8Array} keys - keys.bin contents
+ * @param {boolean} storedKeys - Whether the keys came from the key store rather than the dump
+ * @param {Object} report - Report to fill in
+ */
+async function checkHmacs(nand, tree, keys, storedKeys, report) {
+    const hmacKey = await importHmacKey(keys.slice(KEYS_NAND_HMAC_OFFSET, KEYS_NAND_HMAC_OFFSET + 20));
+    const aesKey = await importAesKey(keys.slice(KEYS_NAND_AES_OFFSET, KEYS_NAND_AES_OFFSET + 16));
+    const zeroIv = new Uint8Array(AES_BLOCK_SIZE);
+    report.hmacChecked = true;
+
+    // Superblock MAC is kept in the spare area of its last cluster
+    const superblock = nand.superblock;
+    const lastCluster = await nand.readRawClusters(superblock.cluster + SFFS_SUPERBLOCK_CLUSTERS - 1, 1);
+    const superblockMac = await hmacSha1(hmacKey, superblockHmacSalt(superblock.cluster), superblock.data);
+    report.superblockHmacOk = bytesEqual(superblockMac, storedClusterHmac(lastCluster));
+
+    if (storedKeys && !report.superblockHmacOk) {
+        report.hmacChecked = false;
+        report.superblockHmacOk = null;
+        report.storedKeysRejected = true;
+        report.hmacSkippedReason = 'The stored console keys do not belong to the console this dump came from.';
+        return;
+    }
+
+    const files = [];
+    walkNandTree(tree, node => {
+        if (node.type === 'file' && node.clusters && node.clusters.length > 0) {
+            files.push(node);
+        }
+    });
+    const totalClusters = files.reduce((sum, node) => sum + node.clusters.length, 0);
+    let processed = 0;
+
+    for (const node of files) {
+        const badClusters = [];
+        for (let i = 0; i < node.clusters.length; i++) {
+            const cluster = await nand.readCorrectedCluster(node.clusters[i]);
+            const decrypted = await aesCbcDecrypt(aesKey, zeroIv, cluster.data);
+            const mac = await hmacSha1(hmacKey, fileHmacSalt(node.entry, i), decrypted);
+            if (!bytesEqual(mac, storedClusterHmac(cluster.raw))) {
+                badClusters.push(node.clusters[i]);
+            }
+
+            processed++;
+            if (processed % 64 === 0 || processed === totalClusters) {
+                self.postMessage({ type: 'progress', phase: 'hmac', processed: processed, total: totalClusters });
+            }
+        }
+
+        if (badClusters.length > 0) {
+            report.hmacFailures.push({ path: node.path, clusters: badClusters });
+        }
+    }
+}
+
+/**
+ * Map ECC errors and bad blocks back to the files that use those clusters
+ * @param {NandImage} nand - NAND reader
+ * @param {Object} tree - Filesystem tree
+ * @param {Object} report - Report with ECC results
+ * @returns {Array<{path: string, correctable: number, uncorrectable: number, badBlock: boolean}>}
+ */
+function findAffectedFiles(nand, tree, report) {
+    const owners = new Map();
+    walkNandTree(tree, node => {
+        if (node.type === 'file' && node.clusters) {
+            node.clusters.forEach(cluster => owners.set(cluster, node.path));
+        }
+    });
+    const superblockStart = nand.superblock.cluster;
+    for (let i = 0; i < SFFS_SUPERBLOCK_CLUSTERS; i++) {
+        owners.set(superblockStart + i, '(filesystem superblock)');
+    }
+
+    const affected = new Map();
+    const note = (cluster, field) => {
+        const path = owners.get(cluster);
+        if (!path) return;
+        if (!affected.has(path)) {
+            affected.set(path, { path: path, correctable: 0, uncorrectable: 0, badBlock: false });
+        }
+        const entry = affected.get(path);
+        if (field === 'badBlock') {
+            entry.badBlock = true;
+        } else {
+            entry[field]++;
+        }
+    };
+
+    report.correctablePages.forEach(page => note(Math.floor(page / NAND_PAGES_PER_CLUSTER), 'correctable'));
+    report.uncorrectablePages.forEach(page => note(Math.floor(page / NAND_PAGES_PER_CLUSTER), 'uncorrectable'));
+    report.badBlocks.forEach(block => {
+        for (let i = 0; i < NAND_CLUSTERS_PER_BLOCK; i++) {
+            note(block * NAND_CLUSTERS_PER_BLOCK + i, 'badBlock');
+        }
+    });
+
+    return Array.from(affected.values()).sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Decrypt every file in a dump and send it to the page
+ *
+ * Message: { type: 'extract', file: File, layout: Object, keys: Uint8Array }
+ * Replies with a 'directory' message ({path}) for each directory and a
+ * 'file' message ({path, data}) for each file, in tree order, with
+ * 'progress' messages ({processed, total} in bytes), then 'done' or 'error'.
+ * @param {Object} request - Extraction request
+ */
+async function extractFiles(request) {
+    try {
+        const nand = new NandImage(request.file, request.layout);
+        await nand.findNewestSuperblock();
+        const tree = nand.buildTree();
+        const aesKey = await importAesKey(request.keys.slice(KEYS_NAND_AES_OFFSET, KEYS_NAND_AES_OFFSET + 16));
+
+        const nodes = [];
+        walkNandTree(tree, node => nodes.push(node));
+        const totalBytes = nodes.reduce((sum, node) => sum + node.size, 0);
+        let processed = 0;
+
+        for (const node of nodes) {
+            if (node.type === 'dir') {
+                self.postMessage({ type: 'directory', path: node.path });
+                continue;
+            }
+
+            const data = (await nand.readFile(node, aesKey)).slice();
+            processed += node.size;
+            self.postMessage({ type: 'file', path: node.path, data: data }, [data.buffer]);
+            self.postMessage({ type: 'progress', processed: processed, total: totalBytes });
+        }
+
+        self.postMessage({ type: 'done' });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+}
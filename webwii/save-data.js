@@ -0,0 +1,689 @@
+// Save Data
+// Imports and exports Wii saves in the SD card data.bin format, mapped to /title/<hi>/<lo>/data in the virtual NAND
+
+/**
+ * data.bin header: title ID, banner size, permissions and an MD5 of the
+ * header, followed by the WIBN banner. It is encrypted with the SD key.
+ */
+const DATA_BIN_HEADER_SIZE = 0xF0C0;
+const DATA_BIN_BANNER_SIZE_OFFSET = 0x08;
+const DATA_BIN_PERMISSIONS_OFFSET = 0x0C;
+const DATA_BIN_MD5_OFFSET = 0x0E;
+const DATA_BIN_BANNER_OFFSET = 0x20;
+
+/**
+ * Public constants used with the SD key (not secrets, so they are not user-supplied)
+ */
+const SD_INITIAL_IV = hexToBytes('216712e6aa1f689f95c5a22324dc6a98');
+const DATA_BIN_MD5_BLANKER = hexToBytes('0e65378199be4517ab06ec22451a5793');
+
+/**
+ * Bk header, unencrypted, right after the main header
+ */
+const BK_HEADER_SIZE = 0x80;
+const BK_HEADER_LENGTH = 0x70; // Value of the header's own size field
+const BK_MAGIC = 0x426B0001; // 'Bk' version 1
+const BK_TITLE_ID_OFFSET = 0x60;
+
+/**
+ * File entries: an unencrypted 0x80-byte header, then the data padded to
+ * 0x40 bytes and encrypted with the SD key and the header's IV
+ */
+const SAVE_FILE_HEADER_SIZE = 0x80;
+const SAVE_FILE_MAGIC = 0x03ADF17E;
+const SAVE_FILE_NAME_OFFSET = 0x0B;
+const SAVE_FILE_NAME_SIZE = 0x45;
+const SAVE_FILE_IV_OFFSET = 0x50;
+const SAVE_FILE_ALIGNMENT = 0x40;
+const SAVE_FILE_TYPE_FILE = 1;
+const SAVE_FILE_TYPE_DIRECTORY = 2;
+const SAVE_FILE_DEFAULT_MODE = 0x3C; // Owner and group read/write
+
+/**
+ * Signature block: ECDSA signature, an end marker, then the device (NG)
+ * and application (AP) certificates
+ */
+const SAVE_SIGNATURE_END_MAGIC = 0x2F536969; // '/Sii'
+const SAVE_CERTIFICATE_AREA_SIZE = 0x3C0; // Counted in the Bk header's total size
+const ECC_CERT_SIZE = 0x180;
+const ECC_CERT_SIGNATURE_OFFSET = 0x04;
+const ECC_CERT_ISSUER_OFFSET = 0x80;
+const ECC_CERT_KEY_TYPE_OFFSET = 0xC0;
+const ECC_CERT_NAME_OFFSET = 0xC4;
+const ECC_CERT_KEY_ID_OFFSET = 0x104;
+const ECC_CERT_PUBLIC_KEY_OFFSET = 0x108;
+const ECC_SIGNATURE_TYPE = 0x00010002;
+const ECC_KEY_TYPE = 2;
+
+/**
+ * WIBN save banner: title and subtitle (UTF-16BE), a 192x64 banner and
+ * up to eight 48x48 icons, all RGB5A3
+ */
+const WIBN_MAGIC = 'WIBN';
+const WIBN_TITLE_OFFSET = 0x20;
+const WIBN_SUBTITLE_OFFSET = 0x60;
+const WIBN_TEXT_LENGTH = 0x40;
+const WIBN_ICON_OFFSET = 0x60A0;
+const WIBN_ICON_SIZE = 48;
+const WIBN_MIN_SIZE = 0x72A0;
+const WIBN_MAX_SIZE = 0xF0A0;
+const SAVE_BANNER_FILE = 'banner.bin';
+
+/**
+ * Title ID halves whose titles keep saves (discs, channels, DLC-style titles)
+ */
+const SAVE_TITLE_TYPES = [0x00010000, 0x00010001, 0x00010004];
+
+/**
+ * Save parsed from the last imported data.bin
+ */
+let importedSave = null;
+
+/**
+ * Saves shown in the list, from the last refresh
+ */
+let nandSaves = [];
+
+/**
+ * Initialize the save data panel
+ */
+function initSaveData() {
+    const fileInput = document.getElementById('save-data-input');
+    const installButton = document.getElementById('install-save-data');
+    const refreshButton = document.getElementById('refresh-saves');
+    const listDiv = document.getElementById('save-list');
+    const keyInput = document.getElementById('sd-key-input');
+
+    if (!fileInput || !installButton || !listDiv) return;
+
+    keyInput.placeholder = getStoredKey('sd') ? 'Using stored key' : '32 hex characters';
+
+    fileInput.addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (file) {
+            handleDataBinImport(file);
+        }
+    });
+
+    installButton.addEventListener('click', () => {
+        if (!importedSave) return;
+        const save = importedSave;
+        const warning = save.signature.valid
+            ? `You are about to install the save for "${save.banner.title}" (${save.titleId.hex}).`
+            : `The signature of this save could not be verified. It may be damaged or edited. You are about to install it for "${save.banner.title}" (${save.titleId.hex}) anyway.`;
+        showNandWarning(
+            `${warning} Any existing save data for this title will be replaced. Are you sure you want to proceed?`,
+            () => performSaveInstall(save)
+        );
+    });
+
+    refreshButton.addEventListener('click', refreshSaveList);
+
+    // Row buttons carry the title ID
+    listDiv.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-action="export"]');
+        if (!button) return;
+
+        const save = nandSaves.find(s => s.titleId.hex === button.dataset.title);
+        if (save) {
+            performSaveExport(save);
+        }
+    });
+}
+
+/**
+ * Get the SD key from the input or the key store, storing a newly entered one
+ * @returns {Uint8Array} SD key
+ */
+function resolveSdKey() {
+    const keyInput = document.getElementById('sd-key-input');
+    if (keyInput && keyInput.value.trim()) {
+        const sdKey = parseKeyHex('sd', keyInput.value);
+        setStoredKey('sd', sdKey);
+        keyInput.value = '';
+        keyInput.placeholder = 'Using stored key';
+        return sdKey;
+    }
+
+    const stored = getStoredKey('sd');
+    if (!stored) {
+        throw new Error('data.bin files are encrypted with the Wii SD key. Enter it above first.');
+    }
+    return stored;
+}
+
+/**
+ * Read a data.bin picked by the user and show what it contains
+ * @param {File} file - data.bin
+ */
+async function handleDataBinImport(file) {
+    const statusDiv = document.getElementById('save-data-status');
+    const infoDiv = document.getElementById('save-data-info');
+    const detailsDiv = document.getElementById('save-data-details');
+    const installButton = document.getElementById('install-save-data');
+
+    importedSave = null;
+    infoDiv.style.display = 'none';
+
+    try {
+        const sdKey = resolveSdKey();
+        showStatus(statusDiv, 'info', `Reading ${file.name}...`);
+
+        const save = await parseDataBin(new Uint8Array(await file.arrayBuffer()), sdKey);
+        importedSave = save;
+        detailsDiv.innerHTML = await renderSaveDetails(save);
+        infoDiv.style.display = 'block';
+        installButton.style.display = 'inline-block';
+
+        if (save.signature.valid && save.headerMd5Ok) {
+            showStatus(statusDiv, 'success', `${save.banner.title}: the save is intact and signed by console ${save.signature.consoleId}.`);
+        } else {
+            showStatus(statusDiv, 'error', `${save.banner.title}: ${save.signature.error || 'the header checksum does not match'}. The save can still be installed, at your own risk.`);
+        }
+    } catch (error) {
+        console.error('data.bin import failed:', error);
+        showStatus(statusDiv, 'error', `Could not read ${file.name}: ${error.message}`);
+    }
+}
+
+/**
+ * Decrypt and decode a data.bin
+ * @param {Uint8Array} bytes - data.bin contents
+ * @param {Uint8Array} sdKey - Wii SD key
+ * @returns {Promise<Object>} Save ({titleId, permissions, bannerBytes, banner, headerMd5Ok, ngId, files, signature})
+ */
+async function parseDataBin(bytes, sdKey) {
+    if (bytes.length < DATA_BIN_HEADER_SIZE + BK_HEADER_SIZE) {
+        throw new Error('the file is too small to be a data.bin');
+    }
+
+    const header = await aesCbcDecrypt(sdKey, SD_INITIAL_IV, bytes.subarray(0, DATA_BIN_HEADER_SIZE));
+    const headerView = new DataView(header.buffer, header.byteOffset, header.byteLength);
+    const bannerSize = headerView.getUint32(DATA_BIN_BANNER_SIZE_OFFSET, false);
+    const bannerBytes = header.slice(DATA_BIN_BANNER_OFFSET, DATA_BIN_BANNER_OFFSET + bannerSize);
+    if (bannerSize < WIBN_MIN_SIZE || bannerSize > WIBN_MAX_SIZE || String.fromCharCode(...bannerBytes.subarray(0, 4)) !== WIBN_MAGIC) {
+        throw new Error('the header does not decrypt to a save banner (wrong SD key, or not a data.bin)');
+    }
+
+    const storedMd5 = header.slice(DATA_BIN_MD5_OFFSET, DATA_BIN_MD5_OFFSET + 16);
+    const blanked = header.slice();
+    blanked.set(DATA_BIN_MD5_BLANKER, DATA_BIN_MD5_OFFSET);
+    const headerMd5Ok = bytesEqual(md5(blanked), storedMd5);
+
+    const bkView = new DataView(bytes.buffer, bytes.byteOffset + DATA_BIN_HEADER_SIZE, BK_HEADER_SIZE);
+    if (bkView.getUint32(0, false) !== BK_HEADER_LENGTH || bkView.getUint32(4, false) !== BK_MAGIC) {
+        throw new Error('the Bk header is missing');
+    }
+    const ngId = bkView.getUint32(0x08, false);
+    const fileCount = bkView.getUint32(0x0C, false);
+    const filesSize = bkView.getUint32(0x10, false);
+    const titleId = readTitleId(headerView, 0);
+    if (readTitleId(bkView, BK_TITLE_ID_OFFSET).hex !== titleId.hex) {
+        throw new Error('the title IDs in the header and the Bk header differ');
+    }
+
+    const filesStart = DATA_BIN_HEADER_SIZE + BK_HEADER_SIZE;
+    const filesEnd = filesStart + filesSize;
+    if (filesEnd > bytes.length) {
+        throw new Error('the file is truncated');
+    }
+
+    const files = [];
+    let offset = filesStart;
+    for (let i = 0; i < fileCount; i++) {
+        if (offset + SAVE_FILE_HEADER_SIZE > filesEnd) {
+            throw new Error(`file entry ${i} is outside the file area`);
+        }
+        const view = new DataView(bytes.buffer, bytes.byteOffset + offset, SAVE_FILE_HEADER_SIZE);
+        if (view.getUint32(0, false) !== SAVE_FILE_MAGIC) {
+            throw new Error(`file entry ${i} has a bad magic`);
+        }
+
+        const size = view.getUint32(0x04, false);
+        const entry = {
+            path: readAsciiString(view, SAVE_FILE_NAME_OFFSET, SAVE_FILE_NAME_SIZE),
+            mode: view.getUint8(0x08),
+            attributes: view.getUint8(0x09),
+            type: view.getUint8(0x0A),
+            data: null
+        };
+        if (!entry.path || entry.path.split('/').some(part => part === '' || part === '..')) {
+            throw new Error(`file entry ${i} has an invalid name "${entry.path}"`);
+        }
+        offset += SAVE_FILE_HEADER_SIZE;
+
+        if (entry.type === SAVE_FILE_TYPE_FILE) {
+            const paddedSize = alignUp(size, SAVE_FILE_ALIGNMENT);
+            if (offset + paddedSize > filesEnd) {
+                throw new Error(`${entry.path} is truncated`);
+            }
+            const iv = bytes.slice(offset - SAVE_FILE_HEADER_SIZE + SAVE_FILE_IV_OFFSET, offset - SAVE_FILE_HEADER_SIZE + SAVE_FILE_IV_OFFSET + AES_BLOCK_SIZE);
+            const decrypted = await aesCbcDecrypt(sdKey, iv, bytes.subarray(offset, offset + paddedSize));
+            entry.data = decrypted.slice(0, size);
+            offset += paddedSize;
+        } else if (entry.type !== SAVE_FILE_TYPE_DIRECTORY) {
+            throw new Error(`${entry.path} has unknown type ${entry.type}`);
+        }
+        files.push(entry);
+    }
+
+    return {
+        titleId: titleId,
+        permissions: header[DATA_BIN_PERMISSIONS_OFFSET],
+        bannerBytes: bannerBytes,
+        banner: parseSaveBanner(bannerBytes),
+        headerMd5Ok: headerMd5Ok,
+        ngId: ngId,
+        files: files,
+        signature: await verifyDataBinSignature(bytes, filesEnd)
+    };
+}
+
+/**
+ * Hash signed by the AP key: SHA-1 of the SHA-1 of the Bk header and files
+ * The certificates themselves are signed over a single SHA-1.
+ * @param {Uint8Array} data - Bk header and file entries
+ * @returns {Promise<Uint8Array>} 20-byte hash
+ */
+async function dataBinSignatureHash(data) {
+    return sha1(await sha1(data));
+}
+
+/**
+ * Check the AP certificate against the NG certificate and the data signature against the AP certificate
+ * @param {Uint8Array} bytes - data.bin contents
+ * @param {number} filesEnd - Offset of the signature block
+ * @returns {Promise<Object>} {valid, consoleId, error}
+ */
+async function verifyDataBinSignature(bytes, filesEnd) {
+    const blockSize = ECC_SIGNATURE_SIZE + 4 + ECC_CERT_SIZE * 2;
+    if (filesEnd + blockSize > bytes.length) {
+        return { valid: false, consoleId: null, error: 'the signature block is missing' };
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset + filesEnd, blockSize);
+    const signature = bytes.subarray(filesEnd, filesEnd + ECC_SIGNATURE_SIZE);
+    const ngCert = bytes.subarray(filesEnd + ECC_SIGNATURE_SIZE + 4, filesEnd + ECC_SIGNATURE_SIZE + 4 + ECC_CERT_SIZE);
+    const apCert = bytes.subarray(filesEnd + ECC_SIGNATURE_SIZE + 4 + ECC_CERT_SIZE, filesEnd + blockSize);
+    const ngName = readAsciiString(new DataView(ngCert.buffer, ngCert.byteOffset, ECC_CERT_SIZE), ECC_CERT_NAME_OFFSET, 0x40);
+    const consoleId = ngName.startsWith('NG') ? ngName.slice(2) : ngName;
+
+    if (view.getUint32(ECC_SIGNATURE_SIZE, false) !== SAVE_SIGNATURE_END_MAGIC) {
+        return { valid: false, consoleId: consoleId, error: 'the signature block is malformed' };
+    }
+
+    const ngPublicKey = ngCert.subarray(ECC_CERT_PUBLIC_KEY_OFFSET, ECC_CERT_PUBLIC_KEY_OFFSET + ECC_PUBLIC_KEY_SIZE);
+    const apPublicKey = apCert.subarray(ECC_CERT_PUBLIC_KEY_OFFSET, ECC_CERT_PUBLIC_KEY_OFFSET + ECC_PUBLIC_KEY_SIZE);
+    const apSignature = apCert.subarray(ECC_CERT_SIGNATURE_OFFSET, ECC_CERT_SIGNATURE_OFFSET + ECC_SIGNATURE_SIZE);
+
+    if (!eccVerify(ngPublicKey, apSignature, await sha1(apCert.subarray(ECC_CERT_ISSUER_OFFSET)))) {
+        return { valid: false, consoleId: consoleId, error: 'the application certificate is not signed by the console certificate' };
+    }
+    const signedData = bytes.subarray(DATA_BIN_HEADER_SIZE, filesEnd);
+    if (!eccVerify(apPublicKey, signature, await dataBinSignatureHash(signedData))) {
+        return { valid: false, consoleId: consoleId, error: 'the save signature does not match its contents' };
+    }
+    return { valid: true, consoleId: consoleId, error: null };
+}
+
+/**
+ * Decode a WIBN save banner
+ * @param {Uint8Array} banner - banner.bin contents
+ * @returns {{title: string, subtitle: string, icon: Uint8ClampedArray|null}}
+ */
+function parseSaveBanner(banner) {
+    const view = new DataView(banner.buffer, banner.byteOffset, banner.byteLength);
+    const readText = (offset) => {
+        let text = '';
+        for (let i = 0; i < WIBN_TEXT_LENGTH; i += 2) {
+            const code = view.getUint16(offset + i, false);
+            if (code === 0) break;
+            text += String.fromCharCode(code);
+        }
+        return text.trim();
+    };
+
+    const iconBytes = WIBN_ICON_SIZE * WIBN_ICON_SIZE * 2;
+    return {
+        title: readText(WIBN_TITLE_OFFSET) || 'Untitled save',
+        subtitle: readText(WIBN_SUBTITLE_OFFSET),
+        icon: banner.length >= WIBN_ICON_OFFSET + iconBytes
+            ? decodeRgb5a3(banner.subarray(WIBN_ICON_OFFSET, WIBN_ICON_OFFSET + iconBytes), WIBN_ICON_SIZE, WIBN_ICON_SIZE)
+            : null
+    };
+}
+
+/**
+ * Render an imported save
+ * @param {Object} save - Save from parseDataBin
+ * @returns {Promise<string>} HTML
+ */
+async function renderSaveDetails(save) {
+    const icon = await renderSaveIcon(save.banner);
+    const size = save.files.reduce((sum, file) => sum + (file.data ? file.data.length : 0), 0);
+    const files = save.files.map(file =>
+        `<li>${escapeHtml(file.path)}${file.type === SAVE_FILE_TYPE_DIRECTORY ? '/' : ` <span class="nand-size">${formatBytes(file.data.length)}</span>`}</li>`
+    ).join('');
+
+    return `
+        ${icon}
+        <p><strong>Title:</strong> ${escapeHtml(save.banner.title)}</p>
+        ${save.banner.subtitle ? `<p><strong>Subtitle:</strong> ${escapeHtml(save.banner.subtitle)}</p>` : ''}
+        <p><strong>Title ID:</strong> ${save.titleId.hex}${save.titleId.ascii ? ` (${save.titleId.ascii})` : ''}</p>
+        <p><strong>Files:</strong> ${save.files.length} (${formatBytes(size)})</p>
+        <p><strong>Header checksum:</strong> ${save.headerMd5Ok ? '✓ OK' : '✗ Mismatch'}</p>
+        <p><strong>Signature:</strong> ${save.signature.valid ? `✓ Valid (console ${escapeHtml(save.signature.consoleId)})` : `✗ ${escapeHtml(save.signature.error)}`}</p>
+        <details class="nand-tree"><summary>File list</summary><ul>${files}</ul></details>
+    `;
+}
+
+/**
+ * Render a save banner's icon as an <img>
+ * @param {Object} banner - Banner from parseSaveBanner
+ * @returns {Promise<string>} HTML ('' if the banner has no icon)
+ */
+async function renderSaveIcon(banner) {
+    if (!banner.icon) return '';
+    const png = await imageDataToPng(banner.icon, WIBN_ICON_SIZE, WIBN_ICON_SIZE);
+    const dataUrl = await new Promise(resolve => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsDataURL(png);
+    });
+    return `<img class="save-icon" src="${dataUrl}" alt="">`;
+}
+
+/**
+ * Write an imported save into the virtual NAND, replacing the title's data directory
+ * @param {Object} save - Save from parseDataBin
+ */
+async function performSaveInstall(save) {
+    const statusDiv = document.getElementById('save-data-status');
+
+    try {
+        const nand = await openEmulatorNand();
+        const dataPath = `${titleDirectoryPath(save.titleId.hi, save.titleId.lo)}/data`;
+        const transaction = nand.beginTransaction();
+
+        try {
+            transaction.replaceDirectory(dataPath);
+            transaction.makeDirectory(dataPath);
+            await transaction.writeFile(`${dataPath}/${SAVE_BANNER_FILE}`, save.bannerBytes);
+            for (const file of save.files) {
+                const path = dataPath + escapeNandPath(file.path);
+                if (file.type === SAVE_FILE_TYPE_DIRECTORY) {
+                    transaction.makeDirectory(path);
+                } else {
+                    await transaction.writeFile(path, file.data);
+                }
+            }
+        } catch (error) {
+            transaction.abort();
+            throw error;
+        }
+        await transaction.commit();
+
+        document.getElementById('save-data-info').style.display = 'none';
+        importedSave = null;
+        await refreshSaveList();
+        showStatus(statusDiv, 'success', `The save for ${save.banner.title} was installed.`);
+    } catch (error) {
+        console.error('Save install failed:', error);
+        showStatus(statusDiv, 'error', `Install failed, the virtual NAND was not changed: ${error.message}`);
+    }
+}
+
+/**
+ * Find the saves in the virtual NAND (title data directories with a banner)
+ * @param {VirtualNand} nand - Virtual NAND
+ * @returns {Array<Object>} Saves ({titleId, dataPath, banner, bannerBytes, files, size})
+ */
+function listNandSaves(nand) {
+    const saves = [];
+
+    SAVE_TITLE_TYPES.forEach(hi => {
+        const typePath = `/title/${nandHex(hi)}`;
+        if (!nand.isDirectory(typePath)) return;
+
+        nand.listDirectory(typePath).forEach(loName => {
+            const lo = parseInt(loName, 16);
+            const dataPath = `${typePath}/${loName}/data`;
+            if (Number.isNaN(lo) || !nand.exists(`${dataPath}/${SAVE_BANNER_FILE}`)) return;
+
+            try {
+                const bannerBytes = nand.readFile(`${dataPath}/${SAVE_BANNER_FILE}`).slice();
+                if (String.fromCharCode(...bannerBytes.subarray(0, 4)) !== WIBN_MAGIC) return;
+
+                const id = new DataView(new ArrayBuffer(8));
+                id.setUint32(0, hi, false);
+                id.setUint32(4, lo, false);
+                const files = readNandSaveFiles(nand, dataPath, '');
+                saves.push({
+                    titleId: readTitleId(id, 0),
+                    dataPath: dataPath,
+                    bannerBytes: bannerBytes,
+                    banner: parseSaveBanner(bannerBytes),
+                    files: files,
+                    size: files.reduce((sum, file) => sum + (file.data ? file.data.length : 0), 0)
+                });
+            } catch (error) {
+                console.warn(`Skipping save ${dataPath}:`, error);
+            }
+        });
+    });
+
+    return saves.sort((a, b) => a.banner.title.localeCompare(b.banner.title));
+}
+
+/**
+ * Collect a data directory's files and subdirectories, parents first
+ * The banner is left out since it goes in the data.bin header.
+ * @param {VirtualNand} nand - Virtual NAND
+ * @param {string} dataPath - NAND path of the data directory
+ * @param {string} relative - Path below the data directory ('' for its root)
+ * @returns {Array<Object>} Entries ({path, type, mode, attributes, data})
+ */
+function readNandSaveFiles(nand, dataPath, relative) {
+    const entries = [];
+    nand.listDirectory(dataPath + relative).sort().forEach(storedName => {
+        const storedPath = `${relative}/${storedName}`;
+        if (storedPath === `/${SAVE_BANNER_FILE}`) return;
+
+        // Undo Dolphin's escaping to get the name the Wii uses
+        const path = storedPath.slice(1).replace(/__([0-9a-f]{2})__/g, (_, code) => String.fromCharCode(parseInt(code, 16)));
+        if (nand.isDirectory(dataPath + storedPath)) {
+            entries.push({ path: path, type: SAVE_FILE_TYPE_DIRECTORY, mode: SAVE_FILE_DEFAULT_MODE, attributes: 0, data: null });
+            entries.push(...readNandSaveFiles(nand, dataPath, storedPath));
+        } else {
+            entries.push({ path: path, type: SAVE_FILE_TYPE_FILE, mode: SAVE_FILE_DEFAULT_MODE, attributes: 0, data: nand.readFile(dataPath + storedPath).slice() });
+        }
+    });
+    return entries;
+}
+
+/**
+ * Re-read the saves in the virtual NAND and redraw the list
+ * @returns {Promise}
+ */
+async function refreshSaveList() {
+    const statusDiv = document.getElementById('save-data-status');
+    const listDiv = document.getElementById('save-list');
+
+    try {
+        const nand = await openEmulatorNand();
+        nandSaves = listNandSaves(nand);
+    } catch (error) {
+        nandSaves = [];
+        listDiv.innerHTML = '';
+        showStatus(statusDiv, 'info', error.message);
+        return;
+    }
+
+    if (nandSaves.length === 0) {
+        listDiv.innerHTML = '';
+        showStatus(statusDiv, 'info', 'No saves were found in the virtual NAND.');
+        return;
+    }
+
+    const rows = await Promise.all(nandSaves.map(async save => `
+        <tr>
+            <td>${await renderSaveIcon(save.banner)}</td>
+            <td>${escapeHtml(save.banner.title)}${save.banner.subtitle ? `<br><span class="nand-size">${escapeHtml(save.banner.subtitle)}</span>` : ''}</td>
+            <td class="hash-cell">${save.titleId.hex}${save.titleId.ascii ? ` (${save.titleId.ascii})` : ''}</td>
+            <td>${save.files.length} (${formatBytes(save.size)})</td>
+            <td class="title-actions">
+                <button class="wii-button" data-action="export" data-title="${save.titleId.hex}">Export data.bin</button>
+            </td>
+        </tr>
+    `));
+    listDiv.innerHTML = `
+        <table class="details-table">
+            <thead>
+                <tr><th></th><th>Save</th><th>Title ID</th><th>Files</th><th>Actions</th></tr>
+            </thead>
+            <tbody>${rows.join('')}</tbody>
+        </table>
+    `;
+    statusDiv.style.display = 'none';
+}
+
+/**
+ * Export a save from the virtual NAND as data.bin and download it
+ * @param {Object} save - Save from listNandSaves
+ */
+async function performSaveExport(save) {
+    const statusDiv = document.getElementById('save-data-status');
+
+    const consoleKeys = getStoredKey('console');
+    if (!consoleKeys) {
+        showStatus(statusDiv, 'error', 'Exporting signs the save with your console\'s keys. Store your keys.bin from the BootMii section first.');
+        return;
+    }
+
+    try {
+        const sdKey = resolveSdKey();
+        showStatus(statusDiv, 'info', `Exporting the save for ${save.banner.title}...`);
+
+        const dataBin = await buildDataBin(save, parseKeysBin(consoleKeys), sdKey);
+        downloadBlob(dataBin, 'data.bin');
+        showStatus(statusDiv, 'success', `The save for ${save.banner.title} was exported. Copy data.bin to private/wii/title/${save.titleId.ascii || nandHex(save.titleId.lo)}/ on an SD card.`);
+    } catch (error) {
+        console.error('Save export failed:', error);
+        showStatus(statusDiv, 'error', `Export failed: ${error.message}`);
+    }
+}
+
+/**
+ * Build a data.bin the System Menu accepts
+ * @param {Object} save - Save from listNandSaves
+ * @param {Object} keys - Console keys from parseKeysBin
+ * @param {Uint8Array} sdKey - Wii SD key
+ * @returns {Promise<Uint8Array>} data.bin
+ */
+async function buildDataBin(save, keys, sdKey) {
+    const { hi, lo } = save.titleId;
+    if (save.bannerBytes.length < WIBN_MIN_SIZE || save.bannerBytes.length > WIBN_MAX_SIZE) {
+        throw new Error(`${SAVE_BANNER_FILE} has an unexpected size (${save.bannerBytes.length} bytes)`);
+    }
+
+    const entries = save.files.map(file => {
+        if (file.path.length > SAVE_FILE_NAME_SIZE - 1) {
+            throw new Error(`${file.path} has a name too long for data.bin`);
+        }
+        return file;
+    });
+    const filesSize = entries.reduce((sum, file) =>
+        sum + SAVE_FILE_HEADER_SIZE + (file.data ? alignUp(file.data.length, SAVE_FILE_ALIGNMENT) : 0), 0);
+
+    const signatureBlockSize = ECC_SIGNATURE_SIZE + 4 + ECC_CERT_SIZE * 2;
+    const output = new Uint8Array(DATA_BIN_HEADER_SIZE + BK_HEADER_SIZE + filesSize + signatureBlockSize);
+    const view = new DataView(output.buffer);
+
+    // Header, checksummed with the MD5 field blanked, then encrypted
+    const header = new Uint8Array(DATA_BIN_HEADER_SIZE);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, hi, false);
+    headerView.setUint32(4, lo, false);
+    headerView.setUint32(DATA_BIN_BANNER_SIZE_OFFSET, save.bannerBytes.length, false);
+    header[DATA_BIN_PERMISSIONS_OFFSET] = SAVE_FILE_DEFAULT_MODE;
+    header.set(save.bannerBytes, DATA_BIN_BANNER_OFFSET);
+    header.set(DATA_BIN_MD5_BLANKER, DATA_BIN_MD5_OFFSET);
+    header.set(md5(header), DATA_BIN_MD5_OFFSET);
+    output.set(await aesCbcEncrypt(sdKey, SD_INITIAL_IV, header), 0);
+
+    // Bk header
+    const bk = DATA_BIN_HEADER_SIZE;
+    view.setUint32(bk, BK_HEADER_LENGTH, false);
+    view.setUint32(bk + 0x04, BK_MAGIC, false);
+    view.setUint32(bk + 0x08, keys.ngId, false);
+    view.setUint32(bk + 0x0C, entries.length, false);
+    view.setUint32(bk + 0x10, filesSize, false);
+    view.setUint32(bk + 0x1C, filesSize + SAVE_CERTIFICATE_AREA_SIZE, false);
+    view.setUint32(bk + BK_TITLE_ID_OFFSET, hi, false);
+    view.setUint32(bk + BK_TITLE_ID_OFFSET + 4, lo, false);
+
+    // Files, each encrypted with the (zero) IV stored in its header
+    let offset = bk + BK_HEADER_SIZE;
+    for (const file of entries) {
+        view.setUint32(offset, SAVE_FILE_MAGIC, false);
+        view.setUint32(offset + 0x04, file.data ? file.data.length : 0, false);
+        output[offset + 0x08] = file.mode;
+        output[offset + 0x09] = file.attributes;
+        output[offset + 0x0A] = file.type;
+        for (let i = 0; i < file.path.length; i++) {
+            output[offset + SAVE_FILE_NAME_OFFSET + i] = file.path.charCodeAt(i);
+        }
+        offset += SAVE_FILE_HEADER_SIZE;
+
+        if (file.data) {
+            const padded = new Uint8Array(alignUp(file.data.length, SAVE_FILE_ALIGNMENT));
+            padded.set(file.data);
+            output.set(await aesCbcEncrypt(sdKey, new Uint8Array(AES_BLOCK_SIZE), padded), offset);
+            offset += padded.length;
+        }
+    }
+
+    // Signature block: a fresh AP key signs the data, the console's NG key signs the AP certificate
+    const ngIssuer = `Root-CA${nandHex(keys.caId)}-MS${nandHex(keys.msId)}`;
+    const ngCert = buildEccCertificate(ngIssuer, `NG${nandHex(keys.ngId)}`, keys.ngKeyId, eccPrivateToPublic(keys.ngPrivateKey));
+    ngCert.set(keys.ngSignature, ECC_CERT_SIGNATURE_OFFSET);
+
+    const apPrivateKey = eccGeneratePrivateKey();
+    const apName = `AP${nandHex(SYSTEM_MENU_TITLE_ID.hi)}${nandHex(SYSTEM_MENU_TITLE_ID.lo)}`;
+    const apCert = buildEccCertificate(`${ngIssuer}-NG${nandHex(keys.ngId)}`, apName, 0, eccPrivateToPublic(apPrivateKey));
+    apCert.set(eccSign(keys.ngPrivateKey, await sha1(apCert.subarray(ECC_CERT_ISSUER_OFFSET))), ECC_CERT_SIGNATURE_OFFSET);
+
+    output.set(eccSign(apPrivateKey, await dataBinSignatureHash(output.subarray(bk, offset))), offset);
+    view.setUint32(offset + ECC_SIGNATURE_SIZE, SAVE_SIGNATURE_END_MAGIC, false);
+    output.set(ngCert, offset + ECC_SIGNATURE_SIZE + 4);
+    output.set(apCert, offset + ECC_SIGNATURE_SIZE + 4 + ECC_CERT_SIZE);
+    return output;
+}
+
+/**
+ * Build an unsigned ECC certificate
+ * @param {string} issuer - Issuer, e.g. Root-CA00000001-MS00000002
+ * @param {string} name - Subject name, e.g. NG0403ac68
+ * @param {number} keyId - Key ID
+ * @param {Uint8Array} publicKey - 60-byte public key
+ * @returns {Uint8Array} 0x180-byte certificate
+ */
+function buildEccCertificate(issuer, name, keyId, publicKey) {
+    const cert = new Uint8Array(ECC_CERT_SIZE);
+    const view = new DataView(cert.buffer);
+    view.setUint32(0, ECC_SIGNATURE_TYPE, false);
+    for (let i = 0; i < issuer.length; i++) {
+        cert[ECC_CERT_ISSUER_OFFSET + i] = issuer.charCodeAt(i);
+    }
+    view.setUint32(ECC_CERT_KEY_TYPE_OFFSET, ECC_KEY_TYPE, false);
+    for (let i = 0; i < name.length; i++) {
+        cert[ECC_CERT_NAME_OFFSET + i] = name.charCodeAt(i);
+    }
+    view.setUint32(ECC_CERT_KEY_ID_OFFSET, keyId, false);
+    cert.set(publicKey, ECC_CERT_PUBLIC_KEY_OFFSET);
+    return cert;
+}
+
+// Initialize on DOM load
+document.addEventListener('DOMContentLoaded', initSaveData);
@@ -0,0 +1,358 @@
+// Save States
+// Ten save-state slots per game under /states (IndexedDB-backed), with thumbnails, hotkeys and export/import
+
+/**
+ * Where slots are kept: /states/<game id>/slot<N>.sav with a .png thumbnail and .json details
+ */
+const SAVE_STATE_ROOT = '/states';
+const SAVE_STATE_SLOT_COUNT = 10;
+
+/**
+ * Thumbnail size in pixels
+ */
+const SAVE_STATE_THUMBNAIL_WIDTH = 160;
+const SAVE_STATE_THUMBNAIL_HEIGHT = 120;
+
+/**
+ * Object URLs of the thumbnails currently on screen
+ */
+let saveStateThumbnailUrls = [];
+
+/**
+ * Initialize the save-state panel
+ */
+function initSaveStates() {
+    const slotsDiv = document.getElementById('save-state-slots');
+    const importInput = document.getElementById('save-state-import');
+
+    if (!slotsDiv || !importInput) return;
+
+    // Slot buttons carry the action and slot number
+    slotsDiv.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const slot = parseInt(button.dataset.slot, 10);
+        if (button.dataset.action === 'save') {
+            saveStateToSlot(slot);
+        } else if (button.dataset.action === 'load') {
+            loadStateFromSlot(slot);
+        } else if (button.dataset.action === 'export') {
+            exportStateSlot(slot);
+        } else if (button.dataset.action === 'import') {
+            importInput.dataset.slot = slot;
+            importInput.click();
+        } else if (button.dataset.action === 'delete') {
+            showNandWarning(
+                `You are about to delete save state slot ${slot} of ${currentGame.title}. Are you sure you want to proceed?`,
+                () => deleteStateSlot(slot)
+            );
+        }
+    });
+
+    importInput.addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (file) {
+            importStateSlot(parseInt(importInput.dataset.slot, 10), file);
+        }
+    });
+}
+
+/**
+ * Whether a game is loaded in an emulator that can save states
+ * @returns {boolean}
+ */
+function canUseSaveStates() {
+    return backendSupports('saveStates') && currentGame !== null;
+}
+
+/**
+ * Paths of one slot's files
+ * @param {string} gameId - Game ID
+ * @param {number} slot - Slot number (1-10)
+ * @returns {{directory: string, state: string, thumbnail: string, info: string}}
+ */
+function saveStatePaths(gameId, slot) {
+    const directory = `${SAVE_STATE_ROOT}/${gameId.replace(/[^A-Za-z0-9_-]/g, '_')}`;
+    return {
+        directory: directory,
+        state: `${directory}/slot${slot}.sav`,
+        thumbnail: `${directory}/slot${slot}.png`,
+        info: `${directory}/slot${slot}.json`
+    };
+}
+
+/**
+ * Get the emulator's filesystem once IndexedDB data has been loaded
+ * @returns {Promise<Object>} Emscripten FS
+ */
+async function getSaveStateFS() {
+    if (!backendSupports('saveStates')) {
+        throw new Error('Save states need Dolphin to be loaded.');
+    }
+    const backend = getActiveBackend();
+    await backend.fileSystemReady;
+    return backend.getModule().FS;
+}
+
+/**
+ * Read what is stored in one slot
+ * @param {Object} FS - Emscripten FS
+ * @param {string} gameId - Game ID
+ * @param {number} slot - Slot number
+ * @returns {Object|null} Slot ({slot, savedAt, size, imported, thumbnail}), or null if empty
+ */
+function readStateSlot(FS, gameId, slot) {
+    const paths = saveStatePaths(gameId, slot);
+    if (!FS.analyzePath(paths.state).exists) return null;
+
+    let info = {};
+    if (FS.analyzePath(paths.info).exists) {
+        try {
+            info = JSON.parse(FS.readFile(paths.info, { encoding: 'utf8' }));
+        } catch (error) {
+            console.warn(`Slot ${slot} details are unreadable:`, error);
+        }
+    }
+
+    return {
+        slot: slot,
+        savedAt: info.savedAt || null,
+        imported: Boolean(info.imported),
+        size: FS.stat(paths.state).size,
+        thumbnail: FS.analyzePath(paths.thumbnail).exists ? FS.readFile(paths.thumbnail) : null
+    };
+}
+
+/**
+ * Redraw the slots of the current game
+ * @returns {Promise}
+ */
+async function refreshSaveStateSlots() {
+    const panel = document.getElementById('save-state-panel');
+    const slotsDiv = document.getElementById('save-state-slots');
+    if (!panel || !slotsDiv) return;
+
+    if (!currentGame || !backendSupports('saveStates')) {
+        panel.style.display = 'none';
+        return;
+    }
+
+    let slots = [];
+    try {
+        const FS = await getSaveStateFS();
+        for (let slot = 1; slot <= SAVE_STATE_SLOT_COUNT; slot++) {
+            slots.push(readStateSlot(FS, currentGame.id, slot));
+        }
+    } catch (error) {
+        panel.style.display = 'none';
+        return;
+    }
+
+    saveStateThumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+    saveStateThumbnailUrls = [];
+    slotsDiv.innerHTML = slots.map((slot, index) => renderStateSlot(index + 1, slot)).join('');
+    panel.style.display = 'block';
+}
+
+/**
+ * Render one slot
+ * @param {number} number - Slot number
+ * @param {Object|null} slot - Slot from readStateSlot
+ * @returns {string} HTML
+ */
+function renderStateSlot(number, slot) {
+    let thumbnail = '<div class="save-state-thumbnail save-state-empty">Empty</div>';
+    if (slot && slot.thumbnail) {
+        const url = URL.createObjectURL(new Blob([slot.thumbnail], { type: 'image/png' }));
+        saveStateThumbnailUrls.push(url);
+        thumbnail = `<img class="save-state-thumbnail" src="${url}" alt="Slot ${number}">`;
+    } else if (slot) {
+        thumbnail = '<div class="save-state-thumbnail save-state-empty">No preview</div>';
+    }
+
+    const when = slot && slot.savedAt ? new Date(slot.savedAt).toLocaleString() : '';
+    return `
+        <div class="save-state-slot">
+            ${thumbnail}
+            <p><strong>Slot ${number}</strong> <span class="emulator-hint">${slot ? '' : `Shift+F${number} to save`}</span></p>
+            <p class="emulator-hint">${slot ? `${escapeHtml(when)}${slot.imported ? ' (imported)' : ''}` : '&nbsp;'}</p>
+            <div class="title-actions">
+                <button class="wii-button" data-action="save" data-slot="${number}">Save</button>
+                <button class="wii-button" data-action="load" data-slot="${number}"${slot ? '' : ' disabled'}>Load</button>
+                <button class="wii-button" data-action="export" data-slot="${number}"${slot ? '' : ' disabled'}>Download</button>
+                <button class="wii-button" data-action="import" data-slot="${number}">Import</button>
+                <button class="wii-button cancel-button" data-action="delete" data-slot="${number}"${slot ? '' : ' disabled'}>Delete</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Save the running game to a slot
+ * @param {number} slot - Slot number
+ */
+async function saveStateToSlot(slot) {
+    const statusDiv = document.getElementById('save-state-status');
+    if (!canUseSaveStates()) {
+        showStatus(statusDiv, 'error', 'Start a game in Dolphin before saving a state.');
+        return;
+    }
+
+    try {
+        const FS = await getSaveStateFS();
+        const paths = saveStatePaths(currentGame.id, slot);
+        makeStateDirectory(FS, paths.directory);
+
+        // Grab the frame first so the thumbnail matches the saved moment
+        const thumbnail = await captureStateThumbnail();
+        await getActiveBackend().saveState(paths.state);
+
+        if (thumbnail) {
+            FS.writeFile(paths.thumbnail, thumbnail);
+        } else if (FS.analyzePath(paths.thumbnail).exists) {
+            FS.unlink(paths.thumbnail);
+        }
+        FS.writeFile(paths.info, JSON.stringify({ savedAt: Date.now(), title: currentGame.title }));
+        await getActiveBackend().persistFileSystem();
+
+        await refreshSaveStateSlots();
+        showStatus(statusDiv, 'success', `Saved to slot ${slot}.`);
+    } catch (error) {
+        console.error('Save state failed:', error);
+        showStatus(statusDiv, 'error', `Could not save to slot ${slot}: ${error.message}`);
+    }
+}
+
+/**
+ * Load a slot into the running game
+ * @param {number} slot - Slot number
+ */
+async function loadStateFromSlot(slot) {
+    const statusDiv = document.getElementById('save-state-status');
+    if (!canUseSaveStates()) {
+        showStatus(statusDiv, 'error', 'Start a game in Dolphin before loading a state.');
+        return;
+    }
+
+    try {
+        const FS = await getSaveStateFS();
+        const paths = saveStatePaths(currentGame.id, slot);
+        if (!FS.analyzePath(paths.state).exists) {
+            showStatus(statusDiv, 'info', `Slot ${slot} is empty.`);
+            return;
+        }
+
+        await getActiveBackend().loadState(paths.state);
+        showStatus(statusDiv, 'success', `Loaded slot ${slot}.`);
+    } catch (error) {
+        console.error('Load state failed:', error);
+        showStatus(statusDiv, 'error', `Could not load slot ${slot}: ${error.message}`);
+    }
+}
+
+/**
+ * Download the state file of a slot
+ * @param {number} slot - Slot number
+ */
+async function exportStateSlot(slot) {
+    const statusDiv = document.getElementById('save-state-status');
+
+    try {
+        const FS = await getSaveStateFS();
+        const paths = saveStatePaths(currentGame.id, slot);
+        // Dolphin names its own slot files <game id>.s01 to .s10
+        downloadBlob(FS.readFile(paths.state), `${currentGame.id}.s${String(slot).padStart(2, '0')}`);
+    } catch (error) {
+        console.error('State export failed:', error);
+        showStatus(statusDiv, 'error', `Could not download slot ${slot}: ${error.message}`);
+    }
+}
+
+/**
+ * Put a downloaded state file into a slot
+ * @param {number} slot - Slot number
+ * @param {File} file - State file
+ */
+async function importStateSlot(slot, file) {
+    const statusDiv = document.getElementById('save-state-status');
+
+    if (file.size === 0) {
+        showStatus(statusDiv, 'error', `${file.name} is empty, so it is not a save state.`);
+        return;
+    }
+
+    try {
+        const FS = await getSaveStateFS();
+        const paths = saveStatePaths(currentGame.id, slot);
+        makeStateDirectory(FS, paths.directory);
+
+        FS.writeFile(paths.state, new Uint8Array(await file.arrayBuffer()));
+        if (FS.analyzePath(paths.thumbnail).exists) {
+            FS.unlink(paths.thumbnail);
+        }
+        FS.writeFile(paths.info, JSON.stringify({ savedAt: file.lastModified, title: currentGame.title, imported: true }));
+        await getActiveBackend().persistFileSystem();
+
+        await refreshSaveStateSlots();
+        showStatus(statusDiv, 'success', `${file.name} was imported into slot ${slot}.`);
+    } catch (error) {
+        console.error('State import failed:', error);
+        showStatus(statusDiv, 'error', `Could not import ${file.name}: ${error.message}`);
+    }
+}
+
+/**
+ * Empty a slot
+ * @param {number} slot - Slot number
+ */
+async function deleteStateSlot(slot) {
+    const statusDiv = document.getElementById('save-state-status');
+
+    try {
+        const FS = await getSaveStateFS();
+        const paths = saveStatePaths(currentGame.id, slot);
+        [paths.state, paths.thumbnail, paths.info].forEach(path => {
+            if (FS.analyzePath(path).exists) FS.unlink(path);
+        });
+        await getActiveBackend().persistFileSystem();
+
+        await refreshSaveStateSlots();
+        showStatus(statusDiv, 'success', `Slot ${slot} was deleted.`);
+    } catch (error) {
+        console.error('State delete failed:', error);
+        showStatus(statusDiv, 'error', `Could not delete slot ${slot}: ${error.message}`);
+    }
+}
+
+/**
+ * Create a game's state directory if needed
+ * @param {Object} FS - Emscripten FS
+ * @param {string} directory - Directory path
+ */
+function makeStateDirectory(FS, directory) {
+    if (!FS.analyzePath(directory).exists) {
+        FS.mkdir(directory);
+    }
+}
+
+/**
+ * Capture a scaled-down PNG of the emulator canvas
+ * @returns {Promise<Uint8Array|null>} PNG, or null if the canvas cannot be read
+ */
+async function captureStateThumbnail() {
+    const source = document.getElementById('canvas');
+    if (!source || source.width === 0 || source.height === 0) return null;
+
+    const thumbnail = document.createElement('canvas');
+    thumbnail.width = SAVE_STATE_THUMBNAIL_WIDTH;
+    thumbnail.height = SAVE_STATE_THUMBNAIL_HEIGHT;
+    thumbnail.getContext('2d').drawImage(source, 0, 0, thumbnail.width, thumbnail.height);
+
+    const blob = await new Promise(resolve => thumbnail.toBlob(resolve, 'image/png'));
+    return blob ? new Uint8Array(await blob.arrayBuffer()) : null;
+}
+
+// Initialize on DOM load
+document.addEventListener('DOMContentLoaded', initSaveStates);
@@ -0,0 +1,92 @@
+// Service Worker Registration
+// Registers sw.js, reloads once so its COOP/COEP headers apply, and offers new versions
+
+/**
+ * Whether the user accepted an update, and whether the page is already reloading
+ */
+let serviceWorkerUpdateAccepted = false;
+let serviceWorkerReloading = false;
+
+/**
+ * Register the service worker and watch for new versions
+ */
+function initServiceWorker() {
+    // Service workers need a secure context (https or localhost)
+    if (!('serviceWorker' in navigator)) return;
+
+    const banner = document.getElementById('update-banner');
+    if (banner) {
+        banner.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+
+            switch (button.dataset.action) {
+                case 'reload':
+                    applyServiceWorkerUpdate();
+                    break;
+                case 'dismiss':
+                    banner.style.display = 'none';
+                    break;
+            }
+        });
+    }
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        // The first install takes over without a reload, and the headers only apply to
+        // responses it serves; accepted updates need the new shell too
+        if (serviceWorkerReloading) return;
+        if (serviceWorkerUpdateAccepted || !window.crossOriginIsolated) {
+            serviceWorkerReloading = true;
+            window.location.reload();
+        }
+    });
+
+    navigator.serviceWorker.register('sw.js')
+        .then(registration => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                showUpdatePrompt(registration);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        showUpdatePrompt(registration);
+                    }
+                });
+            });
+        })
+        .catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+}
+
+/**
+ * Offer to reload into a waiting version
+ * @param {ServiceWorkerRegistration} registration - Registration with a waiting worker
+ */
+function showUpdatePrompt(registration) {
+    const banner = document.getElementById('update-banner');
+    if (!banner) return;
+
+    banner.registration = registration;
+    banner.style.display = 'flex';
+}
+
+/**
+ * Activate the waiting version; the page reloads when it takes over
+ */
+function applyServiceWorkerUpdate() {
+    const banner = document.getElementById('update-banner');
+    const registration = banner && banner.registration;
+    if (!registration || !registration.waiting) {
+        window.location.reload();
+        return;
+    }
+
+    serviceWorkerUpdateAccepted = true;
+    registration.waiting.postMessage({ type: 'skipWaiting' });
+}
+
+// Initialize on DOM load
+document.addEventListener('DOMContentLoaded', initServiceWorker);
@@ -0,0 +1,147 @@
+// Service Worker
+// Adds the COOP/COEP headers GitHub Pages cannot set, and keeps the WebWii shell available offline
+
+/**
+ * Bump when releasing, so visitors get the new shell and the update prompt
+ */
+const WEBWII_VERSION = '1';
+const SHELL_CACHE_PREFIX = 'webwii-shell-';
+const SHELL_CACHE = SHELL_CACHE_PREFIX + WEBWII_VERSION;
+
+/**
+ * Everything the page needs to start without a network
+ * Emulator builds are not listed: emulator-cache.js caches them per build.
+ * WebWii uses system fonts, so there are none to cache.
+ */
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'utils.js',
+    'sw-register.js',
+    'wii-crypto.js',
+    'wii-ecc.js',
+    'key-store.js',
+    'disclaimer.js',
+    'emulator-cache.js',
+    'capability-probe.js',
+    'emulator-backend.js',
+    'dolphin-loader.js',
+    'disc-image.js',
+    'emulator.js',
+    'nand-fs.js',
+    'wad-handler.js',
+    'wad-worker.js',
+    'nand-image.js',
+    'nand-worker.js',
+    'bootmii-import.js',
+    'title-manager.js',
+    'game-library.js',
+    'save-states.js',
+    'save-data.js',
+    'memory-card.js',
+    'gamepad-input.js',
+    'wiimote-pointer.js',
+    'keyboard-input.js',
+    '../assets/wiiclick.wav'
+];
+
+/**
+ * Headers that make the page cross-origin isolated, so SharedArrayBuffer and threaded Dolphin work
+ */
+const ISOLATION_HEADERS = {
+    'Cross-Origin-Opener-Policy': 'same-origin',
+    'Cross-Origin-Embedder-Policy': 'require-corp'
+};
+
+/**
+ * Cache the shell
+ * The new version waits until the page accepts the update prompt, unless no version is running yet.
+ */
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache => {
+            // Skip the HTTP cache so a new version never stores old files
+            return cache.addAll(SHELL_FILES.map(url => new Request(url, { cache: 'reload' })));
+        })
+    );
+});
+
+/**
+ * Delete the caches of older versions and take over open pages
+ */
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith(SHELL_CACHE_PREFIX) && key !== SHELL_CACHE)
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+/**
+ * Messages from sw-register.js
+ * { type: 'skipWaiting' } activates a waiting version after the user chose to reload.
+ */
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skipWaiting') {
+        self.skipWaiting();
+    }
+});
+
+/**
+ * Serve the shell from the cache and add the isolation headers to same-origin responses
+ */
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // Chrome throws on these outside same-origin mode
+    if (request.cache === 'only-if-cached' && request.mode !== 'same-origin') return;
+    // Cross-origin responses keep their own headers; other methods go straight to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    event.respondWith(respondFromShell(request).then(addIsolationHeaders));
+});
+
+/**
+ * Answer from the shell cache, falling back to the network
+ * Query strings are ignored, so index.html?backend=retroarch works offline.
+ * @param {Request} request - Same-origin GET request
+ * @returns {Promise<Response>}
+ */
+async function respondFromShell(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        // Offline: any page in scope gets the cached shell
+        if (request.mode === 'navigate') {
+            const shell = await cache.match('index.html');
+            if (shell) return shell;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Copy a response with the isolation headers set
+ * @param {Response} response - Response to copy
+ * @returns {Response}
+ */
+function addIsolationHeaders(response) {
+    // Opaque responses cannot be read or copied
+    if (response.status === 0) return response;
+
+    const headers = new Headers(response.headers);
+    Object.entries(ISOLATION_HEADERS).forEach(([name, value]) => headers.set(name, value));
+    return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: headers
+    });
+}
@@ -0,0 +1,431 @@
+// Title Manager
+// Lists the titles installed in the virtual NAND and launches, uninstalls or exports them
+
+/**
+ * IMET banner header, found at the start of a title's first content
+ * Names are 42 UTF-16BE characters, two lines per language.
+ */
+const IMET_MAGIC = 0x494D4554; // 'IMET'
+const IMET_MAGIC_OFFSET = 0x40;
+const IMET_NAMES_OFFSET = 0x5C;
+const IMET_NAME_LENGTH = 42;
+const IMET_LANGUAGE_JAPANESE = 0;
+const IMET_LANGUAGE_ENGLISH = 1;
+const IMET_HEADER_SIZE = 0x600;
+
+/**
+ * Title ID of the System Menu
+ */
+const SYSTEM_MENU_TITLE_ID = { hi: 0x00000001, lo: 0x00000002 };
+
+/**
+ * Titles shown in the list, from the last refresh
+ */
+let installedTitles = [];
+
+/**
+ * Initialize the title manager panel
+ */
+function initTitleManager() {
+    const refreshButton = document.getElementById('refresh-titles');
+    const systemMenuButton = document.getElementById('launch-system-menu');
+    const listDiv = document.getElementById('title-list');
+
+    if (refreshButton) {
+        refreshButton.addEventListener('click', refreshTitleList);
+    }
+
+    if (systemMenuButton) {
+        systemMenuButton.addEventListener('click', () => {
+            loadTitleIntoEmulator(SYSTEM_MENU_TITLE_ID.hi, SYSTEM_MENU_TITLE_ID.lo, 'System Menu');
+        });
+    }
+
+    // Row buttons carry the action and title ID
+    if (listDiv) {
+        listDiv.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+
+            const title = installedTitles.find(t => t.titleId.hex === button.dataset.title);
+            if (!title) return;
+
+            if (button.dataset.action === 'launch') {
+                loadTitleIntoEmulator(title.titleId.hi, title.titleId.lo, title.name);
+            } else if (button.dataset.action === 'uninstall') {
+                showNandWarning(
+                    `You are about to uninstall "${title.name}" (${title.titleId.hex}). Its save data will be deleted as well. Are you sure you want to proceed?`,
+                    () => performTitleUninstall(title)
+                );
+            } else if (button.dataset.action === 'export') {
+                performTitleExport(title);
+            }
+        });
+    }
+}
+
+/**
+ * Re-read the installed titles and redraw the list
+ * @returns {Promise}
+ */
+async function refreshTitleList() {
+    const statusDiv = document.getElementById('title-manager-status');
+    const listDiv = document.getElementById('title-list');
+    const systemMenuButton = document.getElementById('launch-system-menu');
+    if (!listDiv) return;
+
+    let titles;
+    try {
+        const nand = await openEmulatorNand();
+        titles = listInstalledTitles(nand);
+    } catch (error) {
+        installedTitles = [];
+        listDiv.innerHTML = '';
+        systemMenuButton.style.display = 'none';
+        showStatus(statusDiv, 'info', error.message);
+        return;
+    }
+
+    installedTitles = titles;
+    listDiv.innerHTML = renderTitleList(titles);
+    systemMenuButton.style.display = titles.some(title =>
+        title.titleId.hi === SYSTEM_MENU_TITLE_ID.hi && title.titleId.lo === SYSTEM_MENU_TITLE_ID.lo) ? 'inline-block' : 'none';
+
+    if (titles.length === 0) {
+        showStatus(statusDiv, 'info', 'No titles are installed in the virtual NAND. Install a WAD or restore a BootMii backup.');
+    } else {
+        statusDiv.style.display = 'none';
+    }
+}
+
+/**
+ * Enumerate the titles in the virtual NAND
+ * A title is listed when /title/<hi>/<lo>/content/title.tmd exists.
+ * @param {VirtualNand} nand - Virtual NAND
+ * @returns {Array<Object>} Titles ({titleId, name, version, size, ios, region, hasTicket, tmd, tmdBytes, error})
+ */
+function listInstalledTitles(nand) {
+    if (!nand.isDirectory('/title')) return [];
+
+    const contentMap = nand.readContentMap();
+    const titles = [];
+
+    nand.listDirectory('/title').forEach(hiName => {
+        if (!nand.isDirectory(`/title/${hiName}`)) return;
+
+        nand.listDirectory(`/title/${hiName}`).forEach(loName => {
+            const hi = parseInt(hiName, 16);
+            const lo = parseInt(loName, 16);
+            const tmdPath = `${titleDirectoryPath(hi, lo)}/content/title.tmd`;
+            if (Number.isNaN(hi) || Number.isNaN(lo) || !nand.exists(tmdPath)) return;
+
+            try {
+                titles.push(readInstalledTitle(nand, hi, lo, contentMap));
+            } catch (error) {
+                console.warn(`Skipping title ${hiName}-${loName}:`, error);
+            }
+        });
+    });
+
+    return titles.sort((a, b) => a.titleId.hex.localeCompare(b.titleId.hex));
+}
+
+/**
+ * Read what is known about one installed title
+ * @param {VirtualNand} nand - Virtual NAND
+ * @param {number} hi - Upper 32 bits of the title ID
+ * @param {number} lo - Lower 32 bits of the title ID
+ * @param {Array} contentMap - Entries of shared1/content.map
+ * @returns {Object} Title
+ */
+function readInstalledTitle(nand, hi, lo, contentMap) {
+    const tmdBytes = nand.readFile(`${titleDirectoryPath(hi, lo)}/content/title.tmd`).slice();
+    const tmd = parseTmd(new DataView(tmdBytes.buffer), 0, tmdBytes.length);
+
+    const missing = tmd.contents.filter(content => {
+        const path = installedContentPath(hi, lo, content, contentMap);
+        return !path || !nand.exists(path);
+    });
+    let name = null;
+    const bannerContent = tmd.contents.find(content => content.index === 0);
+    if (bannerContent && !missing.includes(bannerContent)) {
+        name = readBannerName(nand.readFileHead(installedContentPath(hi, lo, bannerContent, contentMap), IMET_HEADER_SIZE));
+    }
+
+    return {
+        titleId: tmd.titleId,
+        name: name || tmd.titleId.ascii || tmd.titleId.hex,
+        version: tmd.titleVersion,
+        size: tmd.contents.reduce((sum, content) => sum + content.size, 0),
+        ios: tmd.iosRequired,
+        region: tmd.region,
+        hasTicket: nand.exists(ticketPath(hi, lo)),
+        tmd: tmd,
+        tmdBytes: tmdBytes,
+        error: missing.length > 0 ? `${missing.length} content file(s) missing` : null
+    };
+}
+
+/**
+ * NAND path of an installed content
+ * Shared contents live in /shared1 under the name content.map gives them.
+ * @param {number} hi - Upper 32 bits of the title ID
+ * @param {number} lo - Lower 32 bits of the title ID
+ * @param {Object} content - TMD content record
+ * @param {Array} contentMap - Entries of shared1/content.map
+ * @returns {string|null} Path, or null for a shared content that is not in the map
+ */
+function installedContentPath(hi, lo, content, contentMap) {
+    if (!(content.type & CONTENT_TYPE_SHARED_FLAG)) {
+        return `${titleDirectoryPath(hi, lo)}/content/${nandHex(content.id)}.app`;
+    }
+    const entry = contentMap.find(e => bytesEqual(e.hash, content.sha1));
+    return entry ? `/shared1/${entry.name}.app` : null;
+}
+
+/**
+ * Read the English (or else Japanese) channel name from an IMET banner header
+ * @param {Uint8Array} data - Start of the title's first content
+ * @returns {string|null} Name, or null if there is no banner
+ */
+function readBannerName(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let base;
+    if (data.length >= IMET_MAGIC_OFFSET + 4 && view.getUint32(IMET_MAGIC_OFFSET, false) === IMET_MAGIC) {
+        base = 0;
+    } else if (data.length >= 4 && view.getUint32(0, false) === IMET_MAGIC) {
+        // Some banners are stored without the leading padding
+        base = -IMET_MAGIC_OFFSET;
+    } else {
+        return null;
+    }
+
+    const readName = (language, line) => {
+        const offset = base + IMET_NAMES_OFFSET + (language * 2 + line) * IMET_NAME_LENGTH * 2;
+        let name = '';
+        for (let i = 0; i < IMET_NAME_LENGTH && offset + i * 2 + 2 <= data.length; i++) {
+            const code = view.getUint16(offset + i * 2, false);
+            if (code === 0) break;
+            name += String.fromCharCode(code);
+        }
+        return name.trim();
+    };
+
+    for (const language of [IMET_LANGUAGE_ENGLISH, IMET_LANGUAGE_JAPANESE]) {
+        const lines = [readName(language, 0), readName(language, 1)].filter(Boolean);
+        if (lines.length > 0) {
+            return lines.join(' - ');
+        }
+    }
+    return null;
+}
+
+/**
+ * Render the installed titles as a table
+ * @param {Array<Object>} titles - Titles from listInstalledTitles
+ * @returns {string} HTML
+ */
+function renderTitleList(titles) {
+    if (titles.length === 0) return '';
+
+    const rows = titles.map(title => `
+        <tr${title.error ? ' class="flagged-row"' : ''}>
+            <td class="hash-cell">${title.titleId.hex}${title.titleId.ascii ? ` (${title.titleId.ascii})` : ''}</td>
+            <td>${escapeHtml(title.name)}${title.error ? `<br><span style="color: var(--wii-error);">${escapeHtml(title.error)}</span>` : ''}</td>
+            <td>v${title.version}</td>
+            <td>${formatBytes(title.size)}</td>
+            <td>${escapeHtml(title.ios)}</td>
+            <td>${title.hasTicket ? '✓' : '✗ Missing'}</td>
+            <td class="title-actions">
+                <button class="wii-button" data-action="launch" data-title="${title.titleId.hex}">Launch</button>
+                <button class="wii-button" data-action="export" data-title="${title.titleId.hex}"${title.hasTicket && !title.error ? '' : ' disabled'}>Export WAD</button>
+                <button class="wii-button cancel-button" data-action="uninstall" data-title="${title.titleId.hex}">Uninstall</button>
+            </td>
+        </tr>
+    `).join('');
+
+    return `
+        <table class="details-table">
+            <thead>
+                <tr><th>Title ID</th><th>Name</th><th>Version</th><th>Size</th><th>IOS</th><th>Ticket</th><th>Actions</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Remove a title, its save data and its ticket from the virtual NAND
+ * Shared contents are kept since other titles may use them.
+ * @param {Object} title - Title from listInstalledTitles
+ */
+async function performTitleUninstall(title) {
+    const statusDiv = document.getElementById('title-manager-status');
+
+    try {
+        const nand = await openEmulatorNand();
+        const transaction = nand.beginTransaction();
+        transaction.removePath(titleDirectoryPath(title.titleId.hi, title.titleId.lo));
+        transaction.removePath(ticketPath(title.titleId.hi, title.titleId.lo));
+        await transaction.commit();
+
+        await refreshTitleList();
+        showStatus(statusDiv, 'success', `${title.name} was uninstalled.`);
+    } catch (error) {
+        console.error('Uninstall failed:', error);
+        showStatus(statusDiv, 'error', `Uninstall failed, the virtual NAND was not changed: ${error.message}`);
+    }
+}
+
+/**
+ * Export an installed title as a WAD and download it
+ * @param {Object} title - Title from listInstalledTitles
+ */
+async function performTitleExport(title) {
+    const statusDiv = document.getElementById('title-manager-status');
+    const progressBar = document.getElementById('title-manager-progress');
+
+    showStatus(statusDiv, 'info', `Exporting ${title.name}...`);
+    progressBar.style.display = 'block';
+    updateProgress(progressBar, 0);
+
+    try {
+        const nand = await openEmulatorNand();
+        const wad = await exportTitleToWad(nand, title, (processed, total) => {
+            updateProgress(progressBar, total > 0 ? Math.round((processed / total) * 100) : 100);
+        });
+        const name = (title.titleId.ascii || title.titleId.hex).replace(/[^A-Za-z0-9-]/g, '_');
+        downloadBlob(wad, `${name}-v${title.version}.wad`);
+        showStatus(statusDiv, 'success', `${title.name} exported (${formatBytes(wad.length)}).`);
+    } catch (error) {
+        console.error('WAD export failed:', error);
+        showStatus(statusDiv, 'error', `Export failed: ${error.message}`);
+    } finally {
+        progressBar.style.display = 'none';
+    }
+}
+
+/**
+ * Build an installable WAD from a title in the virtual NAND
+ * @param {VirtualNand} nand - Virtual NAND
+ * The title key is decrypted with the common key the ticket names.
+ * @param {Object} title - Title from listInstalledTitles
+ * @param {Function} onProgress - Called with (processedBytes, totalBytes)
+ * @returns {Promise<Uint8Array>} WAD file
+ */
+async function exportTitleToWad(nand, title, onProgress) {
+    const { hi, lo } = title.titleId;
+
+    // Dolphin may keep several tickets in one file; the first belongs to the title
+    const ticketFile = nand.readFile(ticketPath(hi, lo)).slice();
+    const ticket = parseTicket(new DataView(ticketFile.buffer), 0, ticketFile.length);
+    const ticketBytes = ticketFile.subarray(0, TICKET_SIZE);
+
+    const keyName = getTicketCommonKeyName(ticket);
+    const commonKey = getStoredKey(keyName);
+    if (!commonKey) {
+        throw new Error(`exporting re-encrypts the contents, which needs your ${describeCommonKey(keyName)}. Enter it in the WAD import section first`);
+    }
+
+    if (!nand.exists('/sys/cert.sys')) {
+        throw new Error('/sys/cert.sys is missing, so the certificate chain cannot be built');
+    }
+    const certChain = buildCertificateChain(nand.readFile('/sys/cert.sys').slice(), [title.tmd.issuer, ticket.issuer]);
+
+    const titleKey = await aesCbcDecrypt(commonKey, titleKeyIv(hi, lo), ticket.encryptedTitleKey);
+    const cryptoKey = await importAesKey(titleKey);
+    const contentMap = nand.readContentMap();
+
+    const total = title.size;
+    let processed = 0;
+    const encryptedContents = [];
+    for (const content of title.tmd.contents) {
+        const path = installedContentPath(hi, lo, content, contentMap);
+        if (!path || !nand.exists(path)) {
+            throw new Error(`content ${nandHex(content.id)} is missing`);
+        }
+
+        const data = nand.readFile(path);
+        if (!bytesEqual(await sha1(data.subarray(0, content.size)), content.sha1)) {
+            throw new Error(`content ${nandHex(content.id)} does not match its TMD hash`);
+        }
+        const padded = new Uint8Array(alignUp(content.size, AES_BLOCK_SIZE));
+        padded.set(data.subarray(0, content.size));
+        encryptedContents.push(await aesCbcEncrypt(cryptoKey, contentIv(content.index), padded));
+
+        processed += content.size;
+        if (onProgress) onProgress(processed, total);
+    }
+
+    return buildWadFile(certChain, ticketBytes, title.tmdBytes, encryptedContents);
+}
+
+/**
+ * Pick the certificates needed to verify a ticket and TMD out of cert.sys
+ * @param {Uint8Array} certStore - Contents of /sys/cert.sys
+ * @param {Array<string>} issuers - Issuer strings such as Root-CA00000001-XS00000003
+ * @returns {Uint8Array} Certificate chain, each certificate 64-byte aligned
+ */
+function buildCertificateChain(certStore, issuers) {
+    const certificates = parseCertificateChain(new DataView(certStore.buffer), 0, certStore.length);
+
+    const names = [];
+    issuers.forEach(issuer => {
+        issuer.split('-').slice(1).forEach(name => {
+            if (!names.includes(name)) names.push(name);
+        });
+    });
+
+    const parts = names.map(name => {
+        const certificate = certificates.find(c => c.name === name);
+        if (!certificate) {
+            throw new Error(`certificate ${name} is not in /sys/cert.sys`);
+        }
+        return certStore.subarray(certificate.offset, certificate.offset + certificate.size);
+    });
+
+    const chain = new Uint8Array(parts.reduce((sum, part) => sum + alignUp(part.length, WAD_SECTION_ALIGNMENT), 0));
+    let offset = 0;
+    parts.forEach(part => {
+        chain.set(part, offset);
+        offset += alignUp(part.length, WAD_SECTION_ALIGNMENT);
+    });
+    return chain;
+}
+
+/**
+ * Assemble an installable (Is) WAD
+ * @param {Uint8Array} certChain - Certificate chain
+ * @param {Uint8Array} ticket - Ticket
+ * @param {Uint8Array} tmd - TMD
+ * @param {Array<Uint8Array>} contents - Encrypted contents in TMD order
+ * @returns {Uint8Array} WAD file
+ */
+function buildWadFile(certChain, ticket, tmd, contents) {
+    const dataSize = contents.reduce((sum, content) => sum + alignUp(content.length, WAD_SECTION_ALIGNMENT), 0);
+    const sections = [certChain, new Uint8Array(0), ticket, tmd];
+    const totalSize = alignUp(WAD_HEADER_SIZE, WAD_SECTION_ALIGNMENT) +
+        sections.reduce((sum, section) => sum + alignUp(section.length, WAD_SECTION_ALIGNMENT), 0) + dataSize;
+
+    const wad = new Uint8Array(totalSize);
+    const view = new DataView(wad.buffer);
+    view.setUint32(0x00, WAD_HEADER_SIZE, false);
+    view.setUint16(0x04, 0x4973, false); // 'Is'
+    view.setUint16(0x06, 0, false);
+    view.setUint32(0x08, certChain.length, false);
+    view.setUint32(0x0C, 0, false);
+    view.setUint32(0x10, ticket.length, false);
+    view.setUint32(0x14, tmd.length, false);
+    view.setUint32(0x18, dataSize, false);
+    view.setUint32(0x1C, 0, false);
+
+    let offset = alignUp(WAD_HEADER_SIZE, WAD_SECTION_ALIGNMENT);
+    sections.concat(contents).forEach(part => {
+        wad.set(part, offset);
+        offset += alignUp(part.length, WAD_SECTION_ALIGNMENT);
+    });
+    return wad;
+}
+
+// Initialize on DOM load
+document.addEventListener('DOMContentLoaded', initTitleManager);
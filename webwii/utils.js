@@ -68,3 +68,81 @@ function showNandWarning(message, onConfirm) {
         modal.style.display = 'none';
     });
 }
+
+/**
+ * Round a value up to the next multiple of an alignment
+ * @param {number} value - Value to align
+ * @param {number} alignment - Alignment (power of two)
+ * @returns {number} Aligned value
+ */
+function alignUp(value, alignment) {
+    return Math.ceil(value / alignment) * alignment;
+}
+
+/**
+ * Format a 32-bit value as zero-padded uppercase hex
+ * @param {number} value - Value to format
+ * @param {number} digits - Number of hex digits (default 8)
+ * @returns {string} Hex string
+ */
+function toHex(value, digits = 8) {
+    return (value >>> 0).toString(16).toUpperCase().padStart(digits, '0');
+}
+
+/**
+ * Escape text for safe insertion into innerHTML templates
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Convert a byte array to a lowercase hex string
+ * @param {Uint8Array} bytes - Bytes to convert
+ * @returns {string} Hex string
+ */
+function bytesToHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Convert a hex string to a byte array
+ * Whitespace is ignored; throws if the string is not valid hex.
+ * @param {string} hex - Hex string
+ * @returns {Uint8Array} Bytes
+ */
+function hexToBytes(hex) {
+    const clean = hex.replace(/\s+/g, '');
+    if (clean.length % 2 !== 0 || /[^0-9a-fA-F]/.test(clean)) {
+        throw new Error('Not a valid hex string');
+    }
+    const bytes = new Uint8Array(clean.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(clean.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+/**
+ * Offer data to the user as a file download
+ * @param {Blob|Uint8Array|ArrayBuffer} data - File contents
+ * @param {string} filename - Suggested file name
+ */
+function downloadBlob(data, filename) {
+    const blob = data instanceof Blob ? data : new Blob([data], { type: 'application/octet-stream' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -1,16 +1,106 @@
 // WAD/DOL File Handler
-// Handles importing and processing WAD and DOL files for homebrew/NAND installation
+// Handles importing and processing WAD, DOL and ELF files for homebrew/NAND installation
 
 /**
- * WAD file magic number (header identifier)
+ * WAD header layout (all values big-endian)
  */
-const WAD_MAGIC = 0x00204973; // 'Is\x00\x20' in little endian
+const WAD_HEADER_SIZE = 0x20;
+const WAD_SECTION_ALIGNMENT = 0x40;
 
 /**
- * DOL file typically starts with specific patterns
+ * Known WAD types (u16 at offset 0x04)
  */
-const DOL_TEXT_OFFSET = 0x00;
-const DOL_DATA_OFFSET = 0x1C;
+const WAD_TYPES = {
+    0x4973: 'Installable (Is)',
+    0x6962: 'Boot2 (ib)',
+    0x426B: 'Backup (Bk)'
+};
+
+/**
+ * Signature block sizes, including padding, by signature type
+ */
+const SIGNATURE_SIZES = {
+    0x00010000: 0x200 + 0x3C, // RSA-4096
+    0x00010001: 0x100 + 0x3C, // RSA-2048
+    0x00010002: 0x3C + 0x40   // ECC
+};
+
+/**
+ * Certificate public key sizes, including padding, by key type
+ */
+const PUBLIC_KEY_SIZES = {
+    0: 0x200 + 0x4 + 0x34, // RSA-4096
+    1: 0x100 + 0x4 + 0x34, // RSA-2048
+    2: 0x3C + 0x3C         // ECC
+};
+
+/**
+ * Ticket and TMD field offsets
+ */
+const TICKET_SIZE = 0x2A4;
+const TICKET_TITLE_KEY_OFFSET = 0x1BF;
+const TICKET_TITLE_ID_OFFSET = 0x1DC;
+const TICKET_COMMON_KEY_INDEX_OFFSET = 0x1F1;
+const TMD_HEADER_SIZE = 0x1E4;
+const TMD_CONTENT_RECORD_SIZE = 0x24;
+
+/**
+ * Region codes stored in the TMD
+ */
+const TMD_REGIONS = {
+    0: 'Japan',
+    1: 'USA',
+    2: 'Europe',
+    3: 'Region Free',
+    4: 'Korea'
+};
+
+/**
+ * Content types stored in the TMD content records
+ */
+const CONTENT_TYPES = {
+    0x0001: 'Normal',
+    0x4001: 'DLC',
+    0x8001: 'Shared'
+};
+
+/**
+ * DOL header layout: offset, address and size tables for 7 text and 11 data
+ * sections, followed by BSS address/size and the entry point
+ */
+const DOL_HEADER_SIZE = 0x100;
+const DOL_TEXT_SECTIONS = 7;
+const DOL_DATA_SECTIONS = 11;
+const DOL_OFFSETS_TABLE = 0x00;
+const DOL_ADDRESSES_TABLE = 0x48;
+const DOL_SIZES_TABLE = 0x90;
+const DOL_BSS_ADDRESS = 0xD8;
+const DOL_BSS_SIZE = 0xDC;
+const DOL_ENTRY_POINT = 0xE0;
+
+/**
+ * ELF32 header and program header layout (PowerPC homebrew is big-endian)
+ */
+const ELF_HEADER_SIZE = 0x34;
+const ELF_PROGRAM_HEADER_SIZE = 0x20;
+const ELF_CLASS_32 = 1;
+const ELF_DATA_BIG_ENDIAN = 2;
+const ELF_MACHINE_PPC = 20;
+const ELF_TYPES = { 1: 'Relocatable', 2: 'Executable', 3: 'Shared object', 4: 'Core dump' };
+const PT_LOAD = 1;
+const PF_X = 0x1;
+const PF_W = 0x2;
+const PF_R = 0x4;
+
+/**
+ * Memory regions executables may load into (cached and uncached mirrors)
+ */
+const WII_MEMORY_REGIONS = [
+    { name: 'MEM1', start: 0x80000000, end: 0x81800000 },
+    { name: 'MEM1 (uncached)', start: 0xC0000000, end: 0xC1800000 },
+    { name: 'MEM2', start: 0x90000000, end: 0x94000000 },
+    { name: 'MEM2 (uncached)', start: 0xD0000000, end: 0xD4000000 }
+];
 
 /**
  * Initialize WAD/DOL file handler
@@ -22,15 +112,28 @@ function initWadDolHandler() {
     const detailsDiv = document.getElementById('wad-dol-details');
     const installButton = document.getElementById('install-wad-dol');
     const progressBar = document.getElementById('wad-dol-progress');
+    const verifyButton = document.getElementById('verify-wad');
+    const convertButton = document.getElementById('convert-elf-dol');
+    const bootButton = document.getElementById('boot-wad-dol');
 
     let currentFile = null;
     let currentFileType = null;
+    let currentWad = null;
+    let currentExecutable = null;
+
+    // Results of a verification are dropped once another file is picked
+    const verifyCurrentWad = () => {
+        const state = currentWad;
+        runWadVerification(state, () => currentWad === state);
+    };
 
     fileInput.addEventListener('change', (event) => {
         const file = event.target.files[0];
         if (!file) return;
 
         currentFile = file;
+        currentWad = null;
+        currentExecutable = null;
         resetWadDolUI();
 
         // Show progress
@@ -51,15 +154,23 @@ function initWadDolHandler() {
             updateProgress(progressBar, 100);
             
             // Determine file type and validate
-            const fileType = detectFileType(file.name, arrayBuffer);
-            currentFileType = fileType;
+            const detection = detectFileType(file.name, arrayBuffer);
+            currentFileType = detection.type;
 
-            if (fileType === 'WAD') {
-                handleWadFile(file, arrayBuffer);
-            } else if (fileType === 'DOL') {
-                handleDolFile(file, arrayBuffer);
+            if (detection.type === 'WAD') {
+                currentWad = { buffer: arrayBuffer, parsed: detection.parsed, verification: null };
+                handleWadFile(file, arrayBuffer, detection.parsed);
+                if (getStoredTicketCommonKey(detection.parsed.ticket)) {
+                    verifyCurrentWad();
+                }
+            } else if (detection.type === 'DOL') {
+                currentExecutable = { name: file.name, bytes: new Uint8Array(arrayBuffer), elf: null };
+                handleDolFile(file, arrayBuffer, detection.parsed);
+            } else if (detection.type === 'ELF') {
+                currentExecutable = { name: file.name, bytes: new Uint8Array(arrayBuffer), elf: detection.parsed };
+                handleElfFile(file, arrayBuffer, detection.parsed);
             } else {
-                showStatus(statusDiv, 'error', 'Invalid file type. Please select a .wad or .dol file.');
+                showStatus(statusDiv, 'error', detection.message || 'Invalid file type. Please select a .wad, .dol or .elf file.');
                 progressBar.style.display = 'none';
             }
         };
@@ -72,13 +183,53 @@ function initWadDolHandler() {
         reader.readAsArrayBuffer(file);
     });
 
+    // Verify button handler
+    if (verifyButton) {
+        verifyButton.addEventListener('click', () => {
+            if (currentWad) {
+                verifyCurrentWad();
+            }
+        });
+    }
+
+    // ELF to DOL conversion handler
+    if (convertButton) {
+        convertButton.addEventListener('click', () => {
+            if (!currentExecutable || !currentExecutable.elf) return;
+
+            try {
+                const dolBytes = convertElfToDol(currentExecutable.bytes.buffer, currentExecutable.elf);
+                const dolName = currentExecutable.name.replace(/\.elf$/i, '') + '.dol';
+                currentExecutable = { name: dolName, bytes: dolBytes, elf: null };
+                convertButton.style.display = 'none';
+                downloadBlob(dolBytes, dolName);
+                showStatus(statusDiv, 'success', `Converted to ${dolName} (${formatBytes(dolBytes.length)}). Booting will use the converted DOL.`);
+            } catch (error) {
+                showStatus(statusDiv, 'error', `ELF to DOL conversion failed: ${error.message}`);
+            }
+        });
+    }
+
+    // Boot button handler
+    if (bootButton) {
+        bootButton.addEventListener('click', () => {
+            if (currentExecutable) {
+                loadWADIntoEmulator({ name: currentExecutable.name }, currentExecutable.bytes);
+            }
+        });
+    }
+
     // Install button handler
     if (installButton) {
         installButton.addEventListener('click', () => {
-            if (currentFile && currentFileType) {
+            if (currentFileType === 'WAD' && !(currentWad && currentWad.verification && currentWad.verification.allOk)) {
+                showStatus(statusDiv, 'error', 'Verify the WAD contents before installing.');
+                return;
+            }
+            if (currentFile && currentWad) {
                 showNandWarning(
                     `You are about to install "${currentFile.name}" to the virtual NAND. This operation may overwrite existing data. Are you sure you want to proceed?`,
-                    () => performNandInstallation(currentFile, currentFileType)
+                    () => performNandInstallation(currentFile, currentWad)
                 );
             }
         });
@@ -87,102 +238,921 @@ function initWadDolHandler() {
 
 /**
  * Detect file type based on extension and content
+ * @param {string} filename - File name
+ * @param {ArrayBuffer} arrayBuffer - File contents
+ * @returns {{type: string|null, message: string, parsed: Object|null}} Detection result
  */
 function detectFileType(filename, arrayBuffer) {
     const extension = filename.split('.').pop().toLowerCase();
     
     if (extension === 'wad') {
-        return validateWadFile(arrayBuffer) ? 'WAD' : null;
+        const validation = validateWadFile(arrayBuffer);
+        return {
+            type: validation.isValid ? 'WAD' : null,
+            message: validation.message,
+            parsed: validation.wad
+        };
     } else if (extension === 'dol') {
-        return validateDolFile(arrayBuffer) ? 'DOL' : null;
+        const validation = validateDolFile(arrayBuffer);
+        return {
+            type: validation.isValid ? 'DOL' : null,
+            message: validation.message,
+            parsed: validation.dol
+        };
+    } else if (extension === 'elf') {
+        const validation = validateElfFile(arrayBuffer);
+        return {
+            type: validation.isValid ? 'ELF' : null,
+            message: validation.message,
+            parsed: validation.elf
+        };
     }
     
-    return null;
+    return { type: null, message: '', parsed: null };
 }
 
 /**
  * Validate WAD file structure
+ * @param {ArrayBuffer} arrayBuffer - WAD file contents
+ * @returns {{isValid: boolean, message: string, wad: Object|null}} Validation result
  */
 function validateWadFile(arrayBuffer) {
-    if (arrayBuffer.byteLength < 64) return false;
-    
+    try {
+        return { isValid: true, message: '', wad: parseWadFile(arrayBuffer) };
+    } catch (error) {
+        return { isValid: false, message: `Invalid WAD file: ${error.message}`, wad: null };
+    }
+}
+
+/**
+ * Parse a WAD file into a structured object
+ * Throws an Error describing the first problem found if the WAD is malformed.
+ * @param {ArrayBuffer} arrayBuffer - WAD file contents
+ * @returns {Object} Parsed WAD (header, certificates, ticket, tmd, contents)
+ */
+function parseWadFile(arrayBuffer) {
+    if (arrayBuffer.byteLength < WAD_HEADER_SIZE) {
+        throw new Error(`file is ${arrayBuffer.byteLength} bytes, smaller than the ${WAD_HEADER_SIZE}-byte header`);
+    }
+
     const view = new DataView(arrayBuffer);
-    
-    // Check for WAD header signature (0x00204973 = "Is\x00\x20")
-    // WAD files can be "Is\x00\x00" (0x49730000) or "ib\x00\x00" (0x69620000)
-    const headerSignature = view.getUint32(0, false); // Big-endian
-    
-    // Accept common WAD signatures
-    if (headerSignature === 0x49730000 || // "Is\x00\x00"
-        headerSignature === 0x69620000) { // "ib\x00\x00"
-        return true;
+    const header = {
+        headerSize: view.getUint32(0x00, false),
+        type: view.getUint16(0x04, false),
+        version: view.getUint16(0x06, false),
+        certChainSize: view.getUint32(0x08, false),
+        crlSize: view.getUint32(0x0C, false),
+        ticketSize: view.getUint32(0x10, false),
+        tmdSize: view.getUint32(0x14, false),
+        dataSize: view.getUint32(0x18, false),
+        footerSize: view.getUint32(0x1C, false)
+    };
+
+    if (header.headerSize !== WAD_HEADER_SIZE) {
+        throw new Error(`header size is 0x${header.headerSize.toString(16)}, expected 0x20`);
     }
-    
-    // If header doesn't match, still accept for demo purposes
-    // but this is simplified validation
-    return true;
+    if (!WAD_TYPES[header.type]) {
+        throw new Error(`unknown WAD type 0x${toHex(header.type, 4)}`);
+    }
+    if (header.version !== 0) {
+        throw new Error(`unsupported WAD version ${header.version}`);
+    }
+    if (header.certChainSize === 0 || header.ticketSize === 0 || header.tmdSize === 0) {
+        throw new Error('certificate chain, ticket or TMD section is empty');
+    }
+
+    // Sections follow the header in this order, each starting on a 64-byte boundary
+    const sections = {};
+    let offset = alignUp(header.headerSize, WAD_SECTION_ALIGNMENT);
+    [
+        ['certChain', header.certChainSize],
+        ['crl', header.crlSize],
+        ['ticket', header.ticketSize],
+        ['tmd', header.tmdSize],
+        ['data', header.dataSize],
+        ['footer', header.footerSize]
+    ].forEach(([name, size]) => {
+        sections[name] = { offset: offset, size: size };
+        offset = alignUp(offset + size, WAD_SECTION_ALIGNMENT);
+    });
+
+    ['certChain', 'ticket', 'tmd'].forEach(name => {
+        const section = sections[name];
+        if (section.offset + section.size > arrayBuffer.byteLength) {
+            throw new Error(`${name} section (0x${section.offset.toString(16)} + 0x${section.size.toString(16)}) extends past end of file`);
+        }
+    });
+
+    const certificates = parseCertificateChain(view, sections.certChain.offset, sections.certChain.size);
+    const ticket = parseTicket(view, sections.ticket.offset, sections.ticket.size);
+    const tmd = parseTmd(view, sections.tmd.offset, sections.tmd.size);
+
+    if (ticket.titleId.hex !== tmd.titleId.hex) {
+        throw new Error(`ticket title ID ${ticket.titleId.hex} does not match TMD title ID ${tmd.titleId.hex}`);
+    }
+
+    // Contents are stored in TMD order, each padded to the AES block size and aligned to 64 bytes
+    const warnings = [];
+    let contentOffset = sections.data.offset;
+    const dataEnd = sections.data.offset + sections.data.size;
+    tmd.contents.forEach(content => {
+        content.offset = contentOffset;
+        content.encryptedSize = alignUp(content.size, 16);
+        content.available = Math.max(0, Math.min(content.encryptedSize, arrayBuffer.byteLength - contentOffset));
+        content.truncated = content.available < content.encryptedSize;
+        contentOffset = alignUp(contentOffset + content.encryptedSize, WAD_SECTION_ALIGNMENT);
+    });
+
+    if (contentOffset > alignUp(dataEnd, WAD_SECTION_ALIGNMENT)) {
+        throw new Error('TMD content sizes exceed the data section size in the header');
+    }
+    const truncatedCount = tmd.contents.filter(content => content.truncated).length;
+    if (truncatedCount > 0) {
+        warnings.push(`${truncatedCount} content(s) extend past the end of the file. The download may be incomplete.`);
+    }
+
+    return {
+        header: header,
+        typeName: WAD_TYPES[header.type],
+        sections: sections,
+        certificates: certificates,
+        ticket: ticket,
+        tmd: tmd,
+        titleId: tmd.titleId,
+        titleVersion: tmd.titleVersion,
+        iosRequired: tmd.iosRequired,
+        region: tmd.region,
+        contents: tmd.contents,
+        warnings: warnings
+    };
+}
+
+/**
+ * Read a 64-bit title ID
+ * @param {DataView} view - Data view
+ * @param {number} offset - Offset of the title ID
+ * @returns {{hi: number, lo: number, hex: string, ascii: string|null}} Title ID
+ */
+function readTitleId(view, offset) {
+    const hi = view.getUint32(offset, false);
+    const lo = view.getUint32(offset + 4, false);
+    const chars = [0, 1, 2, 3].map(i => view.getUint8(offset + 4 + i));
+    const printable = chars.every(c => (c >= 0x30 && c <= 0x39) || (c >= 0x41 && c <= 0x5A));
+    return {
+        hi: hi,
+        lo: lo,
+        hex: `${toHex(hi)}-${toHex(lo)}`,
+        ascii: printable ? String.fromCharCode(...chars) : null
+    };
+}
+
+/**
+ * Read a NUL-terminated ASCII string
+ * @param {DataView} view - Data view
+ * @param {number} offset - Start offset
+ * @param {number} length - Maximum length
+ * @returns {string} Decoded string
+ */
+function readAsciiString(view, offset, length) {
+    let result = '';
+    for (let i = 0; i < length; i++) {
+        const c = view.getUint8(offset + i);
+        if (c === 0) break;
+        result += String.fromCharCode(c);
+    }
+    return result;
+}
+
+/**
+ * Get the size of a signed blob's signature block
+ * @param {DataView} view - Data view
+ * @param {number} offset - Offset of the signature type
+ * @param {string} what - Name of the blob for error messages
+ * @returns {number} Size of signature type + signature + padding
+ */
+function getSignatureBlockSize(view, offset, what) {
+    const signatureType = view.getUint32(offset, false);
+    const signatureSize = SIGNATURE_SIZES[signatureType];
+    if (!signatureSize) {
+        throw new Error(`${what} has unknown signature type 0x${toHex(signatureType)}`);
+    }
+    return 4 + signatureSize;
+}
+
+/**
+ * Parse the certificate chain section
+ * @param {DataView} view - Data view
+ * @param {number} offset - Section offset
+ * @param {number} size - Section size
+ * @returns {Array<Object>} Certificates (issuer, name, keyType)
+ */
+function parseCertificateChain(view, offset, size) {
+    const certificates = [];
+    const end = offset + size;
+    let position = offset;
+
+    while (position < end) {
+        const signatureBlockSize = getSignatureBlockSize(view, position, `certificate ${certificates.length}`);
+        const bodyOffset = position + signatureBlockSize;
+        if (bodyOffset + 0x88 > end) {
+            throw new Error(`certificate ${certificates.length} is truncated`);
+        }
+
+        const keyType = view.getUint32(bodyOffset + 0x40, false);
+        const keySize = PUBLIC_KEY_SIZES[keyType];
+        if (keySize === undefined) {
+            throw new Error(`certificate ${certificates.length} has unknown key type ${keyType}`);
+        }
+
+        const certificateSize = signatureBlockSize + 0x88 + keySize;
+        if (position + certificateSize > end) {
+            throw new Error(`certificate ${certificates.length} is truncated`);
+        }
+
+        certificates.push({
+            offset: position,
+            size: certificateSize,
+            issuer: readAsciiString(view, bodyOffset, 0x40),
+            keyType: keyType,
+            name: readAsciiString(view, bodyOffset + 0x44, 0x40)
+        });
+        position = alignUp(position + certificateSize, WAD_SECTION_ALIGNMENT);
+    }
+
+    if (certificates.length === 0) {
+        throw new Error('certificate chain contains no certificates');
+    }
+    return certificates;
+}
+
+/**
+ * Parse the ticket section
+ * @param {DataView} view - Data view
+ * @param {number} offset - Section offset
+ * @param {number} size - Section size
+ * @returns {Object} Ticket (issuer, title ID, encrypted title key, common key index)
+ */
+function parseTicket(view, offset, size) {
+    if (size < TICKET_SIZE) {
+        throw new Error(`ticket is 0x${size.toString(16)} bytes, expected at least 0x${TICKET_SIZE.toString(16)}`);
+    }
+    const bodyOffset = offset + getSignatureBlockSize(view, offset, 'ticket');
+
+    return {
+        offset: offset,
+        size: size,
+        issuer: readAsciiString(view, bodyOffset, 0x40),
+        encryptedTitleKey: new Uint8Array(view.buffer, offset + TICKET_TITLE_KEY_OFFSET, 16).slice(),
+        titleId: readTitleId(view, offset + TICKET_TITLE_ID_OFFSET),
+        commonKeyIndex: view.getUint8(offset + TICKET_COMMON_KEY_INDEX_OFFSET)
+    };
+}
+
+/**
+ * Parse the TMD (title metadata) section
+ * @param {DataView} view - Data view
+ * @param {number} offset - Section offset
+ * @param {number} size - Section size
+ * @returns {Object} TMD (title ID, version, IOS, region, content records)
+ */
+function parseTmd(view, offset, size) {
+    if (size < TMD_HEADER_SIZE) {
+        throw new Error(`TMD is 0x${size.toString(16)} bytes, expected at least 0x${TMD_HEADER_SIZE.toString(16)}`);
+    }
+    const bodyOffset = offset + getSignatureBlockSize(view, offset, 'TMD');
+
+    const systemVersion = readTitleId(view, offset + 0x184);
+    const regionCode = view.getUint16(offset + 0x19C, false);
+    const numContents = view.getUint16(offset + 0x1DE, false);
+
+    if (numContents === 0) {
+        throw new Error('TMD lists no contents');
+    }
+    if (TMD_HEADER_SIZE + numContents * TMD_CONTENT_RECORD_SIZE > size) {
+        throw new Error(`TMD lists ${numContents} contents but is only 0x${size.toString(16)} bytes`);
+    }
+
+    const contents = [];
+    for (let i = 0; i < numContents; i++) {
+        const record = offset + TMD_HEADER_SIZE + i * TMD_CONTENT_RECORD_SIZE;
+        const sizeHi = view.getUint32(record + 0x08, false);
+        const sizeLo = view.getUint32(record + 0x0C, false);
+        const type = view.getUint16(record + 0x06, false);
+        contents.push({
+            id: view.getUint32(record, false),
+            index: view.getUint16(record + 0x04, false),
+            type: type,
+            typeName: CONTENT_TYPES[type] || `Unknown (0x${toHex(type, 4)})`,
+            size: sizeHi * 0x100000000 + sizeLo,
+            sha1: new Uint8Array(view.buffer, record + 0x10, 20).slice()
+        });
+    }
+
+    return {
+        offset: offset,
+        size: size,
+        issuer: readAsciiString(view, bodyOffset, 0x40),
+        titleId: readTitleId(view, offset + 0x18C),
+        titleType: view.getUint32(offset + 0x194, false),
+        groupId: view.getUint16(offset + 0x198, false),
+        regionCode: regionCode,
+        region: TMD_REGIONS[regionCode] || `Unknown (${regionCode})`,
+        iosRequired: systemVersion.hi === 0x00000001 && systemVersion.lo !== 0 ? `IOS${systemVersion.lo}` : 'None',
+        titleVersion: view.getUint16(offset + 0x1DC, false),
+        bootIndex: view.getUint16(offset + 0x1E0, false),
+        contents: contents
+    };
 }
 
 /**
  * Validate DOL file structure
+ * @param {ArrayBuffer} arrayBuffer - DOL file contents
+ * @returns {{isValid: boolean, message: string, dol: Object|null}} Validation result
  */
 function validateDolFile(arrayBuffer) {
-    if (arrayBuffer.byteLength < 0x100) return false;
-    
+    try {
+        return { isValid: true, message: '', dol: parseDolFile(arrayBuffer) };
+    } catch (error) {
+        return { isValid: false, message: `Invalid DOL file: ${error.message}`, dol: null };
+    }
+}
+
+/**
+ * Parse a DOL executable header into a section map
+ * Problems that still allow loading are reported per section in `issues`;
+ * an entry point outside every text section is fatal.
+ * @param {ArrayBuffer} arrayBuffer - DOL file contents
+ * @returns {Object} Parsed DOL (sections, bss, entryPoint, warnings)
+ */
+function parseDolFile(arrayBuffer) {
+    if (arrayBuffer.byteLength < DOL_HEADER_SIZE) {
+        throw new Error(`file is ${arrayBuffer.byteLength} bytes, smaller than the 0x100-byte header`);
+    }
+
     const view = new DataView(arrayBuffer);
-    
-    // DOL files have offset tables at the beginning
-    // Check that text section offsets are reasonable
-    const textOffset0 = view.getUint32(DOL_TEXT_OFFSET, false);
-    const dataOffset0 = view.getUint32(DOL_DATA_OFFSET, false);
-    
-    // Offsets should be within file bounds and aligned
-    if (textOffset0 > 0 && textOffset0 < arrayBuffer.byteLength) {
-        return true;
+    const sections = [];
+
+    for (let i = 0; i < DOL_TEXT_SECTIONS + DOL_DATA_SECTIONS; i++) {
+        const size = view.getUint32(DOL_SIZES_TABLE + i * 4, false);
+        if (size === 0) continue;
+
+        const isText = i < DOL_TEXT_SECTIONS;
+        sections.push({
+            kind: isText ? 'text' : 'data',
+            name: isText ? `Text ${i}` : `Data ${i - DOL_TEXT_SECTIONS}`,
+            offset: view.getUint32(DOL_OFFSETS_TABLE + i * 4, false),
+            address: view.getUint32(DOL_ADDRESSES_TABLE + i * 4, false),
+            size: size,
+            issues: []
+        });
     }
-    if (dataOffset0 > 0 && dataOffset0 < arrayBuffer.byteLength) {
-        return true;
+
+    const bss = {
+        address: view.getUint32(DOL_BSS_ADDRESS, false),
+        size: view.getUint32(DOL_BSS_SIZE, false),
+        issues: []
+    };
+    const entryPoint = view.getUint32(DOL_ENTRY_POINT, false);
+
+    if (!sections.some(section => section.kind === 'text')) {
+        throw new Error('no text sections are defined');
     }
-    
-    // If validation fails, still accept for demo purposes
-    return true;
+
+    const entrySection = sections.find(section =>
+        section.kind === 'text' && entryPoint >= section.address && entryPoint < section.address + section.size);
+    if (!entrySection) {
+        throw new Error(`entry point 0x${toHex(entryPoint)} is outside every text section`);
+    }
+
+    sections.forEach(section => {
+        if (section.offset < DOL_HEADER_SIZE || section.offset + section.size > arrayBuffer.byteLength) {
+            section.issues.push('File data out of bounds');
+        }
+        if (!findMemoryRegion(section.address, section.size)) {
+            section.issues.push('Loads outside MEM1/MEM2');
+        }
+    });
+
+    // Overlaps in the file or in memory mean sections would clobber each other
+    for (let i = 0; i < sections.length; i++) {
+        for (let j = i + 1; j < sections.length; j++) {
+            const a = sections[i];
+            const b = sections[j];
+            if (rangesOverlap(a.offset, a.size, b.offset, b.size)) {
+                a.issues.push(`File data overlaps ${b.name}`);
+                b.issues.push(`File data overlaps ${a.name}`);
+            }
+            if (rangesOverlap(a.address, a.size, b.address, b.size)) {
+                a.issues.push(`Load address overlaps ${b.name}`);
+                b.issues.push(`Load address overlaps ${a.name}`);
+            }
+        }
+    }
+
+    if (bss.size > 0 && !findMemoryRegion(bss.address, bss.size)) {
+        bss.issues.push('Loads outside MEM1/MEM2');
+    }
+
+    const flagged = sections.filter(section => section.issues.length > 0).length + (bss.issues.length > 0 ? 1 : 0);
+    const warnings = flagged > 0
+        ? [`${flagged} section(s) have layout problems. The executable may crash or fail to load.`]
+        : [];
+
+    return {
+        sections: sections,
+        bss: bss,
+        entryPoint: entryPoint,
+        entrySection: entrySection.name,
+        warnings: warnings
+    };
+}
+
+/**
+ * Validate ELF file structure
+ * @param {ArrayBuffer} arrayBuffer - ELF file contents
+ * @returns {{isValid: boolean, message: string, elf: Object|null}} Validation result
+ */
+function validateElfFile(arrayBuffer) {
+    try {
+        return { isValid: true, message: '', elf: parseElfFile(arrayBuffer) };
+    } catch (error) {
+        return { isValid: false, message: `Invalid ELF file: ${error.message}`, elf: null };
+    }
+}
+
+/**
+ * Parse a PowerPC big-endian ELF32 executable
+ * Loadable segments are reported as sections with the same issue checks as DOL.
+ * @param {ArrayBuffer} arrayBuffer - ELF file contents
+ * @returns {Object} Parsed ELF (type, entryPoint, programHeaders, sections, bss, warnings)
+ */
+function parseElfFile(arrayBuffer) {
+    if (arrayBuffer.byteLength < ELF_HEADER_SIZE) {
+        throw new Error(`file is ${arrayBuffer.byteLength} bytes, smaller than the ELF header`);
+    }
+
+    const view = new DataView(arrayBuffer);
+    if (view.getUint32(0, false) !== 0x7F454C46) {
+        throw new Error('missing \\x7FELF signature');
+    }
+    if (view.getUint8(4) !== ELF_CLASS_32) {
+        throw new Error('only 32-bit ELF files are supported');
+    }
+    if (view.getUint8(5) !== ELF_DATA_BIG_ENDIAN) {
+        throw new Error('ELF file is little-endian; Wii executables are big-endian');
+    }
+
+    const type = view.getUint16(0x10, false);
+    const machine = view.getUint16(0x12, false);
+    const entryPoint = view.getUint32(0x18, false);
+    const programHeaderOffset = view.getUint32(0x1C, false);
+    const programHeaderSize = view.getUint16(0x2A, false);
+    const programHeaderCount = view.getUint16(0x2C, false);
+
+    if (machine !== ELF_MACHINE_PPC) {
+        throw new Error(`machine type is ${machine}, expected PowerPC (${ELF_MACHINE_PPC})`);
+    }
+    if (type !== 2) {
+        throw new Error(`ELF type is ${ELF_TYPES[type] || type}, expected an executable`);
+    }
+    if (programHeaderCount === 0) {
+        throw new Error('no program headers');
+    }
+    if (programHeaderSize < ELF_PROGRAM_HEADER_SIZE) {
+        throw new Error(`program header entry size ${programHeaderSize} is too small`);
+    }
+    if (programHeaderOffset + programHeaderCount * programHeaderSize > arrayBuffer.byteLength) {
+        throw new Error('program header table extends past end of file');
+    }
+
+    const programHeaders = [];
+    for (let i = 0; i < programHeaderCount; i++) {
+        const entry = programHeaderOffset + i * programHeaderSize;
+        programHeaders.push({
+            type: view.getUint32(entry, false),
+            offset: view.getUint32(entry + 0x04, false),
+            virtualAddress: view.getUint32(entry + 0x08, false),
+            physicalAddress: view.getUint32(entry + 0x0C, false),
+            fileSize: view.getUint32(entry + 0x10, false),
+            memorySize: view.getUint32(entry + 0x14, false),
+            flags: view.getUint32(entry + 0x18, false),
+            align: view.getUint32(entry + 0x1C, false)
+        });
+    }
+
+    const sections = programHeaders
+        .map((header, index) => ({ header: header, index: index }))
+        .filter(item => item.header.type === PT_LOAD && item.header.memorySize > 0)
+        .map(item => ({
+            kind: item.header.flags & PF_X ? 'text' : 'data',
+            name: `Segment ${item.index} (${formatSegmentFlags(item.header.flags)})`,
+            offset: item.header.offset,
+            address: item.header.virtualAddress,
+            size: item.header.fileSize,
+            memorySize: item.header.memorySize,
+            issues: []
+        }));
+
+    if (sections.length === 0) {
+        throw new Error('no loadable segments');
+    }
+
+    const entrySection = sections.find(section =>
+        section.kind === 'text' && entryPoint >= section.address && entryPoint < section.address + section.size);
+    if (!entrySection) {
+        throw new Error(`entry point 0x${toHex(entryPoint)} is outside every executable segment`);
+    }
+
+    sections.forEach(section => {
+        if (section.offset + section.size > arrayBuffer.byteLength) {
+            section.issues.push('File data out of bounds');
+        }
+        if (!findMemoryRegion(section.address, section.memorySize)) {
+            section.issues.push('Loads outside MEM1/MEM2');
+        }
+    });
+
+    for (let i = 0; i < sections.length; i++) {
+        for (let j = i + 1; j < sections.length; j++) {
+            const a = sections[i];
+            const b = sections[j];
+            if (rangesOverlap(a.address, a.memorySize, b.address, b.memorySize)) {
+                a.issues.push(`Load address overlaps ${b.name}`);
+                b.issues.push(`Load address overlaps ${a.name}`);
+            }
+        }
+    }
+
+    // Zero-filled tails (memory size beyond file size) become the DOL BSS
+    const zeroFilled = sections.filter(section => section.memorySize > section.size);
+    const bss = { address: 0, size: 0, issues: [] };
+    if (zeroFilled.length > 0) {
+        bss.address = Math.min(...zeroFilled.map(section => section.address + section.size));
+        bss.size = Math.max(...zeroFilled.map(section => section.address + section.memorySize)) - bss.address;
+    }
+
+    const flagged = sections.filter(section => section.issues.length > 0).length;
+    const warnings = flagged > 0
+        ? [`${flagged} segment(s) have layout problems. The executable may crash or fail to load.`]
+        : [];
+
+    return {
+        type: ELF_TYPES[type],
+        machine: 'PowerPC',
+        entryPoint: entryPoint,
+        entrySection: entrySection.name,
+        programHeaders: programHeaders,
+        sections: sections,
+        bss: bss,
+        warnings: warnings
+    };
+}
+
+/**
+ * Format ELF segment flags as an R/W/X string
+ * @param {number} flags - p_flags value
+ * @returns {string} e.g. "R-X"
+ */
+function formatSegmentFlags(flags) {
+    return (flags & PF_R ? 'R' : '-') + (flags & PF_W ? 'W' : '-') + (flags & PF_X ? 'X' : '-');
+}
+
+/**
+ * Convert a parsed ELF into a DOL executable
+ * Executable segments become text sections and the rest data sections, in
+ * program header order. Zero-filled segment tails are covered by the BSS.
+ * @param {ArrayBuffer} arrayBuffer - ELF file contents
+ * @param {Object} elf - Parsed ELF from parseElfFile
+ * @returns {Uint8Array} DOL file contents
+ */
+function convertElfToDol(arrayBuffer, elf) {
+    const loadable = elf.sections.filter(section => section.size > 0);
+    const text = loadable.filter(section => section.kind === 'text');
+    const data = loadable.filter(section => section.kind === 'data');
+
+    if (text.length > DOL_TEXT_SECTIONS) {
+        throw new Error(`ELF has ${text.length} executable segments, a DOL allows ${DOL_TEXT_SECTIONS}`);
+    }
+    if (data.length > DOL_DATA_SECTIONS) {
+        throw new Error(`ELF has ${data.length} data segments, a DOL allows ${DOL_DATA_SECTIONS}`);
+    }
+    if (loadable.some(section => section.issues.includes('File data out of bounds'))) {
+        throw new Error('segment data extends past end of file');
+    }
+
+    // Lay out section data after the header, 32-byte aligned
+    let fileSize = DOL_HEADER_SIZE;
+    const placements = [];
+    text.forEach((section, i) => placements.push({ section: section, slot: i }));
+    data.forEach((section, i) => placements.push({ section: section, slot: DOL_TEXT_SECTIONS + i }));
+    placements.forEach(placement => {
+        placement.offset = fileSize;
+        fileSize = alignUp(fileSize + placement.section.size, 0x20);
+    });
+
+    const dol = new Uint8Array(fileSize);
+    const view = new DataView(dol.buffer);
+    const source = new Uint8Array(arrayBuffer);
+
+    placements.forEach(placement => {
+        const section = placement.section;
+        view.setUint32(DOL_OFFSETS_TABLE + placement.slot * 4, placement.offset, false);
+        view.setUint32(DOL_ADDRESSES_TABLE + placement.slot * 4, section.address, false);
+        view.setUint32(DOL_SIZES_TABLE + placement.slot * 4, section.size, false);
+        dol.set(source.subarray(section.offset, section.offset + section.size), placement.offset);
+    });
+
+    view.setUint32(DOL_BSS_ADDRESS, elf.bss.address, false);
+    view.setUint32(DOL_BSS_SIZE, elf.bss.size, false);
+    view.setUint32(DOL_ENTRY_POINT, elf.entryPoint, false);
+
+    // Make sure the result is something handleDolFile would accept
+    parseDolFile(dol.buffer);
+    return dol;
+}
+
+/**
+ * Find the memory region that fully contains an address range
+ * @param {number} address - Start address
+ * @param {number} size - Length in bytes
+ * @returns {Object|null} Region from WII_MEMORY_REGIONS, or null
+ */
+function findMemoryRegion(address, size) {
+    return WII_MEMORY_REGIONS.find(region =>
+        address >= region.start && address + size <= region.end) || null;
+}
+
+/**
+ * Check whether two half-open ranges overlap
+ * @param {number} startA - Start of first range
+ * @param {number} sizeA - Length of first range
+ * @param {number} startB - Start of second range
+ * @param {number} sizeB - Length of second range
+ * @returns {boolean}
+ */
+function rangesOverlap(startA, sizeA, startB, sizeB) {
+    return startA < startB + sizeB && startB < startA + sizeA;
 }
 
 /**
  * Handle WAD file parsing
+ * @param {File} file - Selected file
+ * @param {ArrayBuffer} arrayBuffer - File contents
+ * @param {Object} wad - Parsed WAD from parseWadFile
  */
-function handleWadFile(file, arrayBuffer) {
+function handleWadFile(file, arrayBuffer, wad) {
     const statusDiv = document.getElementById('wad-dol-status');
     const infoDiv = document.getElementById('wad-dol-info');
     const detailsDiv = document.getElementById('wad-dol-details');
     const installButton = document.getElementById('install-wad-dol');
     const progressBar = document.getElementById('wad-dol-progress');
 
-    // Parse WAD header (simplified)
-    const view = new DataView(arrayBuffer);
     const fileSize = arrayBuffer.byteLength;
+    const titleId = wad.titleId.ascii
+        ? `${wad.titleId.hex} (${wad.titleId.ascii})`
+        : wad.titleId.hex;
+
+    const contentRows = wad.contents.map(content => `
+        <tr>
+            <td>${toHex(content.id)}</td>
+            <td>${content.index}</td>
+            <td>${escapeHtml(content.typeName)}</td>
+            <td>${formatBytes(content.size)}${content.truncated ? ' <span style="color: var(--wii-error);">(truncated)</span>' : ''}</td>
+            <td class="hash-cell">${bytesToHex(content.sha1)}</td>
+            <td id="wad-content-status-${content.index}">Not verified</td>
+        </tr>
+    `).join('');
+
+    const warnings = wad.warnings.length > 0
+        ? `<p><strong>Warnings:</strong></p><ul>${wad.warnings.map(w => `<li style="color: var(--wii-warning);">${escapeHtml(w)}</li>`).join('')}</ul>`
+        : '';
 
     // Display file information
     const details = `
-        <p><strong>File Name:</strong> ${file.name}</p>
-        <p><strong>File Type:</strong> WAD (Wii Application Data)</p>
+        <p><strong>File Name:</strong> ${escapeHtml(file.name)}</p>
+        <p><strong>File Type:</strong> WAD (Wii Application Data) - ${escapeHtml(wad.typeName)}</p>
         <p><strong>File Size:</strong> ${formatBytes(fileSize)}</p>
-        <p><strong>Last Modified:</strong> ${new Date(file.lastModified).toLocaleString()}</p>
-        <p><strong>Status:</strong> <span style="color: var(--wii-success);">✓ Valid WAD file</span></p>
+        <p><strong>Title ID:</strong> ${escapeHtml(titleId)}</p>
+        <p><strong>Title Version:</strong> ${wad.titleVersion}</p>
+        <p><strong>IOS Required:</strong> ${escapeHtml(wad.iosRequired)}</p>
+        <p><strong>Region:</strong> ${escapeHtml(wad.region)}</p>
+        <p><strong>Certificates:</strong> ${wad.certificates.map(cert => escapeHtml(cert.name)).join(', ')}</p>
+        <p><strong>Contents:</strong> ${wad.contents.length}</p>
+        <table class="details-table">
+            <thead>
+                <tr><th>Content ID</th><th>Index</th><th>Type</th><th>Size</th><th>SHA-1</th><th>Verification</th></tr>
+            </thead>
+            <tbody>${contentRows}</tbody>
+        </table>
+        ${warnings}
     `;
 
     detailsDiv.innerHTML = details;
     infoDiv.style.display = 'block';
-    installButton.style.display = 'inline-block';
     progressBar.style.display = 'none';
 
-    showStatus(statusDiv, 'success', 'WAD file loaded successfully! Review the information above.');
+    // Installation is offered once the contents have been verified
+    const verifyArea = document.getElementById('wad-verify-area');
+    const keyInput = document.getElementById('common-key-input');
+    const keyLabel = document.getElementById('common-key-label');
+    verifyArea.style.display = 'block';
+    keyInput.value = '';
+    keyInput.placeholder = getStoredTicketCommonKey(wad.ticket) ? 'Using stored key' : '32 hex characters';
+    if (keyLabel) {
+        const keyName = TICKET_COMMON_KEYS[wad.ticket.commonKeyIndex] || 'common';
+        keyLabel.textContent = `${describeCommonKey(keyName)} (hex)${keyName === 'korean' ? ', which this title is encrypted with' : ''}. It is stored only in this browser.`;
+    }
+
+    showStatus(statusDiv, 'success', 'WAD file loaded successfully! Review the information above, then verify the contents.');
+}
+
+/**
+ * Labels shown for each content verification result
+ */
+const CONTENT_STATUS_LABELS = {
+    ok: { text: '✓ OK', color: 'var(--wii-success)' },
+    mismatch: { text: '✗ Hash mismatch', color: 'var(--wii-error)' },
+    truncated: { text: '✗ Truncated', color: 'var(--wii-error)' }
+};
+
+/**
+ * Decrypt and verify every content of a parsed WAD in a Web Worker
+ * @param {ArrayBuffer} arrayBuffer - WAD file contents
+ * @param {Object} wad - Parsed WAD from parseWadFile
+ * @param {Uint8Array} commonKey - Common key the ticket names (standard or Korean)
+ * @param {Function} onContent - Called with (contentIndex, status) as each content finishes
+ * @param {Function} onProgress - Called with (processedBytes, totalBytes)
+ * @returns {Promise<{titleKey: Uint8Array, results: Array, allOk: boolean}>}
+ */
+function verifyWadContents(arrayBuffer, wad, commonKey, onContent, onProgress) {
+    return runWadWorker('verify', arrayBuffer, wad, commonKey, onContent, onProgress);
+}
+
+/**
+ * Decrypt every content of a parsed WAD in a Web Worker
+ * Rejects if any content is truncated or does not match its TMD hash.
+ * @param {ArrayBuffer} arrayBuffer - WAD file contents
+ * @param {Object} wad - Parsed WAD from parseWadFile
+ * @param {Uint8Array} commonKey - Common key the ticket names (standard or Korean)
+ * @param {Function} onContent - Called with (contentIndex, status, data) as each content is decrypted
+ * @param {Function} onProgress - Called with (processedBytes, totalBytes)
+ * @returns {Promise<{titleKey: Uint8Array, results: Array, allOk: boolean}>}
+ */
+function decryptWadContents(arrayBuffer, wad, commonKey, onContent, onProgress) {
+    return runWadWorker('decrypt', arrayBuffer, wad, commonKey, onContent, onProgress);
+}
+
+/**
+ * Run a wad-worker.js request over the contents of a parsed WAD
+ * @param {string} type - 'verify' or 'decrypt'
+ * @param {ArrayBuffer} arrayBuffer - WAD file contents
+ * @param {Object} wad - Parsed WAD from parseWadFile
+ * @param {Uint8Array} commonKey - Common key the ticket names (standard or Korean)
+ * @param {Function} onContent - Called with (contentIndex, status, data)
+ * @param {Function} onProgress - Called with (processedBytes, totalBytes)
+ * @returns {Promise<{titleKey: Uint8Array, results: Array, allOk: boolean}>}
+ */
+function runWadWorker(type, arrayBuffer, wad, commonKey, onContent, onProgress) {
+    return new Promise((resolve, reject) => {
+        const dataSection = wad.sections.data;
+        const dataEnd = Math.min(arrayBuffer.byteLength, dataSection.offset + alignUp(dataSection.size, WAD_SECTION_ALIGNMENT));
+        const worker = new Worker('wad-worker.js');
+
+        worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'content') {
+                if (onContent) onContent(message.index, message.status, message.data);
+            } else if (message.type === 'progress') {
+                if (onProgress) onProgress(message.processed, message.total);
+            } else if (message.type === 'done') {
+                worker.terminate();
+                resolve({
+                    titleKey: message.titleKey,
+                    results: message.results,
+                    allOk: message.results.every(result => result.status === 'ok')
+                });
+            } else if (message.type === 'error') {
+                worker.terminate();
+                reject(new Error(message.message));
+            }
+        };
+
+        worker.onerror = (event) => {
+            worker.terminate();
+            reject(new Error(event.message || 'WAD verification worker failed'));
+        };
+
+        // Only the data section is copied to the worker; offsets are rebased onto it
+        worker.postMessage({
+            type: type,
+            data: arrayBuffer.slice(dataSection.offset, dataEnd),
+            commonKey: commonKey,
+            encryptedTitleKey: wad.ticket.encryptedTitleKey,
+            titleIdHi: wad.titleId.hi,
+            titleIdLo: wad.titleId.lo,
+            contents: wad.contents.map(content => ({
+                index: content.index,
+                offset: content.offset - dataSection.offset,
+                size: content.size,
+                encryptedSize: content.encryptedSize,
+                available: content.available,
+                sha1: content.sha1
+            }))
+        });
+    });
+}
+
+/**
+ * Verify the current WAD and update the details panel with the results
+ * @param {Object} state - Current WAD state ({buffer, parsed, verification})
+ * @param {Function} isCurrent - Returns false once another file was picked; the panel is left alone after that
+ */
+function runWadVerification(state, isCurrent) {
+    const statusDiv = document.getElementById('wad-dol-status');
+    const installButton = document.getElementById('install-wad-dol');
+    const progressBar = document.getElementById('wad-dol-progress');
+    const keyInput = document.getElementById('common-key-input');
+
+    // Korean titles name the Korean common key in their ticket
+    let keyName;
+    let commonKey;
+    try {
+        keyName = getTicketCommonKeyName(state.parsed.ticket);
+        if (keyInput && keyInput.value.trim()) {
+            commonKey = parseKeyHex(keyName, keyInput.value);
+            setStoredKey(keyName, commonKey);
+            keyInput.value = '';
+            keyInput.placeholder = 'Using stored key';
+        } else {
+            commonKey = getStoredKey(keyName);
+        }
+    } catch (error) {
+        showStatus(statusDiv, 'error', error.message);
+        return;
+    }
+
+    if (!commonKey) {
+        showStatus(statusDiv, 'error', `Enter your ${describeCommonKey(keyName)} to decrypt and verify this WAD.`);
+        return;
+    }
+
+    state.verification = null;
+    installButton.style.display = 'none';
+    state.parsed.contents.forEach(content => {
+        const cell = document.getElementById(`wad-content-status-${content.index}`);
+        if (cell) cell.textContent = 'Verifying...';
+    });
+
+    showStatus(statusDiv, 'info', 'Decrypting and verifying contents...');
+    progressBar.style.display = 'block';
+    updateProgress(progressBar, 0);
+
+    verifyWadContents(
+        state.buffer,
+        state.parsed,
+        commonKey,
+        (index, status) => {
+            if (!isCurrent()) return;
+            const cell = document.getElementById(`wad-content-status-${index}`);
+            const label = CONTENT_STATUS_LABELS[status];
+            if (cell && label) {
+                cell.innerHTML = `<span style="color: ${label.color};">${label.text}</span>`;
+            }
+        },
+        (processed, total) => {
+            if (isCurrent()) updateProgress(progressBar, total > 0 ? Math.round((processed / total) * 100) : 100);
+        }
+    )
+    .then(verification => {
+        state.verification = verification;
+        if (!isCurrent()) return;
+        progressBar.style.display = 'none';
+
+        if (verification.allOk) {
+            installButton.style.display = 'inline-block';
+            showStatus(statusDiv, 'success', 'All contents decrypted and match the TMD hashes. Ready to install.');
+        } else {
+            const failed = verification.results.filter(result => result.status !== 'ok').length;
+            showStatus(statusDiv, 'error',
+                `${failed} of ${verification.results.length} contents failed verification. ` +
+                'The WAD is corrupt or incomplete, or the common key is wrong.');
+        }
+    })
+    .catch(error => {
+        console.error('WAD verification failed:', error);
+        if (!isCurrent()) return;
+        progressBar.style.display = 'none';
+        showStatus(statusDiv, 'error', `Verification failed: ${error.message}`);
+    });
 }
 
 /**
  * Handle DOL file parsing
+ * @param {File} file - Selected file
+ * @param {ArrayBuffer} arrayBuffer - File contents
+ * @param {Object} dol - Parsed DOL from parseDolFile
  */
-function handleDolFile(file, arrayBuffer) {
+function handleDolFile(file, arrayBuffer, dol) {
     const statusDiv = document.getElementById('wad-dol-status');
     const infoDiv = document.getElementById('wad-dol-info');
     const detailsDiv = document.getElementById('wad-dol-details');
@@ -193,54 +1163,241 @@ function handleDolFile(file, arrayBuffer) {
 
     // Display file information
     const details = `
-        <p><strong>File Name:</strong> ${file.name}</p>
+        <p><strong>File Name:</strong> ${escapeHtml(file.name)}</p>
         <p><strong>File Type:</strong> DOL (Dolphin Executable)</p>
         <p><strong>File Size:</strong> ${formatBytes(fileSize)}</p>
         <p><strong>Last Modified:</strong> ${new Date(file.lastModified).toLocaleString()}</p>
-        <p><strong>Status:</strong> <span style="color: var(--wii-success);">✓ Valid DOL executable</span></p>
+        <p><strong>Entry Point:</strong> 0x${toHex(dol.entryPoint)} (${dol.entrySection})</p>
+        <p><strong>BSS:</strong> ${dol.bss.size > 0 ? `0x${toHex(dol.bss.address)} - ${formatBytes(dol.bss.size)}` : 'None'}${renderSectionIssues(dol.bss.issues)}</p>
+        ${renderSectionTable(dol.sections)}
+        ${renderExecutableStatus(dol.warnings, 'DOL executable')}
     `;
 
     detailsDiv.innerHTML = details;
     infoDiv.style.display = 'block';
-    installButton.style.display = 'inline-block';
+    document.getElementById('boot-wad-dol').style.display = 'inline-block';
     progressBar.style.display = 'none';
 
     showStatus(statusDiv, 'success', 'DOL file loaded successfully! Review the information above.');
 }
 
 /**
- * Perform NAND installation (simulated)
+ * Handle ELF file parsing
+ * @param {File} file - Selected file
+ * @param {ArrayBuffer} arrayBuffer - File contents
+ * @param {Object} elf - Parsed ELF from parseElfFile
  */
-function performNandInstallation(file, fileType) {
+function handleElfFile(file, arrayBuffer, elf) {
     const statusDiv = document.getElementById('wad-dol-status');
+    const infoDiv = document.getElementById('wad-dol-info');
+    const detailsDiv = document.getElementById('wad-dol-details');
+    const installButton = document.getElementById('install-wad-dol');
+    const convertButton = document.getElementById('convert-elf-dol');
+    const bootButton = document.getElementById('boot-wad-dol');
     const progressBar = document.getElementById('wad-dol-progress');
-    
-    showStatus(statusDiv, 'info', `Installing ${fileType} file to virtual NAND...`);
+
+    const details = `
+        <p><strong>File Name:</strong> ${escapeHtml(file.name)}</p>
+        <p><strong>File Type:</strong> ELF (${elf.machine} ELF32 big-endian, ${elf.type})</p>
+        <p><strong>File Size:</strong> ${formatBytes(arrayBuffer.byteLength)}</p>
+        <p><strong>Last Modified:</strong> ${new Date(file.lastModified).toLocaleString()}</p>
+        <p><strong>Entry Point:</strong> 0x${toHex(elf.entryPoint)} (${escapeHtml(elf.entrySection)})</p>
+        <p><strong>Program Headers:</strong> ${elf.programHeaders.length} (${elf.sections.length} loadable)</p>
+        <p><strong>BSS:</strong> ${elf.bss.size > 0 ? `0x${toHex(elf.bss.address)} - ${formatBytes(elf.bss.size)}` : 'None'}</p>
+        ${renderSectionTable(elf.sections)}
+        ${renderExecutableStatus(elf.warnings, 'ELF executable')}
+    `;
+
+    detailsDiv.innerHTML = details;
+    infoDiv.style.display = 'block';
+    convertButton.style.display = 'inline-block';
+    bootButton.style.display = 'inline-block';
+    progressBar.style.display = 'none';
+
+    showStatus(statusDiv, 'success', 'ELF file loaded successfully! Review the information above.');
+}
+
+/**
+ * Render a section map table for an executable
+ * @param {Array<Object>} sections - Sections ({name, offset, address, size, issues})
+ * @returns {string} HTML
+ */
+function renderSectionTable(sections) {
+    const rows = sections.map(section => {
+        const region = findMemoryRegion(section.address, section.size);
+        return `
+            <tr${section.issues.length > 0 ? ' class="flagged-row"' : ''}>
+                <td>${escapeHtml(section.name)}</td>
+                <td>0x${toHex(section.offset)}</td>
+                <td>0x${toHex(section.address)}</td>
+                <td>${formatBytes(section.size)}</td>
+                <td>${region ? region.name : '-'}</td>
+                <td>${section.issues.length > 0 ? section.issues.map(escapeHtml).join('<br>') : '✓'}</td>
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <table class="details-table">
+            <thead>
+                <tr><th>Section</th><th>File Offset</th><th>Load Address</th><th>Size</th><th>Region</th><th>Issues</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Render inline issue markers for a single section
+ * @param {Array<string>} issues - Issue descriptions
+ * @returns {string} HTML
+ */
+function renderSectionIssues(issues) {
+    return issues.length > 0
+        ? ` <span style="color: var(--wii-error);">(${issues.map(escapeHtml).join(', ')})</span>`
+        : '';
+}
+
+/**
+ * Render the status line for a parsed executable
+ * @param {Array<string>} warnings - Warnings from the parser
+ * @param {string} label - Executable kind, e.g. "DOL executable"
+ * @returns {string} HTML
+ */
+function renderExecutableStatus(warnings, label) {
+    if (warnings.length === 0) {
+        return `<p><strong>Status:</strong> <span style="color: var(--wii-success);">✓ Valid ${label}</span></p>`;
+    }
+    return `
+        <p><strong>Status:</strong> <span style="color: var(--wii-warning);">⚠ ${label} loaded with warnings</span></p>
+        <ul>${warnings.map(w => `<li style="color: var(--wii-warning);">${escapeHtml(w)}</li>`).join('')}</ul>
+    `;
+}
+
+/**
+ * Install a verified WAD into the emulator's virtual NAND
+ * @param {File} file - Selected WAD file
+ * @param {Object} state - Current WAD state ({buffer, parsed, verification})
+ */
+async function performNandInstallation(file, state) {
+    const statusDiv = document.getElementById('wad-dol-status');
+    const progressBar = document.getElementById('wad-dol-progress');
+    const installButton = document.getElementById('install-wad-dol');
+
+    let keyName;
+    try {
+        keyName = getTicketCommonKeyName(state.parsed.ticket);
+    } catch (error) {
+        showStatus(statusDiv, 'error', error.message);
+        return;
+    }
+    const commonKey = getStoredKey(keyName);
+    if (!commonKey) {
+        showStatus(statusDiv, 'error', `Enter your ${describeCommonKey(keyName)} and verify the WAD before installing.`);
+        return;
+    }
+
+    showStatus(statusDiv, 'info', `Installing ${file.name} to the virtual NAND...`);
     progressBar.style.display = 'block';
-    
-    // Simulate installation progress
-    let progress = 0;
-    const installInterval = setInterval(() => {
-        progress += 10;
-        updateProgress(progressBar, progress);
-        
-        if (progress >= 100) {
-            clearInterval(installInterval);
-            showStatus(statusDiv, 'success', `${fileType} file "${file.name}" installed successfully to virtual NAND!`);
-            
-            // Store installation preference in cookie
-            const installData = {
-                filename: file.name,
-                type: fileType,
-                timestamp: Date.now()
-            };
-            document.cookie = `lastWadDolInstall=${encodeURIComponent(JSON.stringify(installData))};path=/;max-age=2592000`; // 30 days
-            
-            setTimeout(() => {
-                progressBar.style.display = 'none';
-            }, 2000);
+    updateProgress(progressBar, 0);
+    installButton.disabled = true;
+
+    try {
+        const nand = await openEmulatorNand();
+        await installWadToNand(nand, state, commonKey, (written, total) => {
+            updateProgress(progressBar, total > 0 ? Math.round((written / total) * 100) : 100);
+        });
+        updateProgress(progressBar, 100);
+        showStatus(statusDiv, 'success', `${state.parsed.tmd.titleId.hex} (${file.name}) installed to the virtual NAND.`);
+        refreshTitleList();
+    } catch (error) {
+        console.error('WAD installation failed:', error);
+        showStatus(statusDiv, 'error', `Installation failed, the virtual NAND was not changed: ${error.message}`);
+    } finally {
+        installButton.disabled = false;
+        setTimeout(() => {
+            progressBar.style.display = 'none';
+        }, 2000);
+    }
+}
+
+/**
+ * Write a WAD's ticket, TMD and decrypted contents into the virtual NAND
+ *
+ * Everything is staged first and only moved into place once all contents
+ * have been decrypted and written, so a failure leaves the NAND unchanged.
+ * @param {VirtualNand} nand - Virtual NAND
+ * @param {Object} state - WAD state ({buffer, parsed})
+ * @param {Uint8Array} commonKey - Common key the ticket names (standard or Korean)
+ * @param {Function} onProgress - Called with (bytesWritten, totalBytes)
+ * @returns {Promise}
+ */
+async function installWadToNand(nand, state, commonKey, onProgress) {
+    const wad = state.parsed;
+    const bytes = new Uint8Array(state.buffer);
+    const sectionBytes = name => bytes.subarray(wad.sections[name].offset, wad.sections[name].offset + wad.sections[name].size);
+    const titleDir = titleDirectoryPath(wad.titleId.hi, wad.titleId.lo);
+
+    const contentMap = nand.readContentMap();
+    const contentMapSize = contentMap.length;
+    const isSharedInstalled = content => contentMap.some(entry => bytesEqual(entry.hash, content.sha1));
+
+    // Shared contents already on the NAND are skipped and count as written
+    const skippedBytes = wad.contents
+        .filter(content => (content.type & CONTENT_TYPE_SHARED_FLAG) && isSharedInstalled(content))
+        .reduce((sum, content) => sum + content.size, 0);
+    const totalBytes = wad.contents.reduce((sum, content) => sum + content.size, 0) +
+        wad.sections.tmd.size + wad.sections.ticket.size;
+    const reportProgress = written => onProgress(skippedBytes + written, totalBytes);
+
+    const transaction = nand.beginTransaction();
+    transaction.replaceDirectory(`${titleDir}/content`);
+
+    // The queue never rejects: the first failure is kept and later writes are skipped
+    let writes = Promise.resolve();
+    let writeError = null;
+
+    try {
+        const writeContent = async (index, data) => {
+            const content = wad.contents.find(c => c.index === index);
+            if (!(content.type & CONTENT_TYPE_SHARED_FLAG)) {
+                await transaction.writeFile(`${titleDir}/content/${nandHex(content.id)}.app`, data, reportProgress);
+            } else if (!isSharedInstalled(content)) {
+                const name = nandHex(contentMap.length);
+                contentMap.push({ name: name, hash: content.sha1 });
+                await transaction.writeFile(`/shared1/${name}.app`, data, reportProgress);
+            }
+        };
+
+        // Contents arrive from the worker faster than they can be written; queue the writes
+        await decryptWadContents(state.buffer, wad, commonKey, (index, status, data) => {
+            writes = writes
+                .then(() => writeError ? undefined : writeContent(index, data))
+                .catch(error => {
+                    writeError = error;
+                });
+        }, null);
+        await writes;
+        if (writeError) throw writeError;
+
+        await transaction.writeFile(`${titleDir}/content/title.tmd`, sectionBytes('tmd'), reportProgress);
+        await transaction.writeFile(ticketPath(wad.titleId.hi, wad.titleId.lo), sectionBytes('ticket'), reportProgress);
+        if (contentMap.length > contentMapSize) {
+            await transaction.writeFile(CONTENT_MAP_PATH, encodeContentMap(contentMap));
+        }
+        if (!nand.exists('/sys/cert.sys')) {
+            await transaction.writeFile('/sys/cert.sys', sectionBytes('certChain'));
         }
-    }, 300);
+        transaction.makeDirectory(`${titleDir}/data`);
+    } catch (error) {
+        // Let queued writes finish (or skip) before the staged files are thrown away
+        writeError = writeError || error;
+        await writes;
+        transaction.abort();
+        throw error;
+    }
+
+    await transaction.commit();
 }
 
 /**
@@ -250,11 +1407,17 @@ function resetWadDolUI() {
     const statusDiv = document.getElementById('wad-dol-status');
     const infoDiv = document.getElementById('wad-dol-info');
     const installButton = document.getElementById('install-wad-dol');
+    const verifyArea = document.getElementById('wad-verify-area');
+    const convertButton = document.getElementById('convert-elf-dol');
+    const bootButton = document.getElementById('boot-wad-dol');
     
     statusDiv.className = 'status-message';
     statusDiv.style.display = 'none';
     infoDiv.style.display = 'none';
     installButton.style.display = 'none';
+    if (verifyArea) verifyArea.style.display = 'none';
+    if (convertButton) convertButton.style.display = 'none';
+    if (bootButton) bootButton.style.display = 'none';
 }
 
 // Initialize on DOM load
@@ -0,0 +1,72 @@
+// WAD Verification Worker
+// Decrypts WAD contents off the main thread and checks them against the TMD hashes
+
+importScripts('wii-crypto.js');
+
+/**
+ * Handle a verification or decryption request
+ *
+ * Message: {
+ *   type: 'verify' | 'decrypt',
+ *   data: ArrayBuffer,            // WAD data section
+ *   commonKey: Uint8Array,
+ *   encryptedTitleKey: Uint8Array,
+ *   titleIdHi: number,
+ *   titleIdLo: number,
+ *   contents: Array<{index, offset, size, encryptedSize, available, sha1}>
+ * }
+ * Content offsets are relative to the start of the data section.
+ *
+ * Replies with 'progress' and 'content' messages, then 'done' or 'error'.
+ * For 'decrypt', each 'content' message also carries the decrypted `data`,
+ * and any content that does not match its hash is an error.
+ */
+self.onmessage = async (event) => {
+    const request = event.data;
+    if (request.type !== 'verify' && request.type !== 'decrypt') return;
+    const decrypting = request.type === 'decrypt';
+
+    try {
+        const titleKey = await aesCbcDecrypt(
+            request.commonKey,
+            titleKeyIv(request.titleIdHi, request.titleIdLo),
+            request.encryptedTitleKey
+        );
+        const cryptoKey = await importAesKey(titleKey);
+
+        const totalBytes = request.contents.reduce((sum, content) => sum + content.available, 0);
+        let processedBytes = 0;
+        const results = [];
+
+        for (const content of request.contents) {
+            let status;
+            let plaintext = null;
+            if (content.available < content.encryptedSize) {
+                status = 'truncated';
+            } else {
+                const encrypted = new Uint8Array(request.data, content.offset, content.encryptedSize);
+                const decrypted = await aesCbcDecrypt(cryptoKey, contentIv(content.index), encrypted);
+                plaintext = decrypted.subarray(0, content.size);
+                status = bytesEqual(await sha1(plaintext), content.sha1) ? 'ok' : 'mismatch';
+            }
+
+            processedBytes += content.available;
+            results.push({ index: content.index, status: status });
+
+            if (decrypting) {
+                if (status !== 'ok') {
+                    throw new Error(`Content ${content.index} is ${status === 'truncated' ? 'truncated' : 'corrupt (SHA-1 mismatch)'}`);
+                }
+                const data = plaintext.slice();
+                self.postMessage({ type: 'content', index: content.index, status: status, data: data }, [data.buffer]);
+            } else {
+                self.postMessage({ type: 'content', index: content.index, status: status });
+            }
+            self.postMessage({ type: 'progress', processed: processedBytes, total: totalBytes });
+        }
+
+        self.postMessage({ type: 'done', titleKey: titleKey, results: results });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
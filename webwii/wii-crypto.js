@@ -0,0 +1,241 @@
+// Wii Crypto Helpers
+// AES-128-CBC and SHA-1 primitives built on Web Crypto, plus MD5, usable from pages and workers
+
+/**
+ * AES block size in bytes
+ */
+const AES_BLOCK_SIZE = 16;
+
+/**
+ * Get the SubtleCrypto implementation for this context (window or worker)
+ * @returns {SubtleCrypto}
+ */
+function getSubtleCrypto() {
+    if (typeof self !== 'undefined' && self.crypto && self.crypto.subtle) {
+        return self.crypto.subtle;
+    }
+    throw new Error('Web Crypto is not available (a secure context is required)');
+}
+
+/**
+ * Import a raw 128-bit AES key for CBC use
+ * @param {Uint8Array} keyBytes - 16-byte key
+ * @returns {Promise<CryptoKey>}
+ */
+function importAesKey(keyBytes) {
+    if (keyBytes.length !== AES_BLOCK_SIZE) {
+        return Promise.reject(new Error(`AES key must be 16 bytes, got ${keyBytes.length}`));
+    }
+    return getSubtleCrypto().importKey('raw', keyBytes, { name: 'AES-CBC' }, false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Resolve a key argument that may be raw bytes or an imported CryptoKey
+ * @param {Uint8Array|CryptoKey} key - Key
+ * @returns {Promise<CryptoKey>}
+ */
+function resolveAesKey(key) {
+    return key instanceof Uint8Array ? importAesKey(key) : Promise.resolve(key);
+}
+
+/**
+ * AES-128-CBC encrypt without padding
+ * Web Crypto always appends PKCS#7 padding; the extra block is dropped.
+ * @param {Uint8Array|CryptoKey} key - Key
+ * @param {Uint8Array} iv - 16-byte IV
+ * @param {Uint8Array} data - Plaintext, a multiple of 16 bytes
+ * @returns {Promise<Uint8Array>} Ciphertext of the same length
+ */
+async function aesCbcEncrypt(key, iv, data) {
+    if (data.length % AES_BLOCK_SIZE !== 0) {
+        throw new Error('AES-CBC data length must be a multiple of 16 bytes');
+    }
+    const cryptoKey = await resolveAesKey(key);
+    const encrypted = await getSubtleCrypto().encrypt({ name: 'AES-CBC', iv: iv }, cryptoKey, data);
+    return new Uint8Array(encrypted, 0, data.length);
+}
+
+/**
+ * AES-128-CBC decrypt without padding
+ * Web Crypto insists on valid PKCS#7 padding, so a block that decrypts to a
+ * full padding block is appended to the ciphertext before decrypting.
+ * @param {Uint8Array|CryptoKey} key - Key
+ * @param {Uint8Array} iv - 16-byte IV
+ * @param {Uint8Array} data - Ciphertext, a multiple of 16 bytes
+ * @returns {Promise<Uint8Array>} Plaintext of the same length
+ */
+async function aesCbcDecrypt(key, iv, data) {
+    if (data.length % AES_BLOCK_SIZE !== 0) {
+        throw new Error('AES-CBC data length must be a multiple of 16 bytes');
+    }
+    if (data.length === 0) {
+        return new Uint8Array(0);
+    }
+
+    const cryptoKey = await resolveAesKey(key);
+    const subtle = getSubtleCrypto();
+
+    // Encrypting a padding block with the last ciphertext block as IV yields
+    // the ciphertext block that decrypts back to that padding
+    const lastBlock = data.subarray(data.length - AES_BLOCK_SIZE);
+    const padding = new Uint8Array(AES_BLOCK_SIZE).fill(AES_BLOCK_SIZE);
+    const paddingBlock = new Uint8Array(
+        await subtle.encrypt({ name: 'AES-CBC', iv: lastBlock }, cryptoKey, padding), 0, AES_BLOCK_SIZE);
+
+    const padded = new Uint8Array(data.length + AES_BLOCK_SIZE);
+    padded.set(data);
+    padded.set(paddingBlock, data.length);
+
+    return new Uint8Array(await subtle.decrypt({ name: 'AES-CBC', iv: iv }, cryptoKey, padded));
+}
+
+/**
+ * Compute a SHA-1 digest
+ * @param {Uint8Array} data - Data to hash
+ * @returns {Promise<Uint8Array>} 20-byte digest
+ */
+async function sha1(data) {
+    return new Uint8Array(await getSubtleCrypto().digest('SHA-1', data));
+}
+
+/**
+ * Compare two byte arrays for equality
+ * @param {Uint8Array} a - First array
+ * @param {Uint8Array} b - Second array
+ * @returns {boolean}
+ */
+function bytesEqual(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+/**
+ * Build the IV used to decrypt a title key: the title ID followed by zeros
+ * @param {number} titleIdHi - Upper 32 bits of the title ID
+ * @param {number} titleIdLo - Lower 32 bits of the title ID
+ * @returns {Uint8Array} 16-byte IV
+ */
+function titleKeyIv(titleIdHi, titleIdLo) {
+    const iv = new Uint8Array(AES_BLOCK_SIZE);
+    const view = new DataView(iv.buffer);
+    view.setUint32(0, titleIdHi, false);
+    view.setUint32(4, titleIdLo, false);
+    return iv;
+}
+
+/**
+ * Build the IV used to decrypt a title content: the content index followed by zeros
+ * @param {number} contentIndex - Content index from the TMD
+ * @returns {Uint8Array} 16-byte IV
+ */
+function contentIv(contentIndex) {
+    const iv = new Uint8Array(AES_BLOCK_SIZE);
+    new DataView(iv.buffer).setUint16(0, contentIndex, false);
+    return iv;
+}
+
+/**
+ * Import a raw key for HMAC-SHA1
+ * @param {Uint8Array} keyBytes - Key bytes
+ * @returns {Promise<CryptoKey>}
+ */
+function importHmacKey(keyBytes) {
+    return getSubtleCrypto().importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+}
+
+/**
+ * Compute an HMAC-SHA1 over one or more buffers
+ * @param {Uint8Array|CryptoKey} key - Raw key bytes or a key from importHmacKey
+ * @param {...Uint8Array} parts - Data, concatenated in order
+ * @returns {Promise<Uint8Array>} 20-byte MAC
+ */
+async function hmacSha1(key, ...parts) {
+    const cryptoKey = key instanceof Uint8Array ? await importHmacKey(key) : key;
+    const length = parts.reduce((sum, part) => sum + part.length, 0);
+    const message = new Uint8Array(length);
+    let offset = 0;
+    parts.forEach(part => {
+        message.set(part, offset);
+        offset += part.length;
+    });
+    return new Uint8Array(await getSubtleCrypto().sign('HMAC', cryptoKey, message));
+}
+
+/**
+ * MD5 per-round shift amounts and sine-derived constants
+ * Web Crypto has no MD5, which save-file headers use.
+ */
+const MD5_SHIFTS = [
+    7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+    5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+    4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+    6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+const MD5_CONSTANTS = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) >>> 0);
+
+/**
+ * Compute an MD5 digest
+ * @param {Uint8Array} data - Data to hash
+ * @returns {Uint8Array} 16-byte digest
+ */
+function md5(data) {
+    const paddedLength = Math.ceil((data.length + 9) / 64) * 64;
+    const message = new Uint8Array(paddedLength);
+    message.set(data);
+    message[data.length] = 0x80;
+    const view = new DataView(message.buffer);
+    view.setUint32(paddedLength - 8, (data.length * 8) >>> 0, true);
+    view.setUint32(paddedLength - 4, Math.floor(data.length / 0x20000000), true);
+
+    let a0 = 0x67452301;
+    let b0 = 0xEFCDAB89;
+    let c0 = 0x98BADCFE;
+    let d0 = 0x10325476;
+    const words = new Uint32Array(16);
+
+    for (let chunk = 0; chunk < paddedLength; chunk += 64) {
+        for (let i = 0; i < 16; i++) {
+            words[i] = view.getUint32(chunk + i * 4, true);
+        }
+
+        let a = a0;
+        let b = b0;
+        let c = c0;
+        let d = d0;
+        for (let i = 0; i < 64; i++) {
+            let f;
+            let g;
+            if (i < 16) {
+                f = (b & c) | (~b & d);
+                g = i;
+            } else if (i < 32) {
+                f = (d & b) | (~d & c);
+                g = (5 * i + 1) % 16;
+            } else if (i < 48) {
+                f = b ^ c ^ d;
+                g = (3 * i + 5) % 16;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7 * i) % 16;
+            }
+            f = (f + a + MD5_CONSTANTS[i] + words[g]) >>> 0;
+            a = d;
+            d = c;
+            c = b;
+            b = (b + ((f << MD5_SHIFTS[i]) | (f >>> (32 - MD5_SHIFTS[i])))) >>> 0;
+        }
+
+        a0 = (a0 + a) >>> 0;
+        b0 = (b0 + b) >>> 0;
+        c0 = (c0 + c) >>> 0;
+        d0 = (d0 + d) >>> 0;
+    }
+
+    const digest = new Uint8Array(16);
+    const digestView = new DataView(digest.buffer);
+    [a0, b0, c0, d0].forEach((word, i) => digestView.setUint32(i * 4, word, true));
+    return digest;
+}
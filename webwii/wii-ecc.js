@@ -0,0 +1,273 @@
+// Wii ECC
+// ECDSA on sect233r1, the curve the Wii uses for device (NG) and application (AP) certificates
+
+/**
+ * Field GF(2^233) with reduction polynomial x^233 + x^74 + 1
+ */
+const ECC_FIELD_BITS = 233n;
+const ECC_FIELD_POLY = (1n << 233n) | (1n << 74n) | 1n;
+
+/**
+ * Curve y^2 + xy = x^3 + ax^2 + b, its base point G and the order n of G
+ */
+const ECC_CURVE_A = 1n;
+const ECC_CURVE_B = 0x066647EDE6C332C7F8C0923BB58213B333B20E9CE4281FE115F7D8F90ADn;
+const ECC_BASE_POINT = {
+    x: 0x0FAC9DFCBAC8313BB2139F1BB755FEF65BC391F8B36F8F8EB7371FD558Bn,
+    y: 0x1006A08A41903350678E58528BEBF8A0BEFF867A7CA36716F7E01F81052n
+};
+const ECC_ORDER = 0x1000000000000000000000000000013E974E72F8A6922031D2603CFE0D7n;
+
+/**
+ * Sizes in bytes: private keys and coordinates are 30, public keys and signatures 60
+ */
+const ECC_ELEMENT_SIZE = 30;
+const ECC_PUBLIC_KEY_SIZE = 60;
+const ECC_SIGNATURE_SIZE = 60;
+
+/**
+ * Read a big-endian unsigned integer
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {bigint}
+ */
+function eccBytesToBigInt(bytes) {
+    let value = 0n;
+    bytes.forEach(byte => {
+        value = (value << 8n) | BigInt(byte);
+    });
+    return value;
+}
+
+/**
+ * Write a big-endian unsigned integer
+ * @param {bigint} value - Value
+ * @param {number} length - Output size in bytes
+ * @returns {Uint8Array}
+ */
+function eccBigIntToBytes(value, length) {
+    const bytes = new Uint8Array(length);
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = Number(value & 0xFFn);
+        value >>= 8n;
+    }
+    return bytes;
+}
+
+/**
+ * Multiply two field elements
+ * @param {bigint} a - Element
+ * @param {bigint} b - Element
+ * @returns {bigint}
+ */
+function gfMultiply(a, b) {
+    let result = 0n;
+    while (b) {
+        if (b & 1n) result ^= a;
+        b >>= 1n;
+        a <<= 1n;
+        if (a >> ECC_FIELD_BITS) a ^= ECC_FIELD_POLY;
+    }
+    return result;
+}
+
+/**
+ * Degree of a binary polynomial
+ * @param {bigint} a - Polynomial
+ * @returns {number} Degree, or -1 for zero
+ */
+function gfDegree(a) {
+    return a === 0n ? -1 : a.toString(2).length - 1;
+}
+
+/**
+ * Invert a non-zero field element (extended Euclid over GF(2)[x])
+ * @param {bigint} a - Element
+ * @returns {bigint}
+ */
+function gfInvert(a) {
+    if (a === 0n) {
+        throw new Error('Cannot invert zero');
+    }
+
+    let u = a;
+    let v = ECC_FIELD_POLY;
+    let g1 = 1n;
+    let g2 = 0n;
+    while (u !== 1n) {
+        let shift = gfDegree(u) - gfDegree(v);
+        if (shift < 0) {
+            [u, v] = [v, u];
+            [g1, g2] = [g2, g1];
+            shift = -shift;
+        }
+        u ^= v << BigInt(shift);
+        g1 ^= g2 << BigInt(shift);
+    }
+    return g1;
+}
+
+/**
+ * Add two curve points (null is the point at infinity)
+ * @param {Object|null} p - Point {x, y}
+ * @param {Object|null} q - Point {x, y}
+ * @returns {Object|null}
+ */
+function eccPointAdd(p, q) {
+    if (!p) return q;
+    if (!q) return p;
+
+    if (p.x === q.x) {
+        // q is either p or its negative (x, x + y)
+        return p.y === q.y ? eccPointDouble(p) : null;
+    }
+
+    const lambda = gfMultiply(p.y ^ q.y, gfInvert(p.x ^ q.x));
+    const x = gfMultiply(lambda, lambda) ^ lambda ^ p.x ^ q.x ^ ECC_CURVE_A;
+    const y = gfMultiply(lambda, p.x ^ x) ^ x ^ p.y;
+    return { x: x, y: y };
+}
+
+/**
+ * Double a curve point
+ * @param {Object|null} p - Point {x, y}
+ * @returns {Object|null}
+ */
+function eccPointDouble(p) {
+    if (!p || p.x === 0n) return null;
+
+    const lambda = p.x ^ gfMultiply(p.y, gfInvert(p.x));
+    const x = gfMultiply(lambda, lambda) ^ lambda ^ ECC_CURVE_A;
+    const y = gfMultiply(p.x, p.x) ^ gfMultiply(lambda ^ 1n, x);
+    return { x: x, y: y };
+}
+
+/**
+ * Multiply a curve point by a scalar
+ * @param {bigint} k - Scalar
+ * @param {Object} p - Point {x, y}
+ * @returns {Object|null}
+ */
+function eccPointMultiply(k, p) {
+    let result = null;
+    for (let bit = BigInt(k.toString(2).length - 1); bit >= 0n; bit--) {
+        result = eccPointDouble(result);
+        if ((k >> bit) & 1n) {
+            result = eccPointAdd(result, p);
+        }
+    }
+    return result;
+}
+
+/**
+ * Whether a point lies on the curve
+ * @param {Object} p - Point {x, y}
+ * @returns {boolean}
+ */
+function eccIsOnCurve(p) {
+    const x2 = gfMultiply(p.x, p.x);
+    const left = gfMultiply(p.y, p.y) ^ gfMultiply(p.x, p.y);
+    const right = gfMultiply(x2, p.x) ^ gfMultiply(ECC_CURVE_A, x2) ^ ECC_CURVE_B;
+    return left === right;
+}
+
+/**
+ * Modular inverse mod the curve order
+ * @param {bigint} a - Value
+ * @returns {bigint}
+ */
+function eccInvertModOrder(a) {
+    let [oldR, r] = [((a % ECC_ORDER) + ECC_ORDER) % ECC_ORDER, ECC_ORDER];
+    let [oldS, s] = [1n, 0n];
+    while (r !== 0n) {
+        const quotient = oldR / r;
+        [oldR, r] = [r, oldR - quotient * r];
+        [oldS, s] = [s, oldS - quotient * s];
+    }
+    return ((oldS % ECC_ORDER) + ECC_ORDER) % ECC_ORDER;
+}
+
+/**
+ * Derive a public key from a private key
+ * @param {Uint8Array} privateKey - 30-byte private key
+ * @returns {Uint8Array} 60-byte public key (x then y)
+ */
+function eccPrivateToPublic(privateKey) {
+    const point = eccPointMultiply(eccBytesToBigInt(privateKey), ECC_BASE_POINT);
+    const publicKey = new Uint8Array(ECC_PUBLIC_KEY_SIZE);
+    publicKey.set(eccBigIntToBytes(point.x, ECC_ELEMENT_SIZE), 0);
+    publicKey.set(eccBigIntToBytes(point.y, ECC_ELEMENT_SIZE), ECC_ELEMENT_SIZE);
+    return publicKey;
+}
+
+/**
+ * Generate a random scalar in [1, n - 1]
+ * @returns {bigint}
+ */
+function eccRandomScalar() {
+    const bytes = new Uint8Array(ECC_ELEMENT_SIZE);
+    for (;;) {
+        crypto.getRandomValues(bytes);
+        bytes[0] &= 0x01;
+        const value = eccBytesToBigInt(bytes);
+        if (value > 0n && value < ECC_ORDER) return value;
+    }
+}
+
+/**
+ * Generate a private key
+ * @returns {Uint8Array} 30-byte private key
+ */
+function eccGeneratePrivateKey() {
+    return eccBigIntToBytes(eccRandomScalar(), ECC_ELEMENT_SIZE);
+}
+
+/**
+ * Sign a SHA-1 hash
+ * @param {Uint8Array} privateKey - 30-byte private key
+ * @param {Uint8Array} hash - 20-byte SHA-1 digest
+ * @returns {Uint8Array} 60-byte signature (r then s)
+ */
+function eccSign(privateKey, hash) {
+    const d = eccBytesToBigInt(privateKey);
+    const e = eccBytesToBigInt(hash);
+
+    for (;;) {
+        const k = eccRandomScalar();
+        const r = eccPointMultiply(k, ECC_BASE_POINT).x % ECC_ORDER;
+        if (r === 0n) continue;
+        const s = (eccInvertModOrder(k) * (e + r * d)) % ECC_ORDER;
+        if (s === 0n) continue;
+
+        const signature = new Uint8Array(ECC_SIGNATURE_SIZE);
+        signature.set(eccBigIntToBytes(r, ECC_ELEMENT_SIZE), 0);
+        signature.set(eccBigIntToBytes(s, ECC_ELEMENT_SIZE), ECC_ELEMENT_SIZE);
+        return signature;
+    }
+}
+
+/**
+ * Verify a signature over a SHA-1 hash
+ * @param {Uint8Array} publicKey - 60-byte public key
+ * @param {Uint8Array} signature - 60-byte signature
+ * @param {Uint8Array} hash - 20-byte SHA-1 digest
+ * @returns {boolean}
+ */
+function eccVerify(publicKey, signature, hash) {
+    const q = {
+        x: eccBytesToBigInt(publicKey.subarray(0, ECC_ELEMENT_SIZE)),
+        y: eccBytesToBigInt(publicKey.subarray(ECC_ELEMENT_SIZE, ECC_PUBLIC_KEY_SIZE))
+    };
+    const r = eccBytesToBigInt(signature.subarray(0, ECC_ELEMENT_SIZE));
+    const s = eccBytesToBigInt(signature.subarray(ECC_ELEMENT_SIZE, ECC_SIGNATURE_SIZE));
+    if (r === 0n || r >= ECC_ORDER || s === 0n || s >= ECC_ORDER || !eccIsOnCurve(q)) {
+        return false;
+    }
+
+    const w = eccInvertModOrder(s);
+    const e = eccBytesToBigInt(hash);
+    const point = eccPointAdd(
+        eccPointMultiply((e * w) % ECC_ORDER, ECC_BASE_POINT),
+        eccPointMultiply((r * w) % ECC_ORDER, q)
+    );
+    return point !== null && point.x % ECC_ORDER === r;
+}
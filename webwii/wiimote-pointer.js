@@ -0,0 +1,487 @@
+// Wii Remote Pointer
+// Emulates the Wii Remote IR pointer with the mouse, touch or a gamepad stick, and tilt/shake with keys or device motion
+
+/**
+ * The pointer and motion drive the first Wii Remote
+ */
+const POINTER_PORT = 0;
+
+/**
+ * Pointer and motion tuning
+ */
+const POINTER_STICK_SPEED = 0.03; // Screen halves per frame at full stick deflection
+const POINTER_LOCK_RANGE = 1.2; // How far past the screen edge a locked pointer can go
+const POINTER_MAX_TILT = 90; // Degrees of device tilt for full emulated tilt
+const POINTER_SHAKE_ACCELERATION = 15; // m/s², ignoring gravity
+const POINTER_SHAKE_DURATION = 200; // ms
+const POINTER_SETTINGS_STORAGE_KEY = 'webwiiPointerSettings';
+
+/**
+ * Settings used until the user changes them
+ * Calibration is the part of the canvas, from -1 to 1 on each axis, that the sensor bar covers.
+ */
+const POINTER_DEFAULT_SETTINGS = {
+    pointerSource: 'mouse', // 'mouse' (mouse or touch), 'stick' or 'off'
+    sensitivity: 1,
+    pointerLock: false,
+    calibration: { left: -1, top: -1, right: 1, bottom: 1 },
+    tiltSource: 'keys' // 'keys' (set in keyboard-input.js), 'device' or 'off'
+};
+
+/**
+ * Current settings
+ */
+let pointerSettings = null;
+
+/**
+ * Pointer position: raw is where the mouse or touch is on the canvas, position
+ * is the stick or pointer-lock cursor, offset is set by recentering
+ */
+let pointerState = {
+    raw: { x: 0, y: 0 },
+    inside: false,
+    position: { x: 0, y: 0 },
+    offset: { x: 0, y: 0 },
+    locked: false
+};
+
+/**
+ * Device motion: the latest orientation and when the last shake ends
+ */
+let motionState = {
+    device: { pitch: 0, roll: 0, base: null },
+    shakeUntil: 0
+};
+
+/**
+ * Sensor-bar calibration in progress ({corner: 'top-left'|'bottom-right', first}), or null
+ */
+let pointerCalibration = null;
+
+/**
+ * Last motion sent, to only forward changes
+ */
+let pointerLastSent = null;
+
+/**
+ * Initialize pointer and motion emulation
+ */
+function initWiimotePointer() {
+    const canvas = document.getElementById('canvas');
+    const panel = document.getElementById('pointer-settings');
+
+    if (!canvas || !panel) return;
+
+    pointerSettings = loadPointerSettings();
+
+    canvas.addEventListener('mousemove', (event) => {
+        if (pointerState.locked) {
+            const rect = canvas.getBoundingClientRect();
+            movePointerBy(event.movementX / rect.width * 2, event.movementY / rect.height * 2);
+        } else {
+            setPointerRaw(canvas, event.clientX, event.clientY);
+        }
+    });
+    canvas.addEventListener('mouseleave', () => {
+        pointerState.inside = false;
+    });
+    canvas.addEventListener('touchstart', (event) => handlePointerTouch(canvas, event), { passive: false });
+    canvas.addEventListener('touchmove', (event) => handlePointerTouch(canvas, event), { passive: false });
+    canvas.addEventListener('touchend', (event) => {
+        // Touches that move the pointer cancel the click, so calibration corners are taken here
+        if (pointerCalibration && pointerSettings.pointerSource === 'mouse' && event.changedTouches.length > 0) {
+            setPointerRaw(canvas, event.changedTouches[0].clientX, event.changedTouches[0].clientY);
+            recordCalibrationCorner();
+        }
+        pointerState.inside = false;
+    });
+
+    canvas.addEventListener('click', (event) => {
+        if (pointerCalibration) {
+            setPointerRaw(canvas, event.clientX, event.clientY);
+            recordCalibrationCorner();
+        } else if (pointerSettings.pointerSource === 'mouse' && pointerSettings.pointerLock &&
+            !pointerState.locked && canvas.requestPointerLock) {
+            canvas.requestPointerLock();
+        }
+    });
+    document.addEventListener('pointerlockchange', () => {
+        pointerState.locked = document.pointerLockElement === canvas;
+        pointerState.position = { x: 0, y: 0 };
+    });
+
+    window.addEventListener('deviceorientation', (event) => {
+        if (pointerSettings.tiltSource !== 'device' || event.beta === null) return;
+
+        // Tilt is measured from how the device was held when motion was turned on
+        const device = motionState.device;
+        if (!device.base) {
+            device.base = { beta: event.beta, gamma: event.gamma };
+        }
+        const beta = event.beta - device.base.beta;
+        const gamma = event.gamma - device.base.gamma;
+
+        // beta and gamma follow the device's natural orientation; turn them to match the screen
+        const angle = getScreenOrientationAngle() * Math.PI / 180;
+        const cos = Math.round(Math.cos(angle));
+        const sin = Math.round(Math.sin(angle));
+        device.pitch = clampPointer((beta * cos - gamma * sin) / POINTER_MAX_TILT, 1);
+        device.roll = clampPointer((beta * sin + gamma * cos) / POINTER_MAX_TILT, 1);
+    });
+    const resetTiltBase = () => {
+        motionState.device.base = null;
+    };
+    if (screen.orientation) {
+        screen.orientation.addEventListener('change', resetTiltBase);
+    } else {
+        window.addEventListener('orientationchange', resetTiltBase);
+    }
+    window.addEventListener('devicemotion', (event) => {
+        const acceleration = event.acceleration;
+        if (pointerSettings.tiltSource !== 'device' || !acceleration || acceleration.x === null) return;
+
+        const magnitude = Math.hypot(acceleration.x, acceleration.y, acceleration.z);
+        if (magnitude >= POINTER_SHAKE_ACCELERATION) {
+            motionState.shakeUntil = performance.now() + POINTER_SHAKE_DURATION;
+        }
+    });
+
+    panel.addEventListener('change', handlePointerSettingChange);
+    panel.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        switch (button.dataset.action) {
+            case 'calibrate':
+                startPointerCalibration();
+                break;
+            case 'reset-calibration':
+                pointerSettings.calibration = { ...POINTER_DEFAULT_SETTINGS.calibration };
+                pointerState.offset = { x: 0, y: 0 };
+                savePointerSettings();
+                showStatus(document.getElementById('pointer-status'), 'success', 'Calibration reset.');
+                break;
+        }
+    });
+
+    renderPointerSettings();
+    requestAnimationFrame(updateWiimoteMotion);
+}
+
+/**
+ * Load the saved settings, filling in anything missing from the defaults
+ * @returns {Object} Settings
+ */
+function loadPointerSettings() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(POINTER_SETTINGS_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Stored pointer settings are unreadable:', error);
+    }
+
+    const settings = {
+        ...POINTER_DEFAULT_SETTINGS,
+        ...saved,
+        calibration: { ...POINTER_DEFAULT_SETTINGS.calibration, ...saved.calibration }
+    };
+    // keyboard-input.js moves these keys out of the stored settings
+    delete settings.tiltKeys;
+    delete settings.recenterKey;
+    return settings;
+}
+
+/**
+ * Save the settings to localStorage
+ */
+function savePointerSettings() {
+    localStorage.setItem(POINTER_SETTINGS_STORAGE_KEY, JSON.stringify(pointerSettings));
+}
+
+/**
+ * Clamp a value to [-limit, limit]
+ * @param {number} value - Value
+ * @param {number} limit - Limit
+ * @returns {number}
+ */
+function clampPointer(value, limit) {
+    return Math.max(-limit, Math.min(limit, value));
+}
+
+/**
+ * Record where the mouse or a touch is on the canvas
+ * @param {HTMLCanvasElement} canvas - Emulator canvas
+ * @param {number} clientX - Viewport X
+ * @param {number} clientY - Viewport Y
+ */
+function setPointerRaw(canvas, clientX, clientY) {
+    const rect = canvas.getBoundingClientRect();
+    pointerState.raw = {
+        x: (clientX - rect.left) / rect.width * 2 - 1,
+        y: (clientY - rect.top) / rect.height * 2 - 1
+    };
+    pointerState.inside = true;
+}
+
+/**
+ * How far the screen is turned from the device's natural orientation
+ * @returns {number} 0, 90, 180 or 270 degrees
+ */
+function getScreenOrientationAngle() {
+    const angle = screen.orientation ? screen.orientation.angle : (window.orientation || 0);
+    return ((angle % 360) + 360) % 360;
+}
+
+/**
+ * Move the pointer with a touch, keeping the page from scrolling
+ * @param {HTMLCanvasElement} canvas - Emulator canvas
+ * @param {TouchEvent} event - Touch event
+ */
+function handlePointerTouch(canvas, event) {
+    if (pointerSettings.pointerSource !== 'mouse' || event.touches.length === 0) return;
+
+    event.preventDefault();
+    setPointerRaw(canvas, event.touches[0].clientX, event.touches[0].clientY);
+}
+
+/**
+ * Move the stick or pointer-lock cursor
+ * @param {number} dx - Movement in screen halves
+ * @param {number} dy - Movement in screen halves
+ */
+function movePointerBy(dx, dy) {
+    const limit = pointerState.locked ? POINTER_LOCK_RANGE : 1;
+    pointerState.position = {
+        x: clampPointer(pointerState.position.x + dx * pointerSettings.sensitivity, limit),
+        y: clampPointer(pointerState.position.y + dy * pointerSettings.sensitivity, limit)
+    };
+}
+
+/**
+ * Where the mouse or touch is, mapped through the sensor-bar calibration
+ * @returns {{x: number, y: number}} -1 to 1 across the calibrated area
+ */
+function calibratedPointerRaw() {
+    const { left, top, right, bottom } = pointerSettings.calibration;
+    return {
+        x: (pointerState.raw.x - left) / (right - left) * 2 - 1,
+        y: (pointerState.raw.y - top) / (bottom - top) * 2 - 1
+    };
+}
+
+/**
+ * Compute the IR pointer position
+ * @returns {{x: number, y: number, visible: boolean}} -1 to 1 from the top-left corner
+ */
+function getPointerPosition() {
+    const source = pointerSettings.pointerSource;
+
+    if (source === 'stick') {
+        return { x: pointerState.position.x, y: pointerState.position.y, visible: true };
+    }
+    if (source === 'mouse' && pointerState.locked) {
+        const { x, y } = pointerState.position;
+        return { x: x, y: y, visible: Math.abs(x) <= 1 && Math.abs(y) <= 1 };
+    }
+    if (source === 'mouse' && pointerState.inside) {
+        const calibrated = calibratedPointerRaw();
+        const x = (calibrated.x - pointerState.offset.x) * pointerSettings.sensitivity;
+        const y = (calibrated.y - pointerState.offset.y) * pointerSettings.sensitivity;
+        return { x: x, y: y, visible: Math.abs(x) <= 1 && Math.abs(y) <= 1 };
+    }
+    return { x: 0, y: 0, visible: false };
+}
+
+/**
+ * Point the pointer at the middle of the screen from where it is now
+ */
+function recenterPointer() {
+    if (pointerSettings.pointerSource === 'mouse' && !pointerState.locked && pointerState.inside) {
+        pointerState.offset = calibratedPointerRaw();
+    } else {
+        pointerState.position = { x: 0, y: 0 };
+    }
+    motionState.device.base = null;
+}
+
+/**
+ * Move the stick cursor with the right stick of the first controller
+ */
+function updatePointerStick() {
+    const index = typeof gamepadPorts !== 'undefined' ? gamepadPorts[0] : undefined;
+    const gamepad = index === undefined ? null : navigator.getGamepads()[index];
+    if (!gamepad) return;
+
+    const deadzone = value => Math.abs(value) <= GAMEPAD_DEADZONE ? 0 : value;
+    movePointerBy(deadzone(gamepad.axes[2] || 0) * POINTER_STICK_SPEED, deadzone(gamepad.axes[3] || 0) * POINTER_STICK_SPEED);
+}
+
+/**
+ * Compute tilt and shake
+ * @returns {{pitch: number, roll: number, shake: boolean}} Pitch and roll from -1 to 1
+ */
+function getWiimoteTilt() {
+    const now = performance.now();
+
+    if (pointerSettings.tiltSource === 'keys') {
+        const held = name => isKeyboardMotionHeld(name) ? 1 : 0;
+        return {
+            pitch: held('forward') - held('backward'),
+            roll: held('right') - held('left'),
+            shake: Boolean(held('shake'))
+        };
+    }
+    if (pointerSettings.tiltSource === 'device') {
+        return { pitch: motionState.device.pitch, roll: motionState.device.roll, shake: now < motionState.shakeUntil };
+    }
+    return { pitch: 0, roll: 0, shake: false };
+}
+
+/**
+ * Forward the pointer and motion to Dolphin once per frame, when they change
+ */
+function updateWiimoteMotion() {
+    requestAnimationFrame(updateWiimoteMotion);
+    if (!backendSupports('wiimoteMotion')) return;
+
+    if (pointerSettings.pointerSource === 'stick') {
+        updatePointerStick();
+    }
+
+    const pointer = getPointerPosition();
+    const tilt = getWiimoteTilt();
+    const motion = {
+        pointerX: pointer.x,
+        pointerY: pointer.y,
+        pointerVisible: pointer.visible,
+        pitch: tilt.pitch,
+        roll: tilt.roll,
+        shake: tilt.shake
+    };
+
+    const key = JSON.stringify(motion);
+    if (key === pointerLastSent) return;
+    pointerLastSent = key;
+    getActiveBackend().sendMotion(POINTER_PORT, motion);
+}
+
+/**
+ * Apply a changed setting from the panel
+ * @param {Event} event - Change event
+ */
+async function handlePointerSettingChange(event) {
+    const input = event.target.closest('[data-setting]');
+    if (!input) return;
+
+    const setting = input.dataset.setting;
+    if (setting === 'sensitivity') {
+        pointerSettings.sensitivity = parseFloat(input.value);
+    } else if (setting === 'pointerLock') {
+        pointerSettings.pointerLock = input.checked;
+        if (!input.checked && pointerState.locked) {
+            document.exitPointerLock();
+        }
+    } else if (setting === 'tiltSource' && input.value === 'device' && !(await requestMotionPermission())) {
+        input.value = pointerSettings.tiltSource;
+        return;
+    } else {
+        pointerSettings[setting] = input.value;
+    }
+
+    pointerState.position = { x: 0, y: 0 };
+    motionState.device.base = null;
+    savePointerSettings();
+    renderPointerSettings();
+}
+
+/**
+ * Ask for access to device motion where the browser requires it (iOS)
+ * @returns {Promise<boolean>} Whether motion events can be used
+ */
+async function requestMotionPermission() {
+    const statusDiv = document.getElementById('pointer-status');
+
+    if (typeof DeviceOrientationEvent === 'undefined') {
+        showStatus(statusDiv, 'error', 'This browser does not report device motion.');
+        return false;
+    }
+    if (typeof DeviceOrientationEvent.requestPermission !== 'function') {
+        return true;
+    }
+
+    try {
+        const orientation = await DeviceOrientationEvent.requestPermission();
+        const motion = typeof DeviceMotionEvent !== 'undefined' && typeof DeviceMotionEvent.requestPermission === 'function'
+            ? await DeviceMotionEvent.requestPermission()
+            : 'granted';
+        if (orientation === 'granted' && motion === 'granted') {
+            return true;
+        }
+    } catch (error) {
+        console.warn('Motion permission request failed:', error);
+    }
+    showStatus(statusDiv, 'error', 'Device motion was not allowed.');
+    return false;
+}
+
+/**
+ * Start sensor-bar calibration: the user clicks two corners of the game screen
+ */
+function startPointerCalibration() {
+    if (pointerSettings.pointerSource !== 'mouse') {
+        showStatus(document.getElementById('pointer-status'), 'error', 'Calibration is for the mouse and touch pointer.');
+        return;
+    }
+    if (pointerState.locked) {
+        document.exitPointerLock();
+    }
+
+    pointerCalibration = { corner: 'top-left', first: null };
+    showStatus(document.getElementById('pointer-status'), 'info', 'Click the top-left corner of the game screen.');
+}
+
+/**
+ * Store the corner that was just clicked, finishing calibration after the second one
+ */
+function recordCalibrationCorner() {
+    const statusDiv = document.getElementById('pointer-status');
+    const point = { ...pointerState.raw };
+
+    if (pointerCalibration.corner === 'top-left') {
+        pointerCalibration = { corner: 'bottom-right', first: point };
+        showStatus(statusDiv, 'info', 'Now click the bottom-right corner of the game screen.');
+        return;
+    }
+
+    const first = pointerCalibration.first;
+    pointerCalibration = null;
+    if (point.x - first.x < 0.1 || point.y - first.y < 0.1) {
+        showStatus(statusDiv, 'error', 'The corners were too close together or in the wrong order. Calibrate again.');
+        return;
+    }
+
+    pointerSettings.calibration = { left: first.x, top: first.y, right: point.x, bottom: point.y };
+    pointerState.offset = { x: 0, y: 0 };
+    savePointerSettings();
+    showStatus(statusDiv, 'success', 'Pointer calibrated.');
+}
+
+/**
+ * Draw the settings panel from the current settings
+ */
+function renderPointerSettings() {
+    const panel = document.getElementById('pointer-settings');
+
+    panel.querySelectorAll('[data-setting]').forEach(input => {
+        const value = pointerSettings[input.dataset.setting];
+        if (input.type === 'checkbox') {
+            input.checked = Boolean(value);
+        } else {
+            input.value = value;
+        }
+    });
+    document.getElementById('pointer-sensitivity-value').textContent = `${pointerSettings.sensitivity.toFixed(1)}×`;
+}
+
+// Initialize on DOM load
+document.addEventListener('DOMContentLoaded', initWiimotePointer);